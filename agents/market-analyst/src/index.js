@@ -1,29 +1,102 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
 import express from 'express';
 import Redis from 'ioredis';
 import client from 'prom-client';
 import { createLogger } from '../../../common/logger.js';
 import { traceMiddleware, requestLoggerMiddleware } from '../../../common/trace.js';
 import { xaddJSON, startConsumer, startPendingMonitor } from '../../../common/streams.js';
+import { createPgPool, insertMarketData } from '../../../common/db.js';
+import { createCandleAggregator, intervalMs } from '../../../common/candles.js';
+import { DEFAULT_INDICATORS, computeIndicators } from '../../../common/indicators.js';
+import { createStrategyRunner, loadStrategies } from '../../../common/strategy.js';
+import { combineSignals } from '../../../common/ensemble.js';
+import { createCalibrator, referencePrice } from '../../../common/calibration.js';
+import {
+  LAST_PRICES_KEY,
+  MARKET_DATA_TYPES,
+  normalizeMarketData,
+  normalizeSymbol,
+  readSeries,
+  publishMarketData,
+  quoteTick,
+  recordLastPrice,
+  storeMarketData,
+} from '../../../common/market-data.js';
 
 const SERVICE_NAME = process.env.SERVICE_NAME || 'Claude Market Analyst';
 const PORT = parseInt(process.env.PORT || '7003', 10);
 const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379/0';
+// Suggested entry: 'market' (no entry on the signal) or 'limit' priced off the reference price
+const ENTRY_TYPE = (process.env.ANALYST_ENTRY_TYPE || 'market').toLowerCase();
+const ENTRY_OFFSET_BPS = parseFloat(process.env.ANALYST_ENTRY_OFFSET_BPS || '0') || 0;
+const ENTRY_TIF = (process.env.ANALYST_ENTRY_TIF || 'GTC').toUpperCase();
+// Market data ingest: batch size limit, points kept per Redis series, market.data stream cap, and
+// whether records are also written to Postgres (MARKET_DATA_PG=true)
+const INGEST_MAX_ITEMS = parseInt(process.env.MARKET_DATA_MAX_BATCH || '1000', 10);
+const SERIES_MAX_POINTS = parseInt(process.env.MARKET_DATA_MAX_POINTS || '10000', 10);
+const STREAM_MAXLEN = parseInt(process.env.MARKET_DATA_STREAM_MAXLEN || '100000', 10);
+const MARKET_DATA_PG = (process.env.MARKET_DATA_PG || 'false').toLowerCase() === 'true';
+// Candle aggregation from market.data trades (common/candles.js); CANDLE_TIMEFRAMES empty disables
+const CANDLE_TIMEFRAMES = (process.env.CANDLE_TIMEFRAMES ?? '1m,5m,1h,1d')
+  .split(',')
+  .map((t) => t.trim())
+  .filter(Boolean);
+const CANDLE_CLOSE_DELAY_MS = parseInt(process.env.CANDLE_CLOSE_DELAY_MS || '2000', 10);
+const CANDLE_MAX_GAP_BARS = parseInt(process.env.CANDLE_MAX_GAP_BARS || '1440', 10);
+// /analysis/indicators: default timeframe and the most bars one request runs over
+const INDICATOR_INTERVAL = process.env.ANALYST_INDICATOR_INTERVAL || '1m';
+const INDICATOR_MAX_BARS = parseInt(process.env.ANALYST_INDICATOR_MAX_BARS || '5000', 10);
+// Strategy plugins (common/strategy.js): the directory they are loaded from, and which run on
+// which symbols as a JSON array, inline or in a file; by default every plugin runs on every symbol
+const STRATEGY_DIR =
+  process.env.ANALYST_STRATEGY_DIR ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), 'strategies');
+const STRATEGY_CONFIG = process.env.ANALYST_STRATEGIES_FILE
+  ? fs.readFileSync(process.env.ANALYST_STRATEGIES_FILE, 'utf8')
+  : process.env.ANALYST_STRATEGIES;
+// Signals acted on: 'ensemble' (one combined signal per symbol, common/ensemble.js) or
+// 'strategies' (each strategy's own); the ensemble's weights, vetoes and thresholds as JSON,
+// inline or in a file
+const SIGNAL_MODE = (process.env.ANALYST_SIGNAL_MODE || 'ensemble').toLowerCase();
+const ENSEMBLE_CONFIG = JSON.parse(
+  (process.env.ANALYST_ENSEMBLE_FILE
+    ? fs.readFileSync(process.env.ANALYST_ENSEMBLE_FILE, 'utf8')
+    : process.env.ANALYST_ENSEMBLE) || '{}'
+);
+const ENSEMBLE_ID = 'ensemble';
+// Confidence calibration (common/calibration.js): how long after a signal its outcome is judged,
+// the smallest move that counts as a win, the weight of the raw confidence (in outcomes) and the
+// half-life of the outcome counts (in outcomes)
+const CALIBRATION_HORIZON_SEC = parseInt(process.env.CALIBRATION_HORIZON_SEC || '3600', 10);
+const CALIBRATION_MIN_MOVE_BPS = parseFloat(process.env.CALIBRATION_MIN_MOVE_BPS || '0') || 0;
+const CALIBRATION_PRIOR = parseFloat(process.env.CALIBRATION_PRIOR || '10');
+const CALIBRATION_HALF_LIFE = parseFloat(process.env.CALIBRATION_HALF_LIFE || '500');
 
 // Redis pub/sub
 const pub = new Redis(REDIS_URL);
 const sub = new Redis(REDIS_URL);
 pub.on('error', (err) => console.error(`[${SERVICE_NAME}] Redis pub error:`, err.message));
 sub.on('error', (err) => console.error(`[${SERVICE_NAME}] Redis sub error:`, err.message));
+// market.data is read on its own connection so trades reach the candle aggregator without
+// waiting behind the orchestrator.commands consumer's blocking reads
+const mdSub = new Redis(REDIS_URL);
+mdSub.on('error', (err) => console.error(`[${SERVICE_NAME}] Redis md error:`, err.message));
+
+const pgPool = MARKET_DATA_PG ? createPgPool() : null;
 
 // Channels
 const CHANNELS = {
   ORCH_CMDS: 'orchestrator.commands',
   ANALYSIS_SIGNALS: 'analysis.signals',
+  MARKET_DATA: 'market.data',
+  MARKET_CANDLES: 'market.candles',
 };
 
 const app = express();
 const logger = createLogger(SERVICE_NAME);
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // room for MARKET_DATA_MAX_BATCH ingest items
 app.use(traceMiddleware(SERVICE_NAME));
 app.use(requestLoggerMiddleware(logger));
 
@@ -43,6 +116,47 @@ const streamPendingGauge = new client.Gauge({
   labelNames: ['stream', 'group'],
 });
 register.registerMetric(streamPendingGauge);
+const marketDataCounter = new client.Counter({
+  name: 'market_data_ingested_total',
+  help: 'Market data records ingested, by type',
+  labelNames: ['type'],
+});
+register.registerMetric(marketDataCounter);
+const marketDataRejectedCounter = new client.Counter({
+  name: 'market_data_rejected_total',
+  help: 'Ingested market data items rejected by validation, by error',
+  labelNames: ['error'],
+});
+register.registerMetric(marketDataRejectedCounter);
+const candlesClosedCounter = new client.Counter({
+  name: 'candles_closed_total',
+  help: 'OHLCV bars closed by the candle aggregator, by timeframe',
+  labelNames: ['interval'],
+});
+register.registerMetric(candlesClosedCounter);
+const candlesLateCounter = new client.Counter({
+  name: 'candles_late_trades_total',
+  help: 'Trades that arrived after their bar had closed',
+});
+register.registerMetric(candlesLateCounter);
+const strategySignalsCounter = new client.Counter({
+  name: 'strategy_signals_total',
+  help: 'Actionable signals produced, by strategy and side',
+  labelNames: ['strategy', 'side'],
+});
+register.registerMetric(strategySignalsCounter);
+const strategyErrorsCounter = new client.Counter({
+  name: 'strategy_errors_total',
+  help: 'Errors thrown by strategy plugins, by strategy',
+  labelNames: ['strategy'],
+});
+register.registerMetric(strategyErrorsCounter);
+const signalOutcomesCounter = new client.Counter({
+  name: 'signal_outcomes_total',
+  help: 'Recorded signals judged for calibration, by strategy and result (win, loss, expired)',
+  labelNames: ['strategy', 'result'],
+});
+register.registerMetric(signalOutcomesCounter);
 
 // Timing middleware
 app.use((req, res, next) => {
@@ -96,20 +210,361 @@ app.get('/status', async (req, res) => {
   });
 });
 
+// Limit entry ENTRY_OFFSET_BPS better than the reference price (below it for buys); undefined
+// when entering at market or when no reference price is known
+function suggestEntry({ side, price }) {
+  const ref = parseFloat(price);
+  if (ENTRY_TYPE !== 'limit' || !(ref > 0)) return undefined;
+  const offset = (side === 'sell' ? 1 : -1) * (ENTRY_OFFSET_BPS / 10000);
+  return { type: 'limit', limitPrice: ref * (1 + offset), timeInForce: ENTRY_TIF };
+}
+
 // REST endpoints
-app.post('/analysis/ingest', (req, res) =>
-  res.status(202).json({ status: 'accepted', items: (req.body && req.body.length) || 0 })
+// Market data ingest: a JSON array of trades, quotes and OHLCV bars, or { items, symbol?, type?,
+// interval?, source? } whose fields default each item's. Valid items are normalized, added to
+// their Redis series, written to Postgres and published on market.data; invalid ones are reported
+// by index and skipped.
+app.post('/analysis/ingest', async (req, res) => {
+  const body = req.body;
+  const items = Array.isArray(body) ? body : body?.items;
+  if (!Array.isArray(items) || !items.length)
+    return res
+      .status(400)
+      .json({ error: 'invalid_params', message: 'items must be a non-empty array' });
+  if (items.length > INGEST_MAX_ITEMS)
+    return res
+      .status(400)
+      .json({ error: 'too_many_items', message: `at most ${INGEST_MAX_ITEMS}` });
+  const defaults = Array.isArray(body)
+    ? {}
+    : Object.fromEntries(
+        ['symbol', 'type', 'interval', 'source']
+          .filter((k) => body[k] != null)
+          .map((k) => [k, body[k]])
+      );
+  const records = [];
+  const rejected = [];
+  const now = Date.now();
+  items.forEach((item, index) => {
+    const { record, error } = normalizeMarketData({ ...defaults, ...item }, { now });
+    if (record) records.push(record);
+    else {
+      rejected.push({ index, error });
+      marketDataRejectedCounter.inc({ error });
+    }
+  });
+  if (!records.length)
+    return res.status(400).json({ error: 'invalid_params', details: { rejected } });
+
+  try {
+    await storeMarketData(pub, records, { maxPoints: SERIES_MAX_POINTS });
+    const latest = new Map();
+    for (const r of records) {
+      const prev = latest.get(r.symbol);
+      const tick = quoteTick(r);
+      if (!prev || Date.parse(prev.ts) <= Date.parse(tick.ts))
+        latest.set(r.symbol, { ...prev, ...tick });
+    }
+    for (const tick of latest.values()) await recordLastPrice(pub, tick);
+    await publishMarketData(pub, records, { stream: CHANNELS.MARKET_DATA, maxLen: STREAM_MAXLEN });
+  } catch (e) {
+    logger.error('market_data_ingest_failed', { error: String(e?.message || e) });
+    return res.status(500).json({ error: 'ingest_failed', message: String(e?.message || e) });
+  }
+  if (pgPool) {
+    try {
+      await insertMarketData(pgPool, records);
+    } catch (e) {
+      logger.warn('market_data_pg_failed', {
+        count: records.length,
+        error: String(e?.message || e),
+      });
+    }
+  }
+  for (const r of records) marketDataCounter.inc({ type: r.type });
+  res.status(202).json({ status: 'accepted', items: records.length, rejected });
+});
+// Indicator parameters from the query: ?indicators=sma,rsi picks a subset, and sma=50, ema=9,
+// rsi=7, atr=10, bollinger=20,2.5 or macd=8,21,5 override the defaults. Returns { spec } or
+// { error }.
+function indicatorSpec(query) {
+  const names = query.indicators
+    ? String(query.indicators)
+        .split(',')
+        .map((n) => n.trim().toLowerCase())
+        .filter(Boolean)
+    : Object.keys(DEFAULT_INDICATORS);
+  const unknown = names.find((n) => !DEFAULT_INDICATORS[n]);
+  if (unknown) return { error: `unknown indicator ${unknown}` };
+  const PARAMS = {
+    sma: ['period'],
+    ema: ['period'],
+    rsi: ['period'],
+    atr: ['period'],
+    bollinger: ['period', 'mult'],
+    macd: ['fast', 'slow', 'signal'],
+  };
+  const spec = {};
+  for (const name of names) {
+    spec[name] = { ...DEFAULT_INDICATORS[name] };
+    if (query[name] == null || !PARAMS[name]) continue;
+    const values = String(query[name]).split(',').map(Number);
+    if (values.length > PARAMS[name].length || values.some((v) => !(v > 0)))
+      return { error: `invalid ${name} parameters` };
+    values.forEach((v, i) => {
+      const key = PARAMS[name][i];
+      spec[name][key] = key === 'mult' ? v : Math.round(v);
+    });
+  }
+  return { spec };
+}
+
+// Indicators over a symbol's stored bars (md:bar:<interval>:<symbol>, ingested or closed by the
+// candle aggregator): the newest `limit` bars, oldest first, with the values after the last bar
+// and, with ?series=true, after every bar.
+app.get('/analysis/indicators/:symbol', async (req, res) => {
+  const symbol = normalizeSymbol(req.params.symbol);
+  if (!symbol) return res.status(400).json({ error: 'invalid_symbol' });
+  const interval = String(req.query.interval || INDICATOR_INTERVAL).toLowerCase();
+  if (!intervalMs(interval))
+    return res.status(400).json({ error: 'invalid_params', message: 'invalid interval' });
+  const limit = Math.max(
+    1,
+    Math.min(parseInt(req.query.limit || '500', 10) || 500, INDICATOR_MAX_BARS)
+  );
+  const { spec, error } = indicatorSpec(req.query);
+  if (error) return res.status(400).json({ error: 'invalid_params', message: error });
+  let bars;
+  try {
+    bars = await readSeries(pub, { type: MARKET_DATA_TYPES.BAR, symbol, interval, limit });
+  } catch (e) {
+    return res.status(500).json({ error: 'read_failed', message: String(e?.message || e) });
+  }
+  if (!bars.length) return res.status(404).json({ error: 'no_data', symbol, interval });
+  const series = String(req.query.series || '').toLowerCase() === 'true';
+  const last = bars[bars.length - 1];
+  res.json({
+    symbol,
+    interval,
+    bars: bars.length,
+    from: bars[0].ts,
+    ts: last.ts,
+    close: last.close,
+    params: spec,
+    ...computeIndicators(bars, spec, { series }),
+  });
+});
+
+// Strategies: every configured instance for the symbol, fed closed bars and market.data ticks and
+// warmed up from the stored bars of its interval. Instance failures are logged and counted.
+const strategyPlugins = await loadStrategies(STRATEGY_DIR);
+const strategies = createStrategyRunner({
+  plugins: strategyPlugins,
+  config: STRATEGY_CONFIG
+    ? JSON.parse(STRATEGY_CONFIG)
+    : [...strategyPlugins.keys()].map((strategy) => ({ strategy, symbols: ['*'] })),
+  loadBars: ({ symbol, interval, limit }) =>
+    readSeries(pub, { type: MARKET_DATA_TYPES.BAR, symbol, interval, limit }),
+  onError: (e, { strategyId, symbol }) => {
+    strategyErrorsCounter.inc({ strategy: strategyId });
+    logger.error('strategy_error', { strategyId, symbol, error: String(e?.message || e) });
+  },
+});
+logger.info('strategies_loaded', {
+  plugins: [...strategyPlugins.keys()],
+  strategies: strategies.describe().map((s) => s.strategyId),
+});
+
+if (strategies.describe().some((s) => s.strategyId === ENSEMBLE_ID))
+  throw new Error(`strategyId ${ENSEMBLE_ID} is reserved for the ensemble`);
+
+const calibrator = createCalibrator(pub, {
+  horizonSec: CALIBRATION_HORIZON_SEC,
+  prior: CALIBRATION_PRIOR,
+  halfLife: CALIBRATION_HALF_LIFE,
+  minMoveBps: CALIBRATION_MIN_MOVE_BPS,
+});
+await calibrator.load();
+
+const isActionable = (s) => s.side === 'buy' || s.side === 'sell';
+
+function ensembleRationale(combined, signals) {
+  if (combined.reason === 'veto') return `vetoed by ${combined.vetoedBy}`;
+  const voting = signals.filter(isActionable);
+  const reason = combined.reason?.replace(/_/g, ' ');
+  if (reason) return `${reason}: ${voting.length} of ${signals.length} strategies buy or sell`;
+  const agreeing = voting.filter((s) => s.side === combined.side).map((s) => s.strategyId);
+  return `${combined.side} from ${agreeing.join(', ')} (agreement ${combined.agreement})`;
+}
+
+// The symbol's signals: each strategy's with its confidence calibrated (the plugin's in
+// rawConfidence), and their ensemble, calibrated the same way. Buys and sells get the suggested
+// entry. Calibration uses the stored models, which any replica may have updated.
+async function analyzeSymbol(symbol, price) {
+  await calibrator.load();
+  const raw = await strategies.signals(symbol, { price: parseFloat(price) || undefined });
+  const signals = raw.map((s) => ({
+    ...s,
+    rawConfidence: s.confidence,
+    confidence: isActionable(s) ? calibrator.calibrate(s.strategyId, s.confidence) : 0,
+  }));
+  const combined = combineSignals(signals, ENSEMBLE_CONFIG);
+  const ensemble = {
+    strategyId: ENSEMBLE_ID,
+    strategy: ENSEMBLE_ID,
+    ...combined,
+    rawConfidence: combined.confidence,
+    confidence: isActionable(combined) ? calibrator.calibrate(ENSEMBLE_ID, combined.confidence) : 0,
+    rationale: ensembleRationale(combined, signals),
+  };
+  const withEntry = (s) =>
+    isActionable(s) ? { ...s, entry: suggestEntry({ side: s.side, price }) } : s;
+  return { signals: signals.map(withEntry), ensemble: withEntry(ensemble) };
+}
+
+// The most confident buy or sell among signals, or a hold
+function topSignal(signals) {
+  let top = { side: 'hold', confidence: 0 };
+  for (const s of signals)
+    if (isActionable(s) && (!isActionable(top) || s.confidence > top.confidence)) top = s;
+  return top;
+}
+
+// What the analyst acts on per ANALYST_SIGNAL_MODE: the ensemble, or every strategy's signal
+const actedOn = ({ signals, ensemble }) => (SIGNAL_MODE === 'ensemble' ? [ensemble] : signals);
+
+// Queue the buys and sells of an analysis for calibration, at the symbol's latest quote (else the
+// caller's reference price), with their raw confidences
+async function recordOutcomes(symbol, { signals, ensemble }, price) {
+  try {
+    const quote = JSON.parse((await pub.hget(LAST_PRICES_KEY, symbol)) || 'null');
+    const ref = referencePrice(quote) || parseFloat(price);
+    for (const s of [...signals, ensemble])
+      await calibrator.record({ ...s, symbol, confidence: s.rawConfidence }, { price: ref });
+  } catch (e) {
+    logger.warn('calibration_record_failed', { symbol, error: String(e?.message || e) });
+  }
+}
+
+app.get('/analysis/strategies', (req, res) =>
+  res.json({ plugins: [...strategyPlugins.keys()], strategies: strategies.describe() })
 );
-app.get('/analysis/signal', (req, res) => res.json({ signal: 'hold', confidence: 0.0 }));
-app.post('/analysis/analyze', (req, res) => {
-  const symbol = (req.body && req.body.symbol) || 'BTC-USD';
+app.get('/analysis/calibration', async (req, res) => {
+  try {
+    res.json({
+      horizonSec: CALIBRATION_HORIZON_SEC,
+      minMoveBps: CALIBRATION_MIN_MOVE_BPS,
+      prior: CALIBRATION_PRIOR,
+      halfLife: CALIBRATION_HALF_LIFE,
+      strategies: await calibrator.describe(),
+    });
+  } catch (e) {
+    logger.error('calibration_read_failed', { error: String(e?.message || e) });
+    res.status(500).json({ error: 'read_failed', message: String(e?.message || e) });
+  }
+});
+app.get('/analysis/signal', async (req, res) => {
+  const symbol = normalizeSymbol(req.query.symbol || 'BTC-USD');
+  if (!symbol) return res.status(400).json({ error: 'invalid_symbol' });
+  try {
+    const analysis = await analyzeSymbol(symbol, req.query.price);
+    const top = SIGNAL_MODE === 'ensemble' ? analysis.ensemble : topSignal(analysis.signals);
+    res.json({ symbol, signal: top.side, confidence: top.confidence, ...analysis });
+  } catch (e) {
+    res.status(500).json({ error: 'signal_failed', message: String(e?.message || e) });
+  }
+});
+// The signal acted on at the top level: the ensemble, or with ANALYST_SIGNAL_MODE=strategies the
+// most confident strategy's buy or sell (side 'hold' when none has one). Every strategy's signal
+// is in `signals`, the ensemble in `ensemble`.
+app.post('/analysis/analyze', async (req, res) => {
+  const symbol = normalizeSymbol((req.body && req.body.symbol) || 'BTC-USD');
+  if (!symbol) return res.status(400).json({ error: 'invalid_symbol' });
   const requestId = (req.body && req.body.requestId) || `${Date.now()}`;
-  // simple stub signal
-  const side = 'buy';
-  const confidence = 0.7;
-  res.json({ requestId, symbol, side, confidence, ts: new Date().toISOString() });
+  const price = req.body && req.body.price;
+  let analysis;
+  try {
+    analysis = await analyzeSymbol(symbol, price);
+  } catch (e) {
+    return res.status(500).json({ error: 'analyze_failed', message: String(e?.message || e) });
+  }
+  await recordOutcomes(symbol, analysis, price);
+  const top = SIGNAL_MODE === 'ensemble' ? analysis.ensemble : topSignal(analysis.signals);
+  const { strategyId, side, confidence, rawConfidence, rationale, entry } = top;
+  for (const s of actedOn(analysis).filter(isActionable))
+    strategySignalsCounter.inc({ strategy: s.strategyId, side: s.side });
+  res.json({
+    requestId,
+    symbol,
+    side,
+    confidence,
+    rawConfidence,
+    strategyId,
+    rationale,
+    entry,
+    signals: analysis.signals,
+    ensemble: analysis.ensemble,
+    ts: new Date().toISOString(),
+  });
 });
 
+// Judge recorded signals once their horizon has passed
+const calibrationTimer = setInterval(async () => {
+  try {
+    for (const o of await calibrator.resolveDue(Date.now()))
+      signalOutcomesCounter.inc({
+        strategy: o.strategyId,
+        result: o.expired ? 'expired' : o.win ? 'win' : 'loss',
+      });
+  } catch (e) {
+    logger.error('calibration_resolve_failed', { error: String(e?.message || e) });
+  }
+}, 5000);
+
+// Candle aggregator: rolls market.data trades into OHLCV bars per CANDLE_TIMEFRAMES. Closed bars
+// are added to the bar series like ingested ones (md:bar:<interval>:<symbol>, Postgres
+// market_bars) and published on market.candles. Open bars live in memory only.
+const candles = CANDLE_TIMEFRAMES.length
+  ? createCandleAggregator({
+      timeframes: CANDLE_TIMEFRAMES,
+      closeDelayMs: CANDLE_CLOSE_DELAY_MS,
+      maxGapBars: CANDLE_MAX_GAP_BARS,
+    })
+  : null;
+let candlesLate = 0;
+
+async function emitCandles(bars) {
+  if (candles.stats.late > candlesLate) {
+    candlesLateCounter.inc(candles.stats.late - candlesLate);
+    candlesLate = candles.stats.late;
+  }
+  if (!bars.length) return;
+  await storeMarketData(pub, bars, { maxPoints: SERIES_MAX_POINTS });
+  await publishMarketData(pub, bars, { stream: CHANNELS.MARKET_CANDLES, maxLen: STREAM_MAXLEN });
+  for (const bar of bars) {
+    candlesClosedCounter.inc({ interval: bar.interval });
+    await strategies.onBar(bar);
+  }
+  if (pgPool) {
+    try {
+      await insertMarketData(pgPool, bars);
+    } catch (e) {
+      logger.warn('market_data_pg_failed', { count: bars.length, error: String(e?.message || e) });
+    }
+  }
+}
+
+// Bars close on time boundaries whether or not trades arrive
+const candleTimer = candles
+  ? setInterval(async () => {
+      try {
+        await emitCandles(candles.closeDue(Date.now()));
+      } catch (e) {
+        logger.error('candle_close_failed', { error: String(e?.message || e) });
+      }
+    }, 1000)
+  : null;
+
 // Subscribe to orchestrator commands and publish signals (Streams)
 await (async () => {
   startPendingMonitor({
@@ -127,21 +582,52 @@ await (async () => {
     dlqStream: `${CHANNELS.ORCH_CMDS}.dlq`,
     maxFailures: 5,
     handler: async ({ payload: msg }) => {
-      if (msg.type === 'analyze' && msg.symbol) {
-        const confidence = 0.7;
-        const side = 'buy';
-        const signal = {
-          requestId: msg.requestId,
-          symbol: msg.symbol,
-          side,
-          confidence,
-          traceId: msg.traceId,
-          ts: new Date().toISOString(),
-        };
-        await xaddJSON(pub, CHANNELS.ANALYSIS_SIGNALS, signal);
+      const symbol = msg.type === 'analyze' && normalizeSymbol(msg.symbol);
+      if (symbol) {
+        // One signal per ANALYST_SIGNAL_MODE entry with a buy or sell, under its own requestId
+        const analysis = await analyzeSymbol(symbol, msg.price);
+        await recordOutcomes(symbol, analysis, msg.price);
+        for (const s of actedOn(analysis).filter(isActionable)) {
+          await xaddJSON(pub, CHANNELS.ANALYSIS_SIGNALS, {
+            requestId: `${msg.requestId}-${s.strategyId}`,
+            symbol,
+            side: s.side,
+            confidence: s.confidence,
+            rawConfidence: s.rawConfidence,
+            strategyId: s.strategyId,
+            rationale: s.rationale,
+            entry: s.entry,
+            traceId: msg.traceId,
+            ts: new Date().toISOString(),
+          });
+          strategySignalsCounter.inc({ strategy: s.strategyId, side: s.side });
+        }
       }
     },
   });
+
+  // market.data: trades feed the candle aggregator; trades and quotes reach the strategies as
+  // ticks and ingested bars as bars
+  startPendingMonitor({
+    redis: mdSub,
+    stream: CHANNELS.MARKET_DATA,
+    group: 'analyst',
+    onCount: (c) => streamPendingGauge.set({ stream: CHANNELS.MARKET_DATA, group: 'analyst' }, c),
+  });
+  startConsumer({
+    redis: mdSub,
+    stream: CHANNELS.MARKET_DATA,
+    group: 'analyst',
+    logger,
+    dlqStream: `${CHANNELS.MARKET_DATA}.dlq`,
+    maxFailures: 5,
+    handler: async ({ payload }) => {
+      if (payload.type === MARKET_DATA_TYPES.BAR) return strategies.onBar(payload);
+      if (payload.type === MARKET_DATA_TYPES.TRADE && candles)
+        await emitCandles(candles.addTrade(payload));
+      await strategies.onTick(payload);
+    },
+  });
 })();
 
 // 404
@@ -160,12 +646,20 @@ const server = app.listen(PORT, () => {
 const shutdown = async () => {
   logger.info('shutting_down');
   server.close(() => logger.info('server_closed'));
+  if (candleTimer) clearInterval(candleTimer);
+  clearInterval(calibrationTimer);
   try {
     await sub.quit();
   } catch {}
+  try {
+    await mdSub.quit();
+  } catch {}
   try {
     await pub.quit();
   } catch {}
+  try {
+    await pgPool?.end();
+  } catch {}
   process.exit(0);
 };
 process.on('SIGINT', shutdown);
@@ -0,0 +1,34 @@
+// Mean reversion: buy when RSI is oversold, sell when overbought, hold in between. Confidence
+// grows from 0.5 at the threshold to 1 at RSI 0 (oversold) or 100 (overbought).
+import { rsi } from '../../../../common/indicators.js';
+
+export default {
+  name: 'rsi_reversion',
+  description: 'RSI oversold/overbought mean reversion',
+  defaults: { interval: '1m', period: 14, oversold: 30, overbought: 70 },
+  init({ params }) {
+    return { rsi: rsi(params.period), params };
+  },
+  onBar(state, bar) {
+    state.rsi.update(bar);
+  },
+  signal(state) {
+    const { period, oversold, overbought } = state.params;
+    const value = state.rsi.value();
+    if (value === undefined) return null;
+    const label = `RSI(${period}) ${value.toFixed(1)}`;
+    if (value < oversold)
+      return {
+        side: 'buy',
+        confidence: 0.5 + 0.5 * ((oversold - value) / oversold),
+        rationale: `${label} below ${oversold}`,
+      };
+    if (value > overbought)
+      return {
+        side: 'sell',
+        confidence: 0.5 + 0.5 * ((value - overbought) / (100 - overbought)),
+        rationale: `${label} above ${overbought}`,
+      };
+    return { side: 'hold', rationale: `${label} between ${oversold} and ${overbought}` };
+  },
+};
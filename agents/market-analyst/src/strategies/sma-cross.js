@@ -0,0 +1,31 @@
+// Trend following: long while the fast SMA is above the slow one, short while below. Confidence
+// grows from 0.5 with the gap between the averages, reaching 1 at spreadPct percent of the slow
+// SMA.
+import { sma } from '../../../../common/indicators.js';
+
+export default {
+  name: 'sma_cross',
+  description: 'Fast/slow simple moving average crossover',
+  defaults: { interval: '1m', fast: 10, slow: 30, spreadPct: 0.5 },
+  init({ params }) {
+    return { fast: sma(params.fast), slow: sma(params.slow), params };
+  },
+  onBar(state, bar) {
+    state.fast.update(bar);
+    state.slow.update(bar);
+  },
+  signal(state) {
+    const { fast: f, slow: s, spreadPct } = state.params;
+    const fast = state.fast.value();
+    const slow = state.slow.value();
+    if (fast === undefined || slow === undefined) return null;
+    if (fast === slow) return { side: 'hold', rationale: `SMA(${f}) equals SMA(${s})` };
+    const gapPct = (Math.abs(fast - slow) / slow) * 100;
+    const above = fast > slow;
+    return {
+      side: above ? 'buy' : 'sell',
+      confidence: 0.5 + 0.5 * Math.min(1, gapPct / spreadPct),
+      rationale: `SMA(${f}) ${fast.toFixed(2)} ${above ? 'above' : 'below'} SMA(${s}) ${slow.toFixed(2)} by ${gapPct.toFixed(2)}%`,
+    };
+  },
+};
@@ -13,6 +13,8 @@ import {
   isHalted,
   setHalted,
   resetDay,
+  markToMarket,
+  targetPercent,
 } from '../../../common/pnl.js';
 import { createPgPool, insertAudit, upsertPnl } from '../../../common/db.js';
 import { xaddJSON, startConsumer, startPendingMonitor } from '../../../common/streams.js';
@@ -30,6 +32,13 @@ const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379/0';
 const COMM_MODE = (process.env.COMM_MODE || 'pubsub').toLowerCase(); // 'pubsub' | 'http' | 'hybrid'
 const START_EQUITY = parseFloat(process.env.START_EQUITY || '1000');
 const DAILY_TARGET_PCT = parseFloat(process.env.DAILY_TARGET_PCT || '1');
+// Day PnL the daily target and the loss trigger are checked against: 'realized' (closed trades)
+// or 'equity' (realized plus the unrealized PnL of open positions at the last mark)
+const PNL_TARGET_BASIS =
+  (process.env.PNL_TARGET_BASIS || 'realized').toLowerCase() === 'equity' ? 'equity' : 'realized';
+// Mark-to-market of open positions (0 disables); quotes older than PNL_MARK_MAX_AGE_SEC are unused
+const PNL_MTM_INTERVAL_MS = parseInt(process.env.PNL_MTM_INTERVAL_MS || '15000', 10);
+const PNL_MARK_MAX_AGE_SEC = parseInt(process.env.PNL_MARK_MAX_AGE_SEC || '300', 10);
 const STREAM_IDEMP_TTL_SECONDS = parseInt(process.env.STREAM_IDEMP_TTL_SECONDS || '86400', 10);
 const STREAM_MAX_FAILURES = parseInt(process.env.STREAM_MAX_FAILURES || '5', 10);
 
@@ -41,6 +50,8 @@ const NOTIFICATION_MANAGER_URL =
   process.env.NOTIFICATION_MANAGER_URL || 'http://notification-manager:7006';
 
 const http = axios.create({ timeout: 5000, validateStatus: () => true });
+// How long the HTTP pipeline waits for the executor to close an order (0: return once accepted)
+const EXEC_WAIT_MS = parseInt(process.env.EXEC_SUBMIT_WAIT_MS || '0', 10);
 
 // Redis (pub/sub pattern uses separate connections)
 const pub = new Redis(REDIS_URL);
@@ -67,7 +78,7 @@ const CHANNELS = {
 };
 
 // In-memory tracking of requests
-const pending = new Map(); // requestId -> {symbol, side, confidence}
+const pending = new Map(); // requestId -> {symbol, side, confidence, entry, strategyId}
 
 const app = express();
 const logger = createLogger(SERVICE_NAME);
@@ -438,6 +449,11 @@ app.post('/admin/orchestrate/unhalt', async (req, res) => {
 });
 
 // Orchestration endpoints
+// Order fields a signal's suggested entry may set (order type, prices, time in force, bracket)
+const ENTRY_FIELDS = ['type', 'limitPrice', 'stopPrice', 'timeInForce', 'bracket'];
+const entryFields = (entry) =>
+  Object.fromEntries(ENTRY_FIELDS.filter((k) => entry?.[k] != null).map((k) => [k, entry[k]]));
+
 app.post('/orchestrate/run', async (req, res) => {
   await initDayIfNeeded(kv, { startEquity: START_EQUITY, dailyTargetPct: DAILY_TARGET_PCT });
   if (await isHalted(kv)) {
@@ -446,6 +462,8 @@ app.post('/orchestrate/run', async (req, res) => {
   }
   const symbol = (req.body && req.body.symbol) || 'BTC-USD';
   const mode = ((req.body && req.body.mode) || COMM_MODE).toLowerCase();
+  // Optional reference price the analyst can base a limit entry on
+  const price = parseFloat(req.body && req.body.price) || undefined;
   const requestId = req.ids?.requestId || `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
   const traceId = req.ids?.traceId || crypto.randomUUID();
 
@@ -464,19 +482,23 @@ app.post('/orchestrate/run', async (req, res) => {
     try {
       const analyzeResp = await http.post(
         `${MARKET_ANALYST_URL}/analysis/analyze`,
-        { symbol, requestId },
+        { symbol, price, requestId },
         { headers: { 'X-Request-Id': requestId, 'X-Trace-Id': traceId } }
       );
       if (analyzeResp.status >= 300) throw new Error(`analyze status ${analyzeResp.status}`);
       const signal = analyzeResp.data || {};
+      // No strategy has a buy or sell for the symbol right now
+      if (signal.side !== 'buy' && signal.side !== 'sell')
+        return res.status(202).json({ status: 'no_signal', mode: 'http', requestId, signal });
 
       const riskResp = await http.post(
         `${RISK_MANAGER_URL}/risk/evaluate`,
         {
           requestId,
           symbol,
-          side: signal.side || 'buy',
+          side: signal.side,
           confidence: signal.confidence ?? 0,
+          strategyId: signal.strategyId,
         },
         { headers: { 'X-Request-Id': requestId, 'X-Trace-Id': traceId } }
       );
@@ -489,7 +511,14 @@ app.post('/orchestrate/run', async (req, res) => {
           const pnl = await getPnlStatus(kv);
           return res.status(409).json({ error: 'halted', reason: 'daily_target_reached', pnl });
         }
-        const order = { orderId: requestId, symbol, side: signal.side || 'buy', qty: 1 };
+        const order = {
+          orderId: requestId,
+          symbol,
+          side: signal.side,
+          qty: 1,
+          ...entryFields(signal.entry),
+          strategyId: signal.strategyId,
+        };
         try {
           await insertAudit(pgPool, {
             type: 'order_submitted',
@@ -500,6 +529,8 @@ app.post('/orchestrate/run', async (req, res) => {
           });
         } catch {}
         const execResp = await http.post(`${TRADE_EXECUTOR_URL}/trade/submit`, order, {
+          params: EXEC_WAIT_MS > 0 ? { wait: EXEC_WAIT_MS } : undefined,
+          timeout: 5000 + EXEC_WAIT_MS,
           headers: { 'X-Request-Id': requestId, 'X-Trace-Id': traceId },
         });
         if (execResp.status >= 300) throw new Error(`exec status ${execResp.status}`);
@@ -549,7 +580,14 @@ app.post('/orchestrate/run', async (req, res) => {
     }
   } else {
     // Pub/Sub pipeline
-    const cmd = { type: 'analyze', requestId, symbol, traceId, ts: new Date().toISOString() };
+    const cmd = {
+      type: 'analyze',
+      requestId,
+      symbol,
+      price,
+      traceId,
+      ts: new Date().toISOString(),
+    };
     await xaddJSON(pub, CHANNELS.ORCH_CMDS, cmd);
     return res
       .status(202)
@@ -599,6 +637,56 @@ app.post('/execute', async (req, res) => {
 
 app.post('/optimize', (req, res) => res.status(501).json({ error: 'not_implemented' }));
 
+// Halt trading once the day's PnL on PNL_TARGET_BASIS reaches the daily target
+async function checkDailyTarget(status, { orderId, traceId } = {}) {
+  if (status.halted || !(targetPercent(status, PNL_TARGET_BASIS) >= status.dailyTargetPct)) return;
+  await setHalted(kv, true);
+  try {
+    await insertAudit(pgPool, {
+      type: 'daily_target_reached',
+      severity: 'info',
+      payload: { ...status, basis: PNL_TARGET_BASIS },
+      requestId: orderId,
+      traceId,
+    });
+  } catch {}
+  await xaddJSON(pub, CHANNELS.ORCH_CMDS, {
+    type: 'halt',
+    reason: 'daily_target_reached',
+    ts: new Date().toISOString(),
+    traceId,
+  });
+  await xaddJSON(pub, CHANNELS.NOTIFY_EVENTS, {
+    type: 'daily_target_reached',
+    severity: 'info',
+    context: { ...status, basis: PNL_TARGET_BASIS },
+    traceId,
+    ts: new Date().toISOString(),
+  });
+}
+
+// Price open positions at the latest quotes and store unrealized PnL on the day's status
+const markPositions = () => markToMarket(kv, { maxAgeSec: PNL_MARK_MAX_AGE_SEC });
+
+// Mark-to-market job: keeps /pnl/status current between fills and, on the equity basis, lets
+// price moves alone reach the daily target
+const mtmTimer =
+  PNL_MTM_INTERVAL_MS > 0
+    ? setInterval(async () => {
+        try {
+          await initDayIfNeeded(kv, {
+            startEquity: START_EQUITY,
+            dailyTargetPct: DAILY_TARGET_PCT,
+          });
+          const status = await markPositions();
+          if (status.unpriced.length) logger.warn('mtm_unpriced', { symbols: status.unpriced });
+          if (PNL_TARGET_BASIS === 'equity') await checkDailyTarget(status);
+        } catch (e) {
+          logger.error('mtm_error', { error: String(e?.message || e) });
+        }
+      }, PNL_MTM_INTERVAL_MS)
+    : null;
+
 // Subscriptions: handle signals -> risk -> exec (Streams)
 await (async () => {
   const DLQ = {
@@ -640,12 +728,19 @@ await (async () => {
       // ANALYSIS_SIGNALS
       try {
         const requestId = msg.id || msg.requestId || `${Date.now()}-${Math.random()}`;
-        pending.set(requestId, { symbol: msg.symbol, side: msg.side, confidence: msg.confidence });
+        pending.set(requestId, {
+          symbol: msg.symbol,
+          side: msg.side,
+          confidence: msg.confidence,
+          entry: msg.entry,
+          strategyId: msg.strategyId,
+        });
         const riskReq = {
           requestId,
           symbol: msg.symbol,
           side: msg.side,
           confidence: msg.confidence,
+          strategyId: msg.strategyId,
           traceId: msg.traceId,
           ts: new Date().toISOString(),
         };
@@ -676,6 +771,8 @@ await (async () => {
               symbol: p.symbol,
               side: p.side || 'buy',
               qty: 1,
+              ...entryFields(p.entry),
+              strategyId: p.strategyId,
               traceId: msg.traceId,
               ts: new Date().toISOString(),
             };
@@ -702,58 +799,50 @@ await (async () => {
     stream: CHANNELS.EXEC_STATUS,
     group: 'orchestrator',
     logger,
-    idempotency: { redis: kv, keyFn: (p) => p.orderId, ttlSeconds: STREAM_IDEMP_TTL_SECONDS },
+    // An order can report several statuses (pending, partially_filled, filled)
+    idempotency: {
+      redis: kv,
+      // Partial fills are distinct per filled quantity; any other status counts once per order,
+      // so a fill reported by both the user-data stream and the submit path books PnL once
+      keyFn: (p) =>
+        p.status === 'partially_filled'
+          ? `${p.orderId}:${p.status}:${p.filledQty}`
+          : `${p.orderId}:${p.status}`,
+      ttlSeconds: STREAM_IDEMP_TTL_SECONDS,
+    },
     dlqStream: DLQ.EXEC_STATUS,
     maxFailures: STREAM_MAX_FAILURES,
     handler: async ({ id, payload: msg }) => {
       try {
-        if (msg.status === 'filled') {
-          const profit = parseFloat(msg.profit || '0');
+        // Every status that adds a fill (partially_filled, filled, canceled after a partial fill)
+        // carries the realized PnL of that fill as profit
+        if (msg.profit != null) {
+          const profit = parseFloat(msg.profit) || 0;
           try {
             await insertAudit(pgPool, {
-              type: 'order_filled',
+              type: `order_${msg.status}`,
               severity: 'info',
               payload: msg,
               requestId: msg.orderId,
               traceId: msg.traceId,
             });
           } catch {}
-          const status = await incrementPnl(kv, profit);
+          let status = await incrementPnl(kv, profit, { strategyId: msg.strategyId });
+          if (PNL_TARGET_BASIS === 'equity') status = await markPositions();
           try {
             await upsertPnl(pgPool, status);
           } catch {}
-          if (!status.halted && status.percent >= status.dailyTargetPct) {
-            await setHalted(kv, true);
-            try {
-              await insertAudit(pgPool, {
-                type: 'daily_target_reached',
-                severity: 'info',
-                payload: status,
-                requestId: msg.orderId,
-                traceId: msg.traceId,
-              });
-            } catch {}
-            await xaddJSON(pub, CHANNELS.ORCH_CMDS, {
-              type: 'halt',
-              reason: 'daily_target_reached',
-              ts: new Date().toISOString(),
-              traceId: msg.traceId,
-            });
-            await xaddJSON(pub, CHANNELS.NOTIFY_EVENTS, {
-              type: 'daily_target_reached',
-              severity: 'info',
-              context: status,
-              traceId: msg.traceId,
-              ts: new Date().toISOString(),
-            });
-          }
+          await checkDailyTarget(status, msg);
           // Loss-triggered optimizer request (optional)
           try {
             const ENABLE_OPT_ON_LOSS =
               (process.env.ENABLE_OPT_ON_LOSS || 'false').toLowerCase() === 'true';
             const MIN_LOSS = parseFloat(process.env.OPT_MIN_LOSS || '0'); // trigger if profit <= -MIN_LOSS
             const COOLDOWN_SEC = parseInt(process.env.OPT_COOLDOWN_SECONDS || '1800', 10);
-            if (ENABLE_OPT_ON_LOSS && profit <= -Math.abs(MIN_LOSS)) {
+            // Equity basis: the day's realized plus unrealized PnL instead of this fill's
+            const loss =
+              PNL_TARGET_BASIS === 'equity' ? status.realized + status.unrealized : profit;
+            if (ENABLE_OPT_ON_LOSS && loss <= -Math.abs(MIN_LOSS)) {
               const key = 'opt:cooldown:loss';
               const exists = await kv.exists(key);
               if (!exists) {
@@ -773,7 +862,7 @@ await (async () => {
                   type: 'optimizer_requested',
                   severity: 'info',
                   message: 'Loss-triggered optimizer request',
-                  context: { profit, minLoss: MIN_LOSS },
+                  context: { profit, pnl: loss, basis: PNL_TARGET_BASIS, minLoss: MIN_LOSS },
                   traceId: msg.traceId,
                   ts: new Date().toISOString(),
                 });
@@ -802,6 +891,7 @@ const server = app.listen(PORT, () => {
 const shutdown = async () => {
   logger.info('shutting_down');
   server.close(() => logger.info('server_closed'));
+  if (mtmTimer) clearInterval(mtmTimer);
   try {
     await sub.quit();
   } catch {}
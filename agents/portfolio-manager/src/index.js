@@ -2,12 +2,17 @@ import express from 'express';
 import morgan from 'morgan';
 import Redis from 'ioredis';
 import client from 'prom-client';
+import { createLogger } from '../../../common/logger.js';
+import { startConsumer } from '../../../common/streams.js';
+import { createPgPool, upsertPosition } from '../../../common/db.js';
+import { POSITIONS_KEY, applyToPosition, fillIncrement } from '../../../common/lots.js';
 
 const SERVICE_NAME = process.env.SERVICE_NAME || 'Claude Portfolio Manager';
 const PORT = parseInt(process.env.PORT || '7002', 10);
 const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379/0';
 
 const app = express();
+const logger = createLogger(SERVICE_NAME);
 app.use(express.json());
 app.use(morgan('dev'));
 
@@ -22,11 +27,70 @@ const httpRequestDuration = new client.Histogram({
 });
 register.registerMetric(httpRequestDuration);
 
-// Redis
+// Redis (the stream consumer blocks on its own connection)
 const redis = new Redis(REDIS_URL);
+const sub = new Redis(REDIS_URL);
 redis.on('error', (err) => {
   console.error(`[${SERVICE_NAME}] Redis error:`, err.message);
 });
+sub.on('error', (err) => console.error(`[${SERVICE_NAME}] Redis sub error:`, err.message));
+
+// Positions per symbol built from the fills reported on exec.status (common/lots.js): open FIFO
+// lots, signed qty, average entry price and realized PnL. Postgres keeps a copy in `positions`
+// when PORTFOLIO_PG_MIRROR=true.
+const BOOKED_KEY = (orderId) => `portfolio:booked:${orderId}`; // fills booked per order
+const BOOKED_TTL_SECONDS = parseInt(process.env.PORTFOLIO_BOOKED_TTL_SECONDS || '604800', 10);
+const PG_MIRROR = (process.env.PORTFOLIO_PG_MIRROR || 'false').toLowerCase() === 'true';
+const pgPool = PG_MIRROR ? createPgPool() : null;
+
+async function getPositions() {
+  const raw = await redis.hgetall(POSITIONS_KEY);
+  return Object.values(raw || {}).flatMap((r) => {
+    try {
+      return [JSON.parse(r)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+// Book the fill an exec.status adds to its order. Statuses are handled one at a time, and the
+// position and the order's booked fill are written together, so a redelivered or repeated status
+// is not booked twice.
+async function applyStatus(status) {
+  // Algo parents report their children's fills, which are booked on their own
+  if (status.algo || !status.symbol || !status.orderId) return;
+  const { fill, booked } = fillIncrement(await redis.hgetall(BOOKED_KEY(status.orderId)), status);
+  if (!fill) return;
+  const prev = JSON.parse((await redis.hget(POSITIONS_KEY, status.symbol)) || 'null');
+  const position = applyToPosition(prev, status.symbol, {
+    ...fill,
+    ts: fill.ts || new Date().toISOString(),
+  });
+  await redis
+    .multi()
+    .hset(POSITIONS_KEY, status.symbol, JSON.stringify(position))
+    .hset(BOOKED_KEY(status.orderId), booked)
+    .expire(BOOKED_KEY(status.orderId), BOOKED_TTL_SECONDS)
+    .exec();
+  logger.info('position_updated', {
+    symbol: status.symbol,
+    orderId: status.orderId,
+    fillQty: fill.qty,
+    qty: position.qty,
+    realized: position.realized,
+  });
+  if (pgPool) {
+    try {
+      await upsertPosition(pgPool, position);
+    } catch (e) {
+      logger.warn('position_mirror_failed', {
+        symbol: status.symbol,
+        error: String(e?.message || e),
+      });
+    }
+  }
+}
 
 // Timing middleware
 app.use((req, res, next) => {
@@ -81,7 +145,17 @@ app.get('/status', async (req, res) => {
 // Role endpoints
 
 // Portfolio endpoints
-app.get('/portfolio/holdings', (req, res) => res.json({ holdings: [], note: 'stub' }));
+// Open positions by symbol; ?all=true also lists symbols that are flat again. realized is the
+// total over every symbol.
+app.get('/portfolio/holdings', async (req, res) => {
+  const positions = await getPositions();
+  const all = String(req.query.all || '').toLowerCase() === 'true';
+  const holdings = positions
+    .filter((p) => all || p.qty !== 0)
+    .sort((a, b) => a.symbol.localeCompare(b.symbol));
+  const realized = positions.reduce((s, p) => s + (p.realized || 0), 0);
+  res.json({ holdings, realized: Math.round(realized * 1e8) / 1e8, ts: new Date().toISOString() });
+});
 app.post('/portfolio/rebalance', (req, res) =>
   res.status(202).json({ status: 'accepted', action: 'rebalance' })
 );
@@ -95,6 +169,15 @@ app.use((req, res) => {
   res.status(404).json({ error: 'not_found', path: req.path });
 });
 
+startConsumer({
+  redis: sub,
+  stream: 'exec.status',
+  group: 'portfolio',
+  logger,
+  dlqStream: 'exec.status.dlq',
+  handler: async ({ payload }) => applyStatus(payload),
+});
+
 const server = app.listen(PORT, () => {
   console.log(`[${SERVICE_NAME}] listening on :${PORT}`);
 });
@@ -105,6 +188,12 @@ const shutdown = async () => {
   try {
     await redis.quit();
   } catch (e) {}
+  try {
+    await sub.quit();
+  } catch (e) {}
+  try {
+    await pgPool?.end();
+  } catch (e) {}
   process.exit(0);
 };
 process.on('SIGINT', shutdown);
@@ -165,7 +165,7 @@ app.get('/status', async (req, res) => {
 // REST endpoints
 app.post('/risk/evaluate', async (req, res) => {
   const params = await loadParams(sub);
-  const { confidence = 0, side = '' } = req.body || {};
+  const { confidence = 0, side = '', strategyId } = req.body || {};
   const minConfidence = isNaN(parseFloat(String(params?.minConfidence)))
     ? 0.6
     : parseFloat(String(params.minConfidence));
@@ -214,6 +214,7 @@ app.post('/risk/evaluate', async (req, res) => {
     riskLimit,
     startHour,
     endHour,
+    strategyId,
   });
 });
 app.get('/risk/limits', (req, res) =>
@@ -284,6 +285,7 @@ await (async () => {
         reason: ok ? undefined : reason,
         minConfidence,
         riskLimit,
+        strategyId: req.strategyId,
         traceId: req.traceId,
         ts: new Date().toISOString(),
       };
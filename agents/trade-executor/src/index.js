@@ -4,23 +4,70 @@ import client from 'prom-client';
 import { createLogger } from '../../../common/logger.js';
 import { traceMiddleware, requestLoggerMiddleware } from '../../../common/trace.js';
 import { xaddJSON, startConsumer, startPendingMonitor } from '../../../common/streams.js';
+import { createPgPool, recordOrderEvent } from '../../../common/db.js';
+import { fillIncrement, matchFill } from '../../../common/lots.js';
+import { LAST_PRICES_KEY, normalizeSymbol, recordLastPrice } from '../../../common/market-data.js';
 
 const SERVICE_NAME = process.env.SERVICE_NAME || 'Claude Trade Executor';
 const PORT = parseInt(process.env.PORT || '7005', 10);
 const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379/0';
-const PROFIT_PER_TRADE = parseFloat(process.env.PROFIT_PER_TRADE || '10'); // used only if PAPER mode disabled
-const EXCHANGE = process.env.EXCHANGE || 'paper'; // paper | binance | coinbase (future)
+const PROFIT_PER_TRADE = parseFloat(process.env.PROFIT_PER_TRADE || '10'); // scaffold fills (no venue configured)
+const EXCHANGE = process.env.EXCHANGE || 'paper'; // paper | binance | coinbase | kraken
+// Venues the router chooses from per order (comma-separated); defaults to EXCHANGE alone
+const VENUES = (process.env.EXEC_VENUES || EXCHANGE)
+  .split(',')
+  .map((v) => v.trim())
+  .filter(Boolean);
 import { getPaperAdapter } from '../../../common/exchanges/paper.js';
 import { getBinanceAdapter } from '../../../common/exchanges/binance.js';
 import { getCoinbaseAdapter } from '../../../common/exchanges/coinbase.js';
-const adapter =
-  EXCHANGE === 'paper'
-    ? getPaperAdapter()
-    : EXCHANGE === 'binance'
-      ? getBinanceAdapter()
-      : EXCHANGE === 'coinbase'
-        ? getCoinbaseAdapter()
-        : null;
+import { getKrakenAdapter } from '../../../common/exchanges/kraken.js';
+import {
+  ORDER_TYPES,
+  REJECT_REASONS,
+  isRetryableReason,
+  normalizeOrderParams,
+} from '../../../common/exchanges/adapter.js';
+import {
+  createInstrumentRegistry,
+  loadInstrumentsFile,
+  conformOrder,
+  withVenueSymbols,
+} from '../../../common/exchanges/instruments.js';
+import {
+  BREAKER_STATE,
+  withResilience,
+  resilienceOptionsFromEnv,
+} from '../../../common/exchanges/resilience.js';
+import { createOrderRouter, routerOptionsFromEnv } from '../../../common/exchanges/router.js';
+import { normalizeBracket, bracketLegs } from '../../../common/exchanges/bracket.js';
+import { advanceTrail, trailingPrice } from '../../../common/exchanges/trailing.js';
+import {
+  ALGO_STATES,
+  addChild,
+  algoOutcome,
+  algoProgress,
+  applyChildStatus,
+  childOrder,
+  nextChild,
+  normalizeAlgo,
+  pauseAlgo,
+  resumeAlgo,
+  startAlgo,
+} from '../../../common/exchanges/algo.js';
+import {
+  ORDER_STATES,
+  TRANSITION_SCRIPT,
+  isTerminalState,
+  stateOfStatus,
+  statesBefore,
+} from '../../../common/exchanges/order-state.js';
+const ADAPTER_FACTORIES = {
+  paper: getPaperAdapter,
+  binance: getBinanceAdapter,
+  coinbase: getCoinbaseAdapter,
+  kraken: getKrakenAdapter,
+};
 
 // Redis pub/sub
 const pub = new Redis(REDIS_URL);
@@ -35,6 +82,11 @@ const CHANNELS = {
   NOTIFY_EVENTS: 'notify.events',
 };
 
+// Adapter order states that mean the order is still working on the venue
+const OPEN_STATUSES = new Set(['new', 'partially_filled']);
+// Adapter order states for orders the venue closed before they filled completely
+const CLOSED_UNFILLED = new Set(['canceled', 'expired']);
+
 const ORDER_TIMEOUT_SECONDS = parseInt(process.env.EXEC_ORDER_TIMEOUT_SECONDS || '60', 10);
 const ORDER_KEY = (id) => `exec:orders:${id}`;
 
@@ -45,10 +97,13 @@ async function getOrderState(redis, orderId) {
   if (out.qty) out.qty = parseFloat(out.qty);
   if (out.price) out.price = parseFloat(out.price);
   if (out.fee) out.fee = parseFloat(out.fee);
-  if (out.last_status)
-    try {
-      out.last_status = JSON.parse(out.last_status);
-    } catch {}
+  if (out.algoSlice) out.algoSlice = parseInt(out.algoSlice, 10);
+  for (const k of ['route', 'last_status', 'bracket', 'legs', 'trail', 'algo']) {
+    if (out[k])
+      try {
+        out[k] = JSON.parse(out[k]);
+      } catch {}
+  }
   return out;
 }
 
@@ -86,6 +141,67 @@ const streamPendingGauge = new client.Gauge({
   labelNames: ['stream', 'group'],
 });
 register.registerMetric(streamPendingGauge);
+const breakerStateGauge = new client.Gauge({
+  name: 'exchange_circuit_breaker_state',
+  help: 'Exchange circuit breaker state (0=closed, 1=half_open, 2=open)',
+  labelNames: ['venue'],
+});
+register.registerMetric(breakerStateGauge);
+const breakerTransitions = new client.Counter({
+  name: 'exchange_circuit_breaker_transitions_total',
+  help: 'Exchange circuit breaker state transitions',
+  labelNames: ['venue', 'state'],
+});
+register.registerMetric(breakerTransitions);
+const exchangeRetries = new client.Counter({
+  name: 'exchange_request_retries_total',
+  help: 'Exchange adapter calls retried after a retryable failure',
+  labelNames: ['venue', 'method', 'reason'],
+});
+register.registerMetric(exchangeRetries);
+const orderTransitionsRejected = new client.Counter({
+  name: 'exec_order_transitions_rejected_total',
+  help: 'Order state transitions refused by the order state machine',
+  labelNames: ['from', 'to'],
+});
+register.registerMetric(orderTransitionsRejected);
+
+const BREAKER_GAUGE_VALUE = {
+  [BREAKER_STATE.CLOSED]: 0,
+  [BREAKER_STATE.HALF_OPEN]: 1,
+  [BREAKER_STATE.OPEN]: 2,
+};
+
+// Instrument rules (tick/step size, min notional) checked before orders reach the adapter, and the
+// venue's own symbol ids
+const instruments = createInstrumentRegistry();
+
+// Every venue call goes through rate limiting, retries and the circuit breaker
+const adapters = {};
+for (const venue of VENUES) {
+  if (!ADAPTER_FACTORIES[venue]) {
+    logger.warn('unknown_venue', { venue });
+    continue;
+  }
+  adapters[venue] = withResilience(
+    withVenueSymbols(ADAPTER_FACTORIES[venue](), venue, instruments),
+    {
+      ...resilienceOptionsFromEnv(),
+      venue,
+      onStateChange: ({ venue, state, prev }) => {
+        breakerStateGauge.set({ venue }, BREAKER_GAUGE_VALUE[state]);
+        breakerTransitions.inc({ venue, state });
+        logger.warn('exchange_circuit_breaker', { venue, state, prev });
+      },
+      onRetry: ({ venue, method, reason }) => exchangeRetries.inc({ venue, method, reason }),
+    }
+  );
+  breakerStateGauge.set({ venue }, BREAKER_GAUGE_VALUE[adapters[venue].breakerState()]);
+}
+// Picks the venue per order; null when no venue is configured (scaffold fills)
+const router = Object.keys(adapters).length
+  ? createOrderRouter({ venues: adapters, ...routerOptionsFromEnv() })
+  : null;
 
 // Timing middleware
 app.use((req, res, next) => {
@@ -140,24 +256,1082 @@ app.get('/status', async (req, res) => {
 });
 
 // REST endpoints
-app.post('/trade/submit', (req, res) => {
+// Longest /trade/submit?wait=<ms> honoured
+const SUBMIT_MAX_WAIT_MS = parseInt(process.env.EXEC_SUBMIT_MAX_WAIT_MS || '30000', 10);
+
+// /trade/submit and /execute; 400 on an invalid type/price/TIF, bracket or algo combination.
+// HTTP order entry (COMM_MODE http/hybrid): the order takes the same path as an exec.orders
+// message. With ?wait=<ms> the response waits up to that long for the order to close and returns
+// its stored state: 200 once closed, 202 if still working. An orderId the executor already has is
+// not placed again; its stored state is returned.
+async function acceptOrder(req, res) {
   const { orderId = `${Date.now()}`, symbol = 'BTC-USD', side = 'buy', qty = 1 } = req.body || {};
-  // Accept and return simple acknowledgment. Pub/sub handler may publish fill asynchronously.
-  res.status(202).json({ orderId, symbol, side, qty, status: 'accepted' });
+  const params = normalizeOrderParams(req.body || {});
+  if (params.reason) return res.status(400).json({ error: params.reason, detail: params.detail });
+  const bracket = req.body?.bracket ? normalizeBracket({ ...req.body, side, ...params }) : {};
+  if (bracket.reason)
+    return res.status(400).json({ error: bracket.reason, detail: bracket.detail });
+  const algo = req.body?.algo ? normalizeAlgo({ ...req.body, ...params }) : {};
+  if (algo.reason) return res.status(400).json({ error: algo.reason, detail: algo.detail });
+  try {
+    const id = String(orderId);
+    const waitMs = Math.min(parseInt(req.query.wait || '0', 10) || 0, SUBMIT_MAX_WAIT_MS);
+    const known = await getOrderState(sub, id);
+    if (!known) {
+      await executeOrder({
+        ...req.body,
+        orderId: id,
+        symbol,
+        side,
+        qty,
+        traceId: req.body?.traceId || req.ids?.traceId,
+        ts: new Date().toISOString(),
+      });
+    }
+    if (known || waitMs > 0) {
+      if (waitMs > 0 && !isTerminal(await getOrderState(sub, id))) await waitForClose(id, waitMs);
+      const st = await getOrderState(sub, id);
+      return res.status(isTerminal(st) ? 200 : 202).json(await orderView(st));
+    }
+    res.status(202).json({
+      orderId: id,
+      symbol,
+      side,
+      qty,
+      ...params,
+      bracket: bracket.bracket,
+      algo: algo.algo,
+      status: 'accepted',
+    });
+  } catch (e) {
+    res.status(500).json({ error: 'submit_failed', detail: String(e?.message || e) });
+  }
+}
+
+app.post('/trade/submit', acceptOrder);
+
+// Stored order fields, last published status and lifecycle history; algo parents also report
+// child progress
+app.get('/trade/status/:id', async (req, res) => {
+  try {
+    const st = await getOrderState(sub, req.params.id);
+    if (!st)
+      return res.status(404).json({ error: REJECT_REASONS.UNKNOWN_ORDER, id: req.params.id });
+    res.json(await orderView(st));
+  } catch (e) {
+    res.status(500).json({ error: 'status_failed', detail: String(e?.message || e) });
+  }
 });
-app.get('/trade/status/:id', (req, res) => res.json({ id: req.params.id, status: 'pending' }));
 
-// Standardized alias endpoints
-app.post('/execute', (req, res) => {
-  // alias to /trade/submit
-  const { orderId = `${Date.now()}`, symbol = 'BTC-USD', side = 'buy', qty = 1 } = req.body || {};
-  res.status(202).json({ orderId, symbol, side, qty, status: 'accepted' });
+// Operator cancel. Algo parents stop and cancel their children, executor-managed trailing stops
+// are dropped before reaching the venue, anything else is canceled on its venue.
+app.post('/trade/cancel/:id', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const st = await getOrderState(sub, id);
+    if (!st) return res.status(404).json({ error: REJECT_REASONS.UNKNOWN_ORDER, id });
+    if (isTerminal(st)) return res.status(409).json({ error: 'order_closed', id, state: st.state });
+    if (st.algo) {
+      if (!(await controlAlgo(id, 'cancel')))
+        return res.status(409).json({ error: 'algo_done', id });
+    } else if (st.trail) {
+      trailingStops.delete(id);
+      await publishStatus(
+        { ...st, traceId: st.traceId || undefined },
+        canceledStatus(st, OPERATOR)
+      );
+    } else {
+      const r = await cancelWorkingOrder(st, OPERATOR);
+      if (!r.canceled)
+        return res.status(venueErrorCode(r.reason)).json({ error: r.reason, id, detail: r.raw });
+    }
+    logger.info('order_cancel_requested', { orderId: id });
+    res.json(await orderView(await getOrderState(sub, id)));
+  } catch (e) {
+    res.status(500).json({ error: 'cancel_failed', detail: String(e?.message || e) });
+  }
 });
+
+// Operator amend of a working order's qty, limitPrice or stopPrice through adapter.amendOrder.
+// The new values are checked like a new order (type rules, instrument rounding) and qty must
+// stay above what has filled. Orders the executor works itself (algos, managed trailing stops)
+// cannot be amended.
+app.post('/trade/amend/:id', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const st = await getOrderState(sub, id);
+    if (!st) return res.status(404).json({ error: REJECT_REASONS.UNKNOWN_ORDER, id });
+    if (isTerminal(st)) return res.status(409).json({ error: 'order_closed', id, state: st.state });
+    const adapter = adapters[st.venue];
+    if (st.algo || st.trail || !adapter?.amendOrder)
+      return res.status(409).json({ error: 'amend_not_supported', id });
+
+    const fields = ['qty', 'limitPrice', 'stopPrice'].filter((k) => req.body?.[k] != null);
+    const invalid = (error) =>
+      res.status(400).json({ error: REJECT_REASONS.INVALID_PARAMS, id, detail: { error } });
+    if (!fields.length) return invalid('nothing_to_amend');
+    const current = {
+      orderId: id,
+      symbol: st.symbol,
+      side: st.side,
+      qty: st.qty,
+      type: st.type,
+      limitPrice: st.limitPrice || undefined,
+      stopPrice: st.stopPrice || undefined,
+      timeInForce: st.timeInForce || undefined,
+    };
+    const requested = Object.fromEntries(fields.map((k) => [k, req.body[k]]));
+    const params = normalizeOrderParams({ ...current, ...requested });
+    if (params.reason) return invalid(params.detail.error);
+    if (fields.some((k) => k !== 'qty' && params[k] == null)) return invalid('amend_not_supported');
+    const qty = parseFloat(req.body.qty ?? st.qty);
+    if (!(qty > (st.last_status?.filledQty || 0)))
+      return res.status(400).json({ error: REJECT_REASONS.INVALID_QUANTITY, id });
+    const checked = conformToInstrument(st.venue, { ...current, ...params, qty });
+    if (checked.reason)
+      return res.status(400).json({ error: checked.reason, id, detail: checked.detail });
+    const changes = Object.fromEntries(fields.map((k) => [k, checked.order[k]]));
+
+    const r = await adapter.amendOrder({
+      orderId: id,
+      symbol: st.symbol,
+      exchangeOrderId: st.exchangeOrderId || undefined,
+      ...changes,
+    });
+    if (!r.amended)
+      return res.status(venueErrorCode(r.reason)).json({ error: r.reason, id, detail: r.raw });
+    await setOrderState(sub, id, changes);
+    await recordEvent(
+      { ...st, ...changes },
+      {
+        event: 'amended',
+        from: st.state,
+        state: st.state,
+        ...changes,
+        ts: new Date().toISOString(),
+      }
+    );
+    // Fills the amend triggered may already have been published
+    const now = await getOrderState(sub, id);
+    if (!isTerminal(now) && now.last_status) {
+      // The PnL of the repeated status was already booked
+      const { profit, ...last } = now.last_status;
+      const status = {
+        ...last,
+        qty: now.qty,
+        amended: changes,
+        traceId: now.traceId || undefined,
+        ts: new Date().toISOString(),
+      };
+      await setOrderState(sub, id, { last_status: status });
+      await xaddJSON(pub, CHANNELS.EXEC_STATUS, status);
+    }
+    logger.info('order_amended', { orderId: id, venue: st.venue, ...changes });
+    res.json(await orderView(now));
+  } catch (e) {
+    res.status(500).json({ error: 'amend_failed', detail: String(e?.message || e) });
+  }
+});
+
+// Pause, resume or cancel an algo parent. Cancel stops new children and cancels the working
+// ones; the parent is canceled once none is left working.
+app.post('/trade/algo/:id/:action', async (req, res) => {
+  try {
+    if (!ALGO_ACTIONS[req.params.action]) return res.status(404).json({ error: 'unknown_action' });
+    const st = await getOrderState(sub, req.params.id);
+    if (!st?.algo) return res.status(404).json({ error: REJECT_REASONS.UNKNOWN_ORDER });
+    const algo = await controlAlgo(req.params.id, req.params.action);
+    if (!algo) return res.status(409).json({ error: 'algo_done' });
+    res.json({ id: req.params.id, algo: algoProgress(algo, st.qty) });
+  } catch (e) {
+    res.status(500).json({ error: 'algo_control_failed', detail: String(e?.message || e) });
+  }
+});
+
+// Standardized alias endpoints
+// alias to /trade/submit
+app.post('/execute', acceptOrder);
 app.post('/optimize', (req, res) => res.status(501).json({ error: 'not_implemented' }));
 
-// Subscribe to exec orders and publish statuses (Streams)
+const isTerminal = (st) => isTerminalState(st?.state);
+
+// Venue order status (ORDER_STATUS) -> exec.status status
+const EXEC_STATUS_OF = {
+  new: 'pending',
+  partially_filled: 'partially_filled',
+  filled: 'filled',
+  canceled: 'canceled',
+  expired: 'canceled',
+  rejected: 'rejected',
+};
+
+// Publish an execution that arrives after placeOrder returned (paper book feed fills, venue
+// user-data streams). Orders this executor never saw, orders already terminal and events that
+// change nothing since the last published status are skipped, so duplicate reports are harmless.
+async function publishExecution(ev) {
+  const st = await getOrderState(sub, ev.orderId);
+  if (!st || isTerminal(st)) return;
+  if (!st.exchangeOrderId) await recordExchangeId(ev.orderId, ev.exchangeOrderId);
+  const next = EXEC_STATUS_OF[ev.status];
+  if (!next) return;
+  const filledQty = ev.filledQty || 0;
+  const last = st.last_status;
+  if (last && last.status === next && (last.filledQty || 0) === filledQty) return;
+  const status = {
+    orderId: ev.orderId,
+    status: next,
+    // The venue reports its own symbol (BTCUSDT); positions and marks key on ours
+    symbol: st.symbol,
+    side: st.side || ev.side,
+    qty: st.qty ?? ev.qty,
+    filledQty,
+    price: ev.price,
+    fee: ev.fee,
+    traceId: st.traceId || undefined,
+    ts: new Date().toISOString(),
+  };
+  if (next === 'rejected') status.reason = REJECT_REASONS.ORDER_REJECTED;
+  if (ev.status === 'expired') status.state = ORDER_STATES.EXPIRED;
+  await publishStatus({ ...st, traceId: st.traceId || undefined }, status);
+}
+
+// A submit the venue may have taken (placeOrder threw, or answered exchange_unavailable after its
+// retries) stays submitted with `unknown` set; reconcileUnknown settles it from the venue's view
+async function markSubmitUnknown(order, venue, error) {
+  logger.warn('order_submit_unknown', { orderId: order.orderId, venue, error });
+  await setOrderState(sub, order.orderId, { unknown: '1', unknown_error: error });
+  await xaddJSON(pub, CHANNELS.NOTIFY_EVENTS, {
+    type: 'exec_order_unknown',
+    severity: 'warning',
+    message: `Order ${order.orderId} may or may not have reached ${venue} (${error}); reconciling`,
+    context: { orderId: order.orderId, venue, error },
+    traceId: order.traceId,
+    ts: new Date().toISOString(),
+  });
+}
+
+// Found on the venue, the order is published like a user-stream report; unknown to it, the order
+// never got there and is rejected. Anything else (venue still down) is tried again next pass.
+async function reconcileUnknown(st) {
+  const adapter = adapters[st.venue];
+  if (!adapter?.getOrder) return;
+  const res = await adapter.getOrder({
+    orderId: st.orderId,
+    symbol: st.symbol,
+    exchangeOrderId: st.exchangeOrderId || undefined,
+  });
+  if (!res.found && res.reason !== REJECT_REASONS.UNKNOWN_ORDER) return;
+  await setOrderState(sub, st.orderId, { unknown: '' });
+  logger.info('order_submit_reconciled', {
+    orderId: st.orderId,
+    venue: st.venue,
+    status: res.found ? res.status : 'not_found',
+  });
+  if (res.found)
+    return publishExecution({
+      orderId: st.orderId,
+      status: res.status,
+      filledQty: res.filledQty,
+      price: res.price,
+      fee: res.fee,
+    });
+  const order = { ...st, traceId: st.traceId || undefined };
+  const fill = {
+    filled: false,
+    orderId: st.orderId,
+    reason: REJECT_REASONS.EXCHANGE_ERROR,
+    raw: { error: st.unknown_error },
+  };
+  await publishStatus(order, await statusFromFill(order, st.venue, fill));
+}
+
+// Bracket exit legs and algo children carry their parent and role, and any order the strategy
+// that produced it, on every exec.status
+const LINK_FIELDS = ['parentId', 'leg', 'ocoWith', 'algoSlice', 'strategyId'];
+const legFields = (order) =>
+  Object.fromEntries(LINK_FIELDS.filter((k) => order[k] != null).map((k) => [k, order[k]]));
+const OCO_TRIGGER_STATUSES = ['partially_filled', 'filled'];
+
+// Follow-up once an order's status is published: a filled entry (or the filled part of an
+// expired one) submits its bracket exit legs, the first fill on a leg cancels the other leg, and
+// an algo child's progress is rolled up into its parent
+async function afterStatus(order, status) {
+  const filledQty = status.status === 'filled' ? order.qty : status.filledQty;
+  if (order.bracket && ['filled', 'canceled'].includes(status.status) && filledQty > 0)
+    await submitBracketLegs(order, filledQty);
+  if (order.ocoWith && OCO_TRIGGER_STATUSES.includes(status.status)) await cancelOcoSibling(order);
+  if (order.algoSlice != null && order.parentId)
+    await updateAlgo(order.parentId, (algo) => ({ algo: applyChildStatus(algo, status) }));
+}
+
+async function submitBracketLegs(order, qty) {
+  const st = await getOrderState(sub, order.orderId);
+  if (!st || st.legs) return;
+  const legs = bracketLegs({ ...order, qty }, order.bracket);
+  await setOrderState(sub, order.orderId, { legs: legs.map((l) => l.orderId) });
+  for (const leg of legs)
+    await xaddJSON(pub, CHANNELS.EXEC_ORDERS, { ...leg, ts: new Date().toISOString() });
+  logger.info('bracket_legs_submitted', { orderId: order.orderId, qty, legs: legs.length });
+}
+
+async function cancelOcoSibling(order) {
+  const sib = await getOrderState(sub, order.ocoWith);
+  // Not received yet: its handler sees this leg's fill and cancels it before placing
+  if (!sib?.venue || !adapters[sib.venue] || isTerminal(sib)) return;
+  const res = await cancelWorkingOrder(sib, order.orderId);
+  if (!res.canceled) {
+    // Both legs may now be filling: the position can be closed twice
+    logger.error('oco_cancel_failed', { orderId: sib.orderId, reason: res.reason });
+    await xaddJSON(pub, CHANNELS.NOTIFY_EVENTS, {
+      type: 'exec_oco_cancel_failed',
+      severity: 'critical',
+      message: `OCO leg ${sib.orderId} could not be canceled after ${order.orderId} filled: ${res.reason}`,
+      context: { orderId: sib.orderId, filledLeg: order.orderId, reason: res.reason },
+      traceId: sib.traceId || undefined,
+      ts: new Date().toISOString(),
+    });
+  }
+}
+
+// canceledBy of orders canceled through /trade/cancel
+const OPERATOR = 'operator';
+
+const canceledStatus = (st, canceledBy) => ({
+  orderId: st.orderId,
+  status: 'canceled',
+  symbol: st.symbol,
+  side: st.side,
+  qty: st.qty,
+  filledQty: st.last_status?.filledQty || 0,
+  canceledBy,
+  traceId: st.traceId || undefined,
+  ts: new Date().toISOString(),
+});
+
+// Cancel an order working on its venue and publish it as canceled by `canceledBy`
+async function cancelWorkingOrder(st, canceledBy) {
+  const adapter = adapters[st.venue];
+  if (!adapter) return { canceled: false, reason: REJECT_REASONS.NOT_CANCELABLE };
+  const res = await adapter.cancelOrder({
+    orderId: st.orderId,
+    symbol: st.symbol,
+    exchangeOrderId: st.exchangeOrderId || undefined,
+  });
+  if (!res.canceled) return res;
+  await publishStatus({ ...st, traceId: st.traceId || undefined }, canceledStatus(st, canceledBy));
+  return res;
+}
+
+// The venue's id for an order, kept with its state so cancels and amends still reach it after a
+// restart (adapters that map our ids to theirs only do so in memory)
+async function recordExchangeId(orderId, exchangeOrderId) {
+  if (exchangeOrderId)
+    await setOrderState(sub, orderId, { exchangeOrderId: String(exchangeOrderId) });
+}
+
+// HTTP status for an adapter failure on an operator request
+function venueErrorCode(reason) {
+  if ([REJECT_REASONS.UNKNOWN_ORDER, REJECT_REASONS.NOT_CANCELABLE].includes(reason)) return 409;
+  if ([REJECT_REASONS.INVALID_PARAMS, REJECT_REASONS.INVALID_QUANTITY].includes(reason)) return 400;
+  return isRetryableReason(reason) ? 503 : 502;
+}
+
+// Lifecycle history per order, oldest first: every state transition (receipt, submission, each
+// published status) and amends. event is received, submitted, amended or the exec.status status.
+const HISTORY_KEY = (id) => `exec:history:${id}`;
+const HISTORY_FIELDS = [
+  'event',
+  'from',
+  'state',
+  'venue',
+  'qty',
+  'filledQty',
+  'price',
+  'fee',
+  'limitPrice',
+  'stopPrice',
+  'reason',
+  'canceledBy',
+  'ts',
+];
+
+async function appendHistory(orderId, entry) {
+  const row = Object.fromEntries(
+    HISTORY_FIELDS.filter((k) => entry[k] != null && entry[k] !== '').map((k) => [k, entry[k]])
+  );
+  await sub.rpush(HISTORY_KEY(orderId), JSON.stringify(row));
+}
+
+// Orders and their lifecycle events are mirrored to Postgres (orders, order_events) when enabled.
+// Writes are queued so order_events keep the history's order; a failed write is logged, the
+// Redis state stays authoritative.
+const PG_MIRROR = (process.env.EXEC_PG_MIRROR || 'false').toLowerCase() === 'true';
+const pgPool = PG_MIRROR ? createPgPool() : null;
+let pgMirror = Promise.resolve();
+
+// Append a lifecycle event to the order's history and its Postgres mirror
+async function recordEvent(order, entry) {
+  await appendHistory(order.orderId, entry);
+  if (!pgPool) return;
+  const row = {
+    ...order,
+    venue: entry.venue ?? order.venue,
+    filledQty: entry.event === 'filled' ? order.qty : entry.filledQty,
+    price: entry.price,
+    fee: entry.fee,
+  };
+  pgMirror = pgMirror
+    .then(() =>
+      recordOrderEvent(pgPool, {
+        order: row,
+        event: entry.event,
+        from: entry.from || null,
+        state: entry.state,
+        ts: entry.ts,
+        payload: entry,
+      })
+    )
+    .catch((err) =>
+      logger.warn('order_mirror_failed', { orderId: order.orderId, error: err.message })
+    );
+}
+
+// Move an order to state `to` and record the transition with the fields of `entry` (an
+// exec.status, or receipt/submission details). Transitions the state machine does not allow are
+// refused: logged, counted and reported as false so the caller publishes nothing.
+async function transitionOrder(order, to, entry = {}) {
+  const ts = entry.ts || new Date().toISOString();
+  const [moved, cur] = await sub.eval(
+    TRANSITION_SCRIPT,
+    1,
+    ORDER_KEY(order.orderId),
+    to,
+    ts,
+    ...statesBefore(to)
+  );
+  const from = cur || null;
+  if (!moved) {
+    logger.warn('order_transition_rejected', { orderId: order.orderId, from, to });
+    orderTransitionsRejected.inc({ from: from || 'none', to });
+    return false;
+  }
+  await recordEvent(order, {
+    ...entry,
+    event: entry.event || entry.status || to,
+    from,
+    state: to,
+    ts,
+  });
+  return true;
+}
+
+async function getHistory(orderId) {
+  const rows = await sub.lrange(HISTORY_KEY(orderId), 0, -1);
+  return rows.flatMap((r) => {
+    try {
+      return [JSON.parse(r)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+// /trade/status body for a stored order
+async function orderView(st) {
+  const last = st.last_status || {};
+  const num = (v) => (v === '' || v == null ? undefined : Number(v));
+  return {
+    id: st.orderId,
+    status: last.status || 'pending',
+    state: st.state,
+    symbol: st.symbol,
+    side: st.side,
+    qty: st.qty,
+    type: st.type || undefined,
+    limitPrice: num(st.limitPrice),
+    stopPrice: num(st.stopPrice),
+    timeInForce: st.timeInForce || undefined,
+    filledQty: last.status === 'filled' ? st.qty : last.filledQty || 0,
+    price: st.price || undefined,
+    fee: st.fee || undefined,
+    reason: last.reason,
+    canceledBy: last.canceledBy,
+    venue: st.venue || undefined,
+    exchangeOrderId: st.exchangeOrderId || undefined,
+    ...(st.unknown && { unknown: true }),
+    route: st.route || undefined,
+    ...legFields(st),
+    ...(st.trail && { trail: st.trail }),
+    ...(st.algo && { algo: algoProgress(st.algo, st.qty) }),
+    receivedAt: st.received_ts,
+    updatedAt: last.ts,
+    history: await getHistory(st.orderId),
+  };
+}
+
+const ALGO_ACTIONS = {
+  pause: (algo) => pauseAlgo(algo),
+  resume: (algo) => resumeAlgo(algo),
+  cancel: (algo) =>
+    [ALGO_STATES.RUNNING, ALGO_STATES.PAUSED].includes(algo.state)
+      ? { ...algo, state: ALGO_STATES.CANCELING }
+      : algo,
+};
+
+// Apply a pause/resume/cancel to an algo parent; cancel then cancels the working children outside
+// the parent's lock, since their statuses update it. Returns the latest algo state, or null once
+// the algo has finished.
+async function controlAlgo(parentId, action) {
+  const out = await updateAlgo(parentId, (algo) => ({ algo: ALGO_ACTIONS[action](algo) }));
+  if (!out) return null;
+  if (action === 'cancel') {
+    for (const childId of Object.keys(out.algo.children)) {
+      const cst = await getOrderState(sub, childId);
+      // Not placed yet: its handler sees the parent canceling and never sends it
+      if (!cst?.venue || isTerminal(cst)) continue;
+      const r = await cancelWorkingOrder(cst, parentId);
+      if (!r.canceled)
+        logger.warn('algo_child_cancel_failed', { orderId: childId, reason: r.reason });
+    }
+  }
+  return (await getOrderState(sub, parentId))?.algo || out.algo;
+}
+
+// Algo parents whose children the tick loop schedules, restored from exec:orders:* on startup
+const activeAlgos = new Set();
+const ALGO_TICK_MS = parseInt(process.env.EXEC_ALGO_TICK_MS || '1000', 10);
+
+// A promise chain per key, so read-modify-writes of the same state do not overwrite each other
+function withLock(locks, key, fn) {
+  const run = (locks.get(key) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  locks.set(key, tail);
+  tail.then(() => locks.get(key) === tail && locks.delete(key));
+  return run;
+}
+
+// Child statuses, ticks and control requests all rewrite a parent's algo state
+const algoLocks = new Map();
+
+// Apply `change(algo, parent)` -> { algo, child? } to a parent's algo state and publish the
+// parent's progress: partially_filled as children fill, then filled, or canceled once the
+// schedule ends (or is canceled) short of the parent qty. Returns null for finished algos.
+async function updateAlgo(parentId, change) {
+  return withLock(algoLocks, parentId, async () => {
+    const parent = await getOrderState(sub, parentId);
+    if (!parent?.algo || parent.algo.state === ALGO_STATES.DONE) return null;
+    const before = algoProgress(parent.algo, parent.qty);
+    let { algo, child } = change(parent.algo, parent);
+    const outcome = algoOutcome(algo, parent.qty);
+    if (outcome) algo = { ...algo, state: ALGO_STATES.DONE };
+    await setOrderState(sub, parentId, { algo });
+    const progress = algoProgress(algo, parent.qty);
+    if (outcome || progress.filledQty > before.filledQty) {
+      await publishStatus(
+        { ...parent, traceId: parent.traceId || undefined },
+        {
+          orderId: parentId,
+          status: outcome === 'filled' ? 'filled' : outcome ? 'canceled' : 'partially_filled',
+          symbol: parent.symbol,
+          side: parent.side,
+          qty: parent.qty,
+          filledQty: progress.filledQty,
+          price: progress.price,
+          fee: progress.fee,
+          algo: progress,
+          traceId: parent.traceId || undefined,
+          ts: new Date().toISOString(),
+        }
+      );
+    }
+    return { algo, child };
+  });
+}
+
+// One pass over the running algos: each due child is recorded on its parent, then sent through
+// exec.orders so it is routed, checked and placed like any other order
+async function tickAlgos() {
+  for (const parentId of activeAlgos) {
+    const out = await updateAlgo(parentId, (algo, parent) => {
+      const step = nextChild(algo, parent.qty);
+      if (!step.childQty) return { algo: step.algo };
+      const child = childOrder(parent, step.algo, step.childQty);
+      return { algo: addChild(step.algo, child), child };
+    });
+    if (!out || out.algo.state === ALGO_STATES.DONE) activeAlgos.delete(parentId);
+    if (!out?.child) continue;
+    await xaddJSON(pub, CHANNELS.EXEC_ORDERS, { ...out.child, ts: new Date().toISOString() });
+    logger.info('algo_child_submitted', {
+      orderId: parentId,
+      childId: out.child.orderId,
+      qty: out.child.qty,
+    });
+  }
+}
+
+// exec.status for what placeOrder returned; rejections also raise an exec_order_rejected notify
+async function statusFromFill(order, venue, fill) {
+  if (!fill.filled && !fill.reason && OPEN_STATUSES.has(fill.status)) {
+    // Working on the venue; later fills arrive through adapter.onFill or the user stream
+    return {
+      orderId: order.orderId,
+      status: fill.filledQty > 0 ? 'partially_filled' : 'pending',
+      symbol: order.symbol,
+      side: order.side,
+      qty: order.qty,
+      filledQty: fill.filledQty || 0,
+      price: fill.price,
+      fee: fill.fee,
+      traceId: order.traceId,
+      ts: new Date().toISOString(),
+    };
+  } else if (!fill.filled && !fill.reason && CLOSED_UNFILLED.has(fill.status)) {
+    // IOC/FOK remainder expired (possibly after a partial fill)
+    return {
+      orderId: order.orderId,
+      status: 'canceled',
+      symbol: order.symbol,
+      side: order.side,
+      qty: order.qty,
+      filledQty: fill.filledQty || 0,
+      price: fill.price,
+      fee: fill.fee,
+      canceledBy: fill.canceledBy,
+      ...(fill.status === 'expired' && { state: ORDER_STATES.EXPIRED }),
+      traceId: order.traceId,
+      ts: new Date().toISOString(),
+    };
+  } else if (!fill.filled) {
+    const reason = fill.reason || fill.raw?.error || REJECT_REASONS.ORDER_REJECTED;
+    const status = {
+      orderId: order.orderId,
+      status: 'rejected',
+      symbol: order.symbol,
+      side: order.side,
+      qty: order.qty,
+      reason,
+      retryable: isRetryableReason(reason),
+      traceId: order.traceId,
+      ts: new Date().toISOString(),
+    };
+    await xaddJSON(pub, CHANNELS.NOTIFY_EVENTS, {
+      type: 'exec_order_rejected',
+      // credential problems block every order, so page someone
+      severity:
+        reason === REJECT_REASONS.AUTH_FAILED || reason === REJECT_REASONS.MISSING_CREDS
+          ? 'critical'
+          : 'warning',
+      message: `Order ${order.orderId} rejected by ${venue || 'router'}: ${reason}`,
+      context: { orderId: order.orderId, symbol: order.symbol, reason, raw: fill.raw },
+      traceId: order.traceId,
+      ts: new Date().toISOString(),
+    });
+    return status;
+  }
+  return {
+    orderId: order.orderId,
+    status: 'filled',
+    symbol: order.symbol,
+    side: order.side,
+    qty: order.qty,
+    fee: fill.fee,
+    price: fill.price,
+    traceId: order.traceId,
+    ts: new Date().toISOString(),
+  };
+}
+
+// Move the order to the status's state, record and publish the status, then run the bracket/OCO
+// and algo follow-ups. Nothing is published when the transition is refused, e.g. when the
+// user-data stream already reported the outcome while placeOrder ran.
+async function publishStatus(order, status) {
+  const state = stateOfStatus(status);
+  if (!(await transitionOrder(order, state, status))) return;
+  Object.assign(status, legFields(order), { state });
+  const realized = await bookFill(order, status);
+  if (realized != null) status.profit = realized;
+  await setOrderState(sub, order.orderId, {
+    last_status: status,
+    price: status.price || '',
+    fee: status.fee || '',
+  });
+  await xaddJSON(pub, CHANNELS.EXEC_STATUS, status);
+  if (isTerminalState(state)) for (const done of closeWaiters.get(order.orderId) || []) done();
+  await afterStatus(order, status);
+}
+
+// Open FIFO lots per symbol (common/lots.js), shared by every order the executor fills
+const LOTS_KEY = (symbol) => `exec:lots:${symbol}`;
+const lotLocks = new Map();
+
+// Book the fill a status adds (its filled qty beyond what was booked for the order) against the
+// symbol's open lots. Returns the realized PnL of that fill, fees included, or null when the
+// status adds no priced fill. Algo parents are skipped: their children's fills are booked.
+async function bookFill(order, status) {
+  if (order.algo) return null;
+  if (!fillIncrement({}, status).fill) return null;
+  return withLock(lotLocks, order.symbol, async () => {
+    const st = await getOrderState(sub, order.orderId);
+    const { fill, booked } = fillIncrement(
+      { qty: st?.booked_qty, notional: st?.booked_notional, fee: st?.booked_fee },
+      { ...status, side: order.side }
+    );
+    if (!fill) return null;
+    const lots = JSON.parse((await sub.get(LOTS_KEY(order.symbol))) || '[]');
+    const r = matchFill(lots, fill);
+    await sub.set(LOTS_KEY(order.symbol), JSON.stringify(r.lots));
+    await setOrderState(sub, order.orderId, {
+      booked_qty: booked.qty,
+      booked_notional: booked.notional,
+      booked_fee: booked.fee,
+    });
+    return r.realized;
+  });
+}
+
+// /trade/submit?wait callers (orderId -> resolve functions), released when the order closes
+const closeWaiters = new Map();
+
+async function waitForClose(orderId, ms) {
+  let done;
+  const closed = new Promise((resolve) => (done = resolve));
+  const waiters = closeWaiters.get(orderId) || new Set();
+  closeWaiters.set(orderId, waiters.add(done));
+  const timer = setTimeout(done, ms);
+  await closed;
+  clearTimeout(timer);
+  waiters.delete(done);
+  if (!waiters.size) closeWaiters.delete(orderId);
+}
+
+// Executor-managed trailing stops (orderId -> venue), restored from exec:orders:* on startup
+const trailingStops = new Map();
+const TRAILING_POLL_MS = parseInt(process.env.EXEC_TRAILING_POLL_MS || '1000', 10);
+const trailOf = ({ trailAmount, trailPercent }) =>
+  trailPercent != null ? { trailPercent } : { trailAmount };
+
+// One pass over the watched stops: a quote per venue and symbol moves their anchors, and a stop
+// whose price is reached goes to the venue as a market order
+async function pollTrailingStops() {
+  const quotes = new Map();
+  for (const [orderId, venue] of trailingStops) {
+    const st = await getOrderState(sub, orderId);
+    if (!st?.trail || isTerminal(st)) {
+      trailingStops.delete(orderId);
+      continue;
+    }
+    const key = `${venue}:${st.symbol}`;
+    if (!quotes.has(key))
+      quotes.set(key, await adapters[venue].fetchTicker?.({ symbol: st.symbol }));
+    const price = trailingPrice(st.side, quotes.get(key));
+    if (!price) continue;
+    const { trail, moved, triggered } = advanceTrail(st.trail, st.side, price);
+    if (moved) {
+      await setOrderState(sub, orderId, { trail });
+      await xaddJSON(pub, CHANNELS.NOTIFY_EVENTS, {
+        type: 'exec_trailing_stop_moved',
+        severity: 'info',
+        message: `Trailing stop ${orderId} ${st.side} ${st.symbol} moved to ${trail.stopPrice}`,
+        context: { orderId, symbol: st.symbol, side: st.side, ...trail },
+        traceId: st.traceId || undefined,
+        ts: new Date().toISOString(),
+      });
+    }
+    if (triggered) {
+      trailingStops.delete(orderId);
+      logger.info('trailing_stop_triggered', { orderId, venue, price, stopPrice: trail.stopPrice });
+      const order = { ...st, traceId: st.traceId || undefined };
+      const fill = await adapters[venue].placeOrder({
+        orderId,
+        symbol: st.symbol,
+        side: st.side,
+        qty: st.qty,
+        type: ORDER_TYPES.MARKET,
+      });
+      await recordExchangeId(orderId, fill.exchangeOrderId);
+      await publishStatus(order, await statusFromFill(order, venue, fill));
+    }
+  }
+}
+
+// Paper book fill events carry the fee of one fill; the order carries the running total
+async function publishFeedFill(adapter, ev) {
+  const o = await adapter.getOrder({ orderId: ev.orderId, symbol: ev.symbol });
+  await publishExecution({ ...ev, price: ev.avgPrice, fee: o.fee ?? ev.fee });
+}
+
+const userStreams = [];
+const INSTRUMENTS_REQUIRED = (process.env.INSTRUMENTS_REQUIRED || 'false').toLowerCase() === 'true';
+
+// Returns { order } (possibly rounded) or { reason, detail } when the order cannot be sent.
+// `price` is the reference price the notional of orders without a limit or stop price is
+// checked at.
+function conformToInstrument(venue, order, price) {
+  const inst = instruments.get(venue, order.symbol);
+  if (!inst) {
+    return INSTRUMENTS_REQUIRED
+      ? { reason: REJECT_REASONS.INVALID_SYMBOL, detail: { error: 'unknown_instrument' } }
+      : { order };
+  }
+  const res = conformOrder(inst, { ...order, price });
+  if (res.reason) return res;
+  if (res.adjusted) {
+    logger.info('order_rounded', {
+      orderId: order.orderId,
+      venue,
+      qty: order.qty,
+      roundedQty: res.qty,
+      limitPrice: order.limitPrice,
+      roundedLimitPrice: res.limitPrice,
+      stopPrice: order.stopPrice,
+      roundedStopPrice: res.stopPrice,
+    });
+  }
+  return {
+    order: { ...order, qty: res.qty, limitPrice: res.limitPrice, stopPrice: res.stopPrice },
+  };
+}
+
+// Price a market order would fill near: the venue's quote the router ranked it on, else the
+// symbol's latest quote (market:last); the ask for buys and the bid for sells
+async function referencePrice(order, decision) {
+  const pick = (q) => (order.side === 'sell' ? q?.bid : q?.ask) ?? q?.price;
+  const routed = pick(decision?.candidates?.find((c) => c.venue === decision.venue));
+  if (routed > 0) return routed;
+  const symbol = normalizeSymbol(order.symbol) || order.symbol;
+  return pick(JSON.parse((await sub.hget(LAST_PRICES_KEY, symbol)) || 'null'));
+}
+
+// Receive, route, check and place one order, from exec.orders or /trade/submit. Resolves once the
+// order is recorded; placement runs right after and its outcome, like every later status, is
+// published on exec.status. Returns the order as checked, or null when it was already closed.
+async function executeOrder(payload) {
+  // Idempotency: if we already have a terminal status, skip
+  const state = await getOrderState(sub, payload.orderId);
+  if (isTerminal(state)) {
+    logger.info('order_duplicate_skip', { orderId: payload.orderId });
+    return null;
+  }
+  // Order type fields are checked before any venue is asked for a quote
+  const params = normalizeOrderParams(payload);
+  const bracket = payload.bracket ? normalizeBracket({ ...payload, ...params }) : {};
+  const algoSpec = payload.algo ? normalizeAlgo({ ...payload, ...params }) : {};
+  const invalid = [params, bracket, algoSpec].find((r) => r.reason) || null;
+  const typed = { ...payload, ...params, bracket: bracket.bracket, algo: algoSpec.algo };
+  // Redelivered orders stay on the venue they were routed to, bracket legs on their entry's
+  const parentVenue = payload.parentId && (await getOrderState(sub, payload.parentId))?.venue;
+  const routed =
+    !router || invalid
+      ? null
+      : state?.venue && adapters[state.venue]
+        ? { venue: state.venue, decision: state.route }
+        : parentVenue && adapters[parentVenue]
+          ? {
+              venue: parentVenue,
+              decision: {
+                venue: parentVenue,
+                basis: 'parent',
+                candidates: [],
+                ts: new Date().toISOString(),
+              },
+            }
+          : await router.route(payload);
+  const venue = routed?.venue;
+  const adapter = venue ? adapters[venue] : null;
+  const checked = invalid
+    ? invalid
+    : !router
+      ? { order: typed }
+      : routed.reason
+        ? { reason: routed.reason, detail: { route: routed.decision } }
+        : conformToInstrument(
+            venue,
+            typed,
+            typed.limitPrice ?? typed.stopPrice ?? (await referencePrice(typed, routed.decision))
+          );
+  const order = checked.order || payload;
+  // Trailing stops the venue cannot hold are watched here and sent as market orders
+  const managedTrail =
+    !checked.reason &&
+    adapter &&
+    order.type === ORDER_TYPES.TRAILING_STOP &&
+    !adapter.supportsTrailingStop;
+  // Algo parents are never placed themselves; the tick loop sends their children
+  const algoParent = !checked.reason && adapter && !!order.algo;
+  if (routed) {
+    logger.info('order_routed', {
+      orderId: order.orderId,
+      venue: venue || null,
+      basis: routed.decision?.basis,
+      reason: routed.reason,
+    });
+  }
+  await setOrderState(sub, order.orderId, {
+    orderId: order.orderId,
+    symbol: order.symbol,
+    side: order.side,
+    qty: order.qty,
+    traceId: order.traceId || '',
+    type: order.type || '',
+    limitPrice: order.limitPrice ?? '',
+    stopPrice: order.stopPrice ?? '',
+    timeInForce: order.timeInForce || '',
+    ...(order.bracket && { bracket: order.bracket }),
+    ...(managedTrail && { trail: state?.trail || trailOf(order) }),
+    ...(algoParent && { algo: state?.algo || startAlgo(order.algo) }),
+    ...legFields(order),
+    venue: venue || '',
+    route: routed?.decision || '',
+    received_ts: new Date().toISOString(),
+  });
+  if (!state?.state) {
+    await transitionOrder({ ...order, venue }, ORDER_STATES.NEW, {
+      event: 'received',
+      venue,
+      qty: order.qty,
+      limitPrice: order.limitPrice,
+      stopPrice: order.stopPrice,
+    });
+  }
+  if (managedTrail) trailingStops.set(order.orderId, venue);
+
+  // Errors before the order reaches the venue (Redis) reject it, so it does not stay open without
+  // a status and ?wait callers are answered. A placeOrder that threw may have reached the venue
+  // and is left to reconciliation (markSubmitUnknown).
+  setTimeout(async () => {
+    let placing = false;
+    try {
+      let status;
+      if (router) {
+        // The other leg of an OCO pair already filled, or the algo parent is being canceled:
+        // this order is never placed
+        const ocoFilled =
+          order.ocoWith &&
+          OCO_TRIGGER_STATUSES.includes(
+            (await getOrderState(sub, order.ocoWith))?.last_status?.status
+          );
+        const algoState =
+          order.algoSlice != null && (await getOrderState(sub, order.parentId))?.algo?.state;
+        const canceledBy = ocoFilled
+          ? order.ocoWith
+          : [ALGO_STATES.CANCELING, ALGO_STATES.DONE].includes(algoState)
+            ? order.parentId
+            : null;
+        let fill;
+        if (canceledBy) {
+          fill = {
+            filled: false,
+            orderId: order.orderId,
+            status: 'canceled',
+            filledQty: 0,
+            canceledBy,
+          };
+        } else if (checked.reason) {
+          fill = {
+            filled: false,
+            orderId: order.orderId,
+            symbol: order.symbol,
+            side: order.side,
+            qty: order.qty,
+            reason: checked.reason,
+            raw: checked.detail,
+          };
+        } else {
+          // Refused only when the order closed meanwhile; it must not reach the venue then
+          if (!(await transitionOrder(order, ORDER_STATES.SUBMITTED, { venue }))) return;
+          placing = !managedTrail && !algoParent;
+          fill =
+            managedTrail || algoParent
+              ? { filled: false, orderId: order.orderId, status: 'new', filledQty: 0 }
+              : await adapter.placeOrder({
+                  orderId: order.orderId,
+                  symbol: order.symbol,
+                  side: order.side,
+                  qty: order.qty,
+                  type: order.type,
+                  limitPrice: order.limitPrice,
+                  stopPrice: order.stopPrice,
+                  timeInForce: order.timeInForce,
+                  trailAmount: order.trailAmount,
+                  trailPercent: order.trailPercent,
+                });
+          placing = false;
+          await recordExchangeId(order.orderId, fill.exchangeOrderId);
+          if (fill.reason === REJECT_REASONS.EXCHANGE_UNAVAILABLE)
+            return await markSubmitUnknown(order, venue, fill.reason);
+        }
+        status = await statusFromFill(order, venue, fill);
+      } else {
+        if (!(await transitionOrder(order, ORDER_STATES.SUBMITTED))) return;
+        status = {
+          orderId: order.orderId,
+          status: 'filled',
+          symbol: order.symbol,
+          side: order.side,
+          qty: order.qty,
+          profit: PROFIT_PER_TRADE,
+          traceId: order.traceId,
+          ts: new Date().toISOString(),
+        };
+      }
+      await publishStatus(order, status);
+      // Children start once the parent's pending status is out, so it never follows theirs
+      if (algoParent && status.status === 'pending') activeAlgos.add(order.orderId);
+    } catch (e) {
+      const error = String(e?.message || e);
+      logger.error('order_placement_error', { orderId: order.orderId, venue, error });
+      if (placing) {
+        try {
+          await markSubmitUnknown(order, venue, error);
+        } catch (err) {
+          logger.error('order_unknown_failed', {
+            orderId: order.orderId,
+            error: String(err?.message || err),
+          });
+        }
+        return;
+      }
+      const fill = {
+        filled: false,
+        orderId: order.orderId,
+        reason: REJECT_REASONS.EXCHANGE_ERROR,
+        raw: { error },
+      };
+      try {
+        await publishStatus(order, await statusFromFill(order, venue, fill));
+      } catch (err) {
+        logger.error('order_reject_failed', {
+          orderId: order.orderId,
+          error: String(err?.message || err),
+        });
+      }
+    }
+  }, 10);
+  return order;
+}
+
 await (async () => {
-  // Reconciliation loop: checks for orders without terminal status and emits notify on stale
+  // Instruments: static file first, then the venue's exchange-info when enabled
+  if (process.env.INSTRUMENTS_FILE) {
+    try {
+      loadInstrumentsFile(process.env.INSTRUMENTS_FILE, instruments);
+    } catch (e) {
+      logger.error('instruments_file_error', { error: String(e?.message || e) });
+    }
+  }
+  const INSTRUMENTS_FROM_EXCHANGE =
+    (process.env.INSTRUMENTS_FROM_EXCHANGE || 'false').toLowerCase() === 'true';
+  for (const [venue, adapter] of Object.entries(adapters)) {
+    if (INSTRUMENTS_FROM_EXCHANGE && adapter.fetchInstruments) {
+      const res = await adapter.fetchInstruments();
+      if (res.reason) logger.warn('instruments_fetch_failed', { venue, reason: res.reason });
+      else instruments.load(venue, res.instruments);
+    }
+    logger.info('instruments_loaded', { venue, count: instruments.list(venue).length });
+  }
+
+  // Reconciliation loop: settles submits of unknown outcome against the venue, and emits notify
+  // on orders without terminal status
   const RECONCILE_INTERVAL_MS = parseInt(process.env.EXEC_RECONCILE_INTERVAL_MS || '30000', 10);
   const STALE_AFTER_SEC = parseInt(process.env.EXEC_ORDER_STALE_AFTER_SECONDS || '120', 10);
   setInterval(async () => {
@@ -173,12 +1347,17 @@ await (async () => {
           const orderId = key.split(':').pop();
           const st = await getOrderState(sub, orderId);
           if (!st) continue;
+          if (st.unknown && !isTerminal(st)) {
+            try {
+              await reconcileUnknown(st);
+            } catch (e) {
+              logger.error('reconcile_unknown_error', { orderId, error: String(e?.message || e) });
+            }
+          }
           const recvTs = Date.parse(st.received_ts || '') || 0;
           const ageSec = Math.floor((now - recvTs) / 1000);
-          const terminal =
-            st.last_status &&
-            ['filled', 'failed', 'rejected', 'canceled'].includes(st.last_status.status);
-          if (!terminal && recvTs > 0 && ageSec >= STALE_AFTER_SEC) {
+          // Algo parents stay open for their whole schedule
+          if (!isTerminal(st) && !st.algo && recvTs > 0 && ageSec >= STALE_AFTER_SEC) {
             // Emit notify event once and mark as notified
             if (!st.stale_notified) {
               await xaddJSON(pub, CHANNELS.NOTIFY_EVENTS, {
@@ -198,6 +1377,93 @@ await (async () => {
     }
   }, RECONCILE_INTERVAL_MS);
 
+  // Trailing stops and algos working before a restart resume from their stored state
+  try {
+    let cursor = '0';
+    do {
+      const [next, keys] = await sub.scan(cursor, 'MATCH', 'exec:orders:*', 'COUNT', 100);
+      cursor = next;
+      for (const key of keys) {
+        const st = await getOrderState(sub, key.slice(ORDER_KEY('').length));
+        if (!st || isTerminal(st) || !adapters[st.venue]) continue;
+        if (st.trail) trailingStops.set(st.orderId, st.venue);
+        if (st.algo && st.algo.state !== ALGO_STATES.DONE) activeAlgos.add(st.orderId);
+      }
+    } while (cursor !== '0');
+    if (trailingStops.size) logger.info('trailing_stops_restored', { count: trailingStops.size });
+    if (activeAlgos.size) logger.info('algos_restored', { count: activeAlgos.size });
+  } catch (e) {
+    logger.error('order_restore_error', { error: String(e?.message || e) });
+  }
+  let trailingPoll = false;
+  setInterval(async () => {
+    if (trailingPoll || !trailingStops.size) return;
+    trailingPoll = true;
+    try {
+      await pollTrailingStops();
+    } catch (e) {
+      logger.error('trailing_stop_poll_error', { error: String(e?.message || e) });
+    } finally {
+      trailingPoll = false;
+    }
+  }, TRAILING_POLL_MS);
+  let algoTick = false;
+  setInterval(async () => {
+    if (algoTick || !activeAlgos.size) return;
+    algoTick = true;
+    try {
+      await tickAlgos();
+    } catch (e) {
+      logger.error('algo_tick_error', { error: String(e?.message || e) });
+    } finally {
+      algoTick = false;
+    }
+  }, ALGO_TICK_MS);
+
+  const USER_STREAM = (process.env.EXEC_USER_STREAM || 'false').toLowerCase() === 'true';
+  for (const [venue, adapter] of Object.entries(adapters)) {
+    // Fills on resting orders (paper book mode) happen after placeOrder returns
+    adapter.onFill?.((ev) => {
+      if (ev.source !== 'feed') return;
+      publishFeedFill(adapter, ev).catch((e) =>
+        logger.error('feed_fill_error', { orderId: ev.orderId, error: String(e?.message || e) })
+      );
+    });
+
+    // Venue user-data websocket: fills, cancels and expiries reported as they happen
+    if (USER_STREAM && adapter.subscribeUserData) {
+      const stream = adapter.subscribeUserData({
+        logger,
+        onExecution: (ev) =>
+          publishExecution(ev).catch((e) =>
+            logger.error('user_stream_execution_error', {
+              venue,
+              orderId: ev.orderId,
+              error: String(e?.message || e),
+            })
+          ),
+      });
+      if (stream.reason) logger.warn('user_stream_unavailable', { venue, reason: stream.reason });
+      else userStreams.push(stream);
+    }
+  }
+
+  // Market data ticks that drive the paper matching engine; they are also the latest quotes
+  // open positions are marked at
+  const PAPER_FEED_STREAM = process.env.PAPER_FEED_STREAM;
+  if (PAPER_FEED_STREAM && adapters.paper?.updateMarket) {
+    startConsumer({
+      redis: sub,
+      stream: PAPER_FEED_STREAM,
+      group: 'exec-paper',
+      logger,
+      handler: async ({ payload }) => {
+        adapters.paper.updateMarket(payload);
+        await recordLastPrice(pub, payload);
+      },
+    });
+  }
+
   startPendingMonitor({
     redis: sub,
     stream: CHANNELS.EXEC_ORDERS,
@@ -212,66 +1478,8 @@ await (async () => {
     idempotency: { redis: sub, keyFn: (p) => p.orderId, ttlSeconds: 86400 },
     dlqStream: `${CHANNELS.EXEC_ORDERS}.dlq`,
     maxFailures: 5,
-    handler: async ({ payload: order }) => {
-      // Idempotency: if we already have a terminal status, skip
-      const state = await getOrderState(sub, order.orderId);
-      if (
-        state &&
-        state.last_status &&
-        ['filled', 'failed', 'rejected', 'canceled'].includes(state.last_status.status)
-      ) {
-        logger.info('order_duplicate_skip', { orderId: order.orderId });
-        return;
-      }
-      await setOrderState(sub, order.orderId, {
-        orderId: order.orderId,
-        symbol: order.symbol,
-        side: order.side,
-        qty: order.qty,
-        received_ts: new Date().toISOString(),
-      });
-
-      setTimeout(async () => {
-        let status;
-        if (EXCHANGE === 'paper' && adapter) {
-          const fill = await adapter.placeOrder({
-            orderId: order.orderId,
-            symbol: order.symbol,
-            side: order.side,
-            qty: order.qty,
-          });
-          const profit = typeof PROFIT_PER_TRADE === 'number' ? PROFIT_PER_TRADE : 0;
-          status = {
-            orderId: order.orderId,
-            status: 'filled',
-            symbol: order.symbol,
-            side: order.side,
-            qty: order.qty,
-            profit: profit - (fill.fee || 0),
-            fee: fill.fee,
-            price: fill.price,
-            traceId: order.traceId,
-            ts: new Date().toISOString(),
-          };
-        } else {
-          status = {
-            orderId: order.orderId,
-            status: 'filled',
-            symbol: order.symbol,
-            side: order.side,
-            qty: order.qty,
-            profit: PROFIT_PER_TRADE,
-            traceId: order.traceId,
-            ts: new Date().toISOString(),
-          };
-        }
-        await setOrderState(sub, order.orderId, {
-          last_status: status,
-          price: status.price || '',
-          fee: status.fee || '',
-        });
-        await xaddJSON(pub, CHANNELS.EXEC_STATUS, status);
-      }, 10);
+    handler: async ({ payload }) => {
+      await executeOrder(payload);
     },
   });
 })();
@@ -288,6 +1496,11 @@ const server = app.listen(PORT, () => {
 const shutdown = async () => {
   logger.info('shutting_down');
   server.close(() => logger.info('server_closed'));
+  for (const stream of userStreams) stream.stop();
+  if (pgPool) {
+    await pgMirror;
+    await pgPool.end().catch(() => {});
+  }
   try {
     await sub.quit();
   } catch {}
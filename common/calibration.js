@@ -0,0 +1,201 @@
+// Confidence calibration: maps a strategy's raw confidence to the observed probability that its
+// signals are right.
+//
+// The buys and sells of every analysis are recorded with the price at the time and checked
+// horizonSec later against the symbol's latest quote (market:last): a buy is a win when the price
+// has risen by more than minMoveBps, a sell when it has fallen by more. Outcomes are counted per
+// strategyId in CALIBRATION_BINS equal-width bins of raw confidence; counts decay with a half-life
+// of halfLife outcomes, so the calibration follows the market. The calibrated confidence is the
+// bin's win rate, smoothed towards the raw confidence by `prior` pseudo-outcomes:
+//   (wins + prior * raw) / (n + prior)
+// so a strategy without history keeps its raw confidence.
+//
+// Redis holds the calibration state, shared by every analyst replica and kept across restarts:
+// calib:pending, sorted set of recorded signals scored by the epoch ms they are due;
+// calib:models, hash strategyId -> JSON { bins: [{ n, wins }] };
+// calib:last:<strategyId>|<symbol>, set when a signal is recorded and expiring after
+// minSpacingSec; calib:resolving, held while one replica judges the due signals.
+// Each calibrator keeps a copy of the models for calibrate(); load() refreshes it.
+
+import { getLastPrices } from './market-data.js';
+
+export const CALIBRATION_BINS = 10;
+export const PENDING_KEY = 'calib:pending';
+export const MODELS_KEY = 'calib:models';
+export const RESOLVE_LOCK_KEY = 'calib:resolving';
+const lastRecordedKey = (strategyId, symbol) => `calib:last:${strategyId}|${symbol}`;
+// Longest a resolve pass may hold the lock if its replica dies mid-pass
+const RESOLVE_LOCK_MS = 60000;
+
+const round4 = (x) => Math.round(x * 1e4) / 1e4;
+const clamp01 = (x) => Math.max(0, Math.min(1, Number(x) || 0));
+
+export const binOf = (confidence) =>
+  Math.min(CALIBRATION_BINS - 1, Math.floor(clamp01(confidence) * CALIBRATION_BINS));
+
+export const emptyModel = () => ({
+  bins: Array.from({ length: CALIBRATION_BINS }, () => ({ n: 0, wins: 0 })),
+});
+
+// Calibrated confidence for a raw confidence
+export function calibrate(model, confidence, { prior = 10 } = {}) {
+  const c = clamp01(confidence);
+  const bin = model?.bins?.[binOf(c)];
+  if (!bin || bin.n + prior <= 0) return c;
+  return round4((bin.wins + prior * c) / (bin.n + prior));
+}
+
+// Add one outcome; every bin's counts first decay by 2^(-1 / halfLife). Returns a new model.
+export function addOutcome(model, confidence, win, { halfLife = 0 } = {}) {
+  const decay = halfLife > 0 ? 2 ** (-1 / halfLife) : 1;
+  const bins = (model?.bins || emptyModel().bins).map((b) => ({
+    n: b.n * decay,
+    wins: b.wins * decay,
+  }));
+  const bin = bins[binOf(confidence)];
+  bin.n += 1;
+  if (win) bin.wins += 1;
+  return { bins };
+}
+
+// Price an outcome is judged at: the mid when both sides are quoted, else the last trade
+export function referencePrice(quote) {
+  if (!quote) return undefined;
+  return quote.bid > 0 && quote.ask > 0 ? (quote.bid + quote.ask) / 2 : quote.price;
+}
+
+export function isWin({ side, price }, exit, minMoveBps = 0) {
+  const move = minMoveBps / 10000;
+  return side === 'buy' ? exit > price * (1 + move) : exit < price * (1 - move);
+}
+
+export function createCalibrator(
+  redis,
+  { horizonSec = 3600, prior = 10, halfLife = 500, minMoveBps = 0, minSpacingSec = 60 } = {}
+) {
+  let models = new Map(); // strategyId -> model, as last loaded or updated
+
+  // Replace the copy of the models with the stored ones
+  async function load() {
+    const raw = (await redis.hgetall(MODELS_KEY)) || {};
+    const loaded = new Map();
+    for (const [id, json] of Object.entries(raw)) {
+      try {
+        loaded.set(id, JSON.parse(json));
+      } catch {}
+    }
+    models = loaded;
+  }
+
+  const calibrateFor = (strategyId, confidence) =>
+    calibrate(models.get(strategyId), confidence, { prior });
+
+  // Queue a buy/sell signal { strategyId, symbol, side, confidence (raw) } for its outcome. At most
+  // one signal per strategy and symbol is recorded every minSpacingSec, by any replica. Returns
+  // whether it was.
+  async function record(signal, { price, now = Date.now() } = {}) {
+    const { strategyId, symbol, side } = signal;
+    if (!['buy', 'sell'].includes(side) || !(price > 0)) return false;
+    if (
+      minSpacingSec > 0 &&
+      !(await redis.set(
+        lastRecordedKey(strategyId, symbol),
+        String(now),
+        'PX',
+        Math.round(minSpacingSec * 1000),
+        'NX'
+      ))
+    )
+      return false;
+    const entry = {
+      strategyId,
+      symbol,
+      side,
+      confidence: clamp01(signal.confidence),
+      price,
+      ts: new Date(now).toISOString(),
+    };
+    await redis.zadd(PENDING_KEY, now + horizonSec * 1000, JSON.stringify(entry));
+    return true;
+  }
+
+  // Judge every recorded signal that is due against the latest quotes. A signal whose symbol has no
+  // quote newer than the signal waits, and is dropped as expired one more horizon later. Returns
+  // [{ strategyId, symbol, side, confidence, price, exit?, win?, expired? }]; [] while another
+  // replica is judging, so each outcome is counted once.
+  async function resolveDue(now = Date.now()) {
+    if (!(await redis.set(RESOLVE_LOCK_KEY, '1', 'PX', RESOLVE_LOCK_MS, 'NX'))) return [];
+    try {
+      return await judgeDue(now);
+    } finally {
+      await redis.del(RESOLVE_LOCK_KEY);
+    }
+  }
+
+  async function judgeDue(now) {
+    const due = await redis.zrangebyscore(PENDING_KEY, '-inf', now);
+    if (!due.length) return [];
+    // Outcomes are added to the stored models, whichever replica last wrote them
+    await load();
+    const quotes = await getLastPrices(redis);
+    const out = [];
+    const done = [];
+    const changed = new Set();
+    for (const raw of due) {
+      let s;
+      try {
+        s = JSON.parse(raw);
+      } catch {
+        done.push(raw);
+        continue;
+      }
+      const quote = quotes[s.symbol];
+      const exit = referencePrice(quote);
+      if (!(exit > 0) || !(Date.parse(quote.ts) > Date.parse(s.ts))) {
+        if (now >= Date.parse(s.ts) + 2 * horizonSec * 1000) {
+          done.push(raw);
+          out.push({ ...s, expired: true });
+        }
+        continue;
+      }
+      const win = isWin(s, exit, minMoveBps);
+      models.set(
+        s.strategyId,
+        addOutcome(models.get(s.strategyId), s.confidence, win, { halfLife })
+      );
+      changed.add(s.strategyId);
+      done.push(raw);
+      out.push({ ...s, exit, win });
+    }
+    if (changed.size)
+      await redis.hset(
+        MODELS_KEY,
+        Object.fromEntries([...changed].map((id) => [id, JSON.stringify(models.get(id))]))
+      );
+    if (done.length) await redis.zrem(PENDING_KEY, ...done);
+    return out;
+  }
+
+  // Reliability per strategy, from the stored models: outcomes, and per bin the (decayed) count,
+  // win rate and the calibrated confidence at the bin's middle
+  const describe = async () => {
+    await load();
+    return Object.fromEntries(
+      [...models].map(([id, model]) => [
+        id,
+        {
+          outcomes: round4(model.bins.reduce((s, b) => s + b.n, 0)),
+          bins: model.bins.map((b, i) => ({
+            from: i / CALIBRATION_BINS,
+            to: (i + 1) / CALIBRATION_BINS,
+            n: round4(b.n),
+            winRate: b.n > 0 ? round4(b.wins / b.n) : null,
+            calibrated: calibrate(model, (i + 0.5) / CALIBRATION_BINS, { prior }),
+          })),
+        },
+      ])
+    );
+  };
+
+  return { load, calibrate: calibrateFor, record, resolveDue, describe };
+}
@@ -0,0 +1,122 @@
+// Candle aggregation: rolling OHLCV bars per symbol and timeframe built from trades.
+//
+// Bars are aligned to UTC multiples of their interval (1d bars open at 00:00 UTC) and use the
+// bar record shape of common/market-data.js plus `trades`, the number of trades in the bar. A bar
+// closes when a trade for a later bar arrives or, without trades, once its end plus closeDelayMs
+// has passed on the clock. Intervals without trades close as flat bars at the previous close with
+// volume 0, so every timeframe stays continuous once a symbol has traded; gaps longer than
+// maxGapBars are skipped rather than filled. Trades for a bar that has already closed are late and
+// are dropped (counted in stats.late).
+
+import { MARKET_DATA_TYPES } from './market-data.js';
+
+const UNIT_MS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+// '5m' -> 300000; undefined for anything else
+export function intervalMs(interval) {
+  const m = /^(\d+)([smhd])$/.exec(String(interval || '').toLowerCase());
+  return m && Number(m[1]) > 0 ? Number(m[1]) * UNIT_MS[m[2]] : undefined;
+}
+
+export const bucketStart = (ms, size) => Math.floor(ms / size) * size;
+
+const round8 = (x) => Math.round(x * 1e8) / 1e8;
+
+function openBar({ symbol, interval, start, price, source }) {
+  return {
+    type: MARKET_DATA_TYPES.BAR,
+    symbol,
+    ts: new Date(start).toISOString(),
+    interval,
+    open: price,
+    high: price,
+    low: price,
+    close: price,
+    volume: 0,
+    trades: 0,
+    ...(source && { source }),
+  };
+}
+
+export function createCandleAggregator({
+  timeframes = ['1m', '5m', '1h', '1d'],
+  closeDelayMs = 0,
+  maxGapBars = 1440,
+  source = 'candles',
+} = {}) {
+  const frames = timeframes.map((interval) => {
+    const size = intervalMs(interval);
+    if (!size) throw new Error(`invalid timeframe ${interval}`);
+    return { interval: String(interval).toLowerCase(), size };
+  });
+  const bars = new Map(); // `${symbol}|${interval}` -> { bar, start, size }
+  const stats = { trades: 0, late: 0, closed: 0 };
+
+  // Close the key's bar and every bar up to (not including) the one opening at `start`
+  function rollTo(state, start, closed) {
+    const missing = (start - state.start) / state.size - 1;
+    while (state.start < start) {
+      closed.push(state.bar);
+      stats.closed += 1;
+      const next =
+        missing > maxGapBars && state.start + state.size < start ? start : state.start + state.size;
+      state.bar = openBar({
+        symbol: state.bar.symbol,
+        interval: state.bar.interval,
+        start: next,
+        price: state.bar.close,
+        source,
+      });
+      state.start = next;
+    }
+  }
+
+  // Add a trade { symbol, ts, price, qty }; returns the bars it closed, oldest first
+  function addTrade({ symbol, ts, price, qty }) {
+    const ms = Date.parse(ts);
+    const p = Number(price);
+    if (!symbol || !Number.isFinite(ms) || !(p > 0)) return [];
+    stats.trades += 1;
+    const closed = [];
+    for (const { interval, size } of frames) {
+      const key = `${symbol}|${interval}`;
+      const start = bucketStart(ms, size);
+      let state = bars.get(key);
+      if (!state) {
+        state = { bar: openBar({ symbol, interval, start, price: p, source }), start, size };
+        bars.set(key, state);
+      } else if (start < state.start) {
+        stats.late += 1;
+        continue;
+      } else if (start > state.start) {
+        rollTo(state, start, closed);
+      }
+      const bar = state.bar;
+      if (bar.trades === 0) bar.open = bar.high = bar.low = p;
+      bar.high = Math.max(bar.high, p);
+      bar.low = Math.min(bar.low, p);
+      bar.close = p;
+      bar.volume = round8(bar.volume + (Number(qty) || 0));
+      bar.trades += 1;
+    }
+    return closed.sort((a, b) => Date.parse(a.ts) - Date.parse(b.ts));
+  }
+
+  // Close every bar whose end plus closeDelayMs is at or before `now`; returns them, oldest first
+  function closeDue(now = Date.now()) {
+    const closed = [];
+    for (const state of bars.values()) {
+      const due = bucketStart(now - closeDelayMs, state.size);
+      if (due > state.start) rollTo(state, due, closed);
+    }
+    return closed.sort((a, b) => Date.parse(a.ts) - Date.parse(b.ts));
+  }
+
+  // The bar still open for a symbol and timeframe
+  const current = (symbol, interval) => {
+    const bar = bars.get(`${symbol}|${String(interval).toLowerCase()}`)?.bar;
+    return bar ? { ...bar } : null;
+  };
+
+  return { addTrade, closeDue, current, stats, timeframes: frames.map((f) => f.interval) };
+}
@@ -40,3 +40,102 @@ export async function upsertPnl(
                  percent=excluded.percent, daily_target_pct=excluded.daily_target_pct, halted=excluded.halted, updated_at=now()`;
   await pool.query(sql, [date, startEquity, realized, percent, dailyTargetPct, halted]);
 }
+
+// Mirror of the executor's order record (orders) and one lifecycle event (order_events): a state
+// transition, or an amend with from_state = to_state
+export async function recordOrderEvent(
+  pool,
+  { order, event, from = null, state, ts = new Date().toISOString(), payload = {} }
+) {
+  const orderSql = `insert into orders (order_id, symbol, side, qty, type, limit_price, stop_price, time_in_force,
+                 venue, parent_id, state, filled_qty, avg_price, fee, trace_id, created_at, updated_at, strategy_id)
+               values ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, coalesce($12, 0), $13, $14, $15, $16, $16, $17)
+               on conflict (order_id) do update set qty=excluded.qty, limit_price=excluded.limit_price,
+                 stop_price=excluded.stop_price, venue=coalesce(excluded.venue, orders.venue), state=excluded.state,
+                 filled_qty=coalesce($12, orders.filled_qty), avg_price=coalesce(excluded.avg_price, orders.avg_price),
+                 fee=coalesce(excluded.fee, orders.fee), updated_at=excluded.updated_at`;
+  const val = (v) => (v === '' || v == null ? null : v);
+  await pool.query(orderSql, [
+    order.orderId,
+    order.symbol,
+    order.side,
+    order.qty,
+    val(order.type),
+    val(order.limitPrice),
+    val(order.stopPrice),
+    val(order.timeInForce),
+    val(order.venue),
+    val(order.parentId),
+    state,
+    val(order.filledQty),
+    val(order.price),
+    val(order.fee),
+    val(order.traceId),
+    ts,
+    val(order.strategyId),
+  ]);
+  const eventSql = `insert into order_events (order_id, ts, event, from_state, to_state, payload)
+               values ($1, $2, $3, $4, $5, $6::jsonb)`;
+  await pool.query(eventSql, [order.orderId, ts, event, from, state, JSON.stringify(payload)]);
+}
+
+// Mirror of the portfolio manager's position in one symbol
+export async function upsertPosition(
+  pool,
+  { symbol, qty, avgPrice, realized, lots = [], updatedAt }
+) {
+  const sql = `insert into positions (symbol, qty, avg_price, realized, lots, updated_at)
+               values ($1, $2, $3, $4, $5::jsonb, coalesce($6::timestamptz, now()))
+               on conflict (symbol) do update set qty=excluded.qty, avg_price=excluded.avg_price,
+                 realized=excluded.realized, lots=excluded.lots, updated_at=excluded.updated_at`;
+  await pool.query(sql, [
+    symbol,
+    qty,
+    avgPrice ?? null,
+    realized,
+    JSON.stringify(lots),
+    updatedAt || null,
+  ]);
+}
+
+// Ingested market data (see common/market-data.js), one multi-row insert per record type. A bar
+// replaces the stored bar with the same symbol, interval and open time.
+const MARKET_DATA_TABLES = {
+  trade: {
+    sql: 'insert into market_trades (symbol, ts, price, qty, side, trade_id, source) values',
+    row: (r) => [r.symbol, r.ts, r.price, r.qty, r.side, r.tradeId, r.source],
+  },
+  quote: {
+    sql: 'insert into market_quotes (symbol, ts, bid, ask, bid_size, ask_size, source) values',
+    row: (r) => [r.symbol, r.ts, r.bid, r.ask, r.bidSize, r.askSize, r.source],
+  },
+  bar: {
+    sql: 'insert into market_bars (symbol, interval, ts, open, high, low, close, volume, source) values',
+    row: (r) => [r.symbol, r.interval, r.ts, r.open, r.high, r.low, r.close, r.volume, r.source],
+    key: (r) => `${r.symbol}|${r.interval}|${r.ts}`,
+    conflict: `on conflict (symbol, interval, ts) do update set open=excluded.open, high=excluded.high,
+                 low=excluded.low, close=excluded.close, volume=excluded.volume, source=excluded.source`,
+  },
+};
+
+export async function insertMarketData(pool, records) {
+  for (const [type, table] of Object.entries(MARKET_DATA_TABLES)) {
+    let batch = records.filter((r) => r.type === type);
+    // one row per key: an upsert may not touch the same row twice
+    if (table.key) batch = [...new Map(batch.map((r) => [table.key(r), r])).values()];
+    const rows = batch.map(table.row);
+    if (!rows.length) continue;
+    const params = [];
+    const values = rows.map((row) => {
+      const refs = row.map((v) => {
+        params.push(v ?? null);
+        return `$${params.length}`;
+      });
+      return `(${refs.join(', ')})`;
+    });
+    await pool.query(
+      `${table.sql} ${values.join(', ')}${table.conflict ? ` ${table.conflict}` : ''}`,
+      params
+    );
+  }
+}
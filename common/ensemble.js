@@ -0,0 +1,62 @@
+// Signal ensemble: one signal per symbol from the signals of several strategies.
+//
+// Each buy or sell is read as a probability that the price goes up: its confidence for a buy,
+// 1 - confidence for a sell (so confidences should be calibrated, see common/calibration.js),
+// kept on the voter's own side of 0.5: a buy below 0.5 confidence counts as 0.5, no edge, and
+// never as a vote to sell. The ensemble's probability is their weighted average, holds
+// abstaining; it buys above 0.5 and sells below, with confidence max(p, 1 - p). Strategies that
+// disagree, or have no edge, therefore pull the combined confidence towards 0.5. The result is a
+// hold instead when
+//   - fewer than minVoters strategies have a buy or sell (reason 'too_few_votes'),
+//   - the probability is exactly 0.5: 'no_agreement' when both sides have an edge, else
+//     'low_confidence',
+//   - the weight on the winning side is under minAgreement of the voting weight ('no_agreement'),
+//   - a veto strategy signals the other side with at least its minConfidence ('veto').
+//
+// Config: { weights?: { [strategyId]: number }, defaultWeight = 1, minVoters = 1,
+//           minAgreement = 0, vetoes?: [{ strategyId, minConfidence = 0 }] }
+// A weight of 0 leaves a strategy out of the vote (it can still veto).
+
+const round4 = (x) => Math.round(x * 1e4) / 1e4;
+const isActionable = (s) => s.side === 'buy' || s.side === 'sell';
+
+export function combineSignals(signals, config = {}) {
+  const { weights = {}, defaultWeight = 1, minVoters = 1, minAgreement = 0, vetoes = [] } = config;
+  const weightOf = (s) => Math.max(0, Number(weights[s.strategyId] ?? defaultWeight) || 0);
+  const votes = { buy: 0, sell: 0, hold: 0 };
+  let total = 0;
+  let up = 0;
+  let voters = 0;
+  const edges = { buy: false, sell: false };
+  for (const s of signals) {
+    const w = weightOf(s);
+    if (!isActionable(s)) {
+      votes.hold += w;
+      continue;
+    }
+    if (!(w > 0)) continue;
+    votes[s.side] += w;
+    total += w;
+    up += w * (s.side === 'buy' ? Math.max(0.5, s.confidence) : Math.min(0.5, 1 - s.confidence));
+    if (s.confidence > 0.5) edges[s.side] = true;
+    voters += 1;
+  }
+  for (const k of Object.keys(votes)) votes[k] = round4(votes[k]);
+
+  const pUp = total > 0 ? up / total : 0.5;
+  const side = pUp > 0.5 ? 'buy' : pUp < 0.5 ? 'sell' : 'hold';
+  const hold = (reason, extra = {}) => ({ side: 'hold', confidence: 0, votes, reason, ...extra });
+  if (voters < Math.max(1, minVoters)) return hold('too_few_votes');
+  if (side === 'hold')
+    return edges.buy && edges.sell
+      ? hold('no_agreement', { agreement: 0.5 })
+      : hold('low_confidence');
+  const agreement = round4(votes[side] / (votes.buy + votes.sell));
+  if (agreement < minAgreement) return hold('no_agreement', { agreement });
+  for (const v of vetoes) {
+    const s = signals.find((x) => x.strategyId === v.strategyId);
+    if (s && isActionable(s) && s.side !== side && s.confidence >= (v.minConfidence ?? 0))
+      return hold('veto', { agreement, vetoedBy: s.strategyId });
+  }
+  return { side, confidence: round4(Math.max(pUp, 1 - pUp)), votes, agreement };
+}
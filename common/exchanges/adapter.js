@@ -1,12 +1,16 @@
 // Exchange adapter interface (documentation)
 //
-// Adapters encapsulate order placement and (eventually) account/trade queries.
+// Adapters encapsulate order placement and account/trade queries.
 // They should be pure modules that read configuration from env or passed options,
 // and never mutate global state. All network I/O should be retriable and respect
-// rate limits and idempotency keys.
+// rate limits and idempotency keys. Methods report venue failures in the result
+// (`reason` from REJECT_REASONS) rather than throwing.
 //
-// Required method (initial):
-// - async placeOrder({ orderId, symbol, side, qty }):
+// - async placeOrder({ orderId, symbol, side, qty, type?, limitPrice?, stopPrice?, timeInForce?,
+//                       trailAmount?, trailPercent? }):
+//     type is one of ORDER_TYPES (default market) and timeInForce one of TIME_IN_FORCE; see
+//     normalizeOrderParams for which combinations are valid. Venues that cannot express a
+//     combination reject it with invalid_params.
 //     Returns an object:
 //       {
 //         filled: boolean,
@@ -17,14 +21,168 @@
 //         price?: number,    // execution price (if known)
 //         notional?: number, // abs(qty)*price
 //         fee?: number,      // fees paid for the trade
+//         exchangeOrderId?: string, // venue order id (if different from orderId)
+//         status?: string,   // ORDER_STATUS when not filled: new/partially_filled (working),
+//                            // canceled/expired (IOC/FOK remainder, untriggered)
+//         filledQty?: number,
+//         reason?: string,   // one of REJECT_REASONS when the venue rejected the order
 //         raw?: any          // optional raw response or diagnostic info
 //       }
 //
-// Optional future methods:
-// - async getOrder({ orderId })
-// - async cancelOrder({ orderId })
-// - async fetchBalance()
-// - async fetchTrades({ since })
+// - async getOrder({ orderId, symbol?, exchangeOrderId? }):
+//       {
+//         found: boolean,
+//         orderId: string,
+//         status?: ORDER_STATUS value,
+//         symbol?, side?, qty?,
+//         filledQty?: number,
+//         price?: number,    // average fill price
+//         fee?: number,
+//         reason?: string,
+//         raw?: any
+//       }
+//
+// - async cancelOrder({ orderId, symbol?, exchangeOrderId? }):
+//       { canceled: boolean, orderId: string, reason?: string, raw?: any }
+//
+// - async amendOrder({ orderId, symbol?, exchangeOrderId?, qty?, limitPrice?, stopPrice? })
+//   (optional; venues that modify a working order in place, keeping its fills):
+//       { amended: boolean, orderId: string, reason?: string, raw?: any }
+//     qty is the new total quantity and must exceed what has filled. Changes the venue cannot
+//     make are rejected with invalid_params (raw.error amend_not_supported).
+//
+// - async fetchBalance():
+//       { balances: { [asset]: { free: number, locked: number, total: number } }, reason?, raw? }
+//
+// - async fetchTrades({ symbol?, since? }):   // since: epoch ms
+//       {
+//         trades: [{ id, orderId?, exchangeOrderId?, symbol, side, qty, price, notional, fee, ts }],
+//         reason?: string,
+//         raw?: any
+//       }
+//
+// - async fetchInstruments() (optional; venues with an exchange-info call):
+//       { instruments: [{ symbol, venueSymbol?, base, quote, tickSize?, stepSize?, minQty?,
+//                         maxQty?, minNotional? }], reason?, raw? }   // see instruments.js
+//
+// - async fetchTicker({ symbol }) (optional; used by the order router in router.js):
+//       { symbol, bid?: number, ask?: number, price?: number, ts?, reason?, raw? }
+//
+// - subscribeUserData({ onExecution, logger? }) (optional; venue private streams):
+//       { stop(), reason? }   // see user-stream.js for the execution event shape
+//
+// - venueSymbol: calls that take a symbol may also carry the venue's own id for it, from the
+//   instrument registry (withVenueSymbols in instruments.js); adapters send it when present and
+//   keep reporting `symbol`
+//
+// - supportsTrailingStop (optional boolean): the venue accepts trailing_stop orders; for other
+//   venues the trade executor tracks the stop itself (see trailing.js)
 //
-// See implementations in this folder for paper, binance, and coinbase stubs.
-export {};
+// See implementations in this folder for paper, binance, and coinbase.
+
+// Normalized order states returned by getOrder
+export const ORDER_STATUS = Object.freeze({
+  NEW: 'new',
+  PARTIALLY_FILLED: 'partially_filled',
+  FILLED: 'filled',
+  CANCELED: 'canceled',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired',
+});
+
+export const ORDER_TYPES = Object.freeze({
+  MARKET: 'market',
+  LIMIT: 'limit',
+  STOP: 'stop', // market order once the stop price trades
+  STOP_LIMIT: 'stop_limit', // limit order once the stop price trades
+  TRAILING_STOP: 'trailing_stop', // stop that follows the best price by trailAmount/trailPercent
+});
+
+export const TIME_IN_FORCE = Object.freeze({
+  GTC: 'GTC',
+  IOC: 'IOC',
+  FOK: 'FOK',
+  POST_ONLY: 'POST_ONLY', // GTC limit that is rejected rather than taking liquidity
+});
+
+// Typed rejection reasons shared by all adapters. Venue-specific error codes are
+// mapped onto these so the trade executor can act without knowing the venue.
+export const REJECT_REASONS = Object.freeze({
+  MISSING_CREDS: 'missing_creds',
+  AUTH_FAILED: 'auth_failed',
+  INSUFFICIENT_BALANCE: 'insufficient_balance',
+  INVALID_SYMBOL: 'invalid_symbol',
+  INVALID_QUANTITY: 'invalid_quantity',
+  INVALID_PARAMS: 'invalid_params',
+  ORDER_REJECTED: 'order_rejected',
+  RATE_LIMITED: 'rate_limited',
+  TIMESTAMP_SKEW: 'timestamp_skew',
+  EXCHANGE_UNAVAILABLE: 'exchange_unavailable',
+  EXCHANGE_ERROR: 'exchange_error',
+  UNKNOWN_ORDER: 'unknown_order',
+  NOT_CANCELABLE: 'not_cancelable',
+  NO_MARKET_DATA: 'no_market_data',
+  BELOW_MIN_NOTIONAL: 'below_min_notional',
+  CIRCUIT_OPEN: 'circuit_open', // set by the resilience wrapper, not by venues
+});
+
+// Reasons where resubmitting the same order later may succeed
+const RETRYABLE = new Set([
+  REJECT_REASONS.RATE_LIMITED,
+  REJECT_REASONS.TIMESTAMP_SKEW,
+  REJECT_REASONS.EXCHANGE_UNAVAILABLE,
+  REJECT_REASONS.CIRCUIT_OPEN,
+]);
+
+export function isRetryableReason(reason) {
+  return RETRYABLE.has(reason);
+}
+
+const num = (v) => (v == null || v === '' ? undefined : Number(v));
+
+// Validate and default an order's type fields. Accepts loose spellings ('Stop-Limit', 'post-only').
+// Returns { type, limitPrice?, stopPrice?, timeInForce?, trailAmount?, trailPercent? } or
+// { reason: invalid_params, detail }.
+// Defaults: type market; timeInForce GTC for limit and stop_limit, none for market, stop and
+// trailing_stop, which only accept IOC. POST_ONLY is only valid on limit orders. A trailing stop
+// needs exactly one of trailAmount (price units) or trailPercent (0-100).
+export function normalizeOrderParams({
+  type,
+  limitPrice,
+  stopPrice,
+  timeInForce,
+  trailAmount,
+  trailPercent,
+} = {}) {
+  const t = String(type || ORDER_TYPES.MARKET)
+    .toLowerCase()
+    .replace(/-/g, '_');
+  const tif = timeInForce ? String(timeInForce).toUpperCase().replace(/-/g, '_') : undefined;
+  const invalid = (error) => ({
+    reason: REJECT_REASONS.INVALID_PARAMS,
+    detail: { error, type, limitPrice, stopPrice, timeInForce, trailAmount, trailPercent },
+  });
+  if (!Object.values(ORDER_TYPES).includes(t)) return invalid('unknown_type');
+  if (tif && !Object.values(TIME_IN_FORCE).includes(tif)) return invalid('unknown_time_in_force');
+  const hasLimit = t === ORDER_TYPES.LIMIT || t === ORDER_TYPES.STOP_LIMIT;
+  const hasStop = t === ORDER_TYPES.STOP || t === ORDER_TYPES.STOP_LIMIT;
+  const lp = num(limitPrice);
+  const sp = num(stopPrice);
+  if (hasLimit && !(lp > 0)) return invalid('limit_price_required');
+  if (hasStop && !(sp > 0)) return invalid('stop_price_required');
+  const trailing = t === ORDER_TYPES.TRAILING_STOP;
+  const ta = num(trailAmount);
+  const tp = num(trailPercent);
+  if (trailing && (ta != null) === (tp != null)) return invalid('trail_required');
+  if (trailing && !(ta > 0 || (tp > 0 && tp < 100))) return invalid('trail_invalid');
+  if (!hasLimit && tif && tif !== TIME_IN_FORCE.IOC) return invalid('time_in_force_not_supported');
+  if (tif === TIME_IN_FORCE.POST_ONLY && t !== ORDER_TYPES.LIMIT)
+    return invalid('time_in_force_not_supported');
+  const out = { type: t };
+  if (hasLimit) out.limitPrice = lp;
+  if (hasStop) out.stopPrice = sp;
+  if (trailing && ta != null) out.trailAmount = ta;
+  if (trailing && tp != null) out.trailPercent = tp;
+  if (hasLimit || tif) out.timeInForce = tif || TIME_IN_FORCE.GTC;
+  return out;
+}
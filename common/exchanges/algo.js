@@ -0,0 +1,210 @@
+// Execution algorithms: split a parent order into child orders over time.
+//
+// Parent order field:
+//   algo: { type: 'twap', durationSec, slices? }              // equal slices, evenly spaced
+//       | { type: 'vwap', durationSec, slices?, profile? }    // slices sized by a volume profile
+//       | { type: 'iceberg', displayQty }                     // one visible limit child at a time
+//
+// TWAP/VWAP send slice i at start + i * durationSec / slices. Each slice tops the parent up to its
+// cumulative target (qty * share of the profile so far) minus what is filled or still working, so
+// a slice that expired or was rejected is caught up by the next one. Without a profile VWAP uses
+// equal weights. Iceberg sends the next displayQty child only when the previous one has closed.
+// Children are market orders for a market parent and limit orders at the parent's limit otherwise
+// (IOC for TWAP/VWAP, GTC for iceberg).
+//
+// Algo state (stored as JSON on the parent's exec:orders hash):
+//   { ...spec, state: ALGO_STATES, startedAt, nextSlice, nextAt, pausedAt?,
+//     children: { [orderId]: { qty, filledQty, price?, fee?, status } } }
+
+import { ORDER_TYPES, REJECT_REASONS, TIME_IN_FORCE } from './adapter.js';
+import { isTerminalState, stateOfStatus } from './order-state.js';
+
+export const ALGO_TYPES = Object.freeze({ TWAP: 'twap', VWAP: 'vwap', ICEBERG: 'iceberg' });
+
+export const ALGO_STATES = Object.freeze({
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  CANCELING: 'canceling', // no new children; waits for working children to close
+  DONE: 'done',
+});
+
+const childClosed = (child) => isTerminalState(stateOfStatus(child));
+const EPS = 1e-9;
+const round8 = (x) => Math.round(x * 1e8) / 1e8;
+const num = (v) => {
+  const n = parseFloat(v);
+  return Number.isFinite(n) && n > 0 ? n : undefined;
+};
+
+// Validate a parent's algo spec: returns { algo } or { reason: 'invalid_params', detail }
+export function normalizeAlgo({ algo, type, limitPrice } = {}) {
+  const invalid = (error) => ({ reason: REJECT_REASONS.INVALID_PARAMS, detail: { error, algo } });
+  const kind = String(algo?.type || '').toLowerCase();
+  if (!Object.values(ALGO_TYPES).includes(kind)) return invalid('unknown_algo');
+  const orderType = type || ORDER_TYPES.MARKET;
+  if (![ORDER_TYPES.MARKET, ORDER_TYPES.LIMIT].includes(orderType))
+    return invalid('algo_order_type_not_supported');
+
+  if (kind === ALGO_TYPES.ICEBERG) {
+    const displayQty = num(algo.displayQty);
+    if (!displayQty) return invalid('display_qty_required');
+    if (orderType !== ORDER_TYPES.LIMIT || !num(limitPrice)) return invalid('limit_price_required');
+    return { algo: { type: kind, displayQty } };
+  }
+  const durationSec = num(algo.durationSec);
+  if (!durationSec) return invalid('duration_required');
+  const slices = algo.slices == null ? 10 : parseInt(algo.slices, 10);
+  if (!(slices >= 1)) return invalid('slices_invalid');
+  const out = { type: kind, durationSec, slices };
+  if (kind === ALGO_TYPES.VWAP && algo.profile != null) {
+    const profile = Array.isArray(algo.profile) ? algo.profile.map(Number) : [];
+    if (profile.length !== slices || profile.some((w) => !(w >= 0)) || !profile.some((w) => w > 0))
+      return invalid('profile_invalid');
+    out.profile = profile;
+  }
+  return { algo: out };
+}
+
+export function startAlgo(spec, now = Date.now()) {
+  return {
+    ...spec,
+    state: ALGO_STATES.RUNNING,
+    startedAt: new Date(now).toISOString(),
+    nextSlice: 0,
+    nextAt: now,
+    children: {},
+  };
+}
+
+// Share of the parent that should be filled or working once slice i has been sent
+function cumulativeShare(algo, i) {
+  const weights = algo.profile || Array(algo.slices).fill(1);
+  const total = weights.reduce((s, w) => s + w, 0);
+  return weights.slice(0, i + 1).reduce((s, w) => s + w, 0) / total;
+}
+
+// Fill progress derived from the children
+export function algoProgress(algo, qty) {
+  let filledQty = 0;
+  let notional = 0;
+  let fee = 0;
+  let workingQty = 0;
+  const children = Object.values(algo.children || {});
+  for (const c of children) {
+    const f = Number(c.filledQty) || 0;
+    filledQty += f;
+    notional += f * (Number(c.price) || 0);
+    fee += Number(c.fee) || 0;
+    if (!childClosed(c)) workingQty += Math.max(0, c.qty - f);
+  }
+  return {
+    type: algo.type,
+    state: algo.state,
+    qty,
+    filledQty: round8(filledQty),
+    workingQty: round8(workingQty),
+    remainingQty: round8(Math.max(0, qty - filledQty)),
+    price: filledQty > 0 ? notional / filledQty : undefined,
+    fee,
+    children: children.length,
+    slicesSent: algo.slices ? algo.nextSlice : undefined,
+    slices: algo.slices,
+  };
+}
+
+// Decide the next child for a running algo at time `now`. Returns { algo, childQty? }; the
+// returned algo has its schedule advanced whether or not a child is due.
+export function nextChild(algo, qty, now = Date.now()) {
+  if (algo.state !== ALGO_STATES.RUNNING) return { algo };
+  const { filledQty, workingQty } = algoProgress(algo, qty);
+  if (algo.type === ALGO_TYPES.ICEBERG) {
+    if (workingQty > EPS) return { algo };
+    const childQty = round8(Math.min(algo.displayQty, qty - filledQty));
+    return childQty > EPS ? { algo, childQty } : { algo };
+  }
+  if (algo.nextSlice >= algo.slices || now < algo.nextAt) return { algo };
+  const target = qty * cumulativeShare(algo, algo.nextSlice);
+  const next = {
+    ...algo,
+    nextSlice: algo.nextSlice + 1,
+    nextAt: algo.nextAt + (algo.durationSec * 1000) / algo.slices,
+  };
+  const childQty = round8(target - filledQty - workingQty);
+  return childQty > EPS ? { algo: next, childQty } : { algo: next };
+}
+
+// Child order payload for exec.orders
+export function childOrder(parent, algo, qty) {
+  const n = Object.keys(algo.children).length + 1;
+  const limit = parent.type === ORDER_TYPES.LIMIT;
+  return {
+    orderId: `${parent.orderId}-c${n}`,
+    parentId: parent.orderId,
+    algoSlice: n,
+    symbol: parent.symbol,
+    side: parent.side,
+    qty,
+    type: limit ? ORDER_TYPES.LIMIT : ORDER_TYPES.MARKET,
+    ...(limit && {
+      limitPrice: parent.limitPrice,
+      timeInForce: algo.type === ALGO_TYPES.ICEBERG ? TIME_IN_FORCE.GTC : TIME_IN_FORCE.IOC,
+    }),
+    traceId: parent.traceId,
+    ...(parent.strategyId && { strategyId: parent.strategyId }),
+  };
+}
+
+export function addChild(algo, child) {
+  return {
+    ...algo,
+    children: {
+      ...algo.children,
+      [child.orderId]: { qty: child.qty, filledQty: 0, status: 'submitted' },
+    },
+  };
+}
+
+// Record an exec.status of one of the children
+export function applyChildStatus(algo, status) {
+  const prev = algo.children?.[status.orderId];
+  if (!prev || childClosed(prev)) return algo;
+  const filledQty =
+    status.status === 'filled'
+      ? (status.qty ?? prev.qty) // the venue may have been sent a rounded qty
+      : (status.filledQty ?? prev.filledQty ?? 0);
+  return {
+    ...algo,
+    children: {
+      ...algo.children,
+      [status.orderId]: {
+        ...prev,
+        status: status.status,
+        filledQty: Number(filledQty) || 0,
+        price: status.price ?? prev.price,
+        fee: status.fee ?? prev.fee,
+      },
+    },
+  };
+}
+
+export const pauseAlgo = (algo, now = Date.now()) =>
+  algo.state === ALGO_STATES.RUNNING ? { ...algo, state: ALGO_STATES.PAUSED, pausedAt: now } : algo;
+
+// Remaining slices keep their spacing, shifted by the time spent paused
+export function resumeAlgo(algo, now = Date.now()) {
+  if (algo.state !== ALGO_STATES.PAUSED) return algo;
+  const { pausedAt, ...rest } = algo;
+  return { ...rest, state: ALGO_STATES.RUNNING, nextAt: algo.nextAt + (now - (pausedAt || now)) };
+}
+
+// 'filled' once the children cover the parent, 'exhausted' when nothing more will be sent and
+// nothing is working (schedule over, canceled, or an iceberg child rejected); else null
+export function algoOutcome(algo, qty) {
+  const { filledQty, workingQty } = algoProgress(algo, qty);
+  if (filledQty >= qty - EPS) return 'filled';
+  if (workingQty > EPS) return null;
+  if (algo.state === ALGO_STATES.CANCELING) return 'exhausted';
+  if (algo.type === ALGO_TYPES.ICEBERG)
+    return Object.values(algo.children).some((c) => c.status === 'rejected') ? 'exhausted' : null;
+  return algo.nextSlice >= algo.slices ? 'exhausted' : null;
+}
@@ -1,10 +1,25 @@
-// Binance adapter (stub implementation)
+// Binance adapter (spot REST)
 // Reads credentials from env or *_FILE secrets
 // - BINANCE_API_KEY or BINANCE_API_KEY_FILE
 // - BINANCE_API_SECRET or BINANCE_API_SECRET_FILE
-// Network I/O is intentionally omitted here and should be filled when going live.
+// Optional:
+// - BINANCE_BASE_URL: REST endpoint (default https://api.binance.com); point at a local mock in tests
+// - BINANCE_RECV_WINDOW: recvWindow in ms for signed requests (default 5000)
+// - BINANCE_TIMEOUT_MS: per-request timeout in ms (default 10000)
+// - BINANCE_WS_URL: user-data websocket endpoint (default wss://stream.binance.com:9443)
+// - BINANCE_LISTEN_KEY_KEEPALIVE_MS: listen key keepalive interval (default 30 minutes)
 
+import crypto from 'node:crypto';
 import fs from 'node:fs';
+import {
+  ORDER_STATUS,
+  ORDER_TYPES,
+  REJECT_REASONS,
+  TIME_IN_FORCE,
+  normalizeOrderParams,
+} from './adapter.js';
+import { createReconnectingSocket } from './user-stream.js';
+import { normalizeSymbol } from '../market-data.js';
 
 function readSecret(path) {
   try {
@@ -23,16 +38,442 @@ function getCreds() {
   return { key, secret };
 }
 
+// BTC-USD -> BTCUSD (Binance symbols carry no separator). Pairs whose id differs from our
+// symbol (BTC-USD traded as BTCUSDT) come as venueSymbol from the instrument registry.
+export function toBinanceSymbol(symbol) {
+  return String(symbol || '')
+    .replace(/[-/_]/g, '')
+    .toUpperCase();
+}
+
+export function sign(query, secret) {
+  return crypto.createHmac('sha256', secret).update(query).digest('hex');
+}
+
+// Binance rejects exponent notation, so render quantities as plain decimals
+function formatDecimal(n) {
+  return Number(n)
+    .toFixed(8)
+    .replace(/\.?0+$/, '');
+}
+
+// Map Binance error payloads / HTTP statuses to REJECT_REASONS
+export function mapBinanceError({ httpStatus, code, msg = '' }) {
+  const text = String(msg).toLowerCase();
+  if (httpStatus === 429 || httpStatus === 418 || code === -1003 || code === -1015)
+    return REJECT_REASONS.RATE_LIMITED;
+  if (code === -1021) return REJECT_REASONS.TIMESTAMP_SKEW;
+  if (code === -1022 || code === -2014 || code === -2015 || httpStatus === 401)
+    return REJECT_REASONS.AUTH_FAILED;
+  if (code === -1121) return REJECT_REASONS.INVALID_SYMBOL;
+  if (code === -2011 || code === -2013) return REJECT_REASONS.UNKNOWN_ORDER;
+  if (code === -1013 || code === -1111) return REJECT_REASONS.INVALID_QUANTITY;
+  if (code === -2010) {
+    if (text.includes('insufficient balance')) return REJECT_REASONS.INSUFFICIENT_BALANCE;
+    return REJECT_REASONS.ORDER_REJECTED;
+  }
+  if (typeof code === 'number' && code <= -1100 && code >= -1199)
+    return REJECT_REASONS.INVALID_PARAMS;
+  if (httpStatus >= 500 || code === -1001 || code === -1007)
+    return REJECT_REASONS.EXCHANGE_UNAVAILABLE;
+  return REJECT_REASONS.EXCHANGE_ERROR;
+}
+
+// Normalized order type fields (see normalizeOrderParams) -> Binance order params
+export function toBinanceOrderParams({ type, limitPrice, stopPrice, timeInForce }) {
+  switch (type) {
+    case ORDER_TYPES.LIMIT:
+      return timeInForce === TIME_IN_FORCE.POST_ONLY
+        ? { type: 'LIMIT_MAKER', price: formatDecimal(limitPrice) }
+        : { type: 'LIMIT', timeInForce, price: formatDecimal(limitPrice) };
+    case ORDER_TYPES.STOP:
+      return { type: 'STOP_LOSS', stopPrice: formatDecimal(stopPrice) };
+    case ORDER_TYPES.STOP_LIMIT:
+      return {
+        type: 'STOP_LOSS_LIMIT',
+        timeInForce,
+        price: formatDecimal(limitPrice),
+        stopPrice: formatDecimal(stopPrice),
+      };
+    default:
+      return { type: 'MARKET' };
+  }
+}
+
+// Commissions of fills [{ price, commission, commissionAsset }] on `symbol` as a quote currency
+// fee: quote asset commissions count as they are, base asset ones at the fill's price. Other
+// assets (BNB) cannot be priced here, so they stay out of fee and are summed per asset in
+// otherFees. A commission without an asset is taken as quote.
+export function binanceCommissions(fills, symbol) {
+  const [base, quote] = String(normalizeSymbol(symbol) || '').split('-');
+  let fee = 0;
+  const otherFees = {};
+  for (const f of fills) {
+    const amount = parseFloat(f.commission || '0');
+    if (!amount) continue;
+    const asset = f.commissionAsset ? String(f.commissionAsset).toUpperCase() : quote;
+    if (asset === quote) fee += amount;
+    else if (asset === base) fee += amount * parseFloat(f.price);
+    else otherFees[asset] = (otherFees[asset] || 0) + amount;
+  }
+  return { fee, otherFees };
+}
+
+// Parse a FULL order response into the adapter result fields
+export function parseBinanceOrder(data, symbol = data?.symbol) {
+  const fills = Array.isArray(data?.fills) ? data.fills : [];
+  const executedQty = parseFloat(data?.executedQty || '0');
+  let notional = parseFloat(data?.cummulativeQuoteQty || 'NaN');
+  if (isNaN(notional))
+    notional = fills.reduce((s, f) => s + parseFloat(f.price) * parseFloat(f.qty), 0);
+  const { fee, otherFees } = binanceCommissions(fills, symbol);
+  const price = executedQty > 0 ? notional / executedQty : undefined;
+  return {
+    filled: data?.status === 'FILLED',
+    executedQty,
+    price,
+    notional,
+    fee,
+    otherFees,
+  };
+}
+
+// exchangeInfo symbols -> instrument registry entries (see instruments.js)
+export function parseBinanceInstruments(info) {
+  return (info?.symbols || [])
+    .filter((s) => !s.status || s.status === 'TRADING')
+    .map((s) => {
+      const f = Object.fromEntries((s.filters || []).map((x) => [x.filterType, x]));
+      const notional = f.NOTIONAL || f.MIN_NOTIONAL;
+      return {
+        symbol: `${s.baseAsset}-${s.quoteAsset}`,
+        venueSymbol: s.symbol,
+        base: s.baseAsset,
+        quote: s.quoteAsset,
+        tickSize: f.PRICE_FILTER?.tickSize,
+        stepSize: f.LOT_SIZE?.stepSize,
+        minQty: f.LOT_SIZE?.minQty,
+        maxQty: f.LOT_SIZE?.maxQty,
+        minNotional: notional?.minNotional,
+      };
+    });
+}
+
+const STATUS_MAP = {
+  NEW: ORDER_STATUS.NEW,
+  PENDING_NEW: ORDER_STATUS.NEW,
+  PARTIALLY_FILLED: ORDER_STATUS.PARTIALLY_FILLED,
+  FILLED: ORDER_STATUS.FILLED,
+  CANCELED: ORDER_STATUS.CANCELED,
+  PENDING_CANCEL: ORDER_STATUS.CANCELED,
+  REJECTED: ORDER_STATUS.REJECTED,
+  EXPIRED: ORDER_STATUS.EXPIRED,
+  EXPIRED_IN_MATCH: ORDER_STATUS.EXPIRED,
+};
+
+// executionReport user-data event -> normalized execution (see user-stream.js).
+// lastFee is this trade's commission in the quote currency (see binanceCommissions), which the
+// subscription accumulates into fee; a commission in another asset is in lastOtherFees.
+export function parseBinanceExecutionReport(msg) {
+  if (msg?.e !== 'executionReport') return null;
+  const filledQty = parseFloat(msg.z || '0');
+  const cumQuote = parseFloat(msg.Z || '0');
+  const last = binanceCommissions(
+    [{ price: msg.L, commission: msg.n, commissionAsset: msg.N }],
+    msg.s
+  );
+  return {
+    // cancels carry a fresh client id in c and the original one in C
+    orderId: String(msg.C || msg.c),
+    exchangeOrderId: String(msg.i),
+    symbol: msg.s,
+    side: String(msg.S || '').toLowerCase(),
+    status: STATUS_MAP[msg.X] || ORDER_STATUS.NEW,
+    qty: parseFloat(msg.q || '0'),
+    filledQty,
+    price: filledQty > 0 ? cumQuote / filledQty : undefined,
+    lastQty: parseFloat(msg.l || '0'),
+    lastPrice: parseFloat(msg.L || '0'),
+    lastFee: last.fee,
+    ...(Object.keys(last.otherFees).length && { lastOtherFees: last.otherFees }),
+    ts: new Date(msg.T || msg.E || Date.now()).toISOString(),
+    raw: msg,
+  };
+}
+
 export function getBinanceAdapter() {
   const creds = getCreds();
+  const baseUrl = (process.env.BINANCE_BASE_URL || 'https://api.binance.com').replace(/\/+$/, '');
+  const recvWindow = parseInt(process.env.BINANCE_RECV_WINDOW || '5000', 10);
+  const timeoutMs = parseInt(process.env.BINANCE_TIMEOUT_MS || '10000', 10);
+  const wsUrl = (process.env.BINANCE_WS_URL || 'wss://stream.binance.com:9443').replace(/\/+$/, '');
+  const keepaliveMs = parseInt(process.env.BINANCE_LISTEN_KEY_KEEPALIVE_MS || '1800000', 10);
+  const hasCreds = () => Boolean(creds.key && creds.secret);
+
+  // Resolves to { data } on success or { reason, raw } on failure
+  async function send(url, init) {
+    let resp;
+    try {
+      resp = await fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+    } catch (e) {
+      return {
+        reason: REJECT_REASONS.EXCHANGE_UNAVAILABLE,
+        raw: { error: String(e?.message || e) },
+      };
+    }
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      return {
+        reason: mapBinanceError({ httpStatus: resp.status, code: data.code, msg: data.msg }),
+        raw: { httpStatus: resp.status, code: data.code, msg: data.msg },
+      };
+    }
+    return { data };
+  }
+
+  function signedRequest(method, path, params = {}) {
+    const query = new URLSearchParams({
+      ...params,
+      recvWindow: String(recvWindow),
+      timestamp: String(Date.now()),
+    }).toString();
+    const signed = `${query}&signature=${sign(query, creds.secret)}`;
+    const isPost = method === 'POST';
+    return send(`${baseUrl}${path}${isPost ? '' : `?${signed}`}`, {
+      method,
+      headers: {
+        'X-MBX-APIKEY': creds.key,
+        ...(isPost ? { 'Content-Type': 'application/x-www-form-urlencoded' } : {}),
+      },
+      body: isPost ? signed : undefined,
+    });
+  }
+
   return {
-    async placeOrder({ orderId, symbol, side, qty }) {
-      if (!creds.key || !creds.secret) {
+    async placeOrder({
+      orderId,
+      symbol,
+      venueSymbol,
+      side,
+      qty,
+      type,
+      limitPrice,
+      stopPrice,
+      timeInForce,
+    }) {
+      if (!hasCreds()) {
         // Stub: reject when creds missing
-        return { filled: false, orderId, symbol, side, qty, raw: { error: 'missing_creds' } };
+        const reason = REJECT_REASONS.MISSING_CREDS;
+        return { filled: false, orderId, symbol, side, qty, reason, raw: { error: reason } };
+      }
+      const params = normalizeOrderParams({ type, limitPrice, stopPrice, timeInForce });
+      if (params.reason)
+        return {
+          filled: false,
+          orderId,
+          symbol,
+          side,
+          qty,
+          reason: params.reason,
+          raw: params.detail,
+        };
+      const pair = venueSymbol || toBinanceSymbol(symbol);
+      const { data, reason, raw } = await signedRequest('POST', '/api/v3/order', {
+        symbol: pair,
+        side: String(side).toUpperCase(),
+        ...toBinanceOrderParams(params),
+        quantity: formatDecimal(Math.abs(qty)),
+        newClientOrderId: String(orderId),
+        newOrderRespType: 'FULL',
+      });
+      if (reason) return { filled: false, orderId, symbol, side, qty, reason, raw };
+      const parsed = parseBinanceOrder(data, pair);
+      const out = {
+        filled: parsed.filled,
+        orderId,
+        symbol,
+        side,
+        qty,
+        price: parsed.price,
+        notional: parsed.notional,
+        fee: parsed.fee,
+        ...(Object.keys(parsed.otherFees).length && { otherFees: parsed.otherFees }),
+        exchangeOrderId: data.orderId != null ? String(data.orderId) : undefined,
+        raw: data,
+      };
+      if (!parsed.filled) {
+        out.status = STATUS_MAP[data.status] || ORDER_STATUS.NEW;
+        out.filledQty = parsed.executedQty;
+      }
+      // Market orders that expire unfilled (e.g. no liquidity) count as venue rejections;
+      // an unfilled IOC/FOK limit simply expired
+      const unfilled = ['EXPIRED', 'REJECTED', 'CANCELED'].includes(data.status);
+      if (
+        unfilled &&
+        !parsed.executedQty &&
+        (params.type === ORDER_TYPES.MARKET || data.status === 'REJECTED')
+      )
+        out.reason = REJECT_REASONS.ORDER_REJECTED;
+      return out;
+    },
+
+    async getOrder({ orderId, symbol, venueSymbol }) {
+      if (!hasCreds()) return { found: false, orderId, reason: REJECT_REASONS.MISSING_CREDS };
+      const pair = venueSymbol || toBinanceSymbol(symbol);
+      const { data, reason, raw } = await signedRequest('GET', '/api/v3/order', {
+        symbol: pair,
+        origClientOrderId: String(orderId),
+      });
+      if (reason) return { found: false, orderId, reason, raw };
+      const parsed = parseBinanceOrder(data, pair);
+      return {
+        found: true,
+        orderId,
+        status: STATUS_MAP[data.status] || ORDER_STATUS.NEW,
+        symbol,
+        side: String(data.side || '').toLowerCase(),
+        qty: parseFloat(data.origQty || '0'),
+        filledQty: parsed.executedQty,
+        price: parsed.price,
+        raw: data,
+      };
+    },
+
+    async cancelOrder({ orderId, symbol, venueSymbol }) {
+      if (!hasCreds()) return { canceled: false, orderId, reason: REJECT_REASONS.MISSING_CREDS };
+      const { data, reason, raw } = await signedRequest('DELETE', '/api/v3/order', {
+        symbol: venueSymbol || toBinanceSymbol(symbol),
+        origClientOrderId: String(orderId),
+      });
+      if (reason) return { canceled: false, orderId, reason, raw };
+      return { canceled: data.status === 'CANCELED', orderId, raw: data };
+    },
+
+    // Binance only reduces the quantity of a working order in place (amend keepPriority); a new
+    // price needs a cancel and a fresh order
+    async amendOrder({ orderId, symbol, venueSymbol, qty, limitPrice, stopPrice }) {
+      if (!hasCreds()) return { amended: false, orderId, reason: REJECT_REASONS.MISSING_CREDS };
+      if (qty == null || limitPrice != null || stopPrice != null)
+        return {
+          amended: false,
+          orderId,
+          reason: REJECT_REASONS.INVALID_PARAMS,
+          raw: { error: 'amend_not_supported' },
+        };
+      const { data, reason, raw } = await signedRequest('PUT', '/api/v3/order/amend/keepPriority', {
+        symbol: venueSymbol || toBinanceSymbol(symbol),
+        origClientOrderId: String(orderId),
+        newQty: formatDecimal(Math.abs(qty)),
+      });
+      if (reason) return { amended: false, orderId, reason, raw };
+      return { amended: true, orderId, raw: data };
+    },
+
+    async fetchBalance() {
+      if (!hasCreds()) return { balances: {}, reason: REJECT_REASONS.MISSING_CREDS };
+      const { data, reason, raw } = await signedRequest('GET', '/api/v3/account');
+      if (reason) return { balances: {}, reason, raw };
+      const balances = {};
+      for (const b of data.balances || []) {
+        const free = parseFloat(b.free || '0');
+        const locked = parseFloat(b.locked || '0');
+        if (free === 0 && locked === 0) continue;
+        balances[b.asset] = { free, locked, total: free + locked };
       }
-      // TODO: implement signed REST request to /api/v3/order and return parsed fill
-      return { filled: false, orderId, symbol, side, qty, raw: { note: 'binance stub' } };
+      return { balances, raw: data };
+    },
+
+    // Binance requires a symbol for trade history
+    async fetchTrades({ symbol, venueSymbol, since } = {}) {
+      if (!hasCreds()) return { trades: [], reason: REJECT_REASONS.MISSING_CREDS };
+      if (!symbol) return { trades: [], reason: REJECT_REASONS.INVALID_SYMBOL };
+      const params = { symbol: venueSymbol || toBinanceSymbol(symbol) };
+      if (since) params.startTime = String(since);
+      const { data, reason, raw } = await signedRequest('GET', '/api/v3/myTrades', params);
+      if (reason) return { trades: [], reason, raw };
+      const trades = (Array.isArray(data) ? data : []).map((t) => {
+        const { fee, otherFees } = binanceCommissions([t], params.symbol);
+        return {
+          id: String(t.id),
+          exchangeOrderId: String(t.orderId),
+          symbol,
+          side: t.isBuyer ? 'buy' : 'sell',
+          qty: parseFloat(t.qty),
+          price: parseFloat(t.price),
+          notional: parseFloat(t.quoteQty),
+          fee,
+          ...(Object.keys(otherFees).length && { otherFees }),
+          ts: new Date(t.time).toISOString(),
+        };
+      });
+      return { trades, raw: data };
+    },
+
+    // User-data stream: a listen key is requested on every (re)connect and kept alive
+    subscribeUserData({ onExecution, logger } = {}) {
+      if (!hasCreds()) return { reason: REJECT_REASONS.MISSING_CREDS, stop() {} };
+      const apiKeyHeader = { 'X-MBX-APIKEY': creds.key };
+      const fees = new Map(); // orderId -> cumulative commission
+      let listenKey = null;
+      const keepalive = setInterval(() => {
+        if (!listenKey) return;
+        send(`${baseUrl}/api/v3/userDataStream?listenKey=${listenKey}`, {
+          method: 'PUT',
+          headers: apiKeyHeader,
+        });
+      }, keepaliveMs);
+      keepalive.unref?.();
+      const socket = createReconnectingSocket({
+        name: 'binance_user_stream',
+        logger,
+        url: async () => {
+          const { data, reason } = await send(`${baseUrl}/api/v3/userDataStream`, {
+            method: 'POST',
+            headers: apiKeyHeader,
+          });
+          if (reason) throw new Error(`listen_key_${reason}`);
+          listenKey = data.listenKey;
+          return `${wsUrl}/ws/${listenKey}`;
+        },
+        onMessage: (msg) => {
+          const ev = parseBinanceExecutionReport(msg);
+          if (!ev) return;
+          const fee = (fees.get(ev.orderId) || 0) + ev.lastFee;
+          if (ev.status === ORDER_STATUS.NEW || ev.status === ORDER_STATUS.PARTIALLY_FILLED)
+            fees.set(ev.orderId, fee);
+          else fees.delete(ev.orderId);
+          onExecution({ ...ev, fee });
+        },
+      }).start();
+      return {
+        stop() {
+          clearInterval(keepalive);
+          socket.stop();
+        },
+      };
+    },
+
+    // Public endpoints: no credentials needed
+    async fetchTicker({ symbol, venueSymbol }) {
+      const { data, reason, raw } = await send(
+        `${baseUrl}/api/v3/ticker/bookTicker?symbol=${venueSymbol || toBinanceSymbol(symbol)}`,
+        { method: 'GET' }
+      );
+      if (reason) return { symbol, reason, raw };
+      return {
+        symbol,
+        bid: parseFloat(data.bidPrice),
+        ask: parseFloat(data.askPrice),
+        ts: new Date().toISOString(),
+      };
+    },
+
+    async fetchInstruments() {
+      const { data, reason, raw } = await send(`${baseUrl}/api/v3/exchangeInfo`, {
+        method: 'GET',
+      });
+      if (reason) return { instruments: [], reason, raw };
+      return { instruments: parseBinanceInstruments(data) };
     },
   };
 }
@@ -0,0 +1,86 @@
+// Bracket orders: an entry that, once filled, places a take-profit and a stop-loss on the
+// opposite side, linked one-cancels-other (OCO).
+//
+// Entry order field:
+//   bracket: {
+//     takeProfit: { limitPrice },             // limit exit, GTC
+//     stopLoss: { stopPrice, limitPrice? }    // stop exit; stop-limit when limitPrice is given
+//   }
+//
+// Exit legs are ordinary orders on exec.orders with three extra fields:
+//   { parentId, leg: 'take_profit'|'stop_loss', ocoWith: <orderId of the other leg> }
+// Leg ids are derived from the entry: `${orderId}-tp` and `${orderId}-sl`. Legs keep the entry's
+// strategyId, so an exit's PnL is booked to the strategy that opened the position.
+
+import { ORDER_TYPES, REJECT_REASONS, TIME_IN_FORCE } from './adapter.js';
+
+export const LEGS = {
+  TAKE_PROFIT: 'take_profit',
+  STOP_LOSS: 'stop_loss',
+};
+
+const num = (v) => {
+  const n = parseFloat(v);
+  return Number.isFinite(n) && n > 0 ? n : undefined;
+};
+
+// Validate an entry's bracket: returns { bracket } or { reason: 'invalid_params', detail }.
+// Exits must sit on the profitable/losing side of each other and of a limit entry.
+export function normalizeBracket({ side, limitPrice, bracket } = {}) {
+  const invalid = (error) => ({
+    reason: REJECT_REASONS.INVALID_PARAMS,
+    detail: { error, bracket },
+  });
+  if (!bracket || typeof bracket !== 'object') return invalid('bracket_invalid');
+  const tp = num(bracket.takeProfit?.limitPrice);
+  const sp = num(bracket.stopLoss?.stopPrice);
+  if (!tp) return invalid('take_profit_price_required');
+  if (!sp) return invalid('stop_loss_price_required');
+  const slLimit = bracket.stopLoss.limitPrice != null ? num(bracket.stopLoss.limitPrice) : null;
+  if (slLimit === undefined) return invalid('stop_loss_price_required');
+
+  // A long position exits above (take-profit) and below (stop-loss) the entry; a short the reverse
+  const above = (a, b) => (side === 'sell' ? a < b : a > b);
+  const entry = num(limitPrice);
+  if (!above(tp, sp) || (entry && !(above(tp, entry) && above(entry, sp))))
+    return invalid('bracket_prices_inverted');
+
+  const stopLoss = { stopPrice: sp };
+  if (slLimit) stopLoss.limitPrice = slLimit;
+  return { bracket: { takeProfit: { limitPrice: tp }, stopLoss } };
+}
+
+// Exit orders for a filled entry; qty is the filled quantity to protect
+export function bracketLegs({ orderId, symbol, side, qty, traceId, strategyId }, bracket) {
+  const tpId = `${orderId}-tp`;
+  const slId = `${orderId}-sl`;
+  const base = {
+    parentId: orderId,
+    symbol,
+    side: side === 'sell' ? 'buy' : 'sell',
+    qty,
+    traceId,
+    ...(strategyId && { strategyId }),
+  };
+  const { stopPrice, limitPrice } = bracket.stopLoss;
+  return [
+    {
+      ...base,
+      orderId: tpId,
+      leg: LEGS.TAKE_PROFIT,
+      ocoWith: slId,
+      type: ORDER_TYPES.LIMIT,
+      limitPrice: bracket.takeProfit.limitPrice,
+      timeInForce: TIME_IN_FORCE.GTC,
+    },
+    {
+      ...base,
+      orderId: slId,
+      leg: LEGS.STOP_LOSS,
+      ocoWith: tpId,
+      ...(limitPrice
+        ? { type: ORDER_TYPES.STOP_LIMIT, stopPrice, limitPrice, timeInForce: TIME_IN_FORCE.GTC }
+        : { type: ORDER_TYPES.STOP, stopPrice }),
+    },
+  ];
+}
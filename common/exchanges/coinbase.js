@@ -1,12 +1,24 @@
-// Coinbase adapter (stub implementation)
+// Coinbase adapter (Advanced Trade REST)
 // Reads credentials from env or *_FILE secrets
 // - COINBASE_API_KEY / COINBASE_API_KEY_FILE
 // - COINBASE_API_SECRET / COINBASE_API_SECRET_FILE
 // - COINBASE_API_PASSPHRASE / COINBASE_API_PASSPHRASE_FILE
-//
-// Network I/O is intentionally omitted here and should be filled when going live.
+// Optional:
+// - COINBASE_BASE_URL: REST endpoint (default https://api.coinbase.com); point at a local stand-in in tests
+// - COINBASE_TIMEOUT_MS: per-request timeout in ms (default 10000)
+// - COINBASE_FILL_POLL_ATTEMPTS / COINBASE_FILL_POLL_MS: how long to wait for fills after submit (3 x 250ms)
+// - COINBASE_WS_URL: user channel websocket (default wss://advanced-trade-ws-user.coinbase.com)
 
+import crypto from 'node:crypto';
 import fs from 'node:fs';
+import {
+  ORDER_STATUS,
+  ORDER_TYPES,
+  REJECT_REASONS,
+  TIME_IN_FORCE,
+  normalizeOrderParams,
+} from './adapter.js';
+import { createReconnectingSocket } from './user-stream.js';
 
 function readSecret(path) {
   try {
@@ -29,16 +41,492 @@ function getCreds() {
   return { key, secret, passphrase };
 }
 
+const KNOWN_QUOTES = ['USDC', 'USDT', 'USD', 'EUR', 'GBP', 'BTC', 'ETH'];
+
+// BTC-USD / btc/usd / BTCUSD -> BTC-USD (Coinbase product id)
+export function toCoinbaseProductId(symbol) {
+  const s = String(symbol || '').toUpperCase();
+  const parts = s.split(/[-/_]/).filter(Boolean);
+  if (parts.length === 2) return `${parts[0]}-${parts[1]}`;
+  const quote = KNOWN_QUOTES.find((q) => s.endsWith(q) && s.length > q.length);
+  return quote ? `${s.slice(0, -quote.length)}-${quote}` : s;
+}
+
+// CB-ACCESS-SIGN: hex HMAC-SHA256 over timestamp + METHOD + path (no query) + body
+export function sign({ timestamp, method, path, body = '' }, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}${method.toUpperCase()}${path}${body}`)
+    .digest('hex');
+}
+
+// Map Coinbase error payloads / HTTP statuses to REJECT_REASONS
+export function mapCoinbaseError({ httpStatus, error = '', previewFailureReason = '' }) {
+  const code = `${error} ${previewFailureReason}`.toUpperCase();
+  if (httpStatus === 429) return REJECT_REASONS.RATE_LIMITED;
+  if (httpStatus === 401 || httpStatus === 403 || code.includes('PERMISSION_DENIED'))
+    return REJECT_REASONS.AUTH_FAILED;
+  if (code.includes('INSUFFICIENT_FUND')) return REJECT_REASONS.INSUFFICIENT_BALANCE;
+  if (code.includes('PRODUCT_ID') || code.includes('INELIGIBLE_PAIR'))
+    return REJECT_REASONS.INVALID_SYMBOL;
+  if (code.includes('SIZE') || code.includes('BASE_SIZE')) return REJECT_REASONS.INVALID_QUANTITY;
+  if (code.includes('INVALID') || code.includes('UNSUPPORTED_ORDER_CONFIGURATION'))
+    return REJECT_REASONS.INVALID_PARAMS;
+  if (httpStatus >= 500) return REJECT_REASONS.EXCHANGE_UNAVAILABLE;
+  if (code.trim()) return REJECT_REASONS.ORDER_REJECTED;
+  return REJECT_REASONS.EXCHANGE_ERROR;
+}
+
+// Aggregate Advanced Trade fills into the adapter result fields
+export function parseCoinbaseFills(fills = []) {
+  let size = 0;
+  let notional = 0;
+  let fee = 0;
+  for (const f of fills) {
+    const s = parseFloat(f.size || '0');
+    // size_in_quote fills report size in quote currency
+    const base = f.size_in_quote ? s / parseFloat(f.price) : s;
+    size += base;
+    notional += base * parseFloat(f.price || '0');
+    fee += parseFloat(f.commission || '0');
+  }
+  return { size, notional, fee, price: size > 0 ? notional / size : undefined };
+}
+
+// tolerate float dust when comparing filled size to the requested quantity
+const isFullyFilled = (size, qty) => size > 0 && size >= Math.abs(qty) * (1 - 1e-9);
+
+const STATUS_MAP = {
+  PENDING: ORDER_STATUS.NEW,
+  QUEUED: ORDER_STATUS.NEW,
+  OPEN: ORDER_STATUS.NEW,
+  FILLED: ORDER_STATUS.FILLED,
+  CANCELLED: ORDER_STATUS.CANCELED,
+  CANCEL_QUEUED: ORDER_STATUS.CANCELED,
+  EXPIRED: ORDER_STATUS.EXPIRED,
+  FAILED: ORDER_STATUS.REJECTED,
+};
+
+// Normalized order (see normalizeOrderParams) -> order_configuration, or null when Advanced Trade
+// has no matching configuration (stop-market, stop-limit other than GTC)
+export function toCoinbaseOrderConfiguration({
+  qty,
+  side,
+  type,
+  limitPrice,
+  stopPrice,
+  timeInForce,
+}) {
+  const base_size = String(Math.abs(qty));
+  const limit_price = limitPrice != null ? String(limitPrice) : undefined;
+  switch (type) {
+    case ORDER_TYPES.MARKET:
+      return { market_market_ioc: { base_size } };
+    case ORDER_TYPES.LIMIT:
+      if (timeInForce === TIME_IN_FORCE.IOC) return { sor_limit_ioc: { base_size, limit_price } };
+      if (timeInForce === TIME_IN_FORCE.FOK) return { limit_limit_fok: { base_size, limit_price } };
+      return {
+        limit_limit_gtc: {
+          base_size,
+          limit_price,
+          post_only: timeInForce === TIME_IN_FORCE.POST_ONLY,
+        },
+      };
+    case ORDER_TYPES.STOP_LIMIT:
+      if (timeInForce !== TIME_IN_FORCE.GTC) return null;
+      return {
+        stop_limit_stop_limit_gtc: {
+          base_size,
+          limit_price,
+          stop_price: String(stopPrice),
+          stop_direction: side === 'sell' ? 'STOP_DIRECTION_STOP_DOWN' : 'STOP_DIRECTION_STOP_UP',
+        },
+      };
+    default:
+      return null;
+  }
+}
+
+// user channel message -> normalized executions (see user-stream.js)
+export function parseCoinbaseUserEvents(msg) {
+  if (msg?.channel !== 'user') return [];
+  return (msg.events || [])
+    .flatMap((e) => e.orders || [])
+    .map((o) => {
+      const filledQty = parseFloat(o.cumulative_quantity || '0');
+      let status = STATUS_MAP[o.status] || ORDER_STATUS.NEW;
+      if (status === ORDER_STATUS.NEW && filledQty > 0) status = ORDER_STATUS.PARTIALLY_FILLED;
+      return {
+        orderId: String(o.client_order_id || o.order_id),
+        exchangeOrderId: o.order_id,
+        symbol: o.product_id,
+        side: String(o.order_side || '').toLowerCase(),
+        status,
+        qty: filledQty + parseFloat(o.leaves_quantity || '0'),
+        filledQty,
+        price: filledQty > 0 ? parseFloat(o.avg_price || '0') : undefined,
+        fee: parseFloat(o.total_fees || '0'),
+        ts: msg.timestamp || new Date().toISOString(),
+        raw: o,
+      };
+    });
+}
+
+function errorResult(httpStatus, data = {}) {
+  const err = data.error_response || {};
+  const reason = mapCoinbaseError({
+    httpStatus,
+    error: err.error || data.error || data.failure_reason,
+    previewFailureReason: err.preview_failure_reason,
+  });
+  return { reason, raw: { httpStatus, ...err, message: err.message || data.message } };
+}
+
+// Market products -> instrument registry entries (see instruments.js)
+export function parseCoinbaseInstruments(data) {
+  return (data?.products || [])
+    .filter((p) => !p.trading_disabled && !p.is_disabled)
+    .map((p) => ({
+      symbol: p.product_id,
+      base: p.base_currency_id,
+      quote: p.quote_currency_id,
+      tickSize: p.price_increment || p.quote_increment,
+      stepSize: p.base_increment,
+      minQty: p.base_min_size,
+      maxQty: p.base_max_size,
+      minNotional: p.quote_min_size,
+    }));
+}
+
 export function getCoinbaseAdapter() {
   const creds = getCreds();
+  const baseUrl = (process.env.COINBASE_BASE_URL || 'https://api.coinbase.com').replace(/\/+$/, '');
+  const timeoutMs = parseInt(process.env.COINBASE_TIMEOUT_MS || '10000', 10);
+  const pollAttempts = parseInt(process.env.COINBASE_FILL_POLL_ATTEMPTS || '3', 10);
+  const pollMs = parseInt(process.env.COINBASE_FILL_POLL_MS || '250', 10);
+  const wsUrl = process.env.COINBASE_WS_URL || 'wss://advanced-trade-ws-user.coinbase.com';
+  const hasCreds = () => Boolean(creds.key && creds.secret && creds.passphrase);
+  // Coinbase addresses orders by its own id; remember the mapping for orders placed here
+  const exchangeIds = new Map();
+
+  // Signed request; resolves to { status, data } on success or { reason, raw } on failure
+  async function request(method, path, { query, body } = {}) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const payload = body ? JSON.stringify(body) : '';
+    const url = `${baseUrl}${path}${query ? `?${new URLSearchParams(query)}` : ''}`;
+    let resp;
+    try {
+      resp = await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+          'CB-ACCESS-KEY': creds.key,
+          'CB-ACCESS-SIGN': sign({ timestamp, method, path, body: payload }, creds.secret),
+          'CB-ACCESS-TIMESTAMP': timestamp,
+          'CB-ACCESS-PASSPHRASE': creds.passphrase,
+        },
+        body: payload || undefined,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (e) {
+      return {
+        reason: REJECT_REASONS.EXCHANGE_UNAVAILABLE,
+        raw: { error: String(e?.message || e) },
+      };
+    }
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      if (resp.status === 404) return { reason: REJECT_REASONS.UNKNOWN_ORDER, raw: data };
+      return errorResult(resp.status, data);
+    }
+    return { status: resp.status, data };
+  }
+
+  const resolveId = ({ orderId, exchangeOrderId }) =>
+    exchangeOrderId || exchangeIds.get(String(orderId));
+
   return {
-    async placeOrder({ orderId, symbol, side, qty }) {
-      if (!creds.key || !creds.secret || !creds.passphrase) {
+    async placeOrder({
+      orderId,
+      symbol,
+      venueSymbol,
+      side,
+      qty,
+      type,
+      limitPrice,
+      stopPrice,
+      timeInForce,
+    }) {
+      if (!hasCreds()) {
         // Stub: reject when creds missing
-        return { filled: false, orderId, symbol, side, qty, raw: { error: 'missing_creds' } };
+        const reason = REJECT_REASONS.MISSING_CREDS;
+        return { filled: false, orderId, symbol, side, qty, reason, raw: { error: reason } };
+      }
+      const reject = ({ reason, raw }) => ({
+        filled: false,
+        orderId,
+        symbol,
+        side,
+        qty,
+        reason,
+        raw,
+      });
+      const params = normalizeOrderParams({ type, limitPrice, stopPrice, timeInForce });
+      if (params.reason) return reject({ reason: params.reason, raw: params.detail });
+      const orderConfiguration = toCoinbaseOrderConfiguration({ qty, side, ...params });
+      if (!orderConfiguration)
+        return reject({
+          reason: REJECT_REASONS.INVALID_PARAMS,
+          raw: { error: 'unsupported_order_type', ...params },
+        });
+
+      const created = await request('POST', '/api/v3/brokerage/orders', {
+        body: {
+          client_order_id: String(orderId),
+          product_id: venueSymbol || toCoinbaseProductId(symbol),
+          side: String(side).toUpperCase(),
+          order_configuration: orderConfiguration,
+        },
+      });
+      if (created.reason) return reject(created);
+      const { data } = created;
+      if (data.success === false) return reject(errorResult(created.status, data));
+
+      const exchangeOrderId = data.success_response?.order_id || data.order_id;
+      if (exchangeOrderId) exchangeIds.set(String(orderId), exchangeOrderId);
+      // Only orders that execute immediately are worth waiting for; working orders report later
+      const immediate =
+        params.type === ORDER_TYPES.MARKET ||
+        [TIME_IN_FORCE.IOC, TIME_IN_FORCE.FOK].includes(params.timeInForce);
+      const attempts = immediate ? Math.max(1, pollAttempts) : 1;
+      let fills = [];
+      for (let attempt = 0; attempt < attempts; attempt++) {
+        const r = await request('GET', '/api/v3/brokerage/orders/historical/fills', {
+          query: { order_id: exchangeOrderId },
+        });
+        if (!r.reason) fills = Array.isArray(r.data.fills) ? r.data.fills : [];
+        if (isFullyFilled(parseCoinbaseFills(fills).size, qty)) break;
+        if (attempt < attempts - 1) await new Promise((r) => setTimeout(r, pollMs));
+      }
+      const parsed = parseCoinbaseFills(fills);
+      const filled = isFullyFilled(parsed.size, qty);
+      // Non-market orders that are not done yet: read the venue status (working, expired, ...)
+      let status;
+      if (!filled && params.type !== ORDER_TYPES.MARKET) {
+        const r = await request(
+          'GET',
+          `/api/v3/brokerage/orders/historical/${encodeURIComponent(exchangeOrderId)}`
+        );
+        status = r.reason ? ORDER_STATUS.NEW : STATUS_MAP[r.data.order?.status] || ORDER_STATUS.NEW;
+        if (status === ORDER_STATUS.NEW && parsed.size > 0) status = ORDER_STATUS.PARTIALLY_FILLED;
+      }
+      return {
+        filled,
+        orderId,
+        symbol,
+        side,
+        qty,
+        price: parsed.price,
+        notional: parsed.notional,
+        fee: parsed.fee,
+        exchangeOrderId,
+        ...(status && { status, filledQty: parsed.size }),
+        raw: { order: data.success_response || data, fills },
+      };
+    },
+
+    async getOrder({ orderId, exchangeOrderId }) {
+      if (!hasCreds()) return { found: false, orderId, reason: REJECT_REASONS.MISSING_CREDS };
+      const id = resolveId({ orderId, exchangeOrderId });
+      if (!id) return { found: false, orderId, reason: REJECT_REASONS.UNKNOWN_ORDER };
+      const { data, reason, raw } = await request(
+        'GET',
+        `/api/v3/brokerage/orders/historical/${encodeURIComponent(id)}`
+      );
+      if (reason) return { found: false, orderId, reason, raw };
+      const o = data.order || {};
+      const filledQty = parseFloat(o.filled_size || '0');
+      let status = STATUS_MAP[o.status] || ORDER_STATUS.NEW;
+      if (status === ORDER_STATUS.NEW && filledQty > 0) status = ORDER_STATUS.PARTIALLY_FILLED;
+      const conf = Object.values(o.order_configuration || {})[0] || {};
+      return {
+        found: true,
+        orderId,
+        status,
+        symbol: o.product_id,
+        side: String(o.side || '').toLowerCase(),
+        qty: parseFloat(conf.base_size || o.filled_size || '0'),
+        filledQty,
+        price: filledQty > 0 ? parseFloat(o.average_filled_price || '0') : undefined,
+        fee: parseFloat(o.total_fees || '0'),
+        raw: o,
+      };
+    },
+
+    async cancelOrder({ orderId, exchangeOrderId }) {
+      if (!hasCreds()) return { canceled: false, orderId, reason: REJECT_REASONS.MISSING_CREDS };
+      const id = resolveId({ orderId, exchangeOrderId });
+      if (!id) return { canceled: false, orderId, reason: REJECT_REASONS.UNKNOWN_ORDER };
+      const { data, reason, raw } = await request('POST', '/api/v3/brokerage/orders/batch_cancel', {
+        body: { order_ids: [id] },
+      });
+      if (reason) return { canceled: false, orderId, reason, raw };
+      const result = (data.results || [])[0] || {};
+      if (result.success) return { canceled: true, orderId, raw: result };
+      const failure = String(result.failure_reason || '').toUpperCase();
+      return {
+        canceled: false,
+        orderId,
+        reason: failure.includes('UNKNOWN')
+          ? REJECT_REASONS.UNKNOWN_ORDER
+          : REJECT_REASONS.NOT_CANCELABLE,
+        raw: result,
+      };
+    },
+
+    // Edits GTC limit and stop-limit orders in place. An edit carries both price and size, so a
+    // change to one reads the other from the order first.
+    async amendOrder({ orderId, exchangeOrderId, qty, limitPrice, stopPrice }) {
+      if (!hasCreds()) return { amended: false, orderId, reason: REJECT_REASONS.MISSING_CREDS };
+      const id = resolveId({ orderId, exchangeOrderId });
+      if (!id) return { amended: false, orderId, reason: REJECT_REASONS.UNKNOWN_ORDER };
+      let size = qty;
+      let price = limitPrice;
+      if (size == null || price == null) {
+        const cur = await request(
+          'GET',
+          `/api/v3/brokerage/orders/historical/${encodeURIComponent(id)}`
+        );
+        if (cur.reason) return { amended: false, orderId, reason: cur.reason, raw: cur.raw };
+        const conf = Object.values(cur.data.order?.order_configuration || {})[0] || {};
+        size ??= conf.base_size;
+        price ??= conf.limit_price;
       }
-      // TODO: implement signed REST request and return parsed fill
-      return { filled: false, orderId, symbol, side, qty, raw: { note: 'coinbase stub' } };
+      if (size == null || price == null)
+        return {
+          amended: false,
+          orderId,
+          reason: REJECT_REASONS.INVALID_PARAMS,
+          raw: { error: 'amend_not_supported' },
+        };
+      const { data, reason, raw } = await request('POST', '/api/v3/brokerage/orders/edit', {
+        body: {
+          order_id: id,
+          size: String(Math.abs(size)),
+          price: String(price),
+          ...(stopPrice != null && { stop_price: String(stopPrice) }),
+        },
+      });
+      if (reason) return { amended: false, orderId, reason, raw };
+      if (data.success) return { amended: true, orderId, raw: data };
+      return {
+        amended: false,
+        orderId,
+        reason: REJECT_REASONS.ORDER_REJECTED,
+        raw: (data.errors || [])[0] || data,
+      };
+    },
+
+    async fetchBalance() {
+      if (!hasCreds()) return { balances: {}, reason: REJECT_REASONS.MISSING_CREDS };
+      const { data, reason, raw } = await request('GET', '/api/v3/brokerage/accounts', {
+        query: { limit: '250' },
+      });
+      if (reason) return { balances: {}, reason, raw };
+      const balances = {};
+      for (const a of data.accounts || []) {
+        const free = parseFloat(a.available_balance?.value || '0');
+        const locked = parseFloat(a.hold?.value || '0');
+        if (free === 0 && locked === 0) continue;
+        balances[a.currency] = { free, locked, total: free + locked };
+      }
+      return { balances, raw: data };
+    },
+
+    async fetchTrades({ symbol, venueSymbol, since } = {}) {
+      if (!hasCreds()) return { trades: [], reason: REJECT_REASONS.MISSING_CREDS };
+      const query = {};
+      if (symbol) query.product_id = venueSymbol || toCoinbaseProductId(symbol);
+      if (since) query.start_sequence_timestamp = new Date(since).toISOString();
+      const { data, reason, raw } = await request(
+        'GET',
+        '/api/v3/brokerage/orders/historical/fills',
+        { query }
+      );
+      if (reason) return { trades: [], reason, raw };
+      const trades = (data.fills || []).map((f) => {
+        const { size, notional, price, fee } = parseCoinbaseFills([f]);
+        return {
+          id: String(f.trade_id || f.entry_id),
+          exchangeOrderId: f.order_id,
+          symbol: f.product_id,
+          side: String(f.side || '').toLowerCase(),
+          qty: size,
+          price,
+          notional,
+          fee,
+          ts: f.trade_time,
+        };
+      });
+      return { trades, raw: data };
+    },
+
+    // user channel: the signed subscribe message is sent again on every (re)connect
+    subscribeUserData({ onExecution, logger } = {}) {
+      if (!hasCreds()) return { reason: REJECT_REASONS.MISSING_CREDS, stop() {} };
+      const socket = createReconnectingSocket({
+        name: 'coinbase_user_stream',
+        logger,
+        url: wsUrl,
+        onOpen: (send) => {
+          const timestamp = String(Math.floor(Date.now() / 1000));
+          const channel = 'user';
+          send({
+            type: 'subscribe',
+            channel,
+            product_ids: [],
+            api_key: creds.key,
+            timestamp,
+            signature: crypto
+              .createHmac('sha256', creds.secret)
+              .update(`${timestamp}${channel}`)
+              .digest('hex'),
+          });
+        },
+        onMessage: (msg) => {
+          for (const ev of parseCoinbaseUserEvents(msg)) {
+            if (ev.exchangeOrderId) exchangeIds.set(ev.orderId, ev.exchangeOrderId);
+            onExecution(ev);
+          }
+        },
+      }).start();
+      return { stop: () => socket.stop() };
+    },
+
+    async fetchTicker({ symbol, venueSymbol }) {
+      if (!hasCreds()) return { symbol, reason: REJECT_REASONS.MISSING_CREDS };
+      const { data, reason, raw } = await request('GET', '/api/v3/brokerage/best_bid_ask', {
+        query: { product_ids: venueSymbol || toCoinbaseProductId(symbol) },
+      });
+      if (reason) return { symbol, reason, raw };
+      const book = data.pricebooks?.[0];
+      if (!book) return { symbol, reason: REJECT_REASONS.INVALID_SYMBOL, raw: data };
+      return {
+        symbol,
+        bid: book.bids?.[0] ? parseFloat(book.bids[0].price) : undefined,
+        ask: book.asks?.[0] ? parseFloat(book.asks[0].price) : undefined,
+        ts: book.time,
+      };
+    },
+
+    // market/products is public: no credentials needed
+    async fetchInstruments() {
+      const { data, reason, raw } = await request('GET', '/api/v3/brokerage/market/products', {
+        query: { product_type: 'SPOT' },
+      });
+      if (reason) return { instruments: [], reason, raw };
+      return { instruments: parseCoinbaseInstruments(data) };
     },
   };
 }
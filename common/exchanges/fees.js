@@ -0,0 +1,6 @@
+// Fee model shared by the paper adapters: slippage widens the notional, the fee is bps of that
+export function computeFee({ qty = 1, price, feeBps = 0, slippageBps = 0 }) {
+  const notional = Math.abs(qty) * price * (1 + slippageBps / 10000);
+  const fee = notional * (feeBps / 10000);
+  return { fee, notional };
+}
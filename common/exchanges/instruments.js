@@ -0,0 +1,170 @@
+// Instrument metadata registry: per-venue trading rules used to round or reject orders
+// before they reach an adapter.
+//
+// Instrument shape:
+//   {
+//     symbol: 'BTC-USDT',      // our symbol form (BASE-QUOTE)
+//     venueSymbol?: 'BTCUSDT', // venue's own id, if different
+//     base: 'BTC', quote: 'USDT',
+//     tickSize?: number,       // price increment
+//     stepSize?: number,       // quantity increment
+//     minQty?: number, maxQty?: number,
+//     minNotional?: number     // minimum qty * price in quote currency
+//   }
+//
+// Sources:
+// - a static JSON file: { "<venue>": [instrument, ...], ... } (loadInstrumentsFile)
+// - an adapter's optional fetchInstruments() → { instruments: [...], reason?, raw? }
+//
+// Symbols are matched without separators and case-insensitively (btc/usdt, BTCUSDT, BTC-USDT).
+
+import fs from 'node:fs';
+import { REJECT_REASONS } from './adapter.js';
+
+const symbolKey = (symbol) =>
+  String(symbol || '')
+    .replace(/[-/_]/g, '')
+    .toUpperCase();
+
+const num = (v) => {
+  const n = parseFloat(v);
+  return Number.isFinite(n) && n > 0 ? n : undefined;
+};
+
+export function normalizeInstrument(raw) {
+  const [base, quote] = String(raw.symbol || '').split(/[-/_]/);
+  return {
+    symbol: String(raw.symbol),
+    venueSymbol: raw.venueSymbol,
+    base: raw.base || base,
+    quote: raw.quote || quote,
+    tickSize: num(raw.tickSize),
+    stepSize: num(raw.stepSize),
+    minQty: num(raw.minQty),
+    maxQty: num(raw.maxQty),
+    minNotional: num(raw.minNotional),
+  };
+}
+
+export function createInstrumentRegistry() {
+  const venues = new Map(); // venue -> Map(symbolKey -> instrument)
+
+  return {
+    load(venue, instruments = []) {
+      if (!venues.has(venue)) venues.set(venue, new Map());
+      const byKey = venues.get(venue);
+      for (const raw of instruments) {
+        if (!raw?.symbol) continue;
+        const inst = normalizeInstrument(raw);
+        byKey.set(symbolKey(inst.symbol), inst);
+      }
+      return byKey.size;
+    },
+    get(venue, symbol) {
+      return venues.get(venue)?.get(symbolKey(symbol)) || null;
+    },
+    list(venue) {
+      return [...(venues.get(venue)?.values() || [])];
+    },
+  };
+}
+
+// Adapter methods that take a symbol
+const SYMBOL_METHODS = [
+  'placeOrder',
+  'getOrder',
+  'cancelOrder',
+  'amendOrder',
+  'fetchTrades',
+  'fetchTicker',
+];
+
+// Adapter wrapper that adds the registered venueSymbol to every call for a symbol the venue names
+// differently (BTC-USD traded as BTCUSDT), so the adapter sends that instead of deriving one
+export function withVenueSymbols(adapter, venue, registry) {
+  const wrapped = { ...adapter };
+  for (const m of SYMBOL_METHODS) {
+    if (typeof adapter[m] !== 'function') continue;
+    wrapped[m] = (args = {}) => {
+      const venueSymbol = args.symbol && registry.get(venue, args.symbol)?.venueSymbol;
+      return adapter[m](venueSymbol ? { ...args, venueSymbol } : args);
+    };
+  }
+  return wrapped;
+}
+
+export function loadInstrumentsFile(path, registry = createInstrumentRegistry()) {
+  const parsed = JSON.parse(fs.readFileSync(path, 'utf8'));
+  for (const [venue, list] of Object.entries(parsed)) {
+    if (Array.isArray(list)) registry.load(venue, list);
+  }
+  return registry;
+}
+
+// Decimal places implied by an increment (0.001 -> 3, 1e-8 -> 8)
+function decimalsOf(step) {
+  const s = String(step);
+  if (s.includes('e-')) return parseInt(s.split('e-')[1], 10);
+  const dot = s.indexOf('.');
+  return dot < 0 ? 0 : s.length - dot - 1;
+}
+
+// Snap a value to a multiple of step; mode is 'floor' | 'ceil' | 'round'
+export function roundToStep(value, step, mode = 'floor') {
+  if (!(step > 0)) return value;
+  const units = value / step;
+  const n =
+    mode === 'ceil'
+      ? Math.ceil(units - 1e-9)
+      : mode === 'round'
+        ? Math.round(units)
+        : Math.floor(units + 1e-9);
+  return Number((n * step).toFixed(decimalsOf(step)));
+}
+
+// Round an order to the instrument's increments or explain why it cannot be sent.
+// Quantity rounds down to the step; a limit price rounds to the tick in the order's favour
+// (buy down, sell up) so it never becomes more aggressive than requested; a stop price rounds to
+// the nearest tick. `price` is an optional reference price for the min-notional check on market
+// orders. Returns { qty, limitPrice, stopPrice, adjusted } or { reason, detail }.
+export function conformOrder(instrument, { side, qty, limitPrice, stopPrice, price }) {
+  const { stepSize, tickSize, minQty, maxQty, minNotional } = instrument;
+  const size = roundToStep(Math.abs(Number(qty)), stepSize, 'floor');
+  if (!(size > 0) || (minQty && size < minQty) || (maxQty && size > maxQty)) {
+    return {
+      reason: REJECT_REASONS.INVALID_QUANTITY,
+      detail: { qty, roundedQty: size, stepSize, minQty, maxQty },
+    };
+  }
+  let lp = limitPrice;
+  if (limitPrice != null && tickSize) {
+    lp = roundToStep(Number(limitPrice), tickSize, side === 'sell' ? 'ceil' : 'floor');
+    if (!(lp > 0)) {
+      return { reason: REJECT_REASONS.INVALID_PARAMS, detail: { limitPrice, tickSize } };
+    }
+  }
+  let sp = stopPrice;
+  if (stopPrice != null && tickSize) {
+    sp = roundToStep(Number(stopPrice), tickSize, 'round');
+    if (!(sp > 0)) {
+      return { reason: REJECT_REASONS.INVALID_PARAMS, detail: { stopPrice, tickSize } };
+    }
+  }
+  const ref = Number(lp ?? sp ?? price);
+  if (minNotional && ref > 0 && size * ref < minNotional) {
+    return {
+      reason: REJECT_REASONS.BELOW_MIN_NOTIONAL,
+      detail: { notional: size * ref, minNotional },
+    };
+  }
+  const signed = Number(qty) < 0 ? -size : size;
+  return {
+    qty: signed,
+    limitPrice: lp,
+    stopPrice: sp,
+    adjusted:
+      signed !== Number(qty) ||
+      (lp != null && lp !== Number(limitPrice)) ||
+      (sp != null && sp !== Number(stopPrice)),
+  };
+}
@@ -0,0 +1,559 @@
+// Kraken adapter (spot REST)
+// Reads credentials from env or *_FILE secrets
+// - KRAKEN_API_KEY or KRAKEN_API_KEY_FILE
+// - KRAKEN_API_SECRET or KRAKEN_API_SECRET_FILE (base64, as issued by Kraken)
+// Optional:
+// - KRAKEN_BASE_URL: REST endpoint (default https://api.kraken.com); point at a local mock in tests
+// - KRAKEN_TIMEOUT_MS: per-request timeout in ms (default 10000)
+// - KRAKEN_FILL_POLL_ATTEMPTS / KRAKEN_FILL_POLL_MS: how long to wait for a market order to
+//   close after submit (3 x 250ms)
+// - KRAKEN_WS_URL: authenticated websocket v2 endpoint (default wss://ws-auth.kraken.com/v2)
+//
+// Private calls are POSTs to /0/private/<Method> with a form body carrying a nonce that must
+// increase for every call made with the same key. Errors come back as { error: [...] },
+// usually with HTTP 200.
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import {
+  ORDER_STATUS,
+  ORDER_TYPES,
+  REJECT_REASONS,
+  TIME_IN_FORCE,
+  normalizeOrderParams,
+} from './adapter.js';
+import { createReconnectingSocket } from './user-stream.js';
+
+function readSecret(path) {
+  try {
+    return fs.readFileSync(path, 'utf8').trim();
+  } catch {
+    return '';
+  }
+}
+
+function getCreds() {
+  let key = process.env.KRAKEN_API_KEY || '';
+  if (!key && process.env.KRAKEN_API_KEY_FILE) key = readSecret(process.env.KRAKEN_API_KEY_FILE);
+  let secret = process.env.KRAKEN_API_SECRET || '';
+  if (!secret && process.env.KRAKEN_API_SECRET_FILE)
+    secret = readSecret(process.env.KRAKEN_API_SECRET_FILE);
+  return { key, secret };
+}
+
+// Kraken's own codes for a few assets
+const TO_KRAKEN_ASSET = { BTC: 'XBT', DOGE: 'XDG' };
+const FROM_KRAKEN_ASSET = { XBT: 'BTC', XDG: 'DOGE' };
+
+// BTC-USD / btc/usd -> XBTUSD (pair altname)
+export function toKrakenPair(symbol) {
+  const parts = String(symbol || '')
+    .toUpperCase()
+    .split(/[-/_]/)
+    .filter(Boolean);
+  if (parts.length !== 2) return parts.join('');
+  return parts.map((a) => TO_KRAKEN_ASSET[a] || a).join('');
+}
+
+// XXBTZUSD -> XBTUSD (full pair name to altname for the common X/Z-prefixed pairs)
+function fromKrakenPairName(name) {
+  const n = String(name || '');
+  if (n.length === 8 && /^[XZ]/.test(n) && /^[XZ]/.test(n.slice(4)))
+    return `${n.slice(1, 4)}${n.slice(5)}`;
+  return n;
+}
+
+// XXBT / ZUSD / XBT / USDT -> BTC / USD / BTC / USDT
+export function fromKrakenAsset(asset) {
+  let a = String(asset || '').toUpperCase();
+  if (a.length === 4 && (a[0] === 'X' || a[0] === 'Z') && !['USDT', 'USDC'].includes(a))
+    a = a.slice(1);
+  return FROM_KRAKEN_ASSET[a] || a;
+}
+
+// API-Sign: base64 HMAC-SHA512 (key = base64-decoded secret) over path + SHA256(nonce + body)
+export function sign({ path, nonce, body }, secret) {
+  const hash = crypto.createHash('sha256').update(`${nonce}${body}`).digest();
+  return crypto
+    .createHmac('sha512', Buffer.from(secret, 'base64'))
+    .update(Buffer.concat([Buffer.from(path), hash]))
+    .digest('base64');
+}
+
+// Strictly increasing nonces even when called several times within one millisecond
+export function createNonce(now = Date.now) {
+  let last = 0;
+  return () => {
+    last = Math.max(now() * 1000, last + 1);
+    return String(last);
+  };
+}
+
+// Kraken rejects exponent notation, so render volumes as plain decimals
+function formatDecimal(n) {
+  return Number(n)
+    .toFixed(8)
+    .replace(/\.?0+$/, '');
+}
+
+// Normalized order type fields (see normalizeOrderParams) -> AddOrder params, or null when
+// Kraken cannot express them (FOK). Stop orders carry the trigger in price, a stop-limit's limit
+// in price2.
+export function toKrakenOrderParams({
+  type,
+  limitPrice,
+  stopPrice,
+  timeInForce,
+  trailAmount,
+  trailPercent,
+}) {
+  if (timeInForce === TIME_IN_FORCE.FOK) return null;
+  const tif = timeInForce === TIME_IN_FORCE.IOC ? { timeinforce: 'IOC' } : {};
+  switch (type) {
+    case ORDER_TYPES.LIMIT:
+      return {
+        ordertype: 'limit',
+        price: formatDecimal(limitPrice),
+        ...tif,
+        ...(timeInForce === TIME_IN_FORCE.POST_ONLY && { oflags: 'post' }),
+      };
+    case ORDER_TYPES.STOP:
+      return { ordertype: 'stop-loss', price: formatDecimal(stopPrice) };
+    case ORDER_TYPES.STOP_LIMIT:
+      return {
+        ordertype: 'stop-loss-limit',
+        price: formatDecimal(stopPrice),
+        price2: formatDecimal(limitPrice),
+        ...tif,
+      };
+    case ORDER_TYPES.TRAILING_STOP:
+      // Offset from the best price since placement: '+50' (price units) or '+2%'
+      return {
+        ordertype: 'trailing-stop',
+        price:
+          trailPercent != null
+            ? `+${formatDecimal(trailPercent)}%`
+            : `+${formatDecimal(trailAmount)}`,
+      };
+    default:
+      return { ordertype: 'market' };
+  }
+}
+
+// Map Kraken error strings (e.g. 'EOrder:Insufficient funds') / HTTP statuses to REJECT_REASONS
+export function mapKrakenError({ httpStatus, errors = [] }) {
+  const text = errors.join(' ').toLowerCase();
+  if (httpStatus === 429 || text.includes('rate limit') || text.includes('temporary lockout'))
+    return REJECT_REASONS.RATE_LIMITED;
+  if (text.includes('invalid nonce')) return REJECT_REASONS.TIMESTAMP_SKEW;
+  if (
+    httpStatus === 401 ||
+    httpStatus === 403 ||
+    text.includes('invalid key') ||
+    text.includes('invalid signature') ||
+    text.includes('permission denied')
+  )
+    return REJECT_REASONS.AUTH_FAILED;
+  if (text.includes('unknown asset pair')) return REJECT_REASONS.INVALID_SYMBOL;
+  if (text.includes('insufficient funds')) return REJECT_REASONS.INSUFFICIENT_BALANCE;
+  if (text.includes('unknown order')) return REJECT_REASONS.UNKNOWN_ORDER;
+  if (text.includes('order minimum not met') || text.includes('volume'))
+    return REJECT_REASONS.INVALID_QUANTITY;
+  if (text.includes('cost minimum not met')) return REJECT_REASONS.BELOW_MIN_NOTIONAL;
+  if (text.includes('invalid arguments')) return REJECT_REASONS.INVALID_PARAMS;
+  if (httpStatus >= 500 || text.includes('eservice:')) return REJECT_REASONS.EXCHANGE_UNAVAILABLE;
+  if (text.includes('eorder:')) return REJECT_REASONS.ORDER_REJECTED;
+  return REJECT_REASONS.EXCHANGE_ERROR;
+}
+
+const STATUS_MAP = {
+  pending: ORDER_STATUS.NEW,
+  open: ORDER_STATUS.NEW,
+  closed: ORDER_STATUS.FILLED,
+  canceled: ORDER_STATUS.CANCELED,
+  expired: ORDER_STATUS.EXPIRED,
+};
+
+// QueryOrders entry -> normalized order fields
+export function parseKrakenOrder(o = {}) {
+  const qty = parseFloat(o.vol || '0');
+  const filledQty = parseFloat(o.vol_exec || '0');
+  const notional = parseFloat(o.cost || '0');
+  let status = STATUS_MAP[o.status] || ORDER_STATUS.NEW;
+  if (status === ORDER_STATUS.NEW && filledQty > 0) status = ORDER_STATUS.PARTIALLY_FILLED;
+  // canceled after a partial fill still reports what executed
+  if (status === ORDER_STATUS.FILLED && filledQty < qty - 1e-12) status = ORDER_STATUS.CANCELED;
+  return {
+    status,
+    qty,
+    filledQty,
+    notional,
+    price: filledQty > 0 ? notional / filledQty : undefined,
+    fee: parseFloat(o.fee || '0'),
+    side: o.descr?.type,
+    pair: o.descr?.pair,
+  };
+}
+
+const WS_STATUS_MAP = {
+  pending_new: ORDER_STATUS.NEW,
+  new: ORDER_STATUS.NEW,
+  partially_filled: ORDER_STATUS.PARTIALLY_FILLED,
+  filled: ORDER_STATUS.FILLED,
+  canceled: ORDER_STATUS.CANCELED,
+  expired: ORDER_STATUS.EXPIRED,
+};
+
+// executions channel message -> normalized executions (see user-stream.js).
+// lastFee is this trade's fee; the subscription accumulates it into fee.
+export function parseKrakenExecutions(msg) {
+  if (msg?.channel !== 'executions' || !Array.isArray(msg.data)) return [];
+  return msg.data.map((d) => {
+    const filledQty = parseFloat(d.cum_qty || '0');
+    return {
+      orderId: String(d.cl_ord_id || d.order_id),
+      exchangeOrderId: d.order_id,
+      symbol: d.symbol ? String(d.symbol).replace('/', '-') : undefined,
+      side: d.side,
+      status: WS_STATUS_MAP[d.order_status] || ORDER_STATUS.NEW,
+      qty: d.order_qty != null ? parseFloat(d.order_qty) : undefined,
+      filledQty,
+      price: filledQty > 0 ? parseFloat(d.avg_price || '0') : undefined,
+      lastQty: parseFloat(d.last_qty || '0'),
+      lastPrice: parseFloat(d.last_price || '0'),
+      lastFee: (d.fees || []).reduce((sum, f) => sum + parseFloat(f.qty || '0'), 0),
+      ts: d.timestamp || new Date().toISOString(),
+      raw: d,
+    };
+  });
+}
+
+// AssetPairs -> instrument registry entries (see instruments.js)
+export function parseKrakenInstruments(result = {}) {
+  return Object.entries(result)
+    .filter(([, p]) => !p.status || p.status === 'online')
+    .map(([, p]) => {
+      const base = fromKrakenAsset(p.base);
+      const quote = fromKrakenAsset(p.quote);
+      return {
+        symbol: `${base}-${quote}`,
+        venueSymbol: p.altname,
+        base,
+        quote,
+        tickSize: p.tick_size ?? (p.pair_decimals != null ? 10 ** -p.pair_decimals : undefined),
+        stepSize: p.lot_decimals != null ? 10 ** -p.lot_decimals : undefined,
+        minQty: p.ordermin,
+        minNotional: p.costmin,
+      };
+    });
+}
+
+export function getKrakenAdapter() {
+  const creds = getCreds();
+  const baseUrl = (process.env.KRAKEN_BASE_URL || 'https://api.kraken.com').replace(/\/+$/, '');
+  const timeoutMs = parseInt(process.env.KRAKEN_TIMEOUT_MS || '10000', 10);
+  const pollAttempts = parseInt(process.env.KRAKEN_FILL_POLL_ATTEMPTS || '3', 10);
+  const pollMs = parseInt(process.env.KRAKEN_FILL_POLL_MS || '250', 10);
+  const wsUrl = process.env.KRAKEN_WS_URL || 'wss://ws-auth.kraken.com/v2';
+  const hasCreds = () => Boolean(creds.key && creds.secret);
+  const nextNonce = createNonce();
+  // Kraken addresses orders by txid; remember the mapping for orders placed here
+  const exchangeIds = new Map();
+
+  // Resolves to { result } on success or { reason, raw } on failure
+  async function send(url, init) {
+    let resp;
+    try {
+      resp = await fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+    } catch (e) {
+      return {
+        reason: REJECT_REASONS.EXCHANGE_UNAVAILABLE,
+        raw: { error: String(e?.message || e) },
+      };
+    }
+    const data = await resp.json().catch(() => ({}));
+    const errors = Array.isArray(data.error) ? data.error : [];
+    if (!resp.ok || errors.length) {
+      return {
+        reason: mapKrakenError({ httpStatus: resp.status, errors }),
+        raw: { httpStatus: resp.status, error: errors },
+      };
+    }
+    return { result: data.result };
+  }
+
+  function privateRequest(method, params = {}) {
+    const path = `/0/private/${method}`;
+    const nonce = nextNonce();
+    const body = new URLSearchParams({ nonce, ...params }).toString();
+    return send(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        'API-Key': creds.key,
+        'API-Sign': sign({ path, nonce, body }, creds.secret),
+        'Content-Type': 'application/x-www-form-urlencoded; charset=utf-8',
+      },
+      body,
+    });
+  }
+
+  const resolveId = ({ orderId, exchangeOrderId }) =>
+    exchangeOrderId || exchangeIds.get(String(orderId));
+
+  async function queryOrder(txid) {
+    const { result, reason, raw } = await privateRequest('QueryOrders', {
+      txid,
+      trades: 'false',
+    });
+    if (reason) return { reason, raw };
+    const o = result?.[txid];
+    if (!o) return { reason: REJECT_REASONS.UNKNOWN_ORDER, raw: result };
+    return { order: o };
+  }
+
+  return {
+    supportsTrailingStop: true,
+
+    async placeOrder({
+      orderId,
+      symbol,
+      venueSymbol,
+      side,
+      qty,
+      type,
+      limitPrice,
+      stopPrice,
+      timeInForce,
+      trailAmount,
+      trailPercent,
+    }) {
+      if (!hasCreds()) {
+        // Stub: reject when creds missing
+        const reason = REJECT_REASONS.MISSING_CREDS;
+        return { filled: false, orderId, symbol, side, qty, reason, raw: { error: reason } };
+      }
+      const reject = ({ reason, raw }) => ({
+        filled: false,
+        orderId,
+        symbol,
+        side,
+        qty,
+        reason,
+        raw,
+      });
+
+      const params = normalizeOrderParams({
+        type,
+        limitPrice,
+        stopPrice,
+        timeInForce,
+        trailAmount,
+        trailPercent,
+      });
+      if (params.reason) return reject({ reason: params.reason, raw: params.detail });
+      const orderParams = toKrakenOrderParams(params);
+      if (!orderParams)
+        return reject({
+          reason: REJECT_REASONS.INVALID_PARAMS,
+          raw: { error: 'unsupported_time_in_force', ...params },
+        });
+
+      const created = await privateRequest('AddOrder', {
+        pair: venueSymbol || toKrakenPair(symbol),
+        type: String(side).toLowerCase(),
+        ...orderParams,
+        volume: formatDecimal(Math.abs(qty)),
+        cl_ord_id: String(orderId),
+      });
+      if (created.reason) return reject(created);
+      const exchangeOrderId = (created.result?.txid || [])[0];
+      if (!exchangeOrderId) return reject({ reason: REJECT_REASONS.EXCHANGE_ERROR, raw: created });
+      exchangeIds.set(String(orderId), exchangeOrderId);
+
+      // Market and IOC orders execute asynchronously; wait briefly for the order to close.
+      // Working orders (GTC limits, stops) are read once and report later fills elsewhere.
+      const immediate =
+        params.type === ORDER_TYPES.MARKET || params.timeInForce === TIME_IN_FORCE.IOC;
+      const attempts = immediate ? Math.max(1, pollAttempts) : 1;
+      let order;
+      for (let attempt = 0; attempt < attempts; attempt++) {
+        const r = await queryOrder(exchangeOrderId);
+        if (r.order) order = r.order;
+        if (order && order.status !== 'open' && order.status !== 'pending') break;
+        if (attempt < attempts - 1) await new Promise((r) => setTimeout(r, pollMs));
+      }
+      const parsed = parseKrakenOrder(order);
+      const out = {
+        filled: parsed.status === ORDER_STATUS.FILLED,
+        orderId,
+        symbol,
+        side,
+        qty,
+        price: parsed.price,
+        notional: parsed.notional,
+        fee: parsed.fee,
+        exchangeOrderId,
+        raw: { order: created.result, status: order },
+      };
+      if (!out.filled) {
+        out.status = parsed.status;
+        out.filledQty = parsed.filledQty;
+      }
+      // Market orders canceled unfilled count as venue rejections; an unfilled IOC limit expired
+      if (
+        params.type === ORDER_TYPES.MARKET &&
+        [ORDER_STATUS.CANCELED, ORDER_STATUS.EXPIRED].includes(parsed.status) &&
+        !parsed.filledQty
+      )
+        out.reason = REJECT_REASONS.ORDER_REJECTED;
+      return out;
+    },
+
+    async getOrder({ orderId, exchangeOrderId }) {
+      if (!hasCreds()) return { found: false, orderId, reason: REJECT_REASONS.MISSING_CREDS };
+      const id = resolveId({ orderId, exchangeOrderId });
+      if (!id) return { found: false, orderId, reason: REJECT_REASONS.UNKNOWN_ORDER };
+      const { order, reason, raw } = await queryOrder(id);
+      if (reason) return { found: false, orderId, reason, raw };
+      const parsed = parseKrakenOrder(order);
+      return {
+        found: true,
+        orderId,
+        status: parsed.status,
+        side: parsed.side,
+        qty: parsed.qty,
+        filledQty: parsed.filledQty,
+        price: parsed.price,
+        fee: parsed.fee,
+        raw: order,
+      };
+    },
+
+    // Orders placed elsewhere can still be canceled by our client order id
+    async cancelOrder({ orderId, exchangeOrderId }) {
+      if (!hasCreds()) return { canceled: false, orderId, reason: REJECT_REASONS.MISSING_CREDS };
+      const id = resolveId({ orderId, exchangeOrderId });
+      const { result, reason, raw } = await privateRequest(
+        'CancelOrder',
+        id ? { txid: id } : { cl_ord_id: String(orderId) }
+      );
+      if (reason) return { canceled: false, orderId, reason, raw };
+      if (result?.count > 0) return { canceled: true, orderId, raw: result };
+      return { canceled: false, orderId, reason: REJECT_REASONS.NOT_CANCELABLE, raw: result };
+    },
+
+    // AmendOrder changes quantity and prices in place; fills and, for a smaller size, queue
+    // priority are kept
+    async amendOrder({ orderId, exchangeOrderId, qty, limitPrice, stopPrice }) {
+      if (!hasCreds()) return { amended: false, orderId, reason: REJECT_REASONS.MISSING_CREDS };
+      const id = resolveId({ orderId, exchangeOrderId });
+      const { result, reason, raw } = await privateRequest('AmendOrder', {
+        ...(id ? { txid: id } : { cl_ord_id: String(orderId) }),
+        ...(qty != null && { order_qty: formatDecimal(Math.abs(qty)) }),
+        ...(limitPrice != null && { limit_price: formatDecimal(limitPrice) }),
+        ...(stopPrice != null && { trigger_price: formatDecimal(stopPrice) }),
+      });
+      if (reason) return { amended: false, orderId, reason, raw };
+      return { amended: true, orderId, raw: result };
+    },
+
+    async fetchBalance() {
+      if (!hasCreds()) return { balances: {}, reason: REJECT_REASONS.MISSING_CREDS };
+      const { result, reason, raw } = await privateRequest('BalanceEx');
+      if (reason) return { balances: {}, reason, raw };
+      const balances = {};
+      for (const [asset, b] of Object.entries(result || {})) {
+        const total = parseFloat(b.balance || '0');
+        const locked = parseFloat(b.hold_trade || '0');
+        if (total === 0 && locked === 0) continue;
+        balances[fromKrakenAsset(asset)] = { free: total - locked, locked, total };
+      }
+      return { balances, raw: result };
+    },
+
+    async fetchTrades({ symbol, venueSymbol, since } = {}) {
+      if (!hasCreds()) return { trades: [], reason: REJECT_REASONS.MISSING_CREDS };
+      const params = {};
+      if (since) params.start = String(Math.floor(Number(since) / 1000));
+      const { result, reason, raw } = await privateRequest('TradesHistory', params);
+      if (reason) return { trades: [], reason, raw };
+      const pair = symbol ? venueSymbol || toKrakenPair(symbol) : null;
+      // TradesHistory covers every pair, reported by altname or full name
+      const trades = Object.entries(result?.trades || {})
+        .filter(([, t]) => !pair || t.pair === pair || fromKrakenPairName(t.pair) === pair)
+        .map(([id, t]) => ({
+          id,
+          exchangeOrderId: t.ordertxid,
+          symbol: symbol || t.pair,
+          side: t.type,
+          qty: parseFloat(t.vol),
+          price: parseFloat(t.price),
+          notional: parseFloat(t.cost),
+          fee: parseFloat(t.fee || '0'),
+          ts: new Date(Number(t.time) * 1000).toISOString(),
+        }));
+      return { trades, raw: result };
+    },
+
+    // executions channel: a fresh websocket token is requested on every (re)connect
+    subscribeUserData({ onExecution, logger } = {}) {
+      if (!hasCreds()) return { reason: REJECT_REASONS.MISSING_CREDS, stop() {} };
+      const fees = new Map(); // orderId -> cumulative fee
+      const socket = createReconnectingSocket({
+        name: 'kraken_user_stream',
+        logger,
+        url: wsUrl,
+        onOpen: async (send) => {
+          const { result, reason } = await privateRequest('GetWebSocketsToken');
+          if (reason) throw new Error(`ws_token_${reason}`);
+          send({
+            method: 'subscribe',
+            params: {
+              channel: 'executions',
+              token: result.token,
+              snap_orders: false,
+              snap_trades: false,
+            },
+          });
+        },
+        onMessage: (msg) => {
+          for (const ev of parseKrakenExecutions(msg)) {
+            if (ev.exchangeOrderId) exchangeIds.set(ev.orderId, ev.exchangeOrderId);
+            const fee = (fees.get(ev.orderId) || 0) + ev.lastFee;
+            if (ev.status === ORDER_STATUS.NEW || ev.status === ORDER_STATUS.PARTIALLY_FILLED)
+              fees.set(ev.orderId, fee);
+            else fees.delete(ev.orderId);
+            onExecution({ ...ev, fee });
+          }
+        },
+      }).start();
+      return { stop: () => socket.stop() };
+    },
+
+    // Public endpoints: no credentials needed
+    async fetchTicker({ symbol, venueSymbol }) {
+      const { result, reason, raw } = await send(
+        `${baseUrl}/0/public/Ticker?pair=${venueSymbol || toKrakenPair(symbol)}`,
+        { method: 'GET' }
+      );
+      if (reason) return { symbol, reason, raw };
+      const t = Object.values(result || {})[0];
+      if (!t) return { symbol, reason: REJECT_REASONS.INVALID_SYMBOL, raw: result };
+      return {
+        symbol,
+        bid: parseFloat(t.b[0]),
+        ask: parseFloat(t.a[0]),
+        price: parseFloat(t.c[0]),
+        ts: new Date().toISOString(),
+      };
+    },
+
+    async fetchInstruments() {
+      const { result, reason, raw } = await send(`${baseUrl}/0/public/AssetPairs`, {
+        method: 'GET',
+      });
+      if (reason) return { instruments: [], reason, raw };
+      return { instruments: parseKrakenInstruments(result) };
+    },
+  };
+}
@@ -0,0 +1,77 @@
+// Order lifecycle state machine for the trade executor.
+//
+//   new ──▶ submitted ──▶ partially_filled ──▶ filled
+//    │          │                 │
+//    │          │                 └──▶ canceled | expired
+//    │          └──▶ filled | canceled | rejected | expired
+//    └──▶ rejected | canceled
+//
+// new: received by the executor. submitted: sent to its venue, or held by the executor (algo
+// parents, managed trailing stops). new goes straight to rejected when the order fails validation
+// or routing, and to canceled when it is preempted before placement (its OCO sibling filled, its
+// algo parent was canceled). submitted and partially_filled may repeat (a venue ack of a
+// submitted order, further partial fills); filled, canceled, rejected and expired are final.
+//
+// exec.status keeps its own status vocabulary (pending for submitted, canceled also for expired)
+// and carries the order's state alongside it as `state`.
+
+export const ORDER_STATES = Object.freeze({
+  NEW: 'new',
+  SUBMITTED: 'submitted',
+  PARTIALLY_FILLED: 'partially_filled',
+  FILLED: 'filled',
+  CANCELED: 'canceled',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired',
+});
+
+const S = ORDER_STATES;
+const TRANSITIONS = {
+  [S.NEW]: [S.SUBMITTED, S.REJECTED, S.CANCELED],
+  [S.SUBMITTED]: [S.SUBMITTED, S.PARTIALLY_FILLED, S.FILLED, S.CANCELED, S.REJECTED, S.EXPIRED],
+  [S.PARTIALLY_FILLED]: [S.PARTIALLY_FILLED, S.FILLED, S.CANCELED, S.EXPIRED],
+};
+
+export const TERMINAL_STATES = Object.freeze([S.FILLED, S.CANCELED, S.REJECTED, S.EXPIRED]);
+
+export const isTerminalState = (state) => TERMINAL_STATES.includes(state);
+
+// Whether an order in state `from` (null before it is recorded) may move to `to`
+export function canTransition(from, to) {
+  if (!from) return to === S.NEW;
+  return !!TRANSITIONS[from]?.includes(to);
+}
+
+// States an order may be in to move to `to`; '' stands for an order with no state yet
+export function statesBefore(to) {
+  const froms = Object.keys(TRANSITIONS).filter((from) => canTransition(from, to));
+  return to === S.NEW ? [''] : froms;
+}
+
+// exec.status status -> order state
+const STATE_OF_STATUS = {
+  pending: S.SUBMITTED,
+  partially_filled: S.PARTIALLY_FILLED,
+  filled: S.FILLED,
+  canceled: S.CANCELED,
+  rejected: S.REJECTED,
+  failed: S.REJECTED,
+};
+
+// State an exec.status moves its order to; an explicit `state` (expired) wins
+export const stateOfStatus = (status) => status?.state || STATE_OF_STATUS[status?.status];
+
+// Redis script behind a transition: checks the order hash's state against the states allowed
+// before `to` and writes `to` in one step, so a placeOrder result and a user-stream report racing
+// on the same order cannot both move it.
+// KEYS[1] the order hash; ARGV: to, ts, ...statesBefore(to). Returns [moved, previous state ('' for
+// none)].
+export const TRANSITION_SCRIPT = `
+local cur = redis.call('HGET', KEYS[1], 'state') or ''
+for i = 3, #ARGV do
+  if ARGV[i] == cur then
+    redis.call('HSET', KEYS[1], 'state', ARGV[1], 'state_ts', ARGV[2])
+    return {1, cur}
+  end
+end
+return {0, cur}`;
@@ -0,0 +1,472 @@
+// Paper matching engine: resting limit orders per symbol with partial fills and queue position.
+//
+// Market state comes from a feed via updateMarket({ symbol, price, volume, bid, ask, bidSize, askSize }):
+// - price/volume: last trade and the quantity traded at that price
+// - bid/ask (+ sizes): top of book; a resting order joining the best level queues behind its size
+//
+// Matching rules (per symbol, price-time priority across our own resting orders):
+// - A limit order that is marketable on entry takes liquidity at the opposite best price, up to its size.
+// - A trade through a resting limit fills it at its limit price, up to the traded volume.
+// - A trade at the limit price first consumes the queue ahead of the order, then fills it.
+// - If the opposite best moves through the limit, the order fills at its limit up to the quoted size.
+// - Market orders sweep the book: top-of-book size at the best price, any remainder at
+//   PAPER_BOOK_IMPACT_BPS worse.
+// - Stop and stop-limit orders wait until a trade reaches the stop price (buy: at or above,
+//   sell: at or below), then enter as a market or limit order. A stop already reached by the
+//   last trade price triggers on submit.
+// - Time in force applies when a limit order enters: IOC expires the unfilled remainder, FOK
+//   expires unless the opposite best covers the whole size, POST_ONLY is rejected if marketable.
+//
+// Config via env (see getPaperBookAdapter):
+// - PAPER_BOOK_DEFAULT_VOLUME: traded quantity assumed when a tick carries no volume (default 1)
+// - PAPER_BOOK_QUEUE_DEPTH: queue ahead assumed for orders resting away from the best level (default 0)
+// - PAPER_BOOK_IMPACT_BPS: price impact for market order size beyond top of book (default 5)
+// - PAPER_BOOK_CLOSED_MAX: filled, canceled and expired orders kept for getOrder, fetchTrades and
+//   duplicate submits (default 10000); only working orders are matched on each tick
+
+import {
+  ORDER_STATUS,
+  ORDER_TYPES,
+  REJECT_REASONS,
+  TIME_IN_FORCE,
+  normalizeOrderParams,
+} from './adapter.js';
+
+const isOpen = (o) => o.status === ORDER_STATUS.NEW || o.status === ORDER_STATUS.PARTIALLY_FILLED;
+
+export function createMatchingEngine({
+  feeBps = 10,
+  slippageBps = 0,
+  defaultVolume = 1,
+  queueDepth = 0,
+  impactBps = 5,
+  priceDefault = 30000,
+  closedMax = 10000,
+  now = () => new Date(),
+} = {}) {
+  const markets = new Map(); // symbol -> { price, bid, ask, bidSize, askSize }
+  const orders = new Map(); // orderId -> working order
+  const closed = new Map(); // orderId -> filled/canceled/expired order, newest closedMax kept
+  const listeners = new Set();
+  let nextSeq = 0; // time priority; an amend that loses priority takes a new one
+
+  const market = (symbol) => markets.get(symbol) || {};
+  const find = (orderId) => orders.get(String(orderId)) || closed.get(String(orderId));
+
+  // An order that stopped working leaves the book
+  function retire(order) {
+    if (isOpen(order)) return;
+    orders.delete(order.orderId);
+    closed.set(order.orderId, order);
+    if (closed.size > closedMax) closed.delete(closed.keys().next().value);
+  }
+
+  const bookFor = (symbol, side) =>
+    [...orders.values()]
+      .filter(
+        (o) =>
+          o.symbol === symbol &&
+          o.side === side &&
+          isOpen(o) &&
+          o.limitPrice != null &&
+          !o.awaitingStop
+      )
+      .sort((a, b) =>
+        a.limitPrice === b.limitPrice
+          ? a.seq - b.seq
+          : side === 'buy'
+            ? b.limitPrice - a.limitPrice
+            : a.limitPrice - b.limitPrice
+      );
+
+  // Apply a fill to an order and notify listeners; taker fills pay slippage on notional (a buy
+  // pays more, a sell receives less). source tells listeners whether the fill happened on submit
+  // ('order') or from a tick ('feed').
+  function fill(order, qty, price, liquidity, source = 'order') {
+    if (qty <= 0) return null;
+    const dir = order.side === 'buy' ? 1 : -1;
+    const slip = liquidity === 'taker' ? 1 + (dir * slippageBps) / 10000 : 1;
+    const notional = qty * price * slip;
+    const fee = notional * (feeBps / 10000);
+    order.filledQty += qty;
+    order.notional += notional;
+    order.fee += fee;
+    order.status =
+      order.filledQty >= order.qty - 1e-12 ? ORDER_STATUS.FILLED : ORDER_STATUS.PARTIALLY_FILLED;
+    retire(order);
+    const event = {
+      orderId: order.orderId,
+      symbol: order.symbol,
+      side: order.side,
+      qty,
+      price,
+      notional,
+      fee,
+      liquidity,
+      source,
+      filledQty: order.filledQty,
+      remainingQty: Math.max(0, order.qty - order.filledQty),
+      avgPrice: order.notional / order.filledQty,
+      status: order.status,
+      ts: now().toISOString(),
+    };
+    order.fills.push(event);
+    for (const l of listeners) {
+      try {
+        l(event);
+      } catch {}
+    }
+    return event;
+  }
+
+  const remaining = (o) => Math.max(0, o.qty - o.filledQty);
+
+  // Take liquidity: top-of-book size at the best price, the remainder PAPER_BOOK_IMPACT_BPS worse
+  function takeMarket(order, source) {
+    const m = market(order.symbol);
+    const best = order.side === 'buy' ? m.ask : m.bid;
+    const bestSize = order.side === 'buy' ? m.askSize : m.bidSize;
+    const size = remaining(order);
+    const top = best ?? m.price ?? priceDefault;
+    const topQty = Math.min(size, bestSize ?? size);
+    const events = [fill(order, topQty, top, 'taker', source)];
+    const rest = size - topQty;
+    if (rest > 0) {
+      const dir = order.side === 'buy' ? 1 : -1;
+      events.push(fill(order, rest, top * (1 + (dir * impactBps) / 10000), 'taker', source));
+    }
+    return events;
+  }
+
+  // Enter a limit order: take what the opposite best offers (as time in force allows), then rest
+  function enterLimit(order, source) {
+    const m = market(order.symbol);
+    const { side, limitPrice, timeInForce } = order;
+    const best = side === 'buy' ? m.ask : m.bid;
+    const bestSize = side === 'buy' ? m.askSize : m.bidSize;
+    const crosses = best != null && (side === 'buy' ? best <= limitPrice : best >= limitPrice);
+    const available = crosses ? Math.min(remaining(order), bestSize ?? Infinity) : 0;
+    const events = [];
+    if (timeInForce === TIME_IN_FORCE.FOK && available < remaining(order)) {
+      order.status = ORDER_STATUS.EXPIRED;
+      retire(order);
+      return events;
+    }
+    if (available > 0) events.push(fill(order, available, best, 'taker', source));
+    if (!isOpen(order)) return events;
+    if (timeInForce === TIME_IN_FORCE.IOC) {
+      order.status = ORDER_STATUS.EXPIRED;
+      retire(order);
+      return events;
+    }
+    const sameBest = side === 'buy' ? m.bid : m.ask;
+    const sameSize = side === 'buy' ? m.bidSize : m.askSize;
+    if (sameBest != null && sameBest === limitPrice) order.queueAhead = sameSize ?? 0;
+    else if (sameBest != null && (side === 'buy' ? limitPrice < sameBest : limitPrice > sameBest))
+      order.queueAhead = queueDepth;
+    return events;
+  }
+
+  const stopReached = (o, price) =>
+    price != null && (o.side === 'buy' ? price >= o.stopPrice : price <= o.stopPrice);
+
+  // A triggered stop enters the market as its market or limit counterpart
+  function trigger(order, source) {
+    order.awaitingStop = false;
+    return order.limitPrice != null ? enterLimit(order, source) : takeMarket(order, source);
+  }
+
+  function submit({
+    orderId,
+    symbol,
+    side,
+    qty,
+    type = ORDER_TYPES.MARKET,
+    limitPrice,
+    stopPrice,
+    timeInForce,
+  }) {
+    const size = Math.abs(Number(qty));
+    if (!(size > 0)) return { reason: REJECT_REASONS.INVALID_QUANTITY };
+    const params = normalizeOrderParams({ type, limitPrice, stopPrice, timeInForce });
+    if (params.reason) return { reason: params.reason };
+    if (find(orderId)) return { order: find(orderId) };
+
+    const m = market(symbol);
+    const order = {
+      orderId: String(orderId),
+      symbol,
+      side,
+      qty: size,
+      ...params,
+      awaitingStop: params.stopPrice != null,
+      filledQty: 0,
+      notional: 0,
+      fee: 0,
+      queueAhead: 0,
+      status: ORDER_STATUS.NEW,
+      fills: [],
+      seq: nextSeq++,
+      ts: now().toISOString(),
+    };
+
+    if (order.timeInForce === TIME_IN_FORCE.POST_ONLY) {
+      const best = side === 'buy' ? m.ask : m.bid;
+      if (best != null && (side === 'buy' ? best <= order.limitPrice : best >= order.limitPrice))
+        return { reason: REJECT_REASONS.ORDER_REJECTED };
+    }
+    orders.set(order.orderId, order);
+
+    if (order.awaitingStop) {
+      if (stopReached(order, m.price)) trigger(order, 'order');
+    } else if (order.type === ORDER_TYPES.MARKET) takeMarket(order, 'order');
+    else enterLimit(order, 'order');
+    return { order };
+  }
+
+  function updateMarket({ symbol, price, volume, bid, ask, bidSize, askSize }) {
+    if (!symbol) return [];
+    const m = { ...market(symbol) };
+    if (price != null) m.price = Number(price);
+    if (bid != null) m.bid = Number(bid);
+    if (ask != null) m.ask = Number(ask);
+    if (bidSize != null) m.bidSize = Number(bidSize);
+    if (askSize != null) m.askSize = Number(askSize);
+    markets.set(symbol, m);
+
+    const events = [];
+    const push = (e) => e && events.push(e);
+
+    for (const side of ['buy', 'sell']) {
+      // Liquidity this tick offers to our resting orders on this side
+      const oppPx = side === 'buy' ? ask : bid;
+      const oppSize = side === 'buy' ? askSize : bidSize;
+      let quoted = oppPx != null ? Number(oppSize ?? Infinity) : 0;
+      let traded = price != null ? Number(volume ?? defaultVolume) : 0;
+      const p = Number(price);
+      for (const o of bookFor(symbol, side)) {
+        const L = o.limitPrice;
+        // Opposite quote crossed our limit: we are the resting side of that match
+        if (quoted > 0 && (side === 'buy' ? Number(oppPx) <= L : Number(oppPx) >= L)) {
+          const q = Math.min(remaining(o), quoted);
+          quoted -= q;
+          o.queueAhead = 0;
+          push(fill(o, q, L, 'maker', 'feed'));
+        }
+        if (!isOpen(o) || traded <= 0) continue;
+        if (side === 'buy' ? p < L : p > L) {
+          // traded through our level: everything ahead of us is gone
+          const q = Math.min(remaining(o), traded);
+          traded -= q;
+          o.queueAhead = 0;
+          push(fill(o, q, L, 'maker', 'feed'));
+        } else if (p === L) {
+          const consumed = Math.min(o.queueAhead, traded);
+          o.queueAhead -= consumed;
+          traded -= consumed;
+          const q = Math.min(remaining(o), traded);
+          traded -= q;
+          push(fill(o, q, L, 'maker', 'feed'));
+        }
+      }
+    }
+
+    // Stops reached by this trade enter after resting orders have matched it
+    if (price != null) {
+      for (const o of orders.values()) {
+        if (o.symbol !== symbol || !o.awaitingStop || !isOpen(o)) continue;
+        if (stopReached(o, m.price)) for (const e of trigger(o, 'feed')) push(e);
+      }
+    }
+    return events;
+  }
+
+  function cancel(orderId) {
+    const o = find(orderId);
+    if (!o) return { canceled: false, reason: REJECT_REASONS.UNKNOWN_ORDER };
+    if (!isOpen(o)) return { canceled: false, reason: REJECT_REASONS.NOT_CANCELABLE, order: o };
+    o.status = ORDER_STATUS.CANCELED;
+    retire(o);
+    return { canceled: true, order: o };
+  }
+
+  // Change a working order in place, keeping its fills. A smaller qty keeps the order's place in
+  // the queue; a new price or a larger qty sends it to the back and may match at once (those fills
+  // are reported with source 'feed', like fills on resting orders).
+  function amend(orderId, { qty, limitPrice, stopPrice } = {}) {
+    const o = find(orderId);
+    if (!o) return { amended: false, reason: REJECT_REASONS.UNKNOWN_ORDER };
+    if (!isOpen(o)) return { amended: false, reason: REJECT_REASONS.NOT_CANCELABLE, order: o };
+    const invalid = (error) => ({
+      amended: false,
+      reason: REJECT_REASONS.INVALID_PARAMS,
+      detail: { error },
+    });
+    if ((limitPrice != null && o.limitPrice == null) || (stopPrice != null && !o.awaitingStop))
+      return invalid('amend_not_supported');
+    const size = qty != null ? Math.abs(Number(qty)) : o.qty;
+    if (!(size > o.filledQty)) return { amended: false, reason: REJECT_REASONS.INVALID_QUANTITY };
+    const px = limitPrice != null ? Number(limitPrice) : o.limitPrice;
+    const stop = stopPrice != null ? Number(stopPrice) : o.stopPrice;
+    if (!(px == null || px > 0) || !(stop == null || stop > 0)) return invalid('price_invalid');
+    if (o.timeInForce === TIME_IN_FORCE.POST_ONLY && !o.awaitingStop) {
+      const best = o.side === 'buy' ? market(o.symbol).ask : market(o.symbol).bid;
+      if (best != null && (o.side === 'buy' ? best <= px : best >= px))
+        return { amended: false, reason: REJECT_REASONS.ORDER_REJECTED, order: o };
+    }
+
+    const requeue = px !== o.limitPrice || stop !== o.stopPrice || size > o.qty;
+    Object.assign(o, { qty: size, limitPrice: px, stopPrice: stop });
+    if (!requeue) return { amended: true, order: o };
+    o.seq = nextSeq++;
+    o.queueAhead = 0;
+    if (o.awaitingStop) {
+      if (stopReached(o, market(o.symbol).price)) trigger(o, 'feed');
+    } else if (o.limitPrice != null) enterLimit(o, 'feed');
+    return { amended: true, order: o };
+  }
+
+  return {
+    submit,
+    cancel,
+    amend,
+    updateMarket,
+    get: (orderId) => find(orderId) || null,
+    market,
+    trades: () =>
+      [...closed.values(), ...orders.values()]
+        .flatMap((o) => o.fills)
+        .sort((a, b) => a.ts.localeCompare(b.ts)),
+    // Orders matched on each tick
+    working: () => orders.size,
+    onFill(handler) {
+      listeners.add(handler);
+      return () => listeners.delete(handler);
+    },
+  };
+}
+
+// Adapter facade over the matching engine; selected with PAPER_MODE=book
+export function getPaperBookAdapter() {
+  const priceDefault = parseFloat(process.env.PAPER_PRICE_DEFAULT || '30000');
+  const engine = createMatchingEngine({
+    priceDefault,
+    feeBps: parseFloat(process.env.EXCHANGE_FEE_BPS || '10'),
+    slippageBps: parseFloat(process.env.SLIPPAGE_BPS || '0'),
+    defaultVolume: parseFloat(process.env.PAPER_BOOK_DEFAULT_VOLUME || '1'),
+    queueDepth: parseFloat(process.env.PAPER_BOOK_QUEUE_DEPTH || '0'),
+    impactBps: parseFloat(process.env.PAPER_BOOK_IMPACT_BPS || '5'),
+    closedMax: parseInt(process.env.PAPER_BOOK_CLOSED_MAX || '10000', 10),
+  });
+  let balances = {};
+  try {
+    balances = JSON.parse(process.env.PAPER_BALANCES || '{"USD":100000}');
+  } catch {}
+  engine.onFill(({ symbol, side, qty, notional, fee }) => {
+    const [base, quote = 'USD'] = String(symbol).split('-');
+    const sign = side === 'sell' ? -1 : 1;
+    balances[base] = (parseFloat(balances[base]) || 0) + sign * qty;
+    balances[quote] = (parseFloat(balances[quote]) || 0) - sign * notional - fee;
+  });
+
+  const summarize = (o) => ({
+    status: o.status,
+    filledQty: o.filledQty,
+    price: o.filledQty > 0 ? o.notional / o.filledQty : undefined,
+    notional: o.notional,
+    fee: o.fee,
+  });
+
+  return {
+    async placeOrder({ orderId, symbol, side, qty, type, limitPrice, stopPrice, timeInForce }) {
+      const { order, reason } = engine.submit({
+        orderId,
+        symbol,
+        side,
+        qty,
+        type,
+        limitPrice,
+        stopPrice,
+        timeInForce,
+      });
+      if (reason) return { filled: false, orderId, symbol, side, qty, reason };
+      return {
+        filled: order.status === ORDER_STATUS.FILLED,
+        orderId,
+        symbol,
+        side,
+        qty,
+        ...summarize(order),
+      };
+    },
+
+    async getOrder({ orderId }) {
+      const o = engine.get(orderId);
+      if (!o) return { found: false, orderId, reason: REJECT_REASONS.UNKNOWN_ORDER };
+      return {
+        found: true,
+        orderId,
+        symbol: o.symbol,
+        side: o.side,
+        qty: o.qty,
+        type: o.type,
+        limitPrice: o.limitPrice,
+        stopPrice: o.stopPrice,
+        timeInForce: o.timeInForce,
+        queueAhead: o.queueAhead,
+        ...summarize(o),
+      };
+    },
+
+    async cancelOrder({ orderId }) {
+      const { canceled, reason } = engine.cancel(orderId);
+      return canceled ? { canceled, orderId } : { canceled, orderId, reason };
+    },
+
+    async amendOrder({ orderId, qty, limitPrice, stopPrice }) {
+      const { amended, reason, detail } = engine.amend(orderId, { qty, limitPrice, stopPrice });
+      return amended ? { amended, orderId } : { amended, orderId, reason, raw: detail };
+    },
+
+    async fetchBalance() {
+      const out = {};
+      for (const [asset, v] of Object.entries(balances)) {
+        const total = parseFloat(v) || 0;
+        out[asset] = { free: total, locked: 0, total };
+      }
+      return { balances: out };
+    },
+
+    async fetchTrades({ symbol, since } = {}) {
+      const sinceMs = since ? Number(since) : 0;
+      return {
+        trades: engine
+          .trades()
+          .map((t, i) => ({ ...t, id: `paper-book-${i + 1}` }))
+          .filter((t) => (!symbol || t.symbol === symbol) && Date.parse(t.ts) >= sinceMs)
+          .map((t) => ({
+            id: t.id,
+            orderId: t.orderId,
+            symbol: t.symbol,
+            side: t.side,
+            qty: t.qty,
+            price: t.price,
+            notional: t.notional,
+            fee: t.fee,
+            ts: t.ts,
+          })),
+      };
+    },
+
+    // Top of book, falling back to the last trade and then PAPER_PRICE_DEFAULT like market orders
+    async fetchTicker({ symbol }) {
+      const m = engine.market(symbol);
+      const last = m.price ?? priceDefault;
+      return { symbol, bid: m.bid ?? last, ask: m.ask ?? last, price: last };
+    },
+
+    // Feed hook: apply a market data tick; returns fill events it triggered
+    updateMarket: (tick) => engine.updateMarket(tick),
+    onFill: (handler) => engine.onFill(handler),
+  };
+}
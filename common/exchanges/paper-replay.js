@@ -0,0 +1,140 @@
+// Historical replay feed for the paper adapter (PAPER_MODE=replay)
+//
+// Loads OHLCV candles or trade ticks from local files and quotes the replayed price at a
+// simulated clock, so paper runs are deterministic and need no network.
+//
+// Files (PAPER_REPLAY_FILES, comma-separated) are CSV with a header row, or JSONL/NDJSON.
+// Recognised fields (case-insensitive):
+// - ts | time | timestamp: epoch seconds, epoch ms or ISO-8601
+// - symbol (optional; rows without one quote every symbol)
+// - open, high, low, close, volume: a candle; orders fill at the open of the bar in force
+//   (the close is not known yet at the bar's start)
+// - price, qty | size | amount: a trade tick; orders fill at the last tick price
+//
+// Clock: starts at PAPER_REPLAY_START (default: first record). After each order it moves
+// PAPER_REPLAY_STEP_MS forward, or to the next record timestamp when the step is 0 (default).
+// Orders before a symbol's first record or after the end of the data are rejected with
+// no_market_data.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { REJECT_REASONS } from './adapter.js';
+
+const TS_FIELDS = ['ts', 'time', 'timestamp'];
+
+export function parseTimestamp(v) {
+  if (v == null || v === '') return NaN;
+  const n = Number(v);
+  if (Number.isFinite(n)) return n < 1e12 ? n * 1000 : n;
+  return Date.parse(v);
+}
+
+function toRecord(row) {
+  const r = Object.fromEntries(Object.entries(row).map(([k, v]) => [k.toLowerCase(), v]));
+  const ts = parseTimestamp(r[TS_FIELDS.find((f) => r[f] != null)]);
+  const open = parseFloat(r.open);
+  const tick = parseFloat(r.price);
+  const price = Number.isFinite(open) ? open : tick;
+  if (!Number.isFinite(ts) || !(price > 0)) return null;
+  return { ts, symbol: r.symbol ? String(r.symbol) : undefined, price };
+}
+
+// Parse file contents into sorted { ts, symbol?, price } records; format is 'csv' or 'jsonl'
+export function parseReplayRecords(text, format = 'csv') {
+  const lines = String(text)
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter((l) => l && !l.startsWith('#'));
+  let rows;
+  if (format === 'jsonl') {
+    rows = lines.map((l) => {
+      try {
+        return JSON.parse(l);
+      } catch {
+        return null;
+      }
+    });
+  } else {
+    const split = (l) => l.split(',').map((c) => c.trim().replace(/^"(.*)"$/, '$1'));
+    const header = split(lines.shift() || '');
+    rows = lines.map((l) => Object.fromEntries(split(l).map((c, i) => [header[i], c])));
+  }
+  return rows
+    .filter(Boolean)
+    .map(toRecord)
+    .filter(Boolean)
+    .sort((a, b) => a.ts - b.ts);
+}
+
+export function loadReplayFiles(paths) {
+  const records = [];
+  for (const p of paths) {
+    const ext = path.extname(p).toLowerCase();
+    const format = ext === '.jsonl' || ext === '.ndjson' ? 'jsonl' : 'csv';
+    records.push(...parseReplayRecords(fs.readFileSync(p, 'utf8'), format));
+  }
+  return records.sort((a, b) => a.ts - b.ts);
+}
+
+// Last index in a ts-sorted array with ts <= t, or -1
+function lastAtOrBefore(series, t) {
+  let lo = 0;
+  let hi = series.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (series[mid].ts <= t) {
+      found = mid;
+      lo = mid + 1;
+    } else hi = mid - 1;
+  }
+  return found;
+}
+
+export function createReplayFeed({ records, start, stepMs = 0 }) {
+  const bySymbol = new Map(); // symbol ('*' when the row had none) -> records
+  for (const r of records) {
+    const key = r.symbol || '*';
+    if (!bySymbol.has(key)) bySymbol.set(key, []);
+    bySymbol.get(key).push(r);
+  }
+  const timeline = [...new Set(records.map((r) => r.ts))].map((ts) => ({ ts }));
+  const endTs = timeline.length ? timeline[timeline.length - 1].ts : -Infinity;
+  const startTs = parseTimestamp(start);
+  let clock = Number.isFinite(startTs) ? startTs : timeline.length ? timeline[0].ts : 0;
+
+  return {
+    now: () => clock,
+    advanceTo(ts) {
+      clock = Math.max(clock, parseTimestamp(ts));
+    },
+    // Move the clock after an order: a fixed step, or to the next record timestamp
+    step() {
+      if (stepMs > 0) clock += stepMs;
+      else {
+        const next = timeline[lastAtOrBefore(timeline, clock) + 1];
+        clock = next ? next.ts : Infinity;
+      }
+    },
+    quote(symbol) {
+      const series = bySymbol.get(symbol) || bySymbol.get('*');
+      if (!series || clock > endTs) return { reason: REJECT_REASONS.NO_MARKET_DATA };
+      const i = lastAtOrBefore(series, clock);
+      if (i < 0) return { reason: REJECT_REASONS.NO_MARKET_DATA };
+      return { price: series[i].price, ts: new Date(clock).toISOString() };
+    },
+  };
+}
+
+export function getReplayFeed() {
+  const files = (process.env.PAPER_REPLAY_FILES || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (!files.length) throw new Error('PAPER_MODE=replay requires PAPER_REPLAY_FILES');
+  return createReplayFeed({
+    records: loadReplayFiles(files),
+    start: process.env.PAPER_REPLAY_START,
+    stepMs: parseInt(process.env.PAPER_REPLAY_STEP_MS || '0', 10),
+  });
+}
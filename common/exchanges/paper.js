@@ -3,32 +3,176 @@
 // - PAPER_PRICE_DEFAULT: default notional price for fee calc (e.g., 30000 for BTC-USD)
 // - EXCHANGE_FEE_BPS: fee rate in basis points (e.g., 10 = 0.10%)
 // - SLIPPAGE_BPS: additional slippage in basis points applied to notional for fee calc (optional)
+// - PAPER_BALANCES: JSON map of starting balances per asset (default {"USD":100000})
+// - PAPER_MODE: instant (default) fills everything on submit; book uses the matching engine
+//   in paper-book.js (limit orders, partial fills, queue position, feed-driven fills);
+//   replay fills at prices replayed from files (see paper-replay.js)
+//
+// Instant and replay modes have no book: limit and stop orders execute in full at the current
+// price when it satisfies them (limit marketable, stop reached) and are rejected otherwise
+// (raw.error not_marketable / stop_not_triggered). Post-only orders can never rest here, so they
+// are always rejected. Use PAPER_MODE=book for working orders.
+//
+// Orders, trades and balances live in memory for the lifetime of the adapter instance.
+
+import { ORDER_STATUS, REJECT_REASONS, TIME_IN_FORCE, normalizeOrderParams } from './adapter.js';
+import { getPaperBookAdapter } from './paper-book.js';
+import { getReplayFeed } from './paper-replay.js';
+import { computeFee } from './fees.js';
+
+function parseBalances(json) {
+  try {
+    const parsed = JSON.parse(json);
+    return Object.fromEntries(Object.entries(parsed).map(([k, v]) => [k, parseFloat(v) || 0]));
+  } catch {
+    return {};
+  }
+}
+
+// Why an order cannot execute in full at price right now, or null when it can
+function instantBlocker({ type, limitPrice, stopPrice, timeInForce }, side, price) {
+  const buy = side !== 'sell';
+  if (stopPrice != null && (buy ? price < stopPrice : price > stopPrice))
+    return 'stop_not_triggered';
+  const marketable = limitPrice == null || (buy ? price <= limitPrice : price >= limitPrice);
+  if (timeInForce === TIME_IN_FORCE.POST_ONLY)
+    return marketable ? 'post_only_would_take' : 'not_marketable';
+  return marketable ? null : 'not_marketable';
+}
 
 export function getPaperAdapter() {
+  const mode = (process.env.PAPER_MODE || 'instant').toLowerCase();
+  if (mode === 'book') return getPaperBookAdapter();
+  const feed = mode === 'replay' ? getReplayFeed() : null;
   const priceDefault = parseFloat(process.env.PAPER_PRICE_DEFAULT || '30000');
   const feeBps = parseFloat(process.env.EXCHANGE_FEE_BPS || '10'); // 0.10%
   const slippageBps = parseFloat(process.env.SLIPPAGE_BPS || '0');
+  const balances = parseBalances(process.env.PAPER_BALANCES || '{"USD":100000}');
+  const orders = new Map(); // orderId -> fill result
+  const trades = [];
 
-  const computeFee = ({ qty = 1, price = priceDefault }) => {
-    const notional = Math.abs(qty) * price * (1 + slippageBps / 10000);
-    const fee = notional * (feeBps / 10000);
-    return { fee, notional };
+  // Paper balances may go negative: the simulator does not enforce funding
+  const applyToBalances = ({ symbol, side, qty, notional, fee }) => {
+    const [base, quote = 'USD'] = String(symbol).split('-');
+    const sign = side === 'sell' ? -1 : 1;
+    balances[base] = (balances[base] || 0) + sign * Math.abs(qty);
+    balances[quote] = (balances[quote] || 0) - sign * notional - fee;
   };
 
   return {
-    async placeOrder({ orderId, symbol, side, qty }) {
-      const { fee, notional } = computeFee({ qty });
-      // In paper mode we "fill" immediately at the default price
-      return {
+    async placeOrder({ orderId, symbol, side, qty, type, limitPrice, stopPrice, timeInForce }) {
+      const params = normalizeOrderParams({ type, limitPrice, stopPrice, timeInForce });
+      if (params.reason)
+        return {
+          filled: false,
+          orderId,
+          symbol,
+          side,
+          qty,
+          reason: params.reason,
+          raw: params.detail,
+        };
+      let price = priceDefault;
+      let ts = new Date().toISOString();
+      if (feed) {
+        // Replay: fill at the market price for the simulated time, then move the clock on
+        const quote = feed.quote(symbol);
+        if (quote.reason)
+          return { filled: false, orderId, symbol, side, qty, reason: quote.reason };
+        ({ price, ts } = quote);
+        feed.step();
+      }
+      const blocker = instantBlocker(params, side, price);
+      if (blocker) {
+        const reason = REJECT_REASONS.ORDER_REJECTED;
+        return {
+          filled: false,
+          orderId,
+          symbol,
+          side,
+          qty,
+          reason,
+          raw: { error: blocker, price },
+        };
+      }
+      const { fee, notional } = computeFee({ qty, price, feeBps, slippageBps });
+      // In paper mode we "fill" immediately at the current price
+      const fill = {
         filled: true,
         orderId,
         symbol,
         side,
         qty,
-        price: priceDefault,
+        price,
         notional,
         fee,
       };
+      orders.set(String(orderId), { ...fill, ts });
+      trades.push({
+        id: `paper-${trades.length + 1}`,
+        orderId,
+        symbol,
+        side,
+        qty: Math.abs(qty),
+        price,
+        notional,
+        fee,
+        ts,
+      });
+      applyToBalances(fill);
+      return fill;
     },
+
+    async getOrder({ orderId }) {
+      const o = orders.get(String(orderId));
+      if (!o) return { found: false, orderId, reason: REJECT_REASONS.UNKNOWN_ORDER };
+      return {
+        found: true,
+        orderId,
+        status: ORDER_STATUS.FILLED,
+        symbol: o.symbol,
+        side: o.side,
+        qty: o.qty,
+        filledQty: Math.abs(o.qty),
+        price: o.price,
+        fee: o.fee,
+      };
+    },
+
+    // Paper orders fill on submit, so there is never anything left to cancel
+    async cancelOrder({ orderId }) {
+      const reason = orders.has(String(orderId))
+        ? REJECT_REASONS.NOT_CANCELABLE
+        : REJECT_REASONS.UNKNOWN_ORDER;
+      return { canceled: false, orderId, reason };
+    },
+
+    async fetchBalance() {
+      const out = {};
+      for (const [asset, total] of Object.entries(balances)) {
+        out[asset] = { free: total, locked: 0, total };
+      }
+      return { balances: out };
+    },
+
+    async fetchTrades({ symbol, since } = {}) {
+      const sinceMs = since ? Number(since) : 0;
+      return {
+        trades: trades.filter(
+          (t) => (!symbol || t.symbol === symbol) && Date.parse(t.ts) >= sinceMs
+        ),
+      };
+    },
+
+    // Paper quotes have no spread: the fill price for the current (simulated) time
+    async fetchTicker({ symbol }) {
+      if (!feed) return { symbol, bid: priceDefault, ask: priceDefault, price: priceDefault };
+      const quote = feed.quote(symbol);
+      if (quote.reason) return { symbol, reason: quote.reason };
+      return { symbol, bid: quote.price, ask: quote.price, price: quote.price, ts: quote.ts };
+    },
+
+    // Replay only: simulated clock (epoch ms) and a way to jump it forward
+    ...(feed && { now: () => feed.now(), advanceTo: (ts) => feed.advanceTo(ts) }),
   };
 }
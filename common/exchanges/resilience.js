@@ -0,0 +1,238 @@
+// Resilience wrapper for exchange adapters: token-bucket rate limiting, retries with jittered
+// backoff on retryable reasons, and a circuit breaker that opens after repeated venue failures.
+//
+// withResilience(adapter, opts) returns an adapter with the same contract (see adapter.js).
+// Failures are read from `reason` on results (adapters do not throw); thrown errors count as
+// failures too and are rethrown once retries are exhausted. While the breaker is open, calls
+// return the method's failure shape with reason circuit_open without reaching the venue.
+//
+// placeOrder is only retried when the venue certainly did not accept the order (rate_limited,
+// timestamp_skew); an exchange_unavailable submit or a thrown error may have gone through, and
+// the trade executor keeps such an order open until its reconcile pass finds it with getOrder.
+// Reads, cancels and amends (which set absolute values, so repeating one is harmless) retry on
+// every retryable reason.
+//
+// Config via env (resilienceOptionsFromEnv):
+// - EXCHANGE_RATE_LIMIT_PER_SEC: sustained requests per second per venue (default 10, 0 = off)
+// - EXCHANGE_RATE_LIMIT_BURST: bucket size (default = rate)
+// - EXCHANGE_RETRY_MAX: retries after the first attempt (default 3)
+// - EXCHANGE_RETRY_BASE_MS / EXCHANGE_RETRY_MAX_MS: backoff base and cap (default 200 / 5000)
+// - EXCHANGE_BREAKER_THRESHOLD: consecutive failures that open the breaker (default 5)
+// - EXCHANGE_BREAKER_COOLDOWN_MS: time open before a half-open trial call (default 30000)
+
+import { REJECT_REASONS, isRetryableReason } from './adapter.js';
+
+export const BREAKER_STATE = Object.freeze({
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open',
+});
+
+const METHODS = [
+  'placeOrder',
+  'getOrder',
+  'cancelOrder',
+  'amendOrder',
+  'fetchBalance',
+  'fetchTrades',
+  'fetchInstruments',
+  'fetchTicker',
+];
+
+// Retryable reasons that prove a submit was not accepted
+const SAFE_SUBMIT_RETRY = new Set([REJECT_REASONS.RATE_LIMITED, REJECT_REASONS.TIMESTAMP_SKEW]);
+
+// Venue-health failures (as opposed to business rejections like insufficient_balance)
+const isFailure = (reason) => isRetryableReason(reason) || reason === REJECT_REASONS.EXCHANGE_ERROR;
+
+const defaultSleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export function createTokenBucket({
+  ratePerSec,
+  burst = ratePerSec,
+  now = Date.now,
+  sleep = defaultSleep,
+}) {
+  let tokens = burst;
+  let last = now();
+  const refill = () => {
+    const t = now();
+    tokens = Math.min(burst, tokens + ((t - last) / 1000) * ratePerSec);
+    last = t;
+  };
+  return {
+    // Resolves once a token is available; callers queue behind each other via the wait
+    async take() {
+      if (!(ratePerSec > 0)) return;
+      for (;;) {
+        refill();
+        if (tokens >= 1) {
+          tokens -= 1;
+          return;
+        }
+        await sleep(Math.ceil(((1 - tokens) / ratePerSec) * 1000));
+      }
+    },
+    available() {
+      refill();
+      return tokens;
+    },
+  };
+}
+
+export function createCircuitBreaker({
+  threshold = 5,
+  cooldownMs = 30000,
+  now = Date.now,
+  onStateChange,
+}) {
+  let state = BREAKER_STATE.CLOSED;
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+  const set = (next) => {
+    if (next === state) return;
+    const prev = state;
+    state = next;
+    onStateChange?.(next, prev);
+  };
+  const close = () => {
+    trialInFlight = false;
+    failures = 0;
+    set(BREAKER_STATE.CLOSED);
+  };
+  return {
+    state: () => state,
+    // Whether a call may go to the venue now
+    allow() {
+      if (state === BREAKER_STATE.OPEN && now() - openedAt >= cooldownMs)
+        set(BREAKER_STATE.HALF_OPEN);
+      if (state === BREAKER_STATE.CLOSED) return true;
+      if (state === BREAKER_STATE.HALF_OPEN && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+      return false;
+    },
+    success: close,
+    failure() {
+      trialInFlight = false;
+      failures += 1;
+      if (state === BREAKER_STATE.HALF_OPEN || failures >= threshold) {
+        openedAt = now();
+        set(BREAKER_STATE.OPEN);
+      }
+    },
+    // A call that reached the venue but proved nothing about its health (e.g. a business rejection)
+    neutral() {
+      if (state === BREAKER_STATE.HALF_OPEN) close();
+      else failures = 0;
+    },
+  };
+}
+
+// Full jitter: uniform in [0, min(cap, base * 2^attempt)]
+export function backoffDelay(attempt, { baseMs = 200, maxMs = 5000, random = Math.random } = {}) {
+  return Math.floor(random() * Math.min(maxMs, baseMs * 2 ** attempt));
+}
+
+// Result returned without calling the venue, shaped like each method's normal failure result
+function shortCircuit(method, args, reason) {
+  const { orderId, symbol, side, qty } = args || {};
+  switch (method) {
+    case 'placeOrder':
+      return { filled: false, orderId, symbol, side, qty, reason };
+    case 'getOrder':
+      return { found: false, orderId, reason };
+    case 'cancelOrder':
+      return { canceled: false, orderId, reason };
+    case 'amendOrder':
+      return { amended: false, orderId, reason };
+    case 'fetchBalance':
+      return { balances: {}, reason };
+    case 'fetchInstruments':
+      return { instruments: [], reason };
+    case 'fetchTicker':
+      return { symbol: args?.symbol, reason };
+    default:
+      return { trades: [], reason };
+  }
+}
+
+export function resilienceOptionsFromEnv(env = process.env) {
+  const ratePerSec = parseFloat(env.EXCHANGE_RATE_LIMIT_PER_SEC || '10');
+  return {
+    ratePerSec,
+    burst: parseFloat(env.EXCHANGE_RATE_LIMIT_BURST || String(ratePerSec)),
+    retries: parseInt(env.EXCHANGE_RETRY_MAX || '3', 10),
+    baseMs: parseInt(env.EXCHANGE_RETRY_BASE_MS || '200', 10),
+    maxMs: parseInt(env.EXCHANGE_RETRY_MAX_MS || '5000', 10),
+    threshold: parseInt(env.EXCHANGE_BREAKER_THRESHOLD || '5', 10),
+    cooldownMs: parseInt(env.EXCHANGE_BREAKER_COOLDOWN_MS || '30000', 10),
+  };
+}
+
+export function withResilience(
+  adapter,
+  {
+    venue = 'exchange',
+    ratePerSec = 10,
+    burst,
+    retries = 3,
+    baseMs = 200,
+    maxMs = 5000,
+    threshold = 5,
+    cooldownMs = 30000,
+    bucket,
+    now = Date.now,
+    sleep = defaultSleep,
+    random = Math.random,
+    onStateChange,
+    onRetry,
+  } = {}
+) {
+  const limiter =
+    bucket || createTokenBucket({ ratePerSec, burst: burst ?? ratePerSec, now, sleep });
+  const breaker = createCircuitBreaker({
+    threshold,
+    cooldownMs,
+    now,
+    onStateChange: (state, prev) => onStateChange?.({ venue, state, prev }),
+  });
+
+  const wrap = (method) => async (args) => {
+    for (let attempt = 0; ; attempt++) {
+      if (!breaker.allow()) return shortCircuit(method, args, REJECT_REASONS.CIRCUIT_OPEN);
+      await limiter.take();
+      let res;
+      let error;
+      try {
+        res = await adapter[method](args);
+      } catch (e) {
+        error = e;
+      }
+      const reason = error ? REJECT_REASONS.EXCHANGE_ERROR : res?.reason;
+      if (!error && !isFailure(reason)) {
+        if (reason) breaker.neutral();
+        else breaker.success();
+        return res;
+      }
+      breaker.failure();
+      const retryable =
+        method === 'placeOrder'
+          ? !error && SAFE_SUBMIT_RETRY.has(reason)
+          : error || isRetryableReason(reason);
+      if (!retryable || attempt >= retries) {
+        if (error) throw error;
+        return res;
+      }
+      onRetry?.({ venue, method, reason, attempt: attempt + 1 });
+      await sleep(backoffDelay(attempt, { baseMs, maxMs, random }));
+    }
+  };
+
+  const wrapped = { ...adapter };
+  for (const m of METHODS) if (typeof adapter[m] === 'function') wrapped[m] = wrap(m);
+  wrapped.breakerState = () => breaker.state();
+  return wrapped;
+}
@@ -0,0 +1,137 @@
+// Smart order router: picks a venue per order from several configured adapters.
+//
+// For each order the router:
+// - takes the symbol's venue preference list (if any) as the candidates, otherwise every venue
+// - drops venues whose circuit breaker is open (adapter.breakerState(), see resilience.js)
+// - asks the remaining venues for a quote (adapter.fetchTicker) and ranks them by the price after
+//   fees: ask * (1 + feeBps) for buys, bid * (1 - feeBps) for sells
+// - picks the best; ties keep preference (or configuration) order, and when no venue has a quote
+//   the first available one is used
+//
+// route(order) resolves to { venue, decision } or { reason, decision } when no venue can take the
+// order. `decision` is meant to be stored with the order:
+//   { venue, basis: 'single_venue'|'best_price'|'preference'|'first_available',
+//     candidates: [{ venue, state?, bid?, ask?, feeBps, effectivePrice?, reason? }], ts }
+//
+// Config via env (routerOptionsFromEnv):
+// - EXEC_VENUE_FEE_BPS: JSON map venue -> taker fee in bps (default EXCHANGE_FEE_BPS, else 0)
+// - EXEC_VENUE_PREFERENCE: JSON map symbol -> ordered venue list, restricting the candidates,
+//   e.g. {"BTC-USD":["coinbase","kraken"]}
+
+import { REJECT_REASONS } from './adapter.js';
+import { BREAKER_STATE } from './resilience.js';
+
+const symbolKey = (symbol) =>
+  String(symbol || '')
+    .replace(/[-/_]/g, '')
+    .toUpperCase();
+
+function parseJsonMap(json) {
+  try {
+    const parsed = JSON.parse(json);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+export function routerOptionsFromEnv(env = process.env) {
+  return {
+    feeBps: parseJsonMap(env.EXEC_VENUE_FEE_BPS || '{}'),
+    defaultFeeBps: parseFloat(env.EXCHANGE_FEE_BPS || '0') || 0,
+    preferences: parseJsonMap(env.EXEC_VENUE_PREFERENCE || '{}'),
+  };
+}
+
+// Quoted price after taker fees; undefined when the side of the book is missing
+export function effectivePrice({ side, bid, ask }, feeBps = 0) {
+  const px = side === 'sell' ? bid : ask;
+  if (!(px > 0)) return undefined;
+  const rate = feeBps / 10000;
+  return side === 'sell' ? px * (1 - rate) : px * (1 + rate);
+}
+
+export function createOrderRouter({
+  venues, // { [venue]: adapter }
+  feeBps = {},
+  defaultFeeBps = 0,
+  preferences = {},
+  now = () => new Date(),
+}) {
+  const names = Object.keys(venues);
+  const prefs = new Map(Object.entries(preferences).map(([sym, list]) => [symbolKey(sym), list]));
+  const feeOf = (venue) => parseFloat(feeBps[venue] ?? defaultFeeBps) || 0;
+
+  const candidatesFor = (symbol) => {
+    const pref = prefs.get(symbolKey(symbol));
+    if (!Array.isArray(pref) || !pref.length) return { list: names, preferred: false };
+    return { list: pref.filter((v) => venues[v]), preferred: true };
+  };
+
+  async function quote(venue, symbol) {
+    const adapter = venues[venue];
+    if (typeof adapter.fetchTicker !== 'function') return { reason: REJECT_REASONS.NO_MARKET_DATA };
+    try {
+      return await adapter.fetchTicker({ symbol });
+    } catch (e) {
+      return { reason: REJECT_REASONS.EXCHANGE_ERROR, raw: { error: String(e?.message || e) } };
+    }
+  }
+
+  return {
+    venues: () => [...names],
+    get: (venue) => venues[venue] || null,
+
+    async route({ symbol, side }) {
+      const ts = now().toISOString();
+      const { list, preferred } = candidatesFor(symbol);
+      const candidates = list.map((venue) => ({
+        venue,
+        state: venues[venue].breakerState?.(),
+        feeBps: feeOf(venue),
+      }));
+      const available = candidates.filter((c) => c.state !== BREAKER_STATE.OPEN);
+      for (const c of candidates)
+        if (c.state === BREAKER_STATE.OPEN) c.reason = REJECT_REASONS.CIRCUIT_OPEN;
+
+      if (!available.length) {
+        const reason = candidates.length
+          ? REJECT_REASONS.CIRCUIT_OPEN
+          : REJECT_REASONS.INVALID_SYMBOL;
+        return { reason, decision: { venue: null, basis: 'none', candidates, ts } };
+      }
+      if (names.length === 1) {
+        return {
+          venue: available[0].venue,
+          decision: { venue: available[0].venue, basis: 'single_venue', candidates, ts },
+        };
+      }
+
+      const quotes = await Promise.all(available.map((c) => quote(c.venue, symbol)));
+      available.forEach((c, i) => {
+        const q = quotes[i] || {};
+        if (q.reason) c.reason = q.reason;
+        else {
+          c.bid = q.bid;
+          c.ask = q.ask;
+          c.effectivePrice = effectivePrice({ side, bid: q.bid, ask: q.ask }, c.feeBps);
+        }
+      });
+
+      // Stable sort keeps preference (or configuration) order for ties and unquoted venues
+      const better = (a, b) => (side === 'sell' ? b - a : a - b);
+      const ranked = [...available].sort((a, b) => {
+        if (a.effectivePrice == null) return b.effectivePrice == null ? 0 : 1;
+        if (b.effectivePrice == null) return -1;
+        return better(a.effectivePrice, b.effectivePrice);
+      });
+      const best = ranked[0];
+      const basis =
+        best.effectivePrice != null ? 'best_price' : preferred ? 'preference' : 'first_available';
+      return {
+        venue: best.venue,
+        decision: { venue: best.venue, basis, candidates, ts },
+      };
+    },
+  };
+}
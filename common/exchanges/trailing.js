@@ -0,0 +1,40 @@
+// Executor-managed trailing stops, for venues without native support (adapter.supportsTrailingStop).
+//
+// A sell trailing stop (protecting a long) follows the highest price seen since it was placed and
+// triggers once the price falls trailAmount, or trailPercent %, below that anchor. A buy trailing
+// stop mirrors this from the lowest price. On trigger the executor sends a market order.
+//
+// Trail state (stored as JSON on the order's exec:orders hash so it survives restarts):
+//   { trailAmount? | trailPercent?, anchor?: number, stopPrice?: number, ts?: string }
+// anchor and stopPrice are unset until the first price is observed.
+
+// Stop price for an anchor: below it for sells, above it for buys
+export function trailStopPrice({ side, trailAmount, trailPercent }, anchor) {
+  const offset = trailPercent != null ? (anchor * trailPercent) / 100 : Number(trailAmount);
+  return side === 'buy' ? anchor + offset : anchor - offset;
+}
+
+// Price a trailing stop watches: the side of the book it would execute against, else last trade
+export function trailingPrice(side, { bid, ask, price } = {}) {
+  const px = side === 'buy' ? (ask ?? price) : (bid ?? price);
+  return px > 0 ? Number(px) : undefined;
+}
+
+// Apply an observed price. Returns { trail, moved, triggered }: moved when the anchor (and so
+// the stop) moved in the order's favour, triggered when the price reached the stop.
+export function advanceTrail(trail, side, price, now = () => new Date()) {
+  const better = (a, b) => (side === 'buy' ? a < b : a > b);
+  let next = trail;
+  let moved = false;
+  if (trail.anchor == null || better(price, trail.anchor)) {
+    next = {
+      ...trail,
+      anchor: price,
+      stopPrice: trailStopPrice({ side, ...trail }, price),
+      ts: now().toISOString(),
+    };
+    moved = true;
+  }
+  const triggered = side === 'buy' ? price >= next.stopPrice : price <= next.stopPrice;
+  return { trail: next, moved, triggered };
+}
@@ -0,0 +1,118 @@
+// Reconnecting websocket client for venue user-data streams (execution reports)
+//
+// Adapters build on this in subscribeUserData({ onExecution, logger }), which delivers
+// normalized execution events:
+//   {
+//     orderId: string,          // our client order id
+//     exchangeOrderId?: string,
+//     symbol?, side?,
+//     status: ORDER_STATUS value,
+//     qty?: number, filledQty: number,
+//     price?: number,           // average fill price so far
+//     lastQty?: number, lastPrice?: number,
+//     fee?: number,             // cumulative fee
+//     ts: string,
+//     raw: any
+//   }
+//
+// The socket reconnects with jittered backoff after any close or error. `url` and `onOpen` run
+// again on every connect, so venues that need a fresh listen key or token, or a subscribe
+// message, get one each time (resubscribe).
+//
+// Config via env:
+// - USER_STREAM_RECONNECT_BASE_MS / USER_STREAM_RECONNECT_MAX_MS: backoff (default 500 / 30000)
+
+import WebSocket from 'ws';
+import { backoffDelay } from './resilience.js';
+
+export function createReconnectingSocket({
+  url, // string or async () => string
+  onOpen, // async (send) => void; send(obj) JSON-encodes
+  onMessage, // (parsed JSON) => void
+  logger,
+  name = 'user_stream',
+  baseMs = parseInt(process.env.USER_STREAM_RECONNECT_BASE_MS || '500', 10),
+  maxMs = parseInt(process.env.USER_STREAM_RECONNECT_MAX_MS || '30000', 10),
+  WebSocketImpl = WebSocket,
+}) {
+  let ws = null;
+  let stopped = false;
+  let attempt = 0;
+  let timer = null;
+  let connected = false;
+
+  const scheduleReconnect = () => {
+    if (stopped || timer) return;
+    const delay = backoffDelay(attempt++, { baseMs, maxMs });
+    logger?.warn?.(`${name}_reconnect`, { attempt, delayMs: delay });
+    timer = setTimeout(() => {
+      timer = null;
+      connect();
+    }, delay);
+    timer.unref?.();
+  };
+
+  async function connect() {
+    if (stopped) return;
+    let target;
+    try {
+      target = typeof url === 'function' ? await url() : url;
+    } catch (e) {
+      logger?.error?.(`${name}_url_error`, { error: String(e?.message || e) });
+      return scheduleReconnect();
+    }
+    if (stopped) return;
+    const socket = new WebSocketImpl(target);
+    ws = socket;
+    const send = (obj) => socket.send(JSON.stringify(obj));
+    socket.on('open', async () => {
+      try {
+        await onOpen?.(send);
+        attempt = 0;
+        connected = true;
+        logger?.info?.(`${name}_connected`, {});
+      } catch (e) {
+        logger?.error?.(`${name}_subscribe_error`, { error: String(e?.message || e) });
+        socket.terminate();
+      }
+    });
+    socket.on('message', (data) => {
+      let msg;
+      try {
+        msg = JSON.parse(data.toString());
+      } catch {
+        return;
+      }
+      try {
+        onMessage(msg);
+      } catch (e) {
+        logger?.error?.(`${name}_message_error`, { error: String(e?.message || e) });
+      }
+    });
+    socket.on('error', (e) => {
+      logger?.warn?.(`${name}_error`, { error: String(e?.message || e) });
+    });
+    socket.on('close', () => {
+      connected = false;
+      if (ws === socket) ws = null;
+      scheduleReconnect();
+    });
+  }
+
+  const handle = {
+    start() {
+      stopped = false;
+      connect();
+      return handle;
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      timer = null;
+      ws?.close();
+      ws = null;
+    },
+    isConnected: () => connected,
+  };
+  return handle;
+}
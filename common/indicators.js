@@ -0,0 +1,234 @@
+// Technical indicators, computed incrementally over OHLCV bars (oldest first).
+//
+// Each factory returns { update(bar), value() }: update takes the next bar
+// { ts, open, high, low, close, volume } and returns the indicator's value after it, undefined
+// until enough bars have been seen (the warm-up). Smoothing follows the usual definitions:
+// EMA is seeded with the SMA of its first `period` closes, RSI and ATR use Wilder's smoothing
+// (alpha = 1 / period), Bollinger Bands use the population standard deviation, and VWAP is
+// anchored to the UTC day of the bar (typical price (high + low + close) / 3).
+
+const round8 = (x) => (x === undefined ? undefined : Math.round(x * 1e8) / 1e8);
+
+// Simple moving average of a value (default: close) over `period` bars
+export function sma(period = 20, pick = (b) => b.close) {
+  const window = [];
+  let sum = 0;
+  let current;
+  return {
+    update(bar) {
+      const x = pick(bar);
+      window.push(x);
+      sum += x;
+      if (window.length > period) sum -= window.shift();
+      current = window.length === period ? sum / period : undefined;
+      return current;
+    },
+    value: () => current,
+  };
+}
+
+// Exponential moving average (alpha = 2 / (period + 1)) of a value (default: close)
+export function ema(period = 20, pick = (b) => b.close, alpha = 2 / (period + 1)) {
+  const seed = sma(period, pick);
+  let current;
+  return {
+    update(bar) {
+      current = current === undefined ? seed.update(bar) : current + alpha * (pick(bar) - current);
+      return current;
+    },
+    value: () => current,
+  };
+}
+
+// Relative strength index, 0-100
+export function rsi(period = 14) {
+  let prev;
+  let gains = 0;
+  let losses = 0;
+  let seen = 0;
+  let current;
+  return {
+    update({ close }) {
+      if (prev !== undefined) {
+        const change = close - prev;
+        const gain = Math.max(change, 0);
+        const loss = Math.max(-change, 0);
+        seen += 1;
+        if (seen <= period) {
+          gains += gain / period;
+          losses += loss / period;
+        } else {
+          gains = (gains * (period - 1) + gain) / period;
+          losses = (losses * (period - 1) + loss) / period;
+        }
+        if (seen >= period) current = losses === 0 ? 100 : 100 - 100 / (1 + gains / losses);
+      }
+      prev = close;
+      return current;
+    },
+    value: () => current,
+  };
+}
+
+// MACD: { macd: EMA(fast) - EMA(slow), signal: EMA(signal) of macd, histogram }
+export function macd(fast = 12, slow = 26, signal = 9) {
+  const fastEma = ema(fast);
+  const slowEma = ema(slow);
+  const signalEma = ema(signal, (b) => b.macd);
+  let current;
+  return {
+    update(bar) {
+      const f = fastEma.update(bar);
+      const s = slowEma.update(bar);
+      if (f === undefined || s === undefined) return current;
+      const line = f - s;
+      const sig = signalEma.update({ macd: line });
+      current = {
+        macd: line,
+        signal: sig,
+        histogram: sig === undefined ? undefined : line - sig,
+      };
+      return current;
+    },
+    value: () => current,
+  };
+}
+
+// Bollinger Bands: { middle: SMA, upper/lower: middle +/- mult * stdev, bandwidth: (upper - lower)
+// / middle }
+export function bollinger(period = 20, mult = 2) {
+  const window = [];
+  let current;
+  return {
+    update({ close }) {
+      window.push(close);
+      if (window.length > period) window.shift();
+      if (window.length < period) return current;
+      const middle = window.reduce((s, x) => s + x, 0) / period;
+      const sd = Math.sqrt(window.reduce((s, x) => s + (x - middle) ** 2, 0) / period);
+      const upper = middle + mult * sd;
+      const lower = middle - mult * sd;
+      current = { middle, upper, lower, bandwidth: middle ? (upper - lower) / middle : 0 };
+      return current;
+    },
+    value: () => current,
+  };
+}
+
+// Average true range
+export function atr(period = 14) {
+  let prevClose;
+  let sum = 0;
+  let seen = 0;
+  let current;
+  return {
+    update({ high, low, close }) {
+      const tr =
+        prevClose === undefined
+          ? high - low
+          : Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
+      prevClose = close;
+      seen += 1;
+      if (seen < period) sum += tr;
+      else if (seen === period) current = (sum + tr) / period;
+      else current = (current * (period - 1) + tr) / period;
+      return current;
+    },
+    value: () => current,
+  };
+}
+
+// Volume-weighted average price since the start of the bar's UTC day
+export function vwap() {
+  let day;
+  let pv = 0;
+  let volume = 0;
+  let current;
+  return {
+    update({ ts, high, low, close, volume: v = 0 }) {
+      const d = String(ts || '').slice(0, 10);
+      if (d !== day) {
+        day = d;
+        pv = 0;
+        volume = 0;
+      }
+      pv += ((high + low + close) / 3) * v;
+      volume += v;
+      current = volume > 0 ? pv / volume : current;
+      return current;
+    },
+    value: () => current,
+  };
+}
+
+// On-balance volume: adds the bar's volume on an up close, subtracts it on a down close
+export function obv() {
+  let prev;
+  let current;
+  return {
+    update({ close, volume = 0 }) {
+      current =
+        prev === undefined ? 0 : current + (close > prev ? volume : close < prev ? -volume : 0);
+      prev = close;
+      return current;
+    },
+    value: () => current,
+  };
+}
+
+export const DEFAULT_INDICATORS = Object.freeze({
+  sma: { period: 20 },
+  ema: { period: 20 },
+  rsi: { period: 14 },
+  macd: { fast: 12, slow: 26, signal: 9 },
+  bollinger: { period: 20, mult: 2 },
+  atr: { period: 14 },
+  vwap: {},
+  obv: {},
+});
+
+const FACTORIES = {
+  sma: ({ period }) => sma(period),
+  ema: ({ period }) => ema(period),
+  rsi: ({ period }) => rsi(period),
+  macd: ({ fast, slow, signal }) => macd(fast, slow, signal),
+  bollinger: ({ period, mult }) => bollinger(period, mult),
+  atr: ({ period }) => atr(period),
+  vwap: () => vwap(),
+  obv: () => obv(),
+};
+
+const roundValue = (v) =>
+  v && typeof v === 'object'
+    ? Object.fromEntries(Object.entries(v).map(([k, x]) => [k, round8(x)]))
+    : round8(v);
+
+// A set of indicators updated together: { update(bar) -> values, values() }. spec maps indicator
+// names to their parameters (DEFAULT_INDICATORS); values are rounded to 8 decimals.
+export function createIndicatorSet(spec = DEFAULT_INDICATORS) {
+  const entries = Object.entries(spec).map(([name, params]) => {
+    if (!FACTORIES[name]) throw new Error(`unknown indicator ${name}`);
+    return [name, FACTORIES[name]({ ...DEFAULT_INDICATORS[name], ...params })];
+  });
+  const values = () =>
+    Object.fromEntries(entries.map(([name, ind]) => [name, roundValue(ind.value())]));
+  return {
+    update(bar) {
+      for (const [, ind] of entries) ind.update(bar);
+      return values();
+    },
+    values,
+  };
+}
+
+// Run an indicator set over bars (oldest first); returns the values after the last bar, and the
+// values after each bar as `series` when asked
+export function computeIndicators(bars, spec = DEFAULT_INDICATORS, { series = false } = {}) {
+  const set = createIndicatorSet(spec);
+  const out = [];
+  for (const bar of bars) {
+    const values = set.update(bar);
+    if (series) out.push({ ts: bar.ts, ...values });
+  }
+  return series ? { values: set.values(), series: out } : { values: set.values() };
+}
@@ -0,0 +1,84 @@
+// FIFO lot matching: realized PnL of fills against the open position in one symbol.
+//
+// Lots (oldest first): [{ qty, price, fee, ts }], qty > 0 for a long lot and < 0 for a short one;
+// all open lots of a symbol share a sign. fee is the opening fee still carried by the lot's
+// remaining qty. A fill first closes lots on the other side, oldest first, and realizes
+// (exit - entry) * qty for longs, (entry - exit) * qty for shorts, minus the closed share of the
+// lot's opening fee and of the fill's own fee. Whatever is left of the fill opens a new lot that
+// carries its share of the fill's fee, so opening fees are realized when the position is closed.
+//
+// Position (one per symbol): { symbol, qty, avgPrice, lots, realized, updatedAt }, kept by the
+// portfolio manager in the Redis hash POSITIONS_KEY (field per symbol, JSON).
+
+export const POSITIONS_KEY = 'portfolio:positions';
+
+const EPS = 1e-12;
+const round8 = (x) => Math.round(x * 1e8) / 1e8;
+
+// Apply a fill { side, qty, price, fee?, ts? } to a symbol's lots. Returns
+// { lots, realized, closedQty } without changing the lots passed in.
+export function matchFill(lots, { side, qty, price, fee = 0, ts }) {
+  const dir = side === 'buy' ? 1 : -1;
+  const feePerUnit = qty > 0 ? (Number(fee) || 0) / qty : 0;
+  const out = lots.map((l) => ({ ...l }));
+  let remaining = qty;
+  let realized = 0;
+  let closedQty = 0;
+  while (remaining > EPS && out.length && Math.sign(out[0].qty) === -dir) {
+    const lot = out[0];
+    const size = Math.abs(lot.qty);
+    const q = Math.min(remaining, size);
+    const lotFee = (lot.fee || 0) * (q / size);
+    realized += (price - lot.price) * q * Math.sign(lot.qty) - lotFee - feePerUnit * q;
+    lot.qty += dir * q;
+    lot.fee = (lot.fee || 0) - lotFee;
+    if (Math.abs(lot.qty) <= EPS) out.shift();
+    remaining -= q;
+    closedQty += q;
+  }
+  if (remaining > EPS) out.push({ qty: dir * remaining, price, fee: feePerUnit * remaining, ts });
+  return { lots: out, realized: round8(realized), closedQty: round8(closedQty) };
+}
+
+// Signed open quantity and average entry price of a symbol's lots
+export function lotPosition(lots) {
+  const qty = lots.reduce((s, l) => s + l.qty, 0);
+  const cost = lots.reduce((s, l) => s + l.qty * l.price, 0);
+  return { qty: round8(qty), avgPrice: Math.abs(qty) > EPS ? cost / qty : undefined };
+}
+
+// The fill an exec.status adds to an order. Statuses carry the order's cumulative filled qty,
+// average price and cumulative fee, so the new fill is the part beyond what was already booked
+// ({ qty, notional, fee }). Returns { fill: { side, qty, price, fee, ts } | null, booked }.
+export function fillIncrement(booked = {}, status) {
+  const filledQty =
+    status.status === 'filled' ? Number(status.filledQty || status.qty) : Number(status.filledQty);
+  const price = Number(status.price);
+  const bookedQty = Number(booked.qty) || 0;
+  if (!(filledQty - bookedQty > 1e-9) || !(price > 0)) return { fill: null, booked };
+  const qty = filledQty - bookedQty;
+  const notional = filledQty * price;
+  const fee = Number(status.fee) || 0;
+  return {
+    fill: {
+      side: status.side,
+      qty,
+      price: (notional - (Number(booked.notional) || 0)) / qty,
+      fee: Math.max(0, fee - (Number(booked.fee) || 0)),
+      ts: status.ts,
+    },
+    booked: { qty: filledQty, notional, fee },
+  };
+}
+
+// Apply a fill to a symbol's position; the position's realized PnL accumulates the fill's
+export function applyToPosition(position, symbol, fill) {
+  const r = matchFill(position?.lots || [], fill);
+  return {
+    symbol,
+    ...lotPosition(r.lots),
+    lots: r.lots,
+    realized: round8((position?.realized || 0) + r.realized),
+    updatedAt: fill.ts,
+  };
+}
@@ -0,0 +1,214 @@
+// Market data: ingested trades, quotes and OHLCV bars, and the latest quote per symbol.
+//
+// Records (normalizeMarketData), ts is ISO-8601 (a bar's ts is its open time):
+//   { type: 'trade', symbol, ts, price, qty, side?, tradeId?, source? }
+//   { type: 'quote', symbol, ts, bid, ask, bidSize?, askSize?, source? }
+//   { type: 'bar', symbol, ts, interval, open, high, low, close, volume, source? }
+// Symbols use our BASE-QUOTE form. Each series (type + symbol, bars also per interval) is a Redis
+// sorted set scored by epoch ms, member the record JSON, capped to its newest maxPoints.
+//
+// Latest quotes: Redis hash market:last, field per symbol: JSON { symbol, price?, bid?, ask?, ts }.
+// A tick only replaces the fields it carries, so a trade print keeps the last known bid/ask and
+// vice versa; ticks older than the stored quote are ignored. The quote's ts in epoch ms is kept in
+// the hash market:last:ts, and the merge runs in one Lua script so concurrent writers (the
+// analyst's ingest and the executor's paper feed) cannot drop each other's fields.
+
+export const MARKET_DATA_STREAM = 'market.data';
+export const LAST_PRICES_KEY = 'market:last';
+export const LAST_PRICES_TS_KEY = 'market:last:ts';
+
+export const MARKET_DATA_TYPES = Object.freeze({ TRADE: 'trade', QUOTE: 'quote', BAR: 'bar' });
+
+export const seriesKey = ({ type, symbol, interval }) =>
+  type === MARKET_DATA_TYPES.BAR ? `md:bar:${interval}:${symbol}` : `md:${type}:${symbol}`;
+
+const num = (v) => {
+  const n = Number(v);
+  return v != null && v !== '' && Number.isFinite(n) && n > 0 ? n : undefined;
+};
+// Non-negative number, or undefined
+const size = (v) => {
+  const n = Number(v);
+  return v != null && v !== '' && Number.isFinite(n) && n >= 0 ? n : undefined;
+};
+
+const KNOWN_QUOTES = ['USDC', 'USDT', 'USD', 'EUR', 'GBP', 'BTC', 'ETH'];
+const ASSET_ALIASES = { XBT: 'BTC', XDG: 'DOGE' };
+
+// BTC-USD / btc/usd / BTC_USD / BTCUSD / XBTUSD -> BTC-USD; null when base and quote can't be told
+export function normalizeSymbol(symbol) {
+  const s = String(symbol || '')
+    .trim()
+    .toUpperCase();
+  let parts = s.split(/[-/_]/).filter(Boolean);
+  if (parts.length === 1) {
+    const quote = KNOWN_QUOTES.find((q) => s.endsWith(q) && s.length > q.length);
+    parts = quote ? [s.slice(0, -quote.length), quote] : parts;
+  }
+  if (parts.length !== 2 || parts.some((p) => !/^[A-Z0-9]+$/.test(p))) return null;
+  return parts.map((a) => ASSET_ALIASES[a] || a).join('-');
+}
+
+// Epoch seconds, epoch ms or ISO-8601 -> epoch ms (NaN when unreadable)
+function parseTs(v) {
+  if (typeof v === 'number' || /^\d+(\.\d+)?$/.test(String(v))) {
+    const n = Number(v);
+    return n < 1e11 ? n * 1000 : n;
+  }
+  return Date.parse(v);
+}
+
+const BAR_INTERVAL = /^\d+[smhd]$/;
+
+// Validate one ingested item and normalize it to a record. Returns { record } or { error }.
+// A missing ts is taken as now; 'ohlcv' is accepted for 'bar', volume for a trade's qty.
+export function normalizeMarketData(item, { now = Date.now() } = {}) {
+  const T = MARKET_DATA_TYPES;
+  const type = String(item?.type || '').toLowerCase() === 'ohlcv' ? T.BAR : item?.type;
+  if (!Object.values(T).includes(type)) return { error: 'unknown_type' };
+  const symbol = normalizeSymbol(item.symbol);
+  if (!symbol) return { error: 'invalid_symbol' };
+  const ms = item.ts == null || item.ts === '' ? now : parseTs(item.ts);
+  if (!Number.isFinite(ms)) return { error: 'invalid_ts' };
+  const base = { type, symbol, ts: new Date(ms).toISOString() };
+  const source = item.source ? { source: String(item.source) } : {};
+
+  if (type === T.TRADE) {
+    const price = num(item.price);
+    const qty = size(item.qty ?? item.volume);
+    if (!price) return { error: 'invalid_price' };
+    if (qty === undefined) return { error: 'invalid_qty' };
+    const side = ['buy', 'sell'].includes(item.side) ? { side: item.side } : {};
+    const tradeId = item.tradeId != null ? { tradeId: String(item.tradeId) } : {};
+    return { record: { ...base, price, qty, ...side, ...tradeId, ...source } };
+  }
+  if (type === T.QUOTE) {
+    const bid = num(item.bid);
+    const ask = num(item.ask);
+    if (!bid || !ask) return { error: 'invalid_price' };
+    if (bid > ask) return { error: 'crossed_quote' };
+    const sizes = {};
+    for (const k of ['bidSize', 'askSize']) {
+      if (item[k] == null) continue;
+      if (size(item[k]) === undefined) return { error: 'invalid_qty' };
+      sizes[k] = size(item[k]);
+    }
+    return { record: { ...base, bid, ask, ...sizes, ...source } };
+  }
+  const interval = String(item.interval || '').toLowerCase();
+  if (!BAR_INTERVAL.test(interval)) return { error: 'invalid_interval' };
+  const [open, high, low, close] = ['open', 'high', 'low', 'close'].map((k) => num(item[k]));
+  const volume = size(item.volume ?? 0);
+  if (!open || !high || !low || !close) return { error: 'invalid_price' };
+  if (volume === undefined) return { error: 'invalid_qty' };
+  if (high < Math.max(open, close, low) || low > Math.min(open, close))
+    return { error: 'invalid_bar' };
+  return { record: { ...base, interval, open, high, low, close, volume, ...source } };
+}
+
+// Add records to their series, keeping the newest maxPoints of each. A bar replaces one stored
+// for the same open time.
+export async function storeMarketData(redis, records, { maxPoints = 10000 } = {}) {
+  const tx = redis.multi();
+  const keys = new Set();
+  for (const r of records) {
+    const key = seriesKey(r);
+    const score = Date.parse(r.ts);
+    if (r.type === MARKET_DATA_TYPES.BAR) tx.zremrangebyscore(key, score, score);
+    tx.zadd(key, score, JSON.stringify(r));
+    keys.add(key);
+  }
+  if (maxPoints > 0) for (const key of keys) tx.zremrangebyrank(key, 0, -(maxPoints + 1));
+  await tx.exec();
+}
+
+// The newest `limit` records of a series, oldest first
+export async function readSeries(redis, { type, symbol, interval, limit = 500 }) {
+  const raw = await redis.zrange(seriesKey({ type, symbol, interval }), -limit, -1);
+  return raw.flatMap((r) => {
+    try {
+      return [JSON.parse(r)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+// Publish each record on market.data; the stream is capped near maxLen entries
+export async function publishMarketData(
+  redis,
+  records,
+  { stream = MARKET_DATA_STREAM, maxLen } = {}
+) {
+  const pipe = redis.pipeline();
+  for (const r of records) {
+    const cap = maxLen > 0 ? ['MAXLEN', '~', maxLen] : [];
+    pipe.xadd(stream, ...cap, '*', 'data', JSON.stringify(r));
+  }
+  await pipe.exec();
+}
+
+// The tick a record contributes to its symbol's latest quote
+export function quoteTick(record) {
+  const { symbol, ts } = record;
+  if (record.type === MARKET_DATA_TYPES.TRADE) return { symbol, ts, price: record.price };
+  if (record.type === MARKET_DATA_TYPES.QUOTE)
+    return { symbol, ts, bid: record.bid, ask: record.ask };
+  return { symbol, ts, price: record.close };
+}
+
+// Merge a tick into its symbol's quote unless it is older than the stored one.
+// KEYS: market:last, market:last:ts; ARGV: symbol, ts, ts in epoch ms ('' when unreadable), the
+// tick's prices as JSON. Returns the quote JSON.
+export const LAST_PRICE_SCRIPT = `
+local prev = redis.call('HGET', KEYS[1], ARGV[1])
+local ms = tonumber(ARGV[3])
+local prevMs = tonumber(redis.call('HGET', KEYS[2], ARGV[1]))
+if prev and ms and prevMs and ms < prevMs then return prev end
+local quote = prev and cjson.decode(prev) or {}
+for k, v in pairs(cjson.decode(ARGV[4])) do quote[k] = v end
+quote.symbol = ARGV[1]
+quote.ts = ARGV[2]
+local out = cjson.encode(quote)
+redis.call('HSET', KEYS[1], ARGV[1], out)
+if ms then redis.call('HSET', KEYS[2], ARGV[1], ARGV[3]) else redis.call('HDEL', KEYS[2], ARGV[1]) end
+return out`;
+
+// Record a tick { symbol, price?, bid?, ask?, ts? }; returns the merged quote, or null when the
+// tick carries no price
+export async function recordLastPrice(redis, { symbol, price, bid, ask, ts } = {}) {
+  const tick = { price: num(price), bid: num(bid), ask: num(ask) };
+  if (!symbol || Object.values(tick).every((v) => v === undefined)) return null;
+  const at = ts || new Date().toISOString();
+  const ms = Date.parse(at);
+  const out = await redis.eval(
+    LAST_PRICE_SCRIPT,
+    2,
+    LAST_PRICES_KEY,
+    LAST_PRICES_TS_KEY,
+    symbol,
+    at,
+    Number.isFinite(ms) ? String(ms) : '',
+    JSON.stringify(tick)
+  );
+  return JSON.parse(out);
+}
+
+// { [symbol]: quote }
+export async function getLastPrices(redis) {
+  const raw = await redis.hgetall(LAST_PRICES_KEY);
+  const out = {};
+  for (const [symbol, r] of Object.entries(raw || {})) {
+    try {
+      out[symbol] = JSON.parse(r);
+    } catch {}
+  }
+  return out;
+}
+
+// Price a position of signed qty is marked at: where it could be closed (the bid for a long, the
+// ask for a short), else the last trade
+export function markPrice(quote, qty) {
+  if (!quote) return undefined;
+  return (qty > 0 ? quote.bid : quote.ask) ?? quote.price;
+}
@@ -1,7 +1,11 @@
 import Redis from 'ioredis';
+import { POSITIONS_KEY } from './lots.js';
+import { getLastPrices, markPrice } from './market-data.js';
 
 const dateKey = () => new Date().toISOString().slice(0, 10); // YYYY-MM-DD (UTC)
 const keyFor = (date = dateKey()) => `pnl:${date}`;
+// Realized PnL per strategy: hash field per strategyId
+const strategiesKey = (date = dateKey()) => `pnl:${date}:strategies`;
 
 export async function initDayIfNeeded(redis, { startEquity = 1000, dailyTargetPct = 1 } = {}) {
   const date = dateKey();
@@ -23,7 +27,8 @@ export async function initDayIfNeeded(redis, { startEquity = 1000, dailyTargetPc
 export async function getStatus(redis) {
   const key = keyFor();
   const data = await redis.hgetall(key);
-  return normalize(data);
+  const byStrategy = await redis.hgetall(strategiesKey());
+  return normalize(data, byStrategy);
 }
 
 export async function resetDay(redis, { startEquity = 1000, dailyTargetPct = 1 } = {}) {
@@ -34,14 +39,22 @@ export async function resetDay(redis, { startEquity = 1000, dailyTargetPct = 1 }
     realized: '0',
     percent: '0',
     dailyTargetPct: String(dailyTargetPct),
-    halted: '0'
+    halted: '0',
+    unrealized: '0',
+    markedAt: '',
+    marks: '[]',
+    unpriced: '[]'
   });
+  await redis.del(strategiesKey());
   return getStatus(redis);
 }
 
-export async function incrementPnl(redis, amount) {
+// Add a fill's realized PnL to the day; with a strategyId it is also booked to that strategy
+// (the one whose order closed the position, whichever strategy opened it)
+export async function incrementPnl(redis, amount, { strategyId } = {}) {
   const key = await initDayIfNeeded(redis, {});
   const realized = await redis.hincrbyfloat(key, 'realized', amount);
+  if (strategyId) await redis.hincrbyfloat(strategiesKey(), strategyId, amount);
   const startEquity = parseFloat(await redis.hget(key, 'startEquity')) || 1;
   const percent = (parseFloat(realized) / startEquity) * 100;
   await redis.hset(key, { percent: String(percent) });
@@ -60,16 +73,90 @@ export async function isHalted(redis) {
   return v === '1';
 }
 
-function normalize(data) {
+// Mark-to-market: value the open positions (see common/lots.js) at the latest quotes (see
+// common/market-data.js). Each open lot contributes (mark - entry) * qty less the opening fee it
+// still carries. Positions without a quote, or whose quote is older than maxAgeSec, are left out
+// of unrealized and listed in unpriced.
+export function valuePositions(positions, quotes, { maxAgeSec, now = Date.now() } = {}) {
+  const marks = [];
+  const unpriced = [];
+  let unrealized = 0;
+  for (const p of positions) {
+    if (!p?.qty) continue;
+    const quote = quotes[p.symbol];
+    const stale = maxAgeSec > 0 && !(now - Date.parse(quote?.ts) <= maxAgeSec * 1000);
+    const price = stale ? undefined : markPrice(quote, p.qty);
+    if (!(price > 0)) {
+      unpriced.push(p.symbol);
+      continue;
+    }
+    const value = (p.lots || []).reduce((s, l) => s + (price - l.price) * l.qty - (l.fee || 0), 0);
+    const rounded = Math.round(value * 1e8) / 1e8;
+    marks.push({ symbol: p.symbol, qty: p.qty, avgPrice: p.avgPrice, price, unrealized: rounded });
+    unrealized += value;
+  }
+  return { unrealized: Math.round(unrealized * 1e8) / 1e8, marks, unpriced };
+}
+
+// Price the open positions and store the day's unrealized PnL; returns the status
+export async function markToMarket(redis, { maxAgeSec, now = Date.now() } = {}) {
+  const key = await initDayIfNeeded(redis, {});
+  const positions = Object.values((await redis.hgetall(POSITIONS_KEY)) || {}).flatMap((r) => {
+    try {
+      return [JSON.parse(r)];
+    } catch {
+      return [];
+    }
+  });
+  const quotes = await getLastPrices(redis);
+  const { unrealized, marks, unpriced } = valuePositions(positions, quotes, { maxAgeSec, now });
+  await redis.hset(key, {
+    unrealized: String(unrealized),
+    markedAt: new Date(now).toISOString(),
+    marks: JSON.stringify(marks),
+    unpriced: JSON.stringify(unpriced)
+  });
+  return getStatus(redis);
+}
+
+// Day PnL percent the daily target and loss checks use: 'realized' (percent) or 'equity'
+// (totalPercent, realized plus unrealized)
+export const targetPercent = (status, basis = 'realized') =>
+  basis === 'equity' ? status.totalPercent : status.percent;
+
+const parseList = (v) => {
+  try {
+    return JSON.parse(v || '[]');
+  } catch {
+    return [];
+  }
+};
+
+function normalize(data, byStrategy) {
+  const strategies = Object.fromEntries(
+    Object.entries(byStrategy || {}).map(([id, v]) => [id, parseFloat(v) || 0])
+  );
   if (!data || Object.keys(data).length === 0) return {
-    date: dateKey(), startEquity: 0, realized: 0, percent: 0, dailyTargetPct: 1, halted: false
+    date: dateKey(), startEquity: 0, realized: 0, percent: 0, dailyTargetPct: 1, halted: false,
+    unrealized: 0, equity: 0, totalPercent: 0, markedAt: null, marks: [], unpriced: [],
+    byStrategy: strategies
   };
+  const startEquity = parseFloat(data.startEquity || '0');
+  const realized = parseFloat(data.realized || '0');
+  const unrealized = parseFloat(data.unrealized || '0');
   return {
     date: data.date,
-    startEquity: parseFloat(data.startEquity || '0'),
-    realized: parseFloat(data.realized || '0'),
+    startEquity,
+    realized,
     percent: parseFloat(data.percent || '0'),
     dailyTargetPct: parseFloat(data.dailyTargetPct || '1'),
-    halted: data.halted === '1'
+    halted: data.halted === '1',
+    unrealized,
+    equity: startEquity + realized + unrealized,
+    totalPercent: startEquity ? ((realized + unrealized) / startEquity) * 100 : 0,
+    markedAt: data.markedAt || null,
+    marks: parseList(data.marks),
+    unpriced: parseList(data.unpriced),
+    byStrategy: strategies
   };
 }
@@ -0,0 +1,154 @@
+// Strategy plugins for the market analyst.
+//
+// A plugin is an ES module in the strategy directory whose default export is
+//   {
+//     name: 'sma_cross',                         // what config entries refer to
+//     description?: string,
+//     defaults?: { interval: '1m', ...params },  // merged under each entry's params
+//     init({ symbol, params }) -> state,         // once per symbol an entry runs on
+//     onBar(state, bar),                         // each closed bar of params.interval, oldest first
+//     onTick?(state, record),                    // each market.data trade or quote of the symbol
+//     signal(state, { price? }) -> { side: 'buy'|'sell'|'hold', confidence, rationale } | null
+//   }
+// State belongs to the plugin; onBar and onTick update it in place.
+//
+// Config: [{ id?, strategy, symbols: ['BTC-USD'] | ['*'], params? }]. An entry's strategyId is its
+// id, else the plugin name, and must be unique. An instance per (entry, symbol) is created on
+// first use and warmed up with the symbol's stored bars (params.warmupBars, default 500); bars
+// at or before the last one it has seen are skipped, so a bar is never applied twice. Plugin
+// errors are reported through onError and leave the other strategies running.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+const SIDES = ['buy', 'sell', 'hold'];
+
+export function validateStrategy(plugin, file = 'strategy') {
+  const missing = ['init', 'onBar', 'signal'].filter((k) => typeof plugin?.[k] !== 'function');
+  if (!plugin?.name || !/^[a-z0-9_-]+$/i.test(plugin.name))
+    throw new Error(`${file}: name must be a non-empty identifier`);
+  if (missing.length) throw new Error(`${file}: missing ${missing.join(', ')}`);
+  if (plugin.onTick != null && typeof plugin.onTick !== 'function')
+    throw new Error(`${file}: onTick must be a function`);
+  return plugin;
+}
+
+// Load every .js/.mjs module of `dir` (sorted by file name); returns Map name -> plugin
+export async function loadStrategies(dir) {
+  const files = fs
+    .readdirSync(dir)
+    .filter((f) => /\.m?js$/.test(f))
+    .sort();
+  const plugins = new Map();
+  for (const file of files) {
+    const mod = await import(pathToFileURL(path.join(dir, file)).href);
+    const plugin = validateStrategy(mod.default, file);
+    if (plugins.has(plugin.name)) throw new Error(`${file}: duplicate strategy ${plugin.name}`);
+    plugins.set(plugin.name, plugin);
+  }
+  return plugins;
+}
+
+// Check config entries against the loaded plugins; returns them with strategyId and full params
+export function configureStrategies(plugins, config) {
+  if (!Array.isArray(config)) throw new Error('strategy config must be an array');
+  const ids = new Set();
+  return config.map((entry) => {
+    const plugin = plugins.get(entry?.strategy);
+    if (!plugin) throw new Error(`unknown strategy ${entry?.strategy}`);
+    const strategyId = String(entry.id || plugin.name);
+    if (ids.has(strategyId)) throw new Error(`duplicate strategyId ${strategyId}`);
+    ids.add(strategyId);
+    const symbols = (entry.symbols?.length ? entry.symbols : ['*']).map(String);
+    return {
+      strategyId,
+      strategy: plugin.name,
+      symbols,
+      params: { interval: '1m', warmupBars: 500, ...plugin.defaults, ...entry.params },
+    };
+  });
+}
+
+const clamp01 = (x) => Math.max(0, Math.min(1, Number(x) || 0));
+
+export function createStrategyRunner({ plugins, config, loadBars, onError = () => {} }) {
+  const entries = configureStrategies(plugins, config);
+  const instances = new Map(); // `${strategyId}|${symbol}` -> { entry, plugin, state, lastTs, ready }
+
+  const guard = (entry, symbol, fn) => {
+    try {
+      return fn();
+    } catch (e) {
+      onError(e, { strategyId: entry.strategyId, symbol });
+      return undefined;
+    }
+  };
+
+  function applyBar(inst, bar) {
+    const ms = Date.parse(bar.ts);
+    if (inst.lastTs != null && !(ms > inst.lastTs)) return;
+    inst.lastTs = ms;
+    guard(inst.entry, bar.symbol, () => inst.plugin.onBar(inst.state, bar));
+  }
+
+  // The symbol's instances, created and warmed up on first use
+  async function instancesFor(symbol) {
+    const out = [];
+    for (const entry of entries) {
+      if (!entry.symbols.includes('*') && !entry.symbols.includes(symbol)) continue;
+      const key = `${entry.strategyId}|${symbol}`;
+      let inst = instances.get(key);
+      if (!inst) {
+        const plugin = plugins.get(entry.strategy);
+        const params = entry.params;
+        inst = { entry, plugin, state: undefined, lastTs: null };
+        inst.ready = (async () => {
+          inst.state = guard(entry, symbol, () => plugin.init({ symbol, params }));
+          if (inst.state === undefined) inst.state = {};
+          const bars = loadBars
+            ? await loadBars({ symbol, interval: params.interval, limit: params.warmupBars })
+            : [];
+          for (const bar of bars) applyBar(inst, bar);
+        })().catch((e) => onError(e, { strategyId: entry.strategyId, symbol }));
+        instances.set(key, inst);
+      }
+      await inst.ready;
+      out.push(inst);
+    }
+    return out;
+  }
+
+  async function onBar(bar) {
+    for (const inst of await instancesFor(bar.symbol))
+      if (inst.entry.params.interval === bar.interval) applyBar(inst, bar);
+  }
+
+  async function onTick(record) {
+    for (const inst of await instancesFor(record.symbol))
+      if (inst.plugin.onTick)
+        guard(inst.entry, record.symbol, () => inst.plugin.onTick(inst.state, record));
+  }
+
+  // Each instance's current signal for the symbol: [{ strategyId, strategy, side, confidence,
+  // rationale }]; instances without a valid signal are left out
+  async function signals(symbol, ctx = {}) {
+    const out = [];
+    for (const inst of await instancesFor(symbol)) {
+      const s = guard(inst.entry, symbol, () => inst.plugin.signal(inst.state, ctx));
+      if (!s || !SIDES.includes(s.side)) continue;
+      out.push({
+        strategyId: inst.entry.strategyId,
+        strategy: inst.entry.strategy,
+        side: s.side,
+        confidence: s.side === 'hold' ? 0 : clamp01(s.confidence),
+        rationale: s.rationale ? String(s.rationale) : undefined,
+      });
+    }
+    return out;
+  }
+
+  const describe = () => entries.map((e) => ({ ...e }));
+
+  return { onBar, onTick, signals, describe };
+}
@@ -0,0 +1,33 @@
+create table if not exists orders (
+  order_id text primary key,
+  symbol text not null,
+  side text not null,
+  qty numeric not null,
+  type text,
+  limit_price numeric,
+  stop_price numeric,
+  time_in_force text,
+  venue text,
+  parent_id text,
+  state text not null,
+  filled_qty numeric not null default 0,
+  avg_price numeric,
+  fee numeric,
+  trace_id text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists orders_state_idx on orders (state);
+
+create table if not exists order_events (
+  id bigserial primary key,
+  order_id text not null references orders (order_id) on delete cascade,
+  ts timestamptz not null,
+  event text not null,
+  from_state text,
+  to_state text not null,
+  payload jsonb not null default '{}'::jsonb
+);
+
+create index if not exists order_events_order_idx on order_events (order_id, ts);
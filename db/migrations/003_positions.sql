@@ -0,0 +1,8 @@
+create table if not exists positions (
+  symbol text primary key,
+  qty numeric not null,
+  avg_price numeric,
+  realized numeric not null default 0,
+  lots jsonb not null default '[]'::jsonb,
+  updated_at timestamptz not null default now()
+);
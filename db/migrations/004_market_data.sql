@@ -0,0 +1,38 @@
+create table if not exists market_trades (
+  id bigserial primary key,
+  symbol text not null,
+  ts timestamptz not null,
+  price numeric not null,
+  qty numeric not null,
+  side text,
+  trade_id text,
+  source text
+);
+
+create index if not exists market_trades_symbol_ts_idx on market_trades (symbol, ts);
+
+create table if not exists market_quotes (
+  id bigserial primary key,
+  symbol text not null,
+  ts timestamptz not null,
+  bid numeric not null,
+  ask numeric not null,
+  bid_size numeric,
+  ask_size numeric,
+  source text
+);
+
+create index if not exists market_quotes_symbol_ts_idx on market_quotes (symbol, ts);
+
+create table if not exists market_bars (
+  symbol text not null,
+  interval text not null,
+  ts timestamptz not null,
+  open numeric not null,
+  high numeric not null,
+  low numeric not null,
+  close numeric not null,
+  volume numeric not null,
+  source text,
+  primary key (symbol, interval, ts)
+);
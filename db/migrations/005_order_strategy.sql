@@ -0,0 +1,4 @@
+-- Strategy that produced an order (analyst strategyId); null for orders submitted directly
+alter table orders add column if not exists strategy_id text;
+
+create index if not exists orders_strategy_idx on orders (strategy_id);
@@ -1,12 +1,49 @@
 /**
  * Redis mock for unit testing
  */
+import { TRANSITION_SCRIPT } from '../../common/exchanges/order-state.js';
+import { LAST_PRICE_SCRIPT } from '../../common/market-data.js';
+
+// The Lua scripts the code under test runs through eval, reimplemented on the mock
+const SCRIPTS = new Map([
+  [
+    TRANSITION_SCRIPT,
+    async (redis, [key], [to, ts, ...froms]) => {
+      const cur = (await redis.hget(key, 'state')) || '';
+      if (!froms.includes(cur)) return [0, cur];
+      await redis.hset(key, 'state', to, 'state_ts', ts);
+      return [1, cur];
+    },
+  ],
+  [
+    LAST_PRICE_SCRIPT,
+    async (redis, [key, tsKey], [symbol, ts, ms, tick]) => {
+      const prev = await redis.hget(key, symbol);
+      const prevMs = await redis.hget(tsKey, symbol);
+      if (prev && ms && prevMs && Number(ms) < Number(prevMs)) return prev;
+      const out = JSON.stringify({ ...JSON.parse(prev || '{}'), ...JSON.parse(tick), symbol, ts });
+      await redis.hset(key, symbol, out);
+      if (ms) await redis.hset(tsKey, symbol, ms);
+      else await redis.hdel(tsKey, symbol);
+      return out;
+    },
+  ],
+]);
+
 export class RedisMock {
   constructor() {
     this.data = new Map();
     this.streams = new Map();
     this.pubsub = new Map();
     this.hashes = new Map();
+    this.zsets = new Map();
+    this.lists = new Map();
+    this.ttls = new Map();
+    this.scripting = Promise.resolve();
+  }
+
+  on() {
+    return this;
   }
 
   // Basic operations
@@ -24,6 +61,9 @@ export class RedisMock {
 
   async del(key) {
     this.data.delete(key);
+    this.hashes.delete(key);
+    this.zsets.delete(key);
+    this.lists.delete(key);
     return 1;
   }
 
@@ -44,7 +84,7 @@ export class RedisMock {
       let added = 0;
       Object.entries(args[0]).forEach(([field, value]) => {
         if (!hash.has(field)) added += 1;
-        hash.set(field, value);
+        hash.set(field, String(value));
       });
       return added;
     } else {
@@ -55,7 +95,7 @@ export class RedisMock {
           const field = args[i];
           const value = args[i + 1];
           if (!hash.has(field)) added += 1;
-          hash.set(field, value);
+          hash.set(field, String(value));
         }
       }
       return added;
@@ -109,14 +149,43 @@ export class RedisMock {
     return newValue;
   }
 
+  // List operations
+  async rpush(key, ...values) {
+    if (!this.lists.has(key)) this.lists.set(key, []);
+    const list = this.lists.get(key);
+    list.push(...values.map(String));
+    return list.length;
+  }
+
+  async lrange(key, start, stop) {
+    const list = this.lists.get(key) || [];
+    const end = stop < 0 ? list.length + stop + 1 : stop + 1;
+    return list.slice(start < 0 ? Math.max(0, list.length + start) : start, end);
+  }
+
+  // Scripts, run one at a time as Redis does
+  async eval(script, numKeys, ...args) {
+    const run = SCRIPTS.get(script);
+    if (!run) throw new Error('Script is not mocked');
+    const result = this.scripting.then(() =>
+      run(this, args.slice(0, numKeys), args.slice(numKeys).map(String))
+    );
+    this.scripting = result.catch(() => {});
+    return result;
+  }
+
   // Stream operations
-  async xadd(stream, id, ...args) {
+  async xadd(stream, ...args) {
+    // MAXLEN [~|=] n is accepted and not enforced
+    const cap =
+      String(args[0]).toUpperCase() === 'MAXLEN' ? (['~', '='].includes(args[1]) ? 3 : 2) : 0;
+    const [id, ...fields] = args.slice(cap);
     if (!this.streams.has(stream)) {
       this.streams.set(stream, []);
     }
     const streamData = this.streams.get(stream);
     const actualId = id === '*' ? Date.now().toString() : id;
-    const entry = [actualId, [...args]];
+    const entry = [actualId, [...fields]];
     streamData.push(entry);
     return actualId;
   }
@@ -191,14 +260,107 @@ export class RedisMock {
     return 'PONG';
   }
 
+  // Sorted sets
+  async zadd(key, score, member) {
+    if (!this.zsets.has(key)) this.zsets.set(key, new Map());
+    const zset = this.zsets.get(key);
+    const added = zset.has(member) ? 0 : 1;
+    zset.set(member, Number(score));
+    return added;
+  }
+
+  async zrangebyscore(key, min, max) {
+    const bound = (v) => (v === '-inf' ? -Infinity : v === '+inf' ? Infinity : Number(v));
+    return Array.from(this.zsets.get(key) || [])
+      .filter(([, score]) => score >= bound(min) && score <= bound(max))
+      .sort((a, b) => a[1] - b[1])
+      .map(([member]) => member);
+  }
+
+  // Members by rank, lowest score first; negative ranks count from the end
+  async zrange(key, start, stop) {
+    const members = Array.from(this.zsets.get(key) || [])
+      .sort((a, b) => a[1] - b[1])
+      .map(([member]) => member);
+    const at = (i) => (Number(i) < 0 ? members.length + Number(i) : Number(i));
+    return members.slice(Math.max(0, at(start)), at(stop) + 1);
+  }
+
+  async zremrangebyscore(key, min, max) {
+    const gone = await this.zrangebyscore(key, min, max);
+    return this.zrem(key, ...gone);
+  }
+
+  async zremrangebyrank(key, start, stop) {
+    const gone = await this.zrange(key, start, stop);
+    return this.zrem(key, ...gone);
+  }
+
+  async zrem(key, ...members) {
+    const zset = this.zsets.get(key);
+    if (!zset) return 0;
+    return members.filter((m) => zset.delete(m)).length;
+  }
+
+  async zcard(key) {
+    return this.zsets.get(key)?.size || 0;
+  }
+
   async quit() {
     return 'OK';
   }
 
-  // Scan operation
+  // Expiry is recorded, not enforced
+  async expire(key, seconds) {
+    this.ttls.set(key, Number(seconds));
+    return 1;
+  }
+
+  async ttl(key) {
+    return this.ttls.get(key) ?? -1;
+  }
+
+  // MULTI / pipeline: commands are queued and run in order on exec, answering
+  // [[error, result], ...] like ioredis
+  multi() {
+    const queue = [];
+    const tx = new Proxy(
+      {},
+      {
+        get: (target, name) => {
+          if (name === 'then') return undefined;
+          if (name === 'exec')
+            return async () => {
+              const out = [];
+              for (const [cmd, args] of queue) out.push([null, await this[cmd](...args)]);
+              return out;
+            };
+          return (...args) => {
+            queue.push([name, args]);
+            return tx;
+          };
+        },
+      }
+    );
+    return tx;
+  }
+
+  pipeline() {
+    return this.multi();
+  }
+
+  // Scan operation: one pass over every key, filtered by MATCH (glob * and ?)
   async scan(cursor, ...args) {
-    const keys = Array.from(this.data.keys());
-    return ['0', keys];
+    const i = args.findIndex((a) => String(a).toUpperCase() === 'MATCH');
+    const glob = i >= 0 ? String(args[i + 1]) : '*';
+    const re = new RegExp(
+      `^${glob
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.')}$`
+    );
+    const keys = [this.data, this.hashes, this.zsets, this.lists].flatMap((m) => [...m.keys()]);
+    return ['0', [...new Set(keys)].filter((k) => re.test(k))];
   }
 }
 
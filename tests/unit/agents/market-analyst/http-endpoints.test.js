@@ -0,0 +1,322 @@
+/**
+ * Unit tests for the market-analyst HTTP endpoints, driven through the analyst's own handlers
+ * with Redis on the in-memory mock
+ */
+import { jest } from '@jest/globals';
+import supertest from 'supertest';
+import { RedisMock } from '../../../helpers/redis-mock.js';
+import { LAST_PRICES_KEY } from '../../../../common/market-data.js';
+import { MODELS_KEY, addOutcome } from '../../../../common/calibration.js';
+
+let redis;
+const insertMarketData = jest.fn();
+// Messages the analyst published through xaddJSON, and its stream handlers by stream
+const published = [];
+const handlers = {};
+
+jest.unstable_mockModule('ioredis', () => ({ default: jest.fn(() => redis) }));
+jest.unstable_mockModule('../../../../common/streams.js', () => ({
+  xaddJSON: jest.fn(async (r, stream, payload) => {
+    published.push({ stream, payload });
+    return '1-0';
+  }),
+  startConsumer: jest.fn(({ stream, handler }) => {
+    handlers[stream] = handler;
+    return () => {};
+  }),
+  startPendingMonitor: jest.fn(() => () => {}),
+}));
+jest.unstable_mockModule('../../../../common/db.js', () => ({
+  createPgPool: () => ({ end: async () => {} }),
+  insertMarketData,
+}));
+
+// Import a fresh analyst with env on top of the test env; resolves to a supertest agent
+async function loadAnalyst(env = {}) {
+  jest.resetModules();
+  redis = new RedisMock();
+  published.length = 0;
+  process.env = {
+    ...process.env,
+    SERVICE_NAME: 'Market Analyst Test',
+    PORT: '0',
+    REDIS_URL: 'redis://mock:6379/0',
+    ...env,
+  };
+  // The express the analyst imports once the registry is reset
+  const { default: express } = await import('express');
+  let app;
+  // The analyst's candle and calibration loops do not run on their own
+  const realSetInterval = global.setInterval;
+  global.setInterval = jest.fn(() => ({ unref: () => {} }));
+  const listen = jest.spyOn(express.application, 'listen').mockImplementation(function () {
+    app = this;
+    return { close: () => {} };
+  });
+  try {
+    await import('../../../../agents/market-analyst/src/index.js');
+  } finally {
+    global.setInterval = realSetInterval;
+    listen.mockRestore();
+  }
+  return supertest(app);
+}
+
+// 30 rising 1m bars of BTC-USD: enough for sma_cross to buy
+const risingBars = () =>
+  Array.from({ length: 30 }, (_, i) => {
+    const close = 100 + i;
+    return {
+      type: 'bar',
+      symbol: 'BTC-USD',
+      interval: '1m',
+      ts: new Date(Date.parse('2026-01-01T00:00:00Z') + i * 60000).toISOString(),
+      open: close,
+      high: close,
+      low: close,
+      close,
+      volume: 1,
+    };
+  });
+
+// An analyst running sma_cross alone, with the rising bars stored
+async function loadBuyingAnalyst() {
+  const request = await loadAnalyst({
+    ANALYST_STRATEGIES: JSON.stringify([{ strategy: 'sma_cross', symbols: ['*'] }]),
+  });
+  await request.post('/analysis/ingest').send(risingBars());
+  return request;
+}
+
+const lastQuote = async (symbol) => JSON.parse(await redis.hget(LAST_PRICES_KEY, symbol));
+
+describe('Market Analyst HTTP Endpoints', () => {
+  const OLD_ENV = process.env;
+
+  beforeEach(() => {
+    process.env = { ...OLD_ENV };
+    jest.clearAllMocks();
+    insertMarketData.mockResolvedValue();
+  });
+
+  afterAll(() => {
+    process.env = OLD_ENV;
+  });
+
+  describe('POST /analysis/ingest', () => {
+    test('stores and publishes valid items and reports invalid ones by index', async () => {
+      const request = await loadAnalyst();
+
+      const response = await request.post('/analysis/ingest').send({
+        symbol: 'btc/usd',
+        items: [
+          { type: 'trade', ts: '2026-01-01T00:00:00Z', price: 100, qty: 1 },
+          { type: 'trade', ts: '2026-01-01T00:00:01Z', price: -1, qty: 1 },
+          { type: 'quote', ts: '2026-01-01T00:00:02Z', bid: 101, ask: 100 },
+          { type: 'fill', ts: '2026-01-01T00:00:03Z' },
+        ],
+      });
+
+      expect(response.status).toBe(202);
+      expect(response.body).toEqual({
+        status: 'accepted',
+        items: 1,
+        rejected: [
+          { index: 1, error: 'invalid_price' },
+          { index: 2, error: 'crossed_quote' },
+          { index: 3, error: 'unknown_type' },
+        ],
+      });
+      expect((await redis.zrange('md:trade:BTC-USD', 0, -1)).map(JSON.parse)).toEqual([
+        { type: 'trade', symbol: 'BTC-USD', ts: '2026-01-01T00:00:00.000Z', price: 100, qty: 1 },
+      ]);
+      expect(redis.streams.get('market.data')).toHaveLength(1);
+    });
+
+    test('answers 400 when no item is valid', async () => {
+      const request = await loadAnalyst();
+
+      const empty = await request.post('/analysis/ingest').send({ items: [] });
+      expect(empty.status).toBe(400);
+      expect(empty.body.error).toBe('invalid_params');
+
+      const invalid = await request
+        .post('/analysis/ingest')
+        .send([{ type: 'trade', symbol: 'BTC', price: 100, qty: 1 }]);
+      expect(invalid.status).toBe(400);
+      expect(invalid.body).toEqual({
+        error: 'invalid_params',
+        details: { rejected: [{ index: 0, error: 'invalid_symbol' }] },
+      });
+      expect(redis.streams.get('market.data')).toBeUndefined();
+      expect(await redis.hgetall(LAST_PRICES_KEY)).toEqual({});
+    });
+
+    test('merges ticks into the latest quote and ignores stale ones', async () => {
+      const request = await loadAnalyst();
+
+      await request.post('/analysis/ingest').send([
+        { type: 'quote', symbol: 'ETH-USD', ts: '2026-01-01T00:00:10Z', bid: 99, ask: 101 },
+        // Older than the quote in the same batch: its price is left out
+        { type: 'trade', symbol: 'ETH-USD', ts: '2026-01-01T00:00:05Z', price: 90, qty: 1 },
+      ]);
+      expect(await lastQuote('ETH-USD')).toEqual({
+        symbol: 'ETH-USD',
+        ts: '2026-01-01T00:00:10.000Z',
+        bid: 99,
+        ask: 101,
+      });
+
+      await request
+        .post('/analysis/ingest')
+        .send([
+          { type: 'trade', symbol: 'ETH-USD', ts: '2026-01-01T00:00:11Z', price: 100, qty: 1 },
+        ]);
+      expect(await lastQuote('ETH-USD')).toEqual({
+        symbol: 'ETH-USD',
+        ts: '2026-01-01T00:00:11.000Z',
+        bid: 99,
+        ask: 101,
+        price: 100,
+      });
+
+      // A later request with an older tick does not move the quote back
+      const stale = await request
+        .post('/analysis/ingest')
+        .send([{ type: 'quote', symbol: 'ETH-USD', ts: '2026-01-01T00:00:01Z', bid: 80, ask: 81 }]);
+      expect(stale.status).toBe(202);
+      expect(await lastQuote('ETH-USD')).toMatchObject({ ts: '2026-01-01T00:00:11.000Z', bid: 99 });
+      expect(await redis.zrange('md:quote:ETH-USD', 0, -1)).toHaveLength(2);
+    });
+
+    test('writes to Postgres only with MARKET_DATA_PG=true', async () => {
+      const trade = { type: 'trade', symbol: 'BTC-USD', price: 100, qty: 1 };
+
+      let request = await loadAnalyst();
+      expect((await request.post('/analysis/ingest').send([trade])).status).toBe(202);
+      expect(insertMarketData).not.toHaveBeenCalled();
+
+      request = await loadAnalyst({ MARKET_DATA_PG: 'true' });
+      expect((await request.post('/analysis/ingest').send([trade])).status).toBe(202);
+      expect(insertMarketData).toHaveBeenCalledWith(expect.anything(), [
+        expect.objectContaining({ type: 'trade', symbol: 'BTC-USD', price: 100 }),
+      ]);
+
+      // Redis stays the record when the Postgres copy fails
+      insertMarketData.mockRejectedValue(new Error('pg down'));
+      const response = await request.post('/analysis/ingest').send([trade]);
+      expect(response.status).toBe(202);
+      expect(await redis.zrange('md:trade:BTC-USD', 0, -1)).toHaveLength(2);
+    });
+  });
+
+  describe('GET /analysis/indicators/:symbol', () => {
+    const bar = (minute, close) => ({
+      type: 'bar',
+      symbol: 'BTC-USD',
+      interval: '1m',
+      ts: `2026-01-01T00:0${minute}:00Z`,
+      open: close,
+      high: close,
+      low: close,
+      close,
+      volume: 1,
+    });
+
+    test('runs over the newest limit bars, at least one', async () => {
+      const request = await loadAnalyst();
+      await request.post('/analysis/ingest').send([bar(0, 100), bar(1, 101), bar(2, 102)]);
+
+      const two = await request.get('/analysis/indicators/BTC-USD?limit=2');
+      expect(two.status).toBe(200);
+      expect(two.body).toMatchObject({ bars: 2, from: '2026-01-01T00:01:00.000Z', close: 102 });
+
+      const negative = await request.get('/analysis/indicators/BTC-USD?limit=-1');
+      expect(negative.status).toBe(200);
+      expect(negative.body).toMatchObject({ bars: 1, from: '2026-01-01T00:02:00.000Z' });
+
+      // 0 and unreadable limits take the default
+      const zero = await request.get('/analysis/indicators/BTC-USD?limit=0');
+      expect(zero.body.bars).toBe(3);
+    });
+  });
+
+  describe('GET /analysis/calibration', () => {
+    test('reports the stored models, and 500 when Redis fails', async () => {
+      const request = await loadAnalyst({ CALIBRATION_PRIOR: '0' });
+      // An outcome another replica judged after this one started
+      await redis.hset(MODELS_KEY, 'sma_cross', JSON.stringify(addOutcome(undefined, 0.75, true)));
+
+      const response = await request.get('/analysis/calibration');
+      expect(response.status).toBe(200);
+      expect(response.body.strategies.sma_cross).toMatchObject({ outcomes: 1 });
+      expect(response.body.strategies.sma_cross.bins[7]).toMatchObject({ n: 1, winRate: 1 });
+
+      jest.spyOn(redis, 'hgetall').mockRejectedValueOnce(new Error('redis down'));
+      const failed = await request.get('/analysis/calibration');
+      expect(failed.status).toBe(500);
+      expect(failed.body).toEqual({ error: 'read_failed', message: 'redis down' });
+    });
+  });
+
+  describe('POST /analysis/analyze', () => {
+    test('normalizes the symbol and rejects one it cannot read', async () => {
+      const request = await loadBuyingAnalyst();
+
+      const response = await request.post('/analysis/analyze').send({ symbol: 'btc/usd' });
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        symbol: 'BTC-USD',
+        side: 'buy',
+        strategyId: 'ensemble',
+      });
+
+      const invalid = await request.post('/analysis/analyze').send({ symbol: 'BTC' });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body).toEqual({ error: 'invalid_symbol' });
+    });
+
+    test('answers 500 when the analysis fails, recording nothing', async () => {
+      const request = await loadBuyingAnalyst();
+      jest.spyOn(redis, 'hgetall').mockRejectedValueOnce(new Error('redis down'));
+
+      const response = await request.post('/analysis/analyze').send({ symbol: 'BTC-USD' });
+
+      expect(response.status).toBe(500);
+      expect(response.body).toEqual({ error: 'analyze_failed', message: 'redis down' });
+      expect(await redis.zcard('calib:pending')).toBe(0);
+    });
+  });
+
+  describe('orchestrator.commands', () => {
+    const command = (payload) => handlers['orchestrator.commands']({ payload });
+    const signals = () => published.filter((m) => m.stream === 'analysis.signals');
+
+    test('publishes an analyze command signal under the normalized symbol', async () => {
+      await loadBuyingAnalyst();
+
+      await command({ type: 'analyze', symbol: 'btc/usd', requestId: 'r1' });
+
+      expect(signals()).toEqual([
+        {
+          stream: 'analysis.signals',
+          payload: expect.objectContaining({
+            requestId: 'r1-ensemble',
+            symbol: 'BTC-USD',
+            side: 'buy',
+            strategyId: 'ensemble',
+          }),
+        },
+      ]);
+    });
+
+    test('ignores unreadable symbols and other commands', async () => {
+      await loadBuyingAnalyst();
+
+      await command({ type: 'analyze', symbol: 'BTC', requestId: 'r1' });
+      await command({ type: 'halt', symbol: 'BTC-USD', requestId: 'r2' });
+
+      expect(signals()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Unit tests for the orchestrator's daily target: fills from exec.status and the mark-to-market
+ * job, on each PNL_TARGET_BASIS, with Redis on the in-memory mock
+ */
+import { jest } from '@jest/globals';
+import express from 'express';
+import { RedisMock } from '../../../helpers/redis-mock.js';
+import { POSITIONS_KEY } from '../../../../common/lots.js';
+import { LAST_PRICES_KEY } from '../../../../common/market-data.js';
+import { getStatus } from '../../../../common/pnl.js';
+
+let redis;
+// Messages the orchestrator published, and its stream handlers by stream
+const published = [];
+const handlers = {};
+
+jest.unstable_mockModule('ioredis', () => ({ default: jest.fn(() => redis) }));
+jest.unstable_mockModule('../../../../common/streams.js', () => ({
+  xaddJSON: jest.fn(async (r, stream, payload) => {
+    published.push({ stream, payload });
+    return '1-0';
+  }),
+  startConsumer: jest.fn(({ stream, handler }) => {
+    handlers[stream] = handler;
+    return () => {};
+  }),
+  startPendingMonitor: jest.fn(() => () => {}),
+}));
+jest.unstable_mockModule('../../../../common/db.js', () => ({
+  createPgPool: () => ({ query: async () => ({ rows: [] }), end: async () => {} }),
+  insertAudit: jest.fn(async () => {}),
+  upsertPnl: jest.fn(async () => {}),
+}));
+
+const MTM_INTERVAL_MS = 60002;
+
+// Import a fresh orchestrator on the given basis; resolves to its mark-to-market job
+async function loadOrchestrator(basis) {
+  jest.resetModules();
+  redis = new RedisMock();
+  published.length = 0;
+  process.env.PNL_TARGET_BASIS = basis;
+  let mtm;
+  const realSetInterval = global.setInterval;
+  global.setInterval = jest.fn((fn, ms) => {
+    if (ms === MTM_INTERVAL_MS) mtm = fn;
+    return { unref: () => {} };
+  });
+  const listen = jest.spyOn(express.application, 'listen').mockImplementation(() => ({
+    close: () => {},
+  }));
+  try {
+    await import('../../../../agents/orchestrator/src/index.js');
+  } finally {
+    global.setInterval = realSetInterval;
+    listen.mockRestore();
+  }
+  return mtm;
+}
+
+// A long position of qty BTC-USD opened at 100, and its latest quote
+async function holdBtc(qty, bid) {
+  await redis.hset(
+    POSITIONS_KEY,
+    'BTC-USD',
+    JSON.stringify({ symbol: 'BTC-USD', qty, avgPrice: 100, lots: [{ qty, price: 100 }] })
+  );
+  await redis.hset(
+    LAST_PRICES_KEY,
+    'BTC-USD',
+    JSON.stringify({ symbol: 'BTC-USD', bid, ask: bid + 1, ts: new Date().toISOString() })
+  );
+}
+
+const fill = (orderId, profit) =>
+  handlers['exec.status']({
+    payload: { orderId, symbol: 'BTC-USD', side: 'sell', status: 'filled', profit },
+  });
+
+const halts = () =>
+  published.filter((m) => m.stream === 'orchestrator.commands' && m.payload.type === 'halt');
+const targetEvents = () =>
+  published.filter(
+    (m) => m.stream === 'notify.events' && m.payload.type === 'daily_target_reached'
+  );
+
+describe('Orchestrator daily target', () => {
+  const OLD_ENV = process.env;
+
+  beforeEach(() => {
+    process.env = {
+      ...OLD_ENV,
+      SERVICE_NAME: 'Orchestrator Test',
+      PORT: '0',
+      REDIS_URL: 'redis://mock:6379/0',
+      START_EQUITY: '1000',
+      DAILY_TARGET_PCT: '1',
+      PNL_MTM_INTERVAL_MS: String(MTM_INTERVAL_MS),
+      PNL_MARK_MAX_AGE_SEC: '300',
+    };
+  });
+
+  afterAll(() => {
+    process.env = OLD_ENV;
+  });
+
+  describe('PNL_TARGET_BASIS=realized', () => {
+    test('halts once realized PnL reaches the target', async () => {
+      await loadOrchestrator('realized');
+
+      await fill('o1', 6);
+      expect(halts()).toHaveLength(0);
+      await fill('o2', 4);
+
+      expect((await getStatus(redis)).halted).toBe(true);
+      expect(halts()).toEqual([
+        expect.objectContaining({
+          payload: expect.objectContaining({ reason: 'daily_target_reached' }),
+        }),
+      ]);
+      expect(targetEvents()[0].payload.context).toMatchObject({ basis: 'realized', realized: 10 });
+    });
+
+    test('does not count unrealized PnL toward the target', async () => {
+      const mtm = await loadOrchestrator('realized');
+      // 1 BTC marked 50 above entry: 5% of equity, unrealized
+      await holdBtc(1, 150);
+
+      await mtm();
+      await fill('o1', 5);
+
+      const status = await getStatus(redis);
+      expect(status.unrealized).toBe(50);
+      expect(status.halted).toBe(false);
+      expect(halts()).toHaveLength(0);
+    });
+  });
+
+  describe('PNL_TARGET_BASIS=equity', () => {
+    test('halts on a mark-to-market pass alone', async () => {
+      const mtm = await loadOrchestrator('equity');
+      await holdBtc(1, 105);
+
+      await mtm();
+      expect(halts()).toHaveLength(0);
+
+      await holdBtc(1, 111);
+      await mtm();
+
+      expect((await getStatus(redis)).halted).toBe(true);
+      expect(halts()).toHaveLength(1);
+      expect(targetEvents()[0].payload.context).toMatchObject({
+        basis: 'equity',
+        realized: 0,
+        unrealized: 11,
+      });
+    });
+
+    test('halts on a fill whose realized PnL plus the open position reaches the target', async () => {
+      await loadOrchestrator('equity');
+      await holdBtc(1, 106);
+
+      await fill('o1', 5);
+
+      expect((await getStatus(redis)).halted).toBe(true);
+      expect(targetEvents()[0].payload.context).toMatchObject({
+        basis: 'equity',
+        realized: 5,
+        unrealized: 6,
+      });
+    });
+
+    test('does not halt again once halted', async () => {
+      const mtm = await loadOrchestrator('equity');
+      await holdBtc(1, 120);
+
+      await mtm();
+      await mtm();
+
+      expect(halts()).toHaveLength(1);
+    });
+  });
+});
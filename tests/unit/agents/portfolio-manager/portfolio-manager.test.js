@@ -0,0 +1,242 @@
+/**
+ * Unit tests for the portfolio manager: exec.status fills booked into positions through its own
+ * stream handler, with Redis on the in-memory mock, and the holdings endpoint over them
+ */
+import { jest } from '@jest/globals';
+import express from 'express';
+import supertest from 'supertest';
+import { RedisMock } from '../../../helpers/redis-mock.js';
+import { POSITIONS_KEY } from '../../../../common/lots.js';
+
+const redis = new RedisMock();
+// The exec.status handler the portfolio manager registered
+const consumer = {};
+const upsertPosition = jest.fn();
+
+jest.unstable_mockModule('ioredis', () => ({ default: jest.fn(() => redis) }));
+jest.unstable_mockModule('../../../../common/streams.js', () => ({
+  startConsumer: jest.fn(({ handler }) => {
+    consumer.handler = handler;
+    return () => {};
+  }),
+}));
+jest.unstable_mockModule('../../../../common/db.js', () => ({
+  createPgPool: () => ({ end: async () => {} }),
+  upsertPosition,
+}));
+
+const status = (payload) => consumer.handler({ payload });
+const positionOf = async (symbol) =>
+  JSON.parse((await redis.hget(POSITIONS_KEY, symbol)) || 'null');
+
+describe('Portfolio Manager', () => {
+  const OLD_ENV = process.env;
+  let request;
+
+  beforeAll(async () => {
+    process.env = {
+      ...OLD_ENV,
+      SERVICE_NAME: 'Portfolio Manager Test',
+      PORT: '0',
+      REDIS_URL: 'redis://mock:6379/0',
+      PORTFOLIO_PG_MIRROR: 'true',
+      PORTFOLIO_BOOKED_TTL_SECONDS: '3600',
+    };
+    let app;
+    const listen = jest.spyOn(express.application, 'listen').mockImplementation(function () {
+      app = this;
+      return { close: () => {} };
+    });
+    try {
+      await import('../../../../agents/portfolio-manager/src/index.js');
+    } finally {
+      listen.mockRestore();
+    }
+    request = supertest(app);
+  });
+
+  afterAll(() => {
+    process.env = OLD_ENV;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redis.hashes.clear();
+    redis.ttls.clear();
+    upsertPosition.mockResolvedValue();
+  });
+
+  describe('exec.status', () => {
+    test('books fills into a position per symbol', async () => {
+      await status({
+        orderId: 'o1',
+        symbol: 'BTC-USD',
+        side: 'buy',
+        status: 'filled',
+        qty: 1,
+        filledQty: 1,
+        price: 100,
+        fee: 1,
+      });
+      await status({
+        orderId: 'o2',
+        symbol: 'ETH-USD',
+        side: 'sell',
+        status: 'filled',
+        qty: 2,
+        filledQty: 2,
+        price: 10,
+      });
+      await status({
+        orderId: 'o3',
+        symbol: 'BTC-USD',
+        side: 'buy',
+        status: 'filled',
+        qty: 1,
+        filledQty: 1,
+        price: 200,
+      });
+
+      expect(await positionOf('BTC-USD')).toMatchObject({
+        symbol: 'BTC-USD',
+        qty: 2,
+        avgPrice: 150,
+      });
+      expect(await positionOf('ETH-USD')).toMatchObject({
+        symbol: 'ETH-USD',
+        qty: -2,
+        avgPrice: 10,
+      });
+    });
+
+    test('books a repeated status once and a partial fill by its increment', async () => {
+      const partial = {
+        orderId: 'o1',
+        symbol: 'BTC-USD',
+        side: 'buy',
+        status: 'partially_filled',
+        qty: 3,
+        filledQty: 1,
+        price: 100,
+        fee: 1,
+      };
+      await status(partial);
+      await status(partial);
+      expect(await positionOf('BTC-USD')).toMatchObject({ qty: 1, avgPrice: 100 });
+
+      // Cumulative 3 @ 120 average: the new 2 were filled at 130
+      await status({ ...partial, status: 'filled', filledQty: 3, price: 120, fee: 3 });
+      await status({ ...partial, status: 'filled', filledQty: 3, price: 120, fee: 3 });
+      const position = await positionOf('BTC-USD');
+      expect(position.qty).toBe(3);
+      expect(position.lots.map((l) => [l.qty, l.price, l.fee])).toEqual([
+        [1, 100, 1],
+        [2, 130, 2],
+      ]);
+      expect(await redis.hgetall('portfolio:booked:o1')).toEqual({
+        qty: '3',
+        notional: '360',
+        fee: '3',
+      });
+      expect(await redis.ttl('portfolio:booked:o1')).toBe(3600);
+    });
+
+    test('skips algo parents and statuses without a symbol, order or fill', async () => {
+      await status({
+        orderId: 'a1',
+        algo: 'twap',
+        symbol: 'BTC-USD',
+        side: 'buy',
+        status: 'filled',
+        qty: 1,
+        price: 100,
+      });
+      await status({ orderId: 'o1', side: 'buy', status: 'filled', qty: 1, price: 100 });
+      await status({ symbol: 'BTC-USD', side: 'buy', status: 'filled', qty: 1, price: 100 });
+      await status({ orderId: 'o2', symbol: 'BTC-USD', side: 'buy', status: 'accepted', qty: 1 });
+
+      expect(await redis.hgetall(POSITIONS_KEY)).toEqual({});
+      expect(upsertPosition).not.toHaveBeenCalled();
+    });
+
+    test('mirrors the position to Postgres and keeps it in Redis when the mirror fails', async () => {
+      await status({
+        orderId: 'o1',
+        symbol: 'BTC-USD',
+        side: 'buy',
+        status: 'filled',
+        qty: 1,
+        price: 100,
+      });
+      expect(upsertPosition).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ symbol: 'BTC-USD', qty: 1 })
+      );
+
+      upsertPosition.mockRejectedValue(new Error('pg down'));
+      await expect(
+        status({
+          orderId: 'o2',
+          symbol: 'BTC-USD',
+          side: 'buy',
+          status: 'filled',
+          qty: 1,
+          price: 100,
+        })
+      ).resolves.toBeUndefined();
+      expect(await positionOf('BTC-USD')).toMatchObject({ qty: 2 });
+    });
+  });
+
+  describe('GET /portfolio/holdings', () => {
+    test('lists open positions by symbol with the realized total', async () => {
+      await status({
+        orderId: 'o1',
+        symbol: 'SOL-USD',
+        side: 'buy',
+        status: 'filled',
+        qty: 1,
+        price: 100,
+        fee: 1,
+      });
+      await status({
+        orderId: 'o2',
+        symbol: 'BTC-USD',
+        side: 'buy',
+        status: 'filled',
+        qty: 1,
+        price: 100,
+      });
+      await status({
+        orderId: 'o3',
+        symbol: 'SOL-USD',
+        side: 'sell',
+        status: 'filled',
+        qty: 1,
+        price: 110,
+        fee: 1,
+      });
+      await status({
+        orderId: 'o4',
+        symbol: 'ETH-USD',
+        side: 'buy',
+        status: 'filled',
+        qty: 2,
+        price: 10,
+      });
+
+      const response = await request.get('/portfolio/holdings');
+      expect(response.status).toBe(200);
+      expect(response.body.holdings.map((h) => h.symbol)).toEqual(['BTC-USD', 'ETH-USD']);
+      // (110 - 100) * 1 less both fees
+      expect(response.body.realized).toBe(8);
+
+      const all = await request.get('/portfolio/holdings?all=true');
+      expect(all.body.holdings.map((h) => [h.symbol, h.qty])).toEqual([
+        ['BTC-USD', 1],
+        ['ETH-USD', 2],
+        ['SOL-USD', 0],
+      ]);
+    });
+  });
+});
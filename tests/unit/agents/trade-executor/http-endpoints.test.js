@@ -1,118 +1,125 @@
 /**
- * Unit tests for the trade-executor HTTP endpoints
+ * Unit tests for the trade-executor HTTP endpoints, driven through the executor's own handlers
+ * with Redis on the in-memory mock and a scripted venue adapter
  */
 import { jest } from '@jest/globals';
 import express from 'express';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
 import supertest from 'supertest';
-import { createTestEnvironment } from '../../../helpers/test-utils.js';
-
-// Mock dependencies
-jest.mock('ioredis', () => {
-  return jest.fn().mockImplementation(() => {
-    return {
-      on: jest.fn(),
-      ping: jest.fn().mockResolvedValue('PONG'),
-      xadd: jest.fn().mockResolvedValue('1234567890-0'),
-      quit: jest.fn().mockResolvedValue('OK'),
-    };
-  });
-});
-
-jest.mock('../../../../common/trace.js', () => ({
-  traceMiddleware: () => (req, res, next) => next(),
-  requestLoggerMiddleware: () => (req, res, next) => next(),
-}));
-
-jest.mock('../../../../common/streams.js', () => ({
-  xaddJSON: jest.fn().mockResolvedValue('1234567890-0'),
-  startConsumer: jest.fn().mockReturnValue(() => {}),
-  startPendingMonitor: jest.fn().mockReturnValue(() => {}),
-}));
+import { RedisMock } from '../../../helpers/redis-mock.js';
 
-jest.mock('../../../../common/exchanges/paper.js', () => ({
-  getPaperAdapter: jest.fn().mockReturnValue({
-    placeOrder: jest.fn().mockResolvedValue({
-      filled: true,
-      orderId: 'test-order',
-      symbol: 'BTC-USD',
-      side: 'buy',
-      qty: 1,
-      price: 30000,
-      notional: 30000,
-      fee: 3,
-    }),
+const redis = new RedisMock();
+// exec.status, exec.orders and notify.events messages the executor published
+const published = [];
+// The venue behind EXCHANGE=paper
+const venue = {
+  placeOrder: jest.fn(),
+  cancelOrder: jest.fn(),
+  amendOrder: jest.fn(),
+  getOrder: jest.fn(),
+  subscribeUserData: jest.fn(({ onExecution }) => {
+    userStream.onExecution = onExecution;
+    return { stop: () => {} };
   }),
-}));
+};
+// The executor's handler for the venue's user-data stream
+const userStream = {};
 
-jest.mock('../../../../common/exchanges/binance.js', () => ({
-  getBinanceAdapter: jest.fn().mockReturnValue({}),
+jest.unstable_mockModule('ioredis', () => ({ default: jest.fn(() => redis) }));
+jest.unstable_mockModule('../../../../common/streams.js', () => ({
+  xaddJSON: jest.fn(async (r, stream, payload) => {
+    published.push({ stream, payload });
+    return '1-0';
+  }),
+  startConsumer: jest.fn(() => () => {}),
+  startPendingMonitor: jest.fn(() => () => {}),
 }));
-
-jest.mock('../../../../common/exchanges/coinbase.js', () => ({
-  getCoinbaseAdapter: jest.fn().mockReturnValue({}),
+jest.unstable_mockModule('../../../../common/exchanges/paper.js', () => ({
+  getPaperAdapter: () => venue,
 }));
 
-describe('Trade Executor HTTP Endpoints', () => {
-  let app;
-  let request;
-  let testEnv;
-
-  beforeEach(() => {
-    // Reset module registry to ensure clean imports
-    jest.resetModules();
-
-    // Create test environment
-    testEnv = createTestEnvironment({
-      env: {
-        SERVICE_NAME: 'Trade Executor Test',
-        PORT: '9999',
-        REDIS_URL: 'redis://mock:6379/0',
-        EXCHANGE: 'paper',
-      },
-    });
+const filled = ({ orderId, symbol, side, qty }) => ({
+  filled: true,
+  orderId,
+  symbol,
+  side,
+  qty,
+  price: 30000,
+  notional: 30000 * qty,
+  fee: 3,
+});
 
-    // Create a minimal Express app for testing
-    app = express();
-    app.use(express.json());
+// Resolves once fn() is truthy (polled), fails after ms
+async function until(fn, ms = 2000) {
+  const end = Date.now() + ms;
+  for (;;) {
+    const v = await fn();
+    if (v) return v;
+    if (Date.now() > end) throw new Error('timed out');
+    await new Promise((r) => setTimeout(r, 5));
+  }
+}
 
-    // Import the routes (we need to do this after mocking dependencies)
-    const setupRoutes = (app) => {
-      // Health endpoint
-      app.get('/health', (req, res) => {
-        res.json({ status: 'ok', service: process.env.SERVICE_NAME, uptime: process.uptime() });
-      });
+const stateOf = async (id) => (await redis.hget(`exec:orders:${id}`, 'state')) || null;
 
-      // Trade submission endpoint
-      app.post('/trade/submit', (req, res) => {
-        const {
-          orderId = `${Date.now()}`,
-          symbol = 'BTC-USD',
-          side = 'buy',
-          qty = 1,
-        } = req.body || {};
-        res.status(202).json({ orderId, symbol, side, qty, status: 'accepted' });
-      });
-
-      // Trade status endpoint
-      app.get('/trade/status/:id', (req, res) => {
-        res.json({ id: req.params.id, status: 'pending' });
-      });
+describe('Trade Executor HTTP Endpoints', () => {
+  const OLD_ENV = process.env;
+  let request;
+  let reconcile;
 
-      // 404 handler
-      app.use((req, res) => {
-        res.status(404).json({ error: 'not_found', path: req.path });
-      });
+  beforeAll(async () => {
+    const instrumentsFile = path.join(os.tmpdir(), `exec-instruments-${process.pid}.json`);
+    fs.writeFileSync(
+      instrumentsFile,
+      JSON.stringify({
+        paper: [
+          { symbol: 'ETH-USD', stepSize: 0.001, minNotional: 10 },
+          { symbol: 'SOL-USD', venueSymbol: 'SOLUSD-SPOT' },
+        ],
+      })
+    );
+    process.env = {
+      ...OLD_ENV,
+      SERVICE_NAME: 'Trade Executor Test',
+      PORT: '0',
+      REDIS_URL: 'redis://mock:6379/0',
+      EXCHANGE: 'paper',
+      EXCHANGE_RETRY_MAX: '0',
+      EXEC_USER_STREAM: 'true',
+      EXEC_RECONCILE_INTERVAL_MS: '60001',
+      INSTRUMENTS_FILE: instrumentsFile,
     };
-
-    setupRoutes(app);
-
-    // Create supertest instance
+    // The executor's loops do not run on their own; the reconcile pass is run by the tests
+    const realSetInterval = global.setInterval;
+    global.setInterval = jest.fn((fn, ms) => {
+      if (ms === 60001) reconcile = fn;
+      return { unref: () => {} };
+    });
+    let app;
+    const listen = jest.spyOn(express.application, 'listen').mockImplementation(function () {
+      app = this;
+      return { close: () => {} };
+    });
+    try {
+      await import('../../../../agents/trade-executor/src/index.js');
+    } finally {
+      global.setInterval = realSetInterval;
+      listen.mockRestore();
+      fs.rmSync(instrumentsFile, { force: true });
+    }
     request = supertest(app);
   });
 
-  afterEach(() => {
-    // Clean up test environment
-    testEnv.cleanup();
+  afterAll(() => {
+    process.env = OLD_ENV;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    published.length = 0;
+    venue.placeOrder.mockImplementation(async (o) => filled(o));
   });
 
   describe('GET /health', () => {
@@ -123,6 +130,7 @@ describe('Trade Executor HTTP Endpoints', () => {
       expect(response.body).toMatchObject({
         status: 'ok',
         service: 'Trade Executor Test',
+        redis: 'ok',
       });
       expect(response.body.uptime).toBeGreaterThanOrEqual(0);
     });
@@ -148,8 +156,13 @@ describe('Trade Executor HTTP Endpoints', () => {
         symbol: 'BTC-USD',
         side: 'buy',
         qty: 1.5,
+        type: 'market',
         status: 'accepted',
       });
+      await until(async () => (await stateOf('test-order-1')) === 'filled');
+      expect(venue.placeOrder).toHaveBeenCalledWith(
+        expect.objectContaining({ orderId: 'test-order-1', qty: 1.5, type: 'market' })
+      );
     });
 
     test('uses default values for missing fields', async () => {
@@ -166,18 +179,291 @@ describe('Trade Executor HTTP Endpoints', () => {
         status: 'accepted',
       });
       expect(response.body.orderId).toBeDefined();
+      await until(() => stateOf(response.body.orderId));
+    });
+
+    test('waits for the order to close when asked', async () => {
+      const response = await request
+        .post('/trade/submit?wait=1000')
+        .send({ orderId: 'test-order-2', qty: 1 })
+        .set('Content-Type', 'application/json');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        id: 'test-order-2',
+        status: 'filled',
+        state: 'filled',
+        filledQty: 1,
+        price: 30000,
+        venue: 'paper',
+      });
+      expect(response.body.history.map((h) => h.state)).toEqual(['new', 'submitted', 'filled']);
+    });
+
+    test('returns the stored state of an order it already has', async () => {
+      await request.post('/trade/submit?wait=1000').send({ orderId: 'test-order-3' });
+      const response = await request.post('/trade/submit').send({ orderId: 'test-order-3' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ id: 'test-order-3', state: 'filled' });
+      expect(venue.placeOrder).toHaveBeenCalledTimes(1);
+    });
+
+    test('leaves an order whose placement throws to reconciliation', async () => {
+      venue.placeOrder.mockRejectedValueOnce(new Error('socket hang up'));
+
+      await request.post('/trade/submit').send({ orderId: 'test-throw' });
+      await until(async () => (await redis.hget('exec:orders:test-throw', 'unknown')) === '1');
+
+      const response = await request.get('/trade/status/test-throw');
+      expect(response.body).toMatchObject({ state: 'submitted', unknown: true });
+      expect(published.find((m) => m.stream === 'notify.events').payload).toMatchObject({
+        type: 'exec_order_unknown',
+        context: { orderId: 'test-throw', venue: 'paper', error: 'socket hang up' },
+      });
+      expect(published.some((m) => m.stream === 'exec.status')).toBe(false);
+
+      // The venue took it after all
+      venue.getOrder.mockResolvedValueOnce({
+        found: true,
+        orderId: 'test-throw',
+        status: 'filled',
+        filledQty: 1,
+        price: 30000,
+        fee: 3,
+      });
+      await reconcile();
+
+      expect(venue.getOrder).toHaveBeenCalledWith({ orderId: 'test-throw', symbol: 'BTC-USD' });
+      expect(await stateOf('test-throw')).toBe('filled');
+      expect(published.filter((m) => m.stream === 'exec.status').pop().payload).toMatchObject({
+        orderId: 'test-throw',
+        status: 'filled',
+        price: 30000,
+      });
+      const after = await request.get('/trade/status/test-throw');
+      expect(after.body.unknown).toBeUndefined();
+    });
+
+    test('rejects an unknown submit once the venue reports it does not have it', async () => {
+      venue.placeOrder.mockResolvedValueOnce({
+        filled: false,
+        orderId: 'test-unavailable',
+        reason: 'exchange_unavailable',
+      });
+
+      await request.post('/trade/submit').send({ orderId: 'test-unavailable' });
+      await until(
+        async () => (await redis.hget('exec:orders:test-unavailable', 'unknown')) === '1'
+      );
+      expect(await stateOf('test-unavailable')).toBe('submitted');
+
+      // Still unreachable: tried again on the next pass
+      venue.getOrder.mockResolvedValueOnce({
+        found: false,
+        orderId: 'test-unavailable',
+        reason: 'exchange_unavailable',
+      });
+      await reconcile();
+      expect(await stateOf('test-unavailable')).toBe('submitted');
+
+      venue.getOrder.mockResolvedValueOnce({
+        found: false,
+        orderId: 'test-unavailable',
+        reason: 'unknown_order',
+      });
+      await reconcile();
+
+      expect(await stateOf('test-unavailable')).toBe('rejected');
+      expect(published.filter((m) => m.stream === 'exec.status').pop().payload).toMatchObject({
+        orderId: 'test-unavailable',
+        status: 'rejected',
+        reason: 'exchange_error',
+      });
+    });
+  });
+
+  describe('instrument rules', () => {
+    test("sends the instrument's venue symbol to the venue", async () => {
+      await request
+        .post('/trade/submit?wait=1000')
+        .send({ orderId: 'test-venue-symbol', symbol: 'SOL-USD', qty: 2 });
+
+      expect(venue.placeOrder).toHaveBeenCalledWith(
+        expect.objectContaining({ symbol: 'SOL-USD', venueSymbol: 'SOLUSD-SPOT' })
+      );
+      expect(await stateOf('test-venue-symbol')).toBe('filled');
+    });
+
+    test('checks the notional of a market order at the latest quote', async () => {
+      await redis.hset(
+        'market:last',
+        'ETH-USD',
+        JSON.stringify({ symbol: 'ETH-USD', bid: 1999, ask: 2000, ts: new Date().toISOString() })
+      );
+
+      const small = await request
+        .post('/trade/submit?wait=1000')
+        .send({ orderId: 'test-min-notional', symbol: 'ETHUSD', side: 'buy', qty: 0.004 });
+
+      expect(small.status).toBe(200);
+      expect(small.body).toMatchObject({ state: 'rejected', reason: 'below_min_notional' });
+      expect(small.body.history.pop()).toMatchObject({ reason: 'below_min_notional' });
+      expect(venue.placeOrder).not.toHaveBeenCalled();
+
+      const enough = await request
+        .post('/trade/submit?wait=1000')
+        .send({ orderId: 'test-notional-ok', symbol: 'ETH-USD', side: 'buy', qty: 0.006 });
+      expect(enough.body).toMatchObject({ state: 'filled' });
+      expect(venue.placeOrder).toHaveBeenCalledTimes(1);
     });
   });
 
-  describe('GET /trade/status/:id', () => {
-    test('returns pending status for any order ID', async () => {
+  describe('working orders', () => {
+    // A limit order resting on the venue with 1 of 2 filled
+    async function submitWorking(orderId) {
+      venue.placeOrder.mockResolvedValueOnce({
+        filled: false,
+        orderId,
+        status: 'partially_filled',
+        filledQty: 1,
+        price: 100,
+        fee: 0.1,
+        exchangeOrderId: `ex-${orderId}`,
+      });
+      await request.post('/trade/submit').send({
+        orderId,
+        symbol: 'BTC-USD',
+        side: 'buy',
+        qty: 2,
+        type: 'limit',
+        limitPrice: 100,
+      });
+      await until(async () => (await stateOf(orderId)) === 'partially_filled');
+    }
+
+    test('GET /trade/status/:id returns the stored status and lifecycle history', async () => {
+      await submitWorking('test-order-123');
+
       const response = await request.get('/trade/status/test-order-123');
 
       expect(response.status).toBe(200);
-      expect(response.body).toEqual({
+      expect(response.body).toMatchObject({
         id: 'test-order-123',
-        status: 'pending',
+        status: 'partially_filled',
+        state: 'partially_filled',
+        qty: 2,
+        type: 'limit',
+        limitPrice: 100,
+        filledQty: 1,
+        venue: 'paper',
+        exchangeOrderId: 'ex-test-order-123',
       });
+      expect(response.body.history.map((h) => [h.event, h.from, h.state])).toEqual([
+        ['received', undefined, 'new'],
+        ['submitted', 'new', 'submitted'],
+        ['partially_filled', 'submitted', 'partially_filled'],
+      ]);
+    });
+
+    test('POST /trade/cancel/:id cancels it on the venue', async () => {
+      await submitWorking('test-order-cancel');
+      venue.cancelOrder.mockResolvedValueOnce({ canceled: true, orderId: 'test-order-cancel' });
+
+      const response = await request.post('/trade/cancel/test-order-cancel');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        id: 'test-order-cancel',
+        status: 'canceled',
+        state: 'canceled',
+        filledQty: 1,
+        canceledBy: 'operator',
+      });
+      expect(venue.cancelOrder).toHaveBeenCalledWith({
+        orderId: 'test-order-cancel',
+        symbol: 'BTC-USD',
+        exchangeOrderId: 'ex-test-order-cancel',
+      });
+      expect(published.filter((m) => m.stream === 'exec.status').pop().payload).toMatchObject({
+        orderId: 'test-order-cancel',
+        status: 'canceled',
+        canceledBy: 'operator',
+      });
+
+      const again = await request.post('/trade/cancel/test-order-cancel');
+      expect(again.status).toBe(409);
+      expect(again.body).toMatchObject({ error: 'order_closed', state: 'canceled' });
+    });
+
+    test('POST /trade/amend/:id amends it on the venue', async () => {
+      await submitWorking('test-order-amend');
+      venue.amendOrder.mockResolvedValueOnce({ amended: true, orderId: 'test-order-amend' });
+
+      const response = await request.post('/trade/amend/test-order-amend').send({ qty: 3 });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ id: 'test-order-amend', qty: 3, filledQty: 1 });
+      expect(response.body.history.pop()).toMatchObject({ event: 'amended', qty: 3 });
+      expect(venue.amendOrder).toHaveBeenCalledWith({
+        orderId: 'test-order-amend',
+        symbol: 'BTC-USD',
+        exchangeOrderId: 'ex-test-order-amend',
+        qty: 3,
+      });
+
+      const below = await request.post('/trade/amend/test-order-amend').send({ qty: 1 });
+      expect(below.status).toBe(400);
+      expect(below.body.error).toBe('invalid_quantity');
+    });
+
+    test('answers 500 when the venue call throws', async () => {
+      await submitWorking('test-order-venue-down');
+      venue.cancelOrder.mockRejectedValueOnce(new Error('ECONNRESET'));
+      venue.amendOrder.mockRejectedValueOnce(new Error('ECONNRESET'));
+
+      const cancel = await request.post('/trade/cancel/test-order-venue-down');
+      expect(cancel.status).toBe(500);
+      expect(cancel.body).toEqual({ error: 'cancel_failed', detail: 'ECONNRESET' });
+      const amend = await request.post('/trade/amend/test-order-venue-down').send({ qty: 3 });
+      expect(amend.status).toBe(500);
+      expect(amend.body).toEqual({ error: 'amend_failed', detail: 'ECONNRESET' });
+      expect(await stateOf('test-order-venue-down')).toBe('partially_filled');
+    });
+
+    test('publishes user-stream fills under the order symbol, not the venue one', async () => {
+      await submitWorking('test-order-stream');
+
+      await userStream.onExecution({
+        orderId: 'test-order-stream',
+        exchangeOrderId: 'ex-test-order-stream',
+        status: 'filled',
+        symbol: 'BTCUSD',
+        side: 'buy',
+        filledQty: 2,
+        price: 100,
+        fee: 0.2,
+      });
+
+      expect(await stateOf('test-order-stream')).toBe('filled');
+      expect(published.filter((m) => m.stream === 'exec.status').pop().payload).toMatchObject({
+        orderId: 'test-order-stream',
+        status: 'filled',
+        symbol: 'BTC-USD',
+        filledQty: 2,
+      });
+    });
+
+    test('returns 404 for orders the executor has not received', async () => {
+      for (const [method, path] of [
+        ['get', '/trade/status/nope'],
+        ['post', '/trade/cancel/nope'],
+        ['post', '/trade/amend/nope'],
+      ]) {
+        const response = await request[method](path).send({ qty: 1 });
+        expect(response.status).toBe(404);
+        expect(response.body).toEqual({ error: 'unknown_order', id: 'nope' });
+      }
     });
   });
 
@@ -0,0 +1,134 @@
+/**
+ * Unit tests for confidence calibration
+ */
+import {
+  MODELS_KEY,
+  PENDING_KEY,
+  RESOLVE_LOCK_KEY,
+  addOutcome,
+  binOf,
+  calibrate,
+  createCalibrator,
+  emptyModel,
+  isWin,
+  referencePrice,
+} from '../../../common/calibration.js';
+import { LAST_PRICES_KEY } from '../../../common/market-data.js';
+import { RedisMock } from '../../helpers/redis-mock.js';
+
+const T0 = Date.parse('2024-01-01T00:00:00Z');
+
+describe('Confidence calibration', () => {
+  test('without outcomes the raw confidence is kept', () => {
+    expect(binOf(0.75)).toBe(7);
+    expect(binOf(1)).toBe(9);
+    expect(calibrate(undefined, 0.7)).toBe(0.7);
+    expect(calibrate(emptyModel(), 0.7)).toBe(0.7);
+  });
+
+  test('outcomes move the bin towards its observed win rate', () => {
+    let model = emptyModel();
+    // a strategy that says 0.8 but is right 3 times in 10
+    for (let i = 0; i < 10; i++) model = addOutcome(model, 0.8, i < 3);
+    expect(model.bins[8]).toEqual({ n: 10, wins: 3 });
+    // (3 + 10 * 0.8) / (10 + 10)
+    expect(calibrate(model, 0.8)).toBe(0.55);
+    expect(calibrate(model, 0.85, { prior: 0 })).toBe(0.3);
+    // other bins are untouched
+    expect(calibrate(model, 0.6)).toBe(0.6);
+  });
+
+  test('older outcomes decay with the half-life', () => {
+    let model = addOutcome(emptyModel(), 0.7, true, { halfLife: 1 });
+    model = addOutcome(model, 0.7, false, { halfLife: 1 });
+    expect(model.bins[7]).toEqual({ n: 1.5, wins: 0.5 });
+  });
+
+  test('judges wins at the mid, beyond the minimum move', () => {
+    expect(referencePrice({ bid: 99, ask: 101, price: 150 })).toBe(100);
+    expect(referencePrice({ price: 150 })).toBe(150);
+    expect(isWin({ side: 'buy', price: 100 }, 100.05)).toBe(true);
+    expect(isWin({ side: 'buy', price: 100 }, 100.05, 10)).toBe(false);
+    expect(isWin({ side: 'sell', price: 100 }, 99.8, 10)).toBe(true);
+  });
+
+  test('records signals and resolves them against later quotes', async () => {
+    const redis = new RedisMock();
+    const calibrator = createCalibrator(redis, { horizonSec: 60, prior: 0, minSpacingSec: 30 });
+    const buy = { strategyId: 'sma_cross', symbol: 'BTC-USD', side: 'buy', confidence: 0.8 };
+    expect(await calibrator.record(buy, { price: 100, now: T0 })).toBe(true);
+    // within minSpacingSec, holds and unpriced signals are not recorded
+    expect(await calibrator.record(buy, { price: 100, now: T0 + 10000 })).toBe(false);
+    expect(await calibrator.record({ ...buy, side: 'hold' }, { price: 100, now: T0 })).toBe(false);
+    expect(await calibrator.record({ ...buy, symbol: 'ETH-USD' }, { now: T0 })).toBe(false);
+    await calibrator.record({ ...buy, symbol: 'ETH-USD' }, { price: 10, now: T0 });
+
+    expect(await calibrator.resolveDue(T0 + 59000)).toEqual([]);
+    const quote = (price, ts) => JSON.stringify({ price, ts: new Date(ts).toISOString() });
+    await redis.hset(LAST_PRICES_KEY, 'BTC-USD', quote(101, T0 + 60000));
+    const resolved = await calibrator.resolveDue(T0 + 61000);
+    expect(resolved).toEqual([
+      expect.objectContaining({ symbol: 'BTC-USD', exit: 101, win: true }),
+    ]);
+    expect(calibrator.calibrate('sma_cross', 0.8)).toBe(1);
+    expect(JSON.parse((await redis.hgetall(MODELS_KEY)).sma_cross).bins[8]).toEqual({
+      n: 1,
+      wins: 1,
+    });
+
+    // ETH-USD never got a newer quote: dropped one horizon after it was due
+    expect(await redis.zcard(PENDING_KEY)).toBe(1);
+    expect(await calibrator.resolveDue(T0 + 120000)).toEqual([
+      expect.objectContaining({ symbol: 'ETH-USD', expired: true }),
+    ]);
+    expect(await redis.zcard(PENDING_KEY)).toBe(0);
+
+    // a new calibrator picks the stored models up
+    const reloaded = createCalibrator(redis, { prior: 0 });
+    await reloaded.load();
+    expect(reloaded.calibrate('sma_cross', 0.85)).toBe(1);
+    expect((await reloaded.describe()).sma_cross.bins[8]).toEqual({
+      from: 0.8,
+      to: 0.9,
+      n: 1,
+      winRate: 1,
+      calibrated: 1,
+    });
+  });
+
+  test('replicas share the spacing, the outcomes and the models through Redis', async () => {
+    const redis = new RedisMock();
+    const a = createCalibrator(redis, { horizonSec: 60, prior: 0, halfLife: 0 });
+    const b = createCalibrator(redis, { horizonSec: 60, prior: 0, halfLife: 0 });
+    const buy = { strategyId: 'sma_cross', symbol: 'BTC-USD', side: 'buy', confidence: 0.8 };
+    expect(await a.record(buy, { price: 100, now: T0 })).toBe(true);
+    expect(await b.record(buy, { price: 100, now: T0 })).toBe(false);
+
+    await redis.hset(
+      LAST_PRICES_KEY,
+      'BTC-USD',
+      JSON.stringify({ price: 99, ts: new Date(T0 + 60000).toISOString() })
+    );
+    // Another replica is judging: nothing is counted twice
+    await redis.set(RESOLVE_LOCK_KEY, '1');
+    expect(await a.resolveDue(T0 + 61000)).toEqual([]);
+    await redis.del(RESOLVE_LOCK_KEY);
+    expect(await a.resolveDue(T0 + 61000)).toEqual([expect.objectContaining({ win: false })]);
+    expect(await b.resolveDue(T0 + 61000)).toEqual([]);
+
+    // b reads a's outcome, and builds on it
+    expect((await b.describe()).sma_cross.outcomes).toBe(1);
+    expect(b.calibrate('sma_cross', 0.8)).toBe(0);
+    await b.record({ ...buy, symbol: 'ETH-USD' }, { price: 10, now: T0 });
+    await redis.hset(
+      LAST_PRICES_KEY,
+      'ETH-USD',
+      JSON.stringify({ price: 11, ts: new Date(T0 + 60000).toISOString() })
+    );
+    await b.resolveDue(T0 + 61000);
+    expect(JSON.parse(await redis.hget(MODELS_KEY, 'sma_cross')).bins[8]).toEqual({
+      n: 2,
+      wins: 1,
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Unit tests for candle aggregation
+ */
+import { bucketStart, createCandleAggregator, intervalMs } from '../../../common/candles.js';
+
+const T0 = Date.parse('2024-01-01T00:00:00Z');
+const at = (sec) => new Date(T0 + sec * 1000).toISOString();
+const trade = (sec, price, qty = 1) => ({ symbol: 'BTC-USD', ts: at(sec), price, qty });
+
+describe('Candles', () => {
+  test('parses timeframes and aligns buckets to UTC', () => {
+    expect(intervalMs('5m')).toBe(300000);
+    expect(intervalMs('1D')).toBe(86400000);
+    expect(intervalMs('0m')).toBeUndefined();
+    expect(intervalMs('weekly')).toBeUndefined();
+    expect(bucketStart(T0 + 299999, 300000)).toBe(T0);
+    expect(() => createCandleAggregator({ timeframes: ['1x'] })).toThrow('invalid timeframe 1x');
+  });
+
+  test('builds OHLCV and closes a bar when a later trade arrives', () => {
+    const agg = createCandleAggregator({ timeframes: ['1m', '5m'] });
+    expect(agg.addTrade(trade(1, 100, 2))).toEqual([]);
+    agg.addTrade(trade(20, 105));
+    agg.addTrade(trade(40, 98, 0.5));
+    const closed = agg.addTrade(trade(61, 101));
+    expect(closed).toEqual([
+      {
+        type: 'bar',
+        symbol: 'BTC-USD',
+        ts: at(0),
+        interval: '1m',
+        open: 100,
+        high: 105,
+        low: 98,
+        close: 98,
+        volume: 3.5,
+        trades: 3,
+        source: 'candles',
+      },
+    ]);
+    expect(agg.current('BTC-USD', '5m')).toMatchObject({
+      open: 100,
+      high: 105,
+      close: 101,
+      trades: 4,
+    });
+  });
+
+  test('closes bars on time boundaries without trades, then flat bars at the last close', () => {
+    const agg = createCandleAggregator({ timeframes: ['1m'], closeDelayMs: 2000 });
+    agg.addTrade(trade(10, 100));
+    expect(agg.closeDue(T0 + 61000)).toEqual([]); // within the close delay
+    const closed = agg.closeDue(T0 + 62000);
+    expect(closed.map((b) => b.ts)).toEqual([at(0)]);
+    const flat = agg.closeDue(T0 + 182000);
+    expect(flat).toEqual([
+      expect.objectContaining({
+        ts: at(60),
+        open: 100,
+        high: 100,
+        low: 100,
+        close: 100,
+        volume: 0,
+        trades: 0,
+      }),
+      expect.objectContaining({ ts: at(120), close: 100, volume: 0 }),
+    ]);
+    // the next trade opens its bar at its own price
+    agg.addTrade(trade(190, 110));
+    expect(agg.current('BTC-USD', '1m')).toMatchObject({
+      ts: at(180),
+      open: 110,
+      low: 110,
+      trades: 1,
+    });
+  });
+
+  test('drops late trades and skips long gaps', () => {
+    const agg = createCandleAggregator({ timeframes: ['1m'], maxGapBars: 2 });
+    agg.addTrade(trade(70, 100));
+    agg.addTrade(trade(10, 90));
+    expect(agg.stats.late).toBe(1);
+    expect(agg.addTrade(trade(130, 101)).map((b) => b.ts)).toEqual([at(60)]);
+    // 10 empty minutes: the gap is skipped rather than filled
+    expect(agg.addTrade(trade(790, 102)).map((b) => b.ts)).toEqual([at(120)]);
+    expect(agg.current('BTC-USD', '1m').ts).toBe(at(780));
+  });
+});
@@ -8,6 +8,9 @@ import fs from 'node:fs';
 let createPgPool;
 let insertAudit;
 let upsertPnl;
+let recordOrderEvent;
+let upsertPosition;
+let insertMarketData;
 let pg;
 
 beforeAll(async () => {
@@ -31,7 +34,8 @@ beforeAll(async () => {
 
   // Now dynamically import the mocked module and the module under test
   pg = await import('pg');
-  ({ createPgPool, insertAudit, upsertPnl } = await import('../../../common/db.js'));
+  ({ createPgPool, insertAudit, upsertPnl, recordOrderEvent, upsertPosition, insertMarketData } =
+    await import('../../../common/db.js'));
 });
 
 describe('Database Module', () => {
@@ -202,4 +206,139 @@ describe('Database Module', () => {
       );
     });
   });
+
+  describe('recordOrderEvent', () => {
+    test('upserts the order then inserts the event', async () => {
+      await recordOrderEvent(mockPool, {
+        order: {
+          orderId: 'o1',
+          symbol: 'BTC-USD',
+          side: 'buy',
+          qty: 1,
+          type: 'limit',
+          limitPrice: 100,
+          stopPrice: '',
+          venue: 'paper',
+          filledQty: 0.4,
+          price: 99.5,
+          traceId: 't1',
+          strategyId: 'sma_cross',
+        },
+        event: 'partially_filled',
+        from: 'submitted',
+        state: 'partially_filled',
+        ts: '2024-01-01T00:00:00Z',
+        payload: { filledQty: 0.4 },
+      });
+
+      expect(mockPool.query).toHaveBeenNthCalledWith(
+        1,
+        expect.stringContaining('on conflict (order_id) do update'),
+        [
+          'o1',
+          'BTC-USD',
+          'buy',
+          1,
+          'limit',
+          100,
+          null,
+          null,
+          'paper',
+          null,
+          'partially_filled',
+          0.4,
+          99.5,
+          null,
+          't1',
+          '2024-01-01T00:00:00Z',
+          'sma_cross',
+        ]
+      );
+      expect(mockPool.query).toHaveBeenNthCalledWith(
+        2,
+        expect.stringContaining('insert into order_events'),
+        [
+          'o1',
+          '2024-01-01T00:00:00Z',
+          'partially_filled',
+          'submitted',
+          'partially_filled',
+          JSON.stringify({ filledQty: 0.4 }),
+        ]
+      );
+    });
+  });
+
+  describe('upsertPosition', () => {
+    test('upserts the position with its lots as jsonb', async () => {
+      const lots = [{ qty: 1, price: 100, fee: 0.1, ts: '2024-01-01T00:00:00Z' }];
+      await upsertPosition(mockPool, {
+        symbol: 'BTC-USD',
+        qty: 1,
+        avgPrice: 100,
+        realized: 5,
+        lots,
+        updatedAt: '2024-01-01T00:00:00Z',
+      });
+
+      expect(mockPool.query).toHaveBeenCalledWith(
+        expect.stringContaining('on conflict (symbol) do update'),
+        ['BTC-USD', 1, 100, 5, JSON.stringify(lots), '2024-01-01T00:00:00Z']
+      );
+    });
+
+    test('stores a flat position without an average price', async () => {
+      await upsertPosition(mockPool, { symbol: 'ETH-USD', qty: 0, realized: -2 });
+
+      expect(mockPool.query).toHaveBeenCalledWith(expect.any(String), [
+        'ETH-USD',
+        0,
+        null,
+        -2,
+        '[]',
+        null,
+      ]);
+    });
+  });
+
+  describe('insertMarketData', () => {
+    const ts = '2024-01-01T00:00:00.000Z';
+    const bar = {
+      type: 'bar',
+      symbol: 'BTC-USD',
+      interval: '1m',
+      ts,
+      open: 1,
+      high: 2,
+      low: 1,
+      close: 2,
+      volume: 5,
+    };
+
+    test('inserts each record type with one multi-row statement', async () => {
+      await insertMarketData(mockPool, [
+        { type: 'trade', symbol: 'BTC-USD', ts, price: 100, qty: 1, side: 'buy' },
+        { type: 'trade', symbol: 'BTC-USD', ts, price: 101, qty: 2 },
+        { type: 'quote', symbol: 'BTC-USD', ts, bid: 99, ask: 101 },
+      ]);
+
+      expect(mockPool.query).toHaveBeenCalledTimes(2);
+      const [tradeSql, tradeParams] = mockPool.query.mock.calls[0];
+      expect(tradeSql).toContain('insert into market_trades');
+      expect(tradeSql).toContain('($1, $2, $3, $4, $5, $6, $7), ($8, $9, $10, $11, $12, $13, $14)');
+      const first = ['BTC-USD', ts, 100, 1, 'buy', null, null];
+      const second = ['BTC-USD', ts, 101, 2, null, null, null];
+      expect(tradeParams).toEqual([...first, ...second]);
+      expect(mockPool.query.mock.calls[1][0]).toContain('insert into market_quotes');
+    });
+
+    test('upserts bars, keeping the last of a repeated bar', async () => {
+      await insertMarketData(mockPool, [bar, { ...bar, close: 3, high: 3 }]);
+
+      expect(mockPool.query).toHaveBeenCalledWith(
+        expect.stringContaining('on conflict (symbol, interval, ts) do update'),
+        ['BTC-USD', '1m', ts, 1, 3, 1, 3, 5, null]
+      );
+    });
+  });
 });
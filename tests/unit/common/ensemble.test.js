@@ -0,0 +1,82 @@
+/**
+ * Unit tests for the signal ensemble
+ */
+import { combineSignals } from '../../../common/ensemble.js';
+
+const sig = (strategyId, side, confidence = 0) => ({ strategyId, side, confidence });
+
+describe('Signal ensemble', () => {
+  test('averages agreeing confidences and lets holds abstain', () => {
+    expect(combineSignals([sig('a', 'buy', 0.7), sig('b', 'buy', 0.8), sig('c', 'hold')])).toEqual({
+      side: 'buy',
+      confidence: 0.75,
+      votes: { buy: 2, sell: 0, hold: 1 },
+      agreement: 1,
+    });
+  });
+
+  test('disagreement pulls the confidence towards 0.5 and weights decide', () => {
+    const signals = [sig('a', 'buy', 0.8), sig('b', 'sell', 0.6)];
+    // P(up) = (0.8 + 0.4) / 2
+    expect(combineSignals(signals)).toMatchObject({ side: 'buy', confidence: 0.6, agreement: 0.5 });
+    // P(up) = (0.8 + 4 * 0.4) / 5
+    expect(combineSignals(signals, { weights: { b: 4 } })).toMatchObject({
+      side: 'sell',
+      confidence: 0.52,
+      agreement: 0.8,
+    });
+    expect(combineSignals(signals, { weights: { b: 0 } })).toMatchObject({
+      side: 'buy',
+      confidence: 0.8,
+    });
+    expect(combineSignals([sig('a', 'buy', 0.6), sig('b', 'sell', 0.6)])).toMatchObject({
+      side: 'hold',
+      reason: 'no_agreement',
+    });
+  });
+
+  test('keeps each voter on its own side of 0.5', () => {
+    // A lone buy below 0.5 has no edge; it is not a sell
+    expect(combineSignals([sig('a', 'buy', 0.4)])).toMatchObject({
+      side: 'hold',
+      confidence: 0,
+      reason: 'low_confidence',
+    });
+    expect(combineSignals([sig('a', 'sell', 0.3), sig('b', 'hold')]).reason).toBe('low_confidence');
+    // A weak buy dilutes a strong one: P(up) = (0.5 + 0.8) / 2
+    expect(combineSignals([sig('a', 'buy', 0.4), sig('b', 'buy', 0.8)])).toMatchObject({
+      side: 'buy',
+      confidence: 0.65,
+    });
+    // and does not count against a sell: P(up) = (0.5 + 0.3) / 2
+    expect(combineSignals([sig('a', 'buy', 0.2), sig('b', 'sell', 0.7)])).toMatchObject({
+      side: 'sell',
+      confidence: 0.6,
+      agreement: 0.5,
+    });
+  });
+
+  test('holds on too few votes, weak agreement or a veto', () => {
+    const signals = [sig('a', 'buy', 0.9), sig('b', 'buy', 0.7), sig('risk', 'sell', 0.65)];
+    expect(combineSignals([sig('a', 'hold')])).toMatchObject({
+      side: 'hold',
+      confidence: 0,
+      reason: 'too_few_votes',
+    });
+    expect(combineSignals(signals, { minVoters: 4 }).reason).toBe('too_few_votes');
+    expect(combineSignals(signals, { minAgreement: 0.7 })).toMatchObject({
+      side: 'hold',
+      reason: 'no_agreement',
+      agreement: 0.6667,
+    });
+    expect(combineSignals(signals, { vetoes: [{ strategyId: 'risk' }] })).toMatchObject({
+      side: 'hold',
+      reason: 'veto',
+      vetoedBy: 'risk',
+    });
+    // below the veto's own confidence bar the vote goes ahead
+    expect(
+      combineSignals(signals, { vetoes: [{ strategyId: 'risk', minConfidence: 0.8 }] }).side
+    ).toBe('buy');
+  });
+});
@@ -1,16 +1,26 @@
 /**
  * Adapter contract tests to ensure all exchange adapters satisfy the required shape.
+ * Real-venue adapters run against a local mock server that speaks both REST dialects.
  */
 import { jest } from '@jest/globals';
+import http from 'node:http';
 import { getPaperAdapter } from '../../../../common/exchanges/paper.js';
 import { getBinanceAdapter } from '../../../../common/exchanges/binance.js';
 import { getCoinbaseAdapter } from '../../../../common/exchanges/coinbase.js';
+import { getKrakenAdapter } from '../../../../common/exchanges/kraken.js';
+import { ORDER_STATUS, normalizeOrderParams } from '../../../../common/exchanges/adapter.js';
+
+const METHODS = ['placeOrder', 'getOrder', 'cancelOrder', 'fetchBalance', 'fetchTrades'];
 
 function expectHasPlaceOrder(adapter) {
   expect(adapter).toBeDefined();
   expect(typeof adapter.placeOrder).toBe('function');
 }
 
+function expectFullInterface(adapter) {
+  for (const m of METHODS) expect(typeof adapter[m]).toBe('function');
+}
+
 function validateFillShape(fill, { expectFilled, order }) {
   expect(fill).toBeDefined();
   expect(typeof fill.filled).toBe('boolean');
@@ -29,8 +39,185 @@ function validateFillShape(fill, { expectFilled, order }) {
   }
 }
 
+function validateOrderShape(res, { orderId }) {
+  expect(typeof res.found).toBe('boolean');
+  expect(res.orderId).toBe(orderId);
+  if (res.found) {
+    expect(Object.values(ORDER_STATUS)).toContain(res.status);
+    expect(typeof res.filledQty).toBe('number');
+  } else {
+    expect(typeof res.reason).toBe('string');
+  }
+}
+
+function validateCancelShape(res, { orderId }) {
+  expect(typeof res.canceled).toBe('boolean');
+  expect(res.orderId).toBe(orderId);
+  if (!res.canceled) expect(typeof res.reason).toBe('string');
+}
+
+function validateBalanceShape(res) {
+  expect(res.balances).toBeDefined();
+  for (const b of Object.values(res.balances)) {
+    expect(typeof b.free).toBe('number');
+    expect(typeof b.locked).toBe('number');
+    expect(b.total).toBeCloseTo(b.free + b.locked);
+  }
+}
+
+function validateTradesShape(res) {
+  expect(Array.isArray(res.trades)).toBe(true);
+  for (const t of res.trades) {
+    expect(typeof t.id).toBe('string');
+    expect(['buy', 'sell']).toContain(t.side);
+    expect(typeof t.qty).toBe('number');
+    expect(typeof t.price).toBe('number');
+    expect(typeof t.notional).toBe('number');
+    expect(typeof t.fee).toBe('number');
+    expect(typeof t.ts).toBe('string');
+  }
+}
+
+// Minimal Binance + Coinbase REST stand-in; paths do not overlap between venues
+const ROUTES = {
+  'POST /api/v3/order': () => ({
+    status: 'FILLED',
+    orderId: 9,
+    executedQty: '1',
+    cummulativeQuoteQty: '30000',
+    fills: [{ price: '30000', qty: '1', commission: '30', commissionAsset: 'USD' }],
+  }),
+  'GET /api/v3/order': () => ({
+    status: 'FILLED',
+    side: 'BUY',
+    origQty: '1',
+    executedQty: '1',
+    cummulativeQuoteQty: '30000',
+  }),
+  'DELETE /api/v3/order': () => ({ status: 'CANCELED' }),
+  'GET /api/v3/account': () => ({
+    balances: [
+      { asset: 'USD', free: '100', locked: '5' },
+      { asset: 'BTC', free: '0', locked: '0' },
+    ],
+  }),
+  'GET /api/v3/myTrades': () => [
+    {
+      id: 1,
+      orderId: 9,
+      price: '30000',
+      qty: '1',
+      quoteQty: '30000',
+      commission: '30',
+      time: Date.now(),
+      isBuyer: true,
+    },
+  ],
+  'POST /api/v3/brokerage/orders': () => ({
+    success: true,
+    success_response: { order_id: 'cb-1' },
+  }),
+  'GET /api/v3/brokerage/orders/historical/fills': () => ({
+    fills: [
+      {
+        trade_id: 't1',
+        order_id: 'cb-1',
+        product_id: 'BTC-USD',
+        side: 'BUY',
+        price: '30000',
+        size: '1',
+        commission: '30',
+        trade_time: new Date().toISOString(),
+      },
+    ],
+  }),
+  'GET /api/v3/brokerage/orders/historical/cb-1': () => ({
+    order: {
+      order_id: 'cb-1',
+      product_id: 'BTC-USD',
+      side: 'BUY',
+      status: 'FILLED',
+      filled_size: '1',
+      average_filled_price: '30000',
+      total_fees: '30',
+      order_configuration: { market_market_ioc: { base_size: '1' } },
+    },
+  }),
+  'POST /api/v3/brokerage/orders/batch_cancel': () => ({
+    results: [{ success: false, failure_reason: 'UNKNOWN_CANCEL_FAILURE_REASON' }],
+  }),
+  'GET /api/v3/brokerage/accounts': () => ({
+    accounts: [{ currency: 'USD', available_balance: { value: '100' }, hold: { value: '5' } }],
+  }),
+  // Kraken: every private call is a POST to /0/private/<Method>
+  'POST /0/private/AddOrder': () => ({ error: [], result: { txid: ['OK1'] } }),
+  'POST /0/private/QueryOrders': () => ({
+    error: [],
+    result: {
+      OK1: {
+        status: 'closed',
+        vol: '1',
+        vol_exec: '1',
+        cost: '30000',
+        fee: '30',
+        descr: { pair: 'XBTUSD', type: 'buy' },
+      },
+    },
+  }),
+  'POST /0/private/CancelOrder': () => ({ error: ['EOrder:Unknown order'] }),
+  'POST /0/private/BalanceEx': () => ({
+    error: [],
+    result: { ZUSD: { balance: '105', hold_trade: '5' } },
+  }),
+  'POST /0/private/TradesHistory': () => ({
+    error: [],
+    result: {
+      trades: {
+        T1: {
+          ordertxid: 'OK1',
+          pair: 'XBTUSD',
+          time: Date.now() / 1000,
+          type: 'buy',
+          price: '30000',
+          cost: '30000',
+          fee: '30',
+          vol: '1',
+        },
+      },
+    },
+  }),
+};
+
 describe('Exchange Adapter Contract', () => {
   const order = { orderId: 'contract-1', symbol: 'BTC-USD', side: 'buy', qty: 1 };
+  let originalEnv;
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        const route = ROUTES[`${req.method} ${req.url.split('?')[0]}`];
+        res.writeHead(route ? 200 : 404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(route ? route() : {}));
+      });
+    });
+    await new Promise((r) => server.listen(0, '127.0.0.1', r));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((r) => server.close(r));
+  });
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
 
   test('Paper adapter satisfies contract and returns a filled trade', async () => {
     const adapter = getPaperAdapter();
@@ -64,4 +251,181 @@ describe('Exchange Adapter Contract', () => {
     validateFillShape(fill, { expectFilled: false, order });
     expect(fill.raw).toBeDefined();
   });
+
+  const adapters = [
+    { name: 'paper', factory: getPaperAdapter, setCreds: () => {} },
+    {
+      name: 'paper (book mode)',
+      factory: getPaperAdapter,
+      setCreds: () => {
+        process.env.PAPER_MODE = 'book';
+      },
+    },
+    {
+      name: 'binance',
+      factory: getBinanceAdapter,
+      setCreds: () => {
+        process.env.BINANCE_API_KEY = 'key';
+        process.env.BINANCE_API_SECRET = 'secret';
+        process.env.BINANCE_BASE_URL = baseUrl;
+      },
+      clearCreds: () => {
+        delete process.env.BINANCE_API_KEY;
+        delete process.env.BINANCE_API_SECRET;
+        delete process.env.BINANCE_API_KEY_FILE;
+        delete process.env.BINANCE_API_SECRET_FILE;
+      },
+    },
+    {
+      name: 'coinbase',
+      factory: getCoinbaseAdapter,
+      setCreds: () => {
+        process.env.COINBASE_API_KEY = 'ckey';
+        process.env.COINBASE_API_SECRET = 'csecret';
+        process.env.COINBASE_API_PASSPHRASE = 'cpass';
+        process.env.COINBASE_BASE_URL = baseUrl;
+      },
+      clearCreds: () => {
+        delete process.env.COINBASE_API_KEY;
+        delete process.env.COINBASE_API_SECRET;
+        delete process.env.COINBASE_API_PASSPHRASE;
+        delete process.env.COINBASE_API_KEY_FILE;
+        delete process.env.COINBASE_API_SECRET_FILE;
+        delete process.env.COINBASE_API_PASSPHRASE_FILE;
+      },
+    },
+    {
+      name: 'kraken',
+      factory: getKrakenAdapter,
+      setCreds: () => {
+        process.env.KRAKEN_API_KEY = 'kkey';
+        process.env.KRAKEN_API_SECRET = Buffer.from('ksecret').toString('base64');
+        process.env.KRAKEN_BASE_URL = baseUrl;
+      },
+      clearCreds: () => {
+        delete process.env.KRAKEN_API_KEY;
+        delete process.env.KRAKEN_API_SECRET;
+        delete process.env.KRAKEN_API_KEY_FILE;
+        delete process.env.KRAKEN_API_SECRET_FILE;
+      },
+    },
+  ];
+
+  describe.each(adapters)('$name adapter full interface', ({ factory, setCreds, clearCreds }) => {
+    test('implements every contract method', () => {
+      setCreds();
+      expectFullInterface(factory());
+    });
+
+    test('every method returns the documented shape', async () => {
+      setCreds();
+      const adapter = factory();
+
+      const fill = await adapter.placeOrder(order);
+      validateFillShape(fill, { expectFilled: true, order });
+
+      const got = await adapter.getOrder({ orderId: order.orderId, symbol: order.symbol });
+      validateOrderShape(got, order);
+      expect(got.found).toBe(true);
+      expect(got.status).toBe(ORDER_STATUS.FILLED);
+
+      const canceled = await adapter.cancelOrder({ orderId: order.orderId, symbol: order.symbol });
+      validateCancelShape(canceled, order);
+
+      const balance = await adapter.fetchBalance();
+      validateBalanceShape(balance);
+      expect(Object.keys(balance.balances).length).toBeGreaterThan(0);
+
+      const trades = await adapter.fetchTrades({ symbol: order.symbol, since: 0 });
+      validateTradesShape(trades);
+      expect(trades.trades.length).toBeGreaterThan(0);
+    });
+
+    if (clearCreds) {
+      test('every method returns a structured missing_creds result without creds', async () => {
+        clearCreds();
+        const adapter = factory();
+        const ref = { orderId: 'nocreds-1', symbol: 'BTC-USD' };
+
+        const placed = await adapter.placeOrder({ ...ref, side: 'buy', qty: 1 });
+        expect(placed).toMatchObject({ filled: false, orderId: ref.orderId });
+        expect(placed.reason).toBe('missing_creds');
+
+        const got = await adapter.getOrder(ref);
+        validateOrderShape(got, ref);
+        expect(got.reason).toBe('missing_creds');
+
+        const canceled = await adapter.cancelOrder(ref);
+        validateCancelShape(canceled, ref);
+        expect(canceled.reason).toBe('missing_creds');
+
+        if (adapter.amendOrder) {
+          const amended = await adapter.amendOrder({ ...ref, qty: 1 });
+          expect(amended).toMatchObject({ amended: false, orderId: ref.orderId });
+          expect(amended.reason).toBe('missing_creds');
+        }
+
+        const balance = await adapter.fetchBalance();
+        validateBalanceShape(balance);
+        expect(balance.reason).toBe('missing_creds');
+
+        const trades = await adapter.fetchTrades({ symbol: 'BTC-USD' });
+        validateTradesShape(trades);
+        expect(trades.reason).toBe('missing_creds');
+      });
+    }
+  });
+
+  test('normalizeOrderParams defaults and validates order type fields', () => {
+    expect(normalizeOrderParams({})).toEqual({ type: 'market' });
+    expect(normalizeOrderParams({ type: 'Stop-Limit', limitPrice: '99', stopPrice: 100 })).toEqual({
+      type: 'stop_limit',
+      limitPrice: 99,
+      stopPrice: 100,
+      timeInForce: 'GTC',
+    });
+    expect(
+      normalizeOrderParams({ type: 'limit', limitPrice: 1, timeInForce: 'post_only' })
+    ).toEqual({ type: 'limit', limitPrice: 1, timeInForce: 'POST_ONLY' });
+    const invalid = (params) => normalizeOrderParams(params).detail?.error;
+    expect(invalid({ type: 'iceberg' })).toBe('unknown_type');
+    expect(invalid({ type: 'limit' })).toBe('limit_price_required');
+    expect(invalid({ type: 'stop' })).toBe('stop_price_required');
+    expect(invalid({ type: 'limit', limitPrice: 1, timeInForce: 'DAY' })).toBe(
+      'unknown_time_in_force'
+    );
+    expect(invalid({ type: 'market', timeInForce: 'GTC' })).toBe('time_in_force_not_supported');
+    expect(
+      invalid({ type: 'stop_limit', limitPrice: 1, stopPrice: 1, timeInForce: 'POST_ONLY' })
+    ).toBe('time_in_force_not_supported');
+    expect(normalizeOrderParams({ type: 'limit' }).reason).toBe('invalid_params');
+    expect(normalizeOrderParams({ type: 'trailing-stop', trailPercent: '1.5' })).toEqual({
+      type: 'trailing_stop',
+      trailPercent: 1.5,
+    });
+    expect(invalid({ type: 'trailing_stop' })).toBe('trail_required');
+    expect(invalid({ type: 'trailing_stop', trailAmount: 5, trailPercent: 1 })).toBe(
+      'trail_required'
+    );
+    expect(invalid({ type: 'trailing_stop', trailPercent: 100 })).toBe('trail_invalid');
+  });
+
+  test('paper getOrder/cancelOrder report unknown orders', async () => {
+    const adapter = getPaperAdapter();
+    const got = await adapter.getOrder({ orderId: 'missing' });
+    expect(got).toEqual({ found: false, orderId: 'missing', reason: 'unknown_order' });
+    const canceled = await adapter.cancelOrder({ orderId: 'missing' });
+    expect(canceled).toEqual({ canceled: false, orderId: 'missing', reason: 'unknown_order' });
+  });
+
+  test('paper balances move with fills', async () => {
+    process.env.PAPER_BALANCES = '{"USD":100000}';
+    process.env.PAPER_PRICE_DEFAULT = '30000';
+    process.env.EXCHANGE_FEE_BPS = '10';
+    const adapter = getPaperAdapter();
+    await adapter.placeOrder({ orderId: 'b1', symbol: 'BTC-USD', side: 'buy', qty: 1 });
+    const { balances } = await adapter.fetchBalance();
+    expect(balances.BTC.total).toBe(1);
+    expect(balances.USD.total).toBeCloseTo(100000 - 30000 - 30);
+  });
 });
@@ -0,0 +1,140 @@
+/**
+ * Unit tests for TWAP, VWAP and iceberg child scheduling
+ */
+import {
+  addChild,
+  algoOutcome,
+  algoProgress,
+  applyChildStatus,
+  childOrder,
+  nextChild,
+  normalizeAlgo,
+  pauseAlgo,
+  resumeAlgo,
+  startAlgo,
+} from '../../../../common/exchanges/algo.js';
+
+const T0 = Date.parse('2024-01-01T00:00:00Z');
+const PARENT = { orderId: 'p1', symbol: 'BTC-USD', side: 'buy', qty: 1, type: 'market' };
+
+// Run nextChild at `now` and record the child it asks for
+function tick(algo, now, parent = PARENT) {
+  const step = nextChild(algo, parent.qty, now);
+  if (!step.childQty) return { algo: step.algo };
+  const child = childOrder(parent, step.algo, step.childQty);
+  return { algo: addChild(step.algo, child), child };
+}
+
+describe('Execution algorithms', () => {
+  test('validates algo specs', () => {
+    const error = (order) => normalizeAlgo(order).detail?.error;
+    expect(normalizeAlgo({ algo: { type: 'TWAP', durationSec: '60' } })).toEqual({
+      algo: { type: 'twap', durationSec: 60, slices: 10 },
+    });
+    expect(error({ algo: { type: 'pov' } })).toBe('unknown_algo');
+    expect(error({ algo: { type: 'twap' } })).toBe('duration_required');
+    expect(error({ algo: { type: 'twap', durationSec: 60, slices: 0 } })).toBe('slices_invalid');
+    expect(error({ type: 'stop', algo: { type: 'twap', durationSec: 60 } })).toBe(
+      'algo_order_type_not_supported'
+    );
+    expect(error({ algo: { type: 'vwap', durationSec: 60, slices: 3, profile: [1, 2] } })).toBe(
+      'profile_invalid'
+    );
+    expect(error({ algo: { type: 'iceberg' } })).toBe('display_qty_required');
+    expect(error({ algo: { type: 'iceberg', displayQty: 0.1 } })).toBe('limit_price_required');
+    expect(
+      normalizeAlgo({ type: 'limit', limitPrice: 100, algo: { type: 'iceberg', displayQty: 0.1 } })
+    ).toEqual({ algo: { type: 'iceberg', displayQty: 0.1 } });
+  });
+
+  test('TWAP sends equal slices on schedule and catches up missed quantity', () => {
+    let algo = startAlgo({ type: 'twap', durationSec: 40, slices: 4 }, T0);
+    let step = tick(algo, T0);
+    expect(step.child).toMatchObject({ orderId: 'p1-c1', parentId: 'p1', algoSlice: 1, qty: 0.25 });
+    algo = step.algo;
+    // not due until 10s later
+    expect(tick(algo, T0 + 5000).child).toBeUndefined();
+
+    // the first slice fills only partly; the second tops up to half the parent
+    algo = applyChildStatus(algo, { orderId: 'p1-c1', status: 'canceled', filledQty: 0.1 });
+    step = tick(algo, T0 + 10000);
+    expect(step.child.qty).toBe(0.4);
+    algo = applyChildStatus(step.algo, { orderId: 'p1-c2', status: 'filled', price: 100 });
+    expect(algoProgress(algo, 1)).toMatchObject({
+      filledQty: 0.5,
+      workingQty: 0,
+      remainingQty: 0.5,
+      slicesSent: 2,
+      children: 2,
+    });
+    expect(algoOutcome(algo, 1)).toBeNull();
+  });
+
+  test('VWAP sizes slices by the volume profile', () => {
+    let algo = startAlgo({ type: 'vwap', durationSec: 30, slices: 3, profile: [1, 2, 1] }, T0);
+    const qtys = [];
+    for (const now of [T0, T0 + 10000, T0 + 20000]) {
+      const step = tick(algo, now);
+      qtys.push(step.child.qty);
+      algo = applyChildStatus(step.algo, { orderId: step.child.orderId, status: 'filled' });
+    }
+    expect(qtys).toEqual([0.25, 0.5, 0.25]);
+    expect(algoOutcome(algo, 1)).toBe('filled');
+  });
+
+  test('a schedule that runs out short of the parent is exhausted', () => {
+    let algo = startAlgo({ type: 'twap', durationSec: 10, slices: 1 }, T0);
+    const step = tick(algo, T0);
+    algo = applyChildStatus(step.algo, { orderId: 'p1-c1', status: 'canceled', filledQty: 0 });
+    expect(algoOutcome(algo, 1)).toBe('exhausted');
+  });
+
+  test('iceberg shows one limit child at a time', () => {
+    const parent = { ...PARENT, type: 'limit', limitPrice: 100, strategyId: 'rsi_reversion' };
+    let algo = startAlgo({ type: 'iceberg', displayQty: 0.4 }, T0);
+    let step = tick(algo, T0, parent);
+    expect(step.child).toMatchObject({
+      qty: 0.4,
+      type: 'limit',
+      limitPrice: 100,
+      timeInForce: 'GTC',
+      strategyId: 'rsi_reversion',
+    });
+    algo = step.algo;
+    expect(tick(algo, T0 + 1, parent).child).toBeUndefined();
+    algo = applyChildStatus(algo, { orderId: 'p1-c1', status: 'filled' });
+    algo = applyChildStatus(tick(algo, T0 + 2, parent).algo, {
+      orderId: 'p1-c2',
+      status: 'filled',
+    });
+    step = tick(algo, T0 + 3, parent);
+    expect(step.child.qty).toBe(0.2);
+  });
+
+  test('TWAP children of a limit parent are IOC at the parent limit', () => {
+    const parent = { ...PARENT, type: 'limit', limitPrice: 100 };
+    const algo = startAlgo({ type: 'twap', durationSec: 10, slices: 2 }, T0);
+    expect(tick(algo, T0, parent).child).toMatchObject({ limitPrice: 100, timeInForce: 'IOC' });
+  });
+
+  test('pause stops new children and resume shifts the schedule', () => {
+    let algo = tick(startAlgo({ type: 'twap', durationSec: 20, slices: 2 }, T0), T0).algo;
+    algo = pauseAlgo(algo, T0 + 5000);
+    expect(tick(algo, T0 + 30000).child).toBeUndefined();
+    algo = resumeAlgo(algo, T0 + 30000);
+    expect(algo).toMatchObject({ state: 'running', nextAt: T0 + 35000 });
+    expect(algo.pausedAt).toBeUndefined();
+    expect(tick(algo, T0 + 34000).child).toBeUndefined();
+    expect(tick(algo, T0 + 35000).child).toBeDefined();
+  });
+
+  test('a canceling algo is exhausted once its children close', () => {
+    let algo = tick(startAlgo({ type: 'twap', durationSec: 20, slices: 2 }, T0), T0).algo;
+    algo = { ...algo, state: 'canceling' };
+    expect(algoOutcome(algo, 1)).toBeNull();
+    algo = applyChildStatus(algo, { orderId: 'p1-c1', status: 'canceled', filledQty: 0.2 });
+    expect(algoOutcome(algo, 1)).toBe('exhausted');
+    // late statuses for closed children are ignored
+    expect(applyChildStatus(algo, { orderId: 'p1-c1', status: 'filled' })).toBe(algo);
+  });
+});
@@ -1,14 +1,77 @@
 /**
- * Unit tests for the Binance exchange adapter (stub)
+ * Unit tests for the Binance exchange adapter (signed REST against a local mock server)
  */
 import { jest } from '@jest/globals';
-import { getBinanceAdapter } from '../../../../common/exchanges/binance.js';
+import http from 'node:http';
+import { WebSocketServer } from 'ws';
+import {
+  getBinanceAdapter,
+  sign,
+  toBinanceSymbol,
+  mapBinanceError,
+  parseBinanceInstruments,
+  parseBinanceExecutionReport,
+  toBinanceOrderParams,
+} from '../../../../common/exchanges/binance.js';
 
-describe('Binance Exchange Adapter (stub)', () => {
+// Local websocket venue: records connection paths and client messages
+async function startWsServer() {
+  const wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+  await new Promise((r) => wss.on('listening', r));
+  const state = {
+    wss,
+    url: `ws://127.0.0.1:${wss.address().port}`,
+    sockets: [],
+    paths: [],
+    received: [],
+  };
+  wss.on('connection', (socket, req) => {
+    state.sockets.push(socket);
+    state.paths.push(req.url);
+    socket.on('message', (data) => state.received.push(JSON.parse(data.toString())));
+  });
+  state.close = () => new Promise((r) => wss.close(r));
+  return state;
+}
+
+const waitFor = async (cond, timeoutMs = 2000) => {
+  const start = Date.now();
+  while (!cond()) {
+    if (Date.now() - start > timeoutMs) throw new Error('timed out');
+    await new Promise((r) => setTimeout(r, 5));
+  }
+};
+
+describe('Binance Exchange Adapter', () => {
   let originalEnv;
+  let server;
+  let baseUrl;
+  let requests;
+  let respond;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (c) => (body += c));
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+        const { status, json } = respond(req, body);
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(json));
+      });
+    });
+    await new Promise((r) => server.listen(0, '127.0.0.1', r));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((r) => server.close(r));
+  });
 
   beforeEach(() => {
     originalEnv = { ...process.env };
+    requests = [];
+    respond = () => ({ status: 200, json: {} });
     jest.clearAllMocks();
   });
 
@@ -31,29 +94,440 @@ describe('Binance Exchange Adapter (stub)', () => {
       symbol: 'BTC-USD',
       side: 'buy',
       qty: 1,
+      reason: 'missing_creds',
       raw: { error: 'missing_creds' },
     });
   });
 
-  test('when creds exist, returns stub note and does not fill', async () => {
-    process.env.BINANCE_API_KEY = 'key';
-    process.env.BINANCE_API_SECRET = 'secret';
+  describe('with credentials', () => {
+    beforeEach(() => {
+      process.env.BINANCE_API_KEY = 'key';
+      process.env.BINANCE_API_SECRET = 'secret';
+      process.env.BINANCE_BASE_URL = baseUrl;
+    });
 
-    const adapter = getBinanceAdapter();
-    const res = await adapter.placeOrder({
-      orderId: 'o2',
-      symbol: 'ETH-USD',
-      side: 'sell',
-      qty: 0.5,
+    test('user-data stream: opens a listen key, streams execution reports and sums fees', async () => {
+      const ws = await startWsServer();
+      process.env.BINANCE_WS_URL = ws.url;
+      respond = (req) =>
+        req.url === '/api/v3/userDataStream' && req.method === 'POST'
+          ? { status: 200, json: { listenKey: 'lk1' } }
+          : { status: 404, json: {} };
+      const events = [];
+      const sub = getBinanceAdapter().subscribeUserData({ onExecution: (ev) => events.push(ev) });
+      try {
+        await waitFor(() => ws.sockets.length === 1);
+        expect(ws.paths).toEqual(['/ws/lk1']);
+        expect(requests[0].headers['x-mbx-apikey']).toBe('key');
+        const report = { e: 'executionReport', c: 'o1', i: 42, s: 'BTCUSDT', S: 'BUY', q: '1' };
+        ws.sockets[0].send(JSON.stringify({ e: 'outboundAccountPosition' }));
+        ws.sockets[0].send(
+          JSON.stringify({
+            ...report,
+            X: 'PARTIALLY_FILLED',
+            z: '0.4',
+            Z: '40',
+            l: '0.4',
+            L: '100',
+            n: '0.04',
+          })
+        );
+        ws.sockets[0].send(
+          JSON.stringify({
+            ...report,
+            X: 'FILLED',
+            z: '1',
+            Z: '106',
+            l: '0.6',
+            L: '110',
+            n: '0.06',
+          })
+        );
+        await waitFor(() => events.length === 2);
+        expect(events[0]).toMatchObject({
+          orderId: 'o1',
+          exchangeOrderId: '42',
+          status: 'partially_filled',
+          filledQty: 0.4,
+          price: 100,
+          fee: 0.04,
+        });
+        expect(events[1]).toMatchObject({ status: 'filled', filledQty: 1, price: 106 });
+        expect(events[1].fee).toBeCloseTo(0.1);
+      } finally {
+        sub.stop();
+        await ws.close();
+      }
+    });
+
+    test('fetchTicker reads the book ticker', async () => {
+      respond = () => ({
+        status: 200,
+        json: { symbol: 'BTCUSDT', bidPrice: '99.50', askPrice: '100.10' },
+      });
+      const res = await getBinanceAdapter().fetchTicker({ symbol: 'BTC-USDT' });
+      expect(requests[0].url).toBe('/api/v3/ticker/bookTicker?symbol=BTCUSDT');
+      expect(res).toMatchObject({ symbol: 'BTC-USDT', bid: 99.5, ask: 100.1 });
+    });
+
+    test('sends a signed MARKET order and parses fills into price/notional/fee', async () => {
+      respond = () => ({
+        status: 200,
+        json: {
+          symbol: 'ETHUSD',
+          clientOrderId: 'o2',
+          status: 'FILLED',
+          executedQty: '0.50000000',
+          cummulativeQuoteQty: '1001.00000000',
+          fills: [
+            { price: '2000.00', qty: '0.25', commission: '0.50', commissionAsset: 'USD' },
+            { price: '2004.00', qty: '0.25', commission: '0.51', commissionAsset: 'USD' },
+          ],
+        },
+      });
+
+      const adapter = getBinanceAdapter();
+      const res = await adapter.placeOrder({
+        orderId: 'o2',
+        symbol: 'ETH-USD',
+        side: 'sell',
+        qty: 0.5,
+      });
+
+      expect(res).toMatchObject({
+        filled: true,
+        orderId: 'o2',
+        symbol: 'ETH-USD',
+        side: 'sell',
+        qty: 0.5,
+        price: 2002,
+        notional: 1001,
+      });
+      expect(res.fee).toBeCloseTo(1.01);
+      expect(res.raw.status).toBe('FILLED');
+
+      expect(requests).toHaveLength(1);
+      const [req] = requests;
+      expect(req.method).toBe('POST');
+      expect(req.url).toBe('/api/v3/order');
+      expect(req.headers['x-mbx-apikey']).toBe('key');
+
+      const params = new URLSearchParams(req.body);
+      expect(params.get('symbol')).toBe('ETHUSD');
+      expect(params.get('side')).toBe('SELL');
+      expect(params.get('type')).toBe('MARKET');
+      expect(params.get('quantity')).toBe('0.5');
+      expect(params.get('newClientOrderId')).toBe('o2');
+      const unsigned = req.body.slice(0, req.body.lastIndexOf('&signature='));
+      expect(params.get('signature')).toBe(sign(unsigned, 'secret'));
     });
 
-    expect(res.filled).toBe(false);
-    expect(res).toMatchObject({
-      orderId: 'o2',
-      symbol: 'ETH-USD',
+    test('sends the venueSymbol it is given and prices commissions in its quote', async () => {
+      respond = () => ({
+        status: 200,
+        json: {
+          symbol: 'BTCUSDT',
+          orderId: 7,
+          status: 'FILLED',
+          executedQty: '1.00000000',
+          cummulativeQuoteQty: '30000.00000000',
+          fills: [{ price: '30000.00', qty: '1', commission: '30', commissionAsset: 'USDT' }],
+        },
+      });
+      const adapter = getBinanceAdapter();
+      const ref = { orderId: 'o9', symbol: 'BTC-USD', venueSymbol: 'BTCUSDT' };
+
+      const res = await adapter.placeOrder({ ...ref, side: 'buy', qty: 1 });
+      expect(res).toMatchObject({ filled: true, symbol: 'BTC-USD', fee: 30 });
+      expect(res.otherFees).toBeUndefined();
+      expect(new URLSearchParams(requests[0].body).get('symbol')).toBe('BTCUSDT');
+
+      await adapter.cancelOrder(ref);
+      expect(new URLSearchParams(requests[1].url.split('?')[1]).get('symbol')).toBe('BTCUSDT');
+    });
+
+    test('converts base asset commissions and keeps BNB commissions out of the fee', async () => {
+      respond = () => ({
+        status: 200,
+        json: {
+          symbol: 'ETHUSDT',
+          status: 'FILLED',
+          executedQty: '0.50000000',
+          cummulativeQuoteQty: '1001.00000000',
+          fills: [
+            { price: '2000.00', qty: '0.25', commission: '0.001', commissionAsset: 'BNB' },
+            { price: '2004.00', qty: '0.20', commission: '0.0002', commissionAsset: 'ETH' },
+            { price: '2004.00', qty: '0.05', commission: '0.1', commissionAsset: 'USDT' },
+          ],
+        },
+      });
+
+      const res = await getBinanceAdapter().placeOrder({
+        orderId: 'o2b',
+        symbol: 'ETH-USDT',
+        side: 'buy',
+        qty: 0.5,
+      });
+
+      expect(res).toMatchObject({ filled: true, otherFees: { BNB: 0.001 } });
+      // 0.0002 ETH at 2004 plus 0.1 USDT
+      expect(res.fee).toBeCloseTo(0.5008);
+    });
+
+    test('maps insufficient balance errors to a typed rejection', async () => {
+      respond = () => ({
+        status: 400,
+        json: { code: -2010, msg: 'Account has insufficient balance for requested action.' },
+      });
+
+      const adapter = getBinanceAdapter();
+      const res = await adapter.placeOrder({
+        orderId: 'o3',
+        symbol: 'BTC-USD',
+        side: 'buy',
+        qty: 1,
+      });
+
+      expect(res).toMatchObject({
+        filled: false,
+        orderId: 'o3',
+        reason: 'insufficient_balance',
+        raw: { httpStatus: 400, code: -2010 },
+      });
+    });
+
+    test('flags expired market orders as rejected', async () => {
+      respond = () => ({
+        status: 200,
+        json: { status: 'EXPIRED', executedQty: '0', cummulativeQuoteQty: '0', fills: [] },
+      });
+
+      const adapter = getBinanceAdapter();
+      const res = await adapter.placeOrder({
+        orderId: 'o4',
+        symbol: 'BTC-USD',
+        side: 'buy',
+        qty: 1,
+      });
+
+      expect(res.filled).toBe(false);
+      expect(res.reason).toBe('order_rejected');
+    });
+
+    test('sends a resting LIMIT order and reports it as working', async () => {
+      respond = () => ({
+        status: 200,
+        json: { status: 'NEW', executedQty: '0', cummulativeQuoteQty: '0', fills: [] },
+      });
+
+      const res = await getBinanceAdapter().placeOrder({
+        orderId: 'o5',
+        symbol: 'BTC-USD',
+        side: 'buy',
+        qty: 1,
+        type: 'limit',
+        limitPrice: 29000,
+      });
+
+      const params = new URLSearchParams(requests[0].body || requests[0].url.split('?')[1]);
+      expect(params.get('type')).toBe('LIMIT');
+      expect(params.get('timeInForce')).toBe('GTC');
+      expect(params.get('price')).toBe('29000');
+      expect(res).toMatchObject({ filled: false, status: 'new', filledQty: 0 });
+      expect(res.reason).toBeUndefined();
+    });
+
+    test('amends a working order down in place and refuses price changes', async () => {
+      respond = () => ({ status: 200, json: { amendedOrder: { origQty: '0.4' } } });
+      const adapter = getBinanceAdapter();
+      const res = await adapter.amendOrder({ orderId: 'o6', symbol: 'BTC-USD', qty: 0.4 });
+      expect(res).toMatchObject({ amended: true, orderId: 'o6' });
+      expect(requests[0].method).toBe('PUT');
+      const params = new URLSearchParams(requests[0].url.split('?')[1]);
+      expect(requests[0].url.startsWith('/api/v3/order/amend/keepPriority?')).toBe(true);
+      expect(params.get('origClientOrderId')).toBe('o6');
+      expect(params.get('newQty')).toBe('0.4');
+
+      const priced = await adapter.amendOrder({ orderId: 'o6', symbol: 'BTC-USD', limitPrice: 1 });
+      expect(priced).toMatchObject({ amended: false, reason: 'invalid_params' });
+      expect(requests).toHaveLength(1);
+    });
+
+    test('returns exchange_unavailable when the venue cannot be reached', async () => {
+      process.env.BINANCE_BASE_URL = 'http://127.0.0.1:1';
+
+      const adapter = getBinanceAdapter();
+      const res = await adapter.placeOrder({
+        orderId: 'o5',
+        symbol: 'BTC-USD',
+        side: 'buy',
+        qty: 1,
+      });
+
+      expect(res.filled).toBe(false);
+      expect(res.reason).toBe('exchange_unavailable');
+    });
+  });
+
+  test('fetchInstruments reads exchangeInfo filters without credentials', async () => {
+    delete process.env.BINANCE_API_KEY;
+    delete process.env.BINANCE_API_SECRET;
+    process.env.BINANCE_BASE_URL = baseUrl;
+    respond = () => ({
+      status: 200,
+      json: {
+        symbols: [
+          {
+            symbol: 'BTCUSDT',
+            status: 'TRADING',
+            baseAsset: 'BTC',
+            quoteAsset: 'USDT',
+            filters: [
+              { filterType: 'PRICE_FILTER', tickSize: '0.01000000' },
+              {
+                filterType: 'LOT_SIZE',
+                stepSize: '0.00001000',
+                minQty: '0.00001000',
+                maxQty: '9000',
+              },
+              { filterType: 'NOTIONAL', minNotional: '5.00000000' },
+            ],
+          },
+          { symbol: 'OLDUSDT', status: 'BREAK', baseAsset: 'OLD', quoteAsset: 'USDT', filters: [] },
+        ],
+      },
+    });
+
+    const res = await getBinanceAdapter().fetchInstruments();
+    expect(requests[0].url).toBe('/api/v3/exchangeInfo');
+    expect(requests[0].headers['x-mbx-apikey']).toBeUndefined();
+    expect(res.instruments).toEqual([
+      {
+        symbol: 'BTC-USDT',
+        venueSymbol: 'BTCUSDT',
+        base: 'BTC',
+        quote: 'USDT',
+        tickSize: '0.01000000',
+        stepSize: '0.00001000',
+        minQty: '0.00001000',
+        maxQty: '9000',
+        minNotional: '5.00000000',
+      },
+    ]);
+  });
+
+  test('parseBinanceInstruments falls back to the legacy MIN_NOTIONAL filter', () => {
+    const [inst] = parseBinanceInstruments({
+      symbols: [
+        {
+          symbol: 'ETHBTC',
+          baseAsset: 'ETH',
+          quoteAsset: 'BTC',
+          filters: [{ filterType: 'MIN_NOTIONAL', minNotional: '0.0001' }],
+        },
+      ],
+    });
+    expect(inst).toMatchObject({ symbol: 'ETH-BTC', minNotional: '0.0001' });
+  });
+
+  test('toBinanceOrderParams maps order types and time in force', () => {
+    expect(toBinanceOrderParams({ type: 'market' })).toEqual({ type: 'MARKET' });
+    expect(toBinanceOrderParams({ type: 'limit', limitPrice: 100, timeInForce: 'IOC' })).toEqual({
+      type: 'LIMIT',
+      timeInForce: 'IOC',
+      price: '100',
+    });
+    expect(
+      toBinanceOrderParams({ type: 'limit', limitPrice: 100, timeInForce: 'POST_ONLY' })
+    ).toEqual({ type: 'LIMIT_MAKER', price: '100' });
+    expect(toBinanceOrderParams({ type: 'stop', stopPrice: 95 })).toEqual({
+      type: 'STOP_LOSS',
+      stopPrice: '95',
+    });
+    expect(
+      toBinanceOrderParams({
+        type: 'stop_limit',
+        stopPrice: 95,
+        limitPrice: 94.5,
+        timeInForce: 'GTC',
+      })
+    ).toEqual({ type: 'STOP_LOSS_LIMIT', timeInForce: 'GTC', price: '94.5', stopPrice: '95' });
+  });
+
+  test('toBinanceSymbol strips separators', () => {
+    expect(toBinanceSymbol('btc-usdt')).toBe('BTCUSDT');
+    expect(toBinanceSymbol('ETH/BTC')).toBe('ETHBTC');
+  });
+
+  test('mapBinanceError covers rate limits, auth, filters and outages', () => {
+    expect(mapBinanceError({ httpStatus: 429, code: -1003 })).toBe('rate_limited');
+    expect(mapBinanceError({ httpStatus: 400, code: -1021 })).toBe('timestamp_skew');
+    expect(mapBinanceError({ httpStatus: 401, code: -2015 })).toBe('auth_failed');
+    expect(mapBinanceError({ httpStatus: 400, code: -1121 })).toBe('invalid_symbol');
+    expect(mapBinanceError({ httpStatus: 400, code: -1013 })).toBe('invalid_quantity');
+    expect(mapBinanceError({ httpStatus: 400, code: -1102 })).toBe('invalid_params');
+    expect(mapBinanceError({ httpStatus: 503 })).toBe('exchange_unavailable');
+    expect(mapBinanceError({ httpStatus: 400, code: -9999 })).toBe('exchange_error');
+  });
+
+  test('subscribeUserData reports missing_creds without connecting', () => {
+    delete process.env.BINANCE_API_KEY;
+    delete process.env.BINANCE_API_SECRET;
+    delete process.env.BINANCE_API_KEY_FILE;
+    delete process.env.BINANCE_API_SECRET_FILE;
+    const sub = getBinanceAdapter().subscribeUserData({ onExecution: () => {} });
+    expect(sub.reason).toBe('missing_creds');
+    sub.stop();
+  });
+
+  test('parseBinanceExecutionReport keeps the original client id on cancels', () => {
+    const ev = parseBinanceExecutionReport({
+      e: 'executionReport',
+      c: 'cancel-req-1',
+      C: 'o7',
+      i: 9,
+      s: 'ETHUSDT',
+      S: 'SELL',
+      X: 'CANCELED',
+      q: '2',
+      z: '0',
+      Z: '0',
+      n: '0',
+      T: 1700000000000,
+    });
+    expect(ev).toMatchObject({
+      orderId: 'o7',
       side: 'sell',
-      qty: 0.5,
-      raw: { note: 'binance stub' },
+      status: 'canceled',
+      filledQty: 0,
+      price: undefined,
+      ts: new Date(1700000000000).toISOString(),
+    });
+    expect(parseBinanceExecutionReport({ e: 'balanceUpdate' })).toBeNull();
+  });
+
+  test('parseBinanceExecutionReport prices the trade commission in the quote asset', () => {
+    const report = (N, n) => ({
+      e: 'executionReport',
+      c: 'o8',
+      i: 10,
+      s: 'BTCUSDT',
+      S: 'BUY',
+      X: 'PARTIALLY_FILLED',
+      q: '2',
+      z: '1',
+      Z: '100',
+      l: '1',
+      L: '100',
+      n,
+      N,
+      T: 1700000000000,
+    });
+    expect(parseBinanceExecutionReport(report('USDT', '0.1')).lastFee).toBeCloseTo(0.1);
+    expect(parseBinanceExecutionReport(report('BTC', '0.001')).lastFee).toBeCloseTo(0.1);
+    expect(parseBinanceExecutionReport(report('BNB', '0.0005'))).toMatchObject({
+      lastFee: 0,
+      lastOtherFees: { BNB: 0.0005 },
     });
   });
 });
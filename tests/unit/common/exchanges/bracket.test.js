@@ -0,0 +1,79 @@
+/**
+ * Unit tests for bracket order validation and exit leg construction
+ */
+import { normalizeBracket, bracketLegs } from '../../../../common/exchanges/bracket.js';
+
+describe('Bracket orders', () => {
+  test('normalizes take-profit and stop-loss prices', () => {
+    expect(
+      normalizeBracket({
+        side: 'buy',
+        bracket: { takeProfit: { limitPrice: '110' }, stopLoss: { stopPrice: 95 } },
+      })
+    ).toEqual({ bracket: { takeProfit: { limitPrice: 110 }, stopLoss: { stopPrice: 95 } } });
+  });
+
+  test('rejects missing exits and prices on the wrong side', () => {
+    const error = (order) => normalizeBracket(order).detail?.error;
+    expect(normalizeBracket({ side: 'buy', bracket: {} }).reason).toBe('invalid_params');
+    expect(error({ side: 'buy', bracket: { stopLoss: { stopPrice: 95 } } })).toBe(
+      'take_profit_price_required'
+    );
+    expect(error({ side: 'buy', bracket: { takeProfit: { limitPrice: 110 } } })).toBe(
+      'stop_loss_price_required'
+    );
+    const bracket = { takeProfit: { limitPrice: 110 }, stopLoss: { stopPrice: 95 } };
+    // a short takes profit below its stop
+    expect(error({ side: 'sell', bracket })).toBe('bracket_prices_inverted');
+    // a limit entry must sit between the exits
+    expect(error({ side: 'buy', limitPrice: 112, bracket })).toBe('bracket_prices_inverted');
+    expect(error({ side: 'buy', limitPrice: 100, bracket })).toBeUndefined();
+  });
+
+  test('builds opposite-side exit legs linked to each other', () => {
+    const { bracket } = normalizeBracket({
+      side: 'buy',
+      bracket: { takeProfit: { limitPrice: 110 }, stopLoss: { stopPrice: 95, limitPrice: 94 } },
+    });
+    const [tp, sl] = bracketLegs(
+      { orderId: 'o1', symbol: 'BTC-USD', side: 'buy', qty: 0.5, traceId: 't1' },
+      bracket
+    );
+    expect(tp).toEqual({
+      orderId: 'o1-tp',
+      parentId: 'o1',
+      leg: 'take_profit',
+      ocoWith: 'o1-sl',
+      symbol: 'BTC-USD',
+      side: 'sell',
+      qty: 0.5,
+      type: 'limit',
+      limitPrice: 110,
+      timeInForce: 'GTC',
+      traceId: 't1',
+    });
+    expect(sl).toMatchObject({
+      orderId: 'o1-sl',
+      leg: 'stop_loss',
+      ocoWith: 'o1-tp',
+      side: 'sell',
+      type: 'stop_limit',
+      stopPrice: 95,
+      limitPrice: 94,
+    });
+  });
+
+  test('a stop-loss without a limit price is a stop order', () => {
+    const [, sl] = bracketLegs(
+      { orderId: 'o2', symbol: 'BTC-USD', side: 'sell', qty: 1, strategyId: 'sma_cross' },
+      { takeProfit: { limitPrice: 90 }, stopLoss: { stopPrice: 105 } }
+    );
+    expect(sl).toMatchObject({
+      side: 'buy',
+      type: 'stop',
+      stopPrice: 105,
+      strategyId: 'sma_cross',
+    });
+    expect(sl.timeInForce).toBeUndefined();
+  });
+});
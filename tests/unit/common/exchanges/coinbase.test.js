@@ -1,14 +1,81 @@
 /**
- * Unit tests for the Coinbase exchange adapter (stub)
+ * Unit tests for the Coinbase exchange adapter (Advanced Trade against a local HTTP stand-in)
  */
 import { jest } from '@jest/globals';
-import { getCoinbaseAdapter } from '../../../../common/exchanges/coinbase.js';
+import crypto from 'node:crypto';
+import http from 'node:http';
+import { WebSocketServer } from 'ws';
+import {
+  getCoinbaseAdapter,
+  sign,
+  toCoinbaseProductId,
+  mapCoinbaseError,
+  parseCoinbaseFills,
+  parseCoinbaseInstruments,
+  toCoinbaseOrderConfiguration,
+  parseCoinbaseUserEvents,
+} from '../../../../common/exchanges/coinbase.js';
 
-describe('Coinbase Exchange Adapter (stub)', () => {
+// Local websocket venue: records connection paths and client messages
+async function startWsServer() {
+  const wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+  await new Promise((r) => wss.on('listening', r));
+  const state = {
+    wss,
+    url: `ws://127.0.0.1:${wss.address().port}`,
+    sockets: [],
+    paths: [],
+    received: [],
+  };
+  wss.on('connection', (socket, req) => {
+    state.sockets.push(socket);
+    state.paths.push(req.url);
+    socket.on('message', (data) => state.received.push(JSON.parse(data.toString())));
+  });
+  state.close = () => new Promise((r) => wss.close(r));
+  return state;
+}
+
+const waitFor = async (cond, timeoutMs = 2000) => {
+  const start = Date.now();
+  while (!cond()) {
+    if (Date.now() - start > timeoutMs) throw new Error('timed out');
+    await new Promise((r) => setTimeout(r, 5));
+  }
+};
+
+describe('Coinbase Exchange Adapter', () => {
   let originalEnv;
+  let server;
+  let baseUrl;
+  let requests;
+  let routes;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (c) => (body += c));
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+        const path = req.url.split('?')[0];
+        const handler = routes[`${req.method} ${path}`];
+        const { status, json } = handler ? handler(req, body) : { status: 404, json: {} };
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(json));
+      });
+    });
+    await new Promise((r) => server.listen(0, '127.0.0.1', r));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((r) => server.close(r));
+  });
 
   beforeEach(() => {
     originalEnv = { ...process.env };
+    requests = [];
+    routes = {};
     jest.clearAllMocks();
   });
 
@@ -33,30 +100,395 @@ describe('Coinbase Exchange Adapter (stub)', () => {
       symbol: 'BTC-USD',
       side: 'buy',
       qty: 1,
+      reason: 'missing_creds',
       raw: { error: 'missing_creds' },
     });
   });
 
-  test('when creds exist, returns stub note and does not fill', async () => {
-    process.env.COINBASE_API_KEY = 'ckey';
-    process.env.COINBASE_API_SECRET = 'csecret';
-    process.env.COINBASE_API_PASSPHRASE = 'cpass';
+  describe('with credentials', () => {
+    beforeEach(() => {
+      process.env.COINBASE_API_KEY = 'ckey';
+      process.env.COINBASE_API_SECRET = 'csecret';
+      process.env.COINBASE_API_PASSPHRASE = 'cpass';
+      process.env.COINBASE_BASE_URL = baseUrl;
+      process.env.COINBASE_FILL_POLL_MS = '1';
+    });
+
+    test('user channel: sends a signed subscribe and streams order updates', async () => {
+      const ws = await startWsServer();
+      process.env.COINBASE_WS_URL = ws.url;
+      const events = [];
+      const sub = getCoinbaseAdapter().subscribeUserData({ onExecution: (ev) => events.push(ev) });
+      try {
+        await waitFor(() => ws.received.length === 1);
+        const msg = ws.received[0];
+        expect(msg).toMatchObject({ type: 'subscribe', channel: 'user', api_key: 'ckey' });
+        expect(msg.signature).toBe(
+          crypto.createHmac('sha256', 'csecret').update(`${msg.timestamp}user`).digest('hex')
+        );
+        ws.sockets[0].send(
+          JSON.stringify({
+            channel: 'user',
+            timestamp: '2024-01-01T00:00:00Z',
+            events: [
+              {
+                type: 'update',
+                orders: [
+                  {
+                    order_id: 'cb-1',
+                    client_order_id: 'o1',
+                    product_id: 'BTC-USD',
+                    order_side: 'BUY',
+                    status: 'FILLED',
+                    cumulative_quantity: '0.5',
+                    leaves_quantity: '0',
+                    avg_price: '100',
+                    total_fees: '0.05',
+                  },
+                ],
+              },
+            ],
+          })
+        );
+        await waitFor(() => events.length === 1);
+        expect(events[0]).toMatchObject({
+          orderId: 'o1',
+          exchangeOrderId: 'cb-1',
+          status: 'filled',
+          qty: 0.5,
+          filledQty: 0.5,
+          price: 100,
+          fee: 0.05,
+        });
+      } finally {
+        sub.stop();
+        await ws.close();
+      }
+    });
 
-    const adapter = getCoinbaseAdapter();
-    const res = await adapter.placeOrder({
-      orderId: 'c2',
-      symbol: 'ETH-USD',
-      side: 'sell',
-      qty: 0.25,
+    test('fetchTicker reads the best bid and ask', async () => {
+      routes['GET /api/v3/brokerage/best_bid_ask'] = () => ({
+        status: 200,
+        json: {
+          pricebooks: [
+            {
+              product_id: 'BTC-USD',
+              bids: [{ price: '99.5', size: '1' }],
+              asks: [{ price: '100.1', size: '2' }],
+              time: '2024-01-01T00:00:00Z',
+            },
+          ],
+        },
+      });
+      const res = await getCoinbaseAdapter().fetchTicker({ symbol: 'btc/usd' });
+      expect(requests[0].url).toBe('/api/v3/brokerage/best_bid_ask?product_ids=BTC-USD');
+      expect(res).toEqual({ symbol: 'btc/usd', bid: 99.5, ask: 100.1, ts: '2024-01-01T00:00:00Z' });
+    });
+
+    test('submits a signed market order and aggregates fills and fees', async () => {
+      routes['POST /api/v3/brokerage/orders'] = () => ({
+        status: 200,
+        json: { success: true, success_response: { order_id: 'cb-1', client_order_id: 'c2' } },
+      });
+      routes['GET /api/v3/brokerage/orders/historical/fills'] = () => ({
+        status: 200,
+        json: {
+          fills: [
+            { order_id: 'cb-1', price: '2000', size: '0.1', commission: '0.12' },
+            { order_id: 'cb-1', price: '2010', size: '0.15', commission: '0.18' },
+          ],
+        },
+      });
+
+      const adapter = getCoinbaseAdapter();
+      const res = await adapter.placeOrder({
+        orderId: 'c2',
+        symbol: 'eth/usd',
+        side: 'sell',
+        qty: 0.25,
+      });
+
+      expect(res).toMatchObject({
+        filled: true,
+        orderId: 'c2',
+        symbol: 'eth/usd',
+        side: 'sell',
+        qty: 0.25,
+      });
+      expect(res.notional).toBeCloseTo(501.5);
+      expect(res.price).toBeCloseTo(2006);
+      expect(res.fee).toBeCloseTo(0.3);
+
+      const submit = requests.find((r) => r.method === 'POST');
+      const body = JSON.parse(submit.body);
+      expect(body).toEqual({
+        client_order_id: 'c2',
+        product_id: 'ETH-USD',
+        side: 'SELL',
+        order_configuration: { market_market_ioc: { base_size: '0.25' } },
+      });
+      expect(submit.headers['cb-access-key']).toBe('ckey');
+      expect(submit.headers['cb-access-passphrase']).toBe('cpass');
+      const expected = sign(
+        {
+          timestamp: submit.headers['cb-access-timestamp'],
+          method: 'POST',
+          path: '/api/v3/brokerage/orders',
+          body: submit.body,
+        },
+        'csecret'
+      );
+      expect(submit.headers['cb-access-sign']).toBe(expected);
+
+      const fillsReq = requests.find((r) => r.method === 'GET');
+      expect(fillsReq.url).toBe('/api/v3/brokerage/orders/historical/fills?order_id=cb-1');
+    });
+
+    test('maps a failed order response to a typed rejection', async () => {
+      routes['POST /api/v3/brokerage/orders'] = () => ({
+        status: 200,
+        json: {
+          success: false,
+          failure_reason: 'UNKNOWN_FAILURE_REASON',
+          error_response: {
+            error: 'INSUFFICIENT_FUND',
+            message: 'Insufficient balance in source account',
+            preview_failure_reason: 'PREVIEW_INSUFFICIENT_FUND',
+          },
+        },
+      });
+
+      const adapter = getCoinbaseAdapter();
+      const res = await adapter.placeOrder({
+        orderId: 'c3',
+        symbol: 'BTC-USD',
+        side: 'buy',
+        qty: 1,
+      });
+
+      expect(res).toMatchObject({
+        filled: false,
+        orderId: 'c3',
+        reason: 'insufficient_balance',
+        raw: { httpStatus: 200, error: 'INSUFFICIENT_FUND' },
+      });
+      expect(requests).toHaveLength(1);
+    });
+
+    test('edits a working order, reading the size it keeps from the venue', async () => {
+      routes['GET /api/v3/brokerage/orders/historical/cb-9'] = () => ({
+        status: 200,
+        json: {
+          order: {
+            order_configuration: { limit_limit_gtc: { base_size: '2', limit_price: '100' } },
+          },
+        },
+      });
+      routes['POST /api/v3/brokerage/orders/edit'] = () => ({
+        status: 200,
+        json: { success: true, errors: [] },
+      });
+      const adapter = getCoinbaseAdapter();
+      const res = await adapter.amendOrder({
+        orderId: 'c9',
+        exchangeOrderId: 'cb-9',
+        limitPrice: 101,
+      });
+      expect(res).toMatchObject({ amended: true, orderId: 'c9' });
+      expect(JSON.parse(requests[1].body)).toEqual({ order_id: 'cb-9', size: '2', price: '101' });
     });
 
-    expect(res.filled).toBe(false);
-    expect(res).toMatchObject({
-      orderId: 'c2',
-      symbol: 'ETH-USD',
-      side: 'sell',
-      qty: 0.25,
-      raw: { note: 'coinbase stub' },
+    test('cancels a working order after a restart given its exchangeOrderId', async () => {
+      routes['POST /api/v3/brokerage/orders'] = () => ({
+        status: 200,
+        json: { success: true, success_response: { order_id: 'cb-7', client_order_id: 'c7' } },
+      });
+      routes['GET /api/v3/brokerage/orders/historical/fills'] = () => ({
+        status: 200,
+        json: { fills: [] },
+      });
+      routes['GET /api/v3/brokerage/orders/historical/cb-7'] = () => ({
+        status: 200,
+        json: { order: { status: 'OPEN' } },
+      });
+      routes['POST /api/v3/brokerage/orders/batch_cancel'] = () => ({
+        status: 200,
+        json: { results: [{ success: true, order_id: 'cb-7' }] },
+      });
+      const placed = await getCoinbaseAdapter().placeOrder({
+        orderId: 'c7',
+        symbol: 'BTC-USD',
+        side: 'buy',
+        qty: 1,
+        type: 'limit',
+        limitPrice: 100,
+      });
+      expect(placed).toMatchObject({ filled: false, status: 'new', exchangeOrderId: 'cb-7' });
+
+      // A new adapter, as after an executor restart, no longer knows c7 by itself
+      const restarted = getCoinbaseAdapter();
+      expect(await restarted.cancelOrder({ orderId: 'c7' })).toMatchObject({
+        canceled: false,
+        reason: 'unknown_order',
+      });
+      const res = await restarted.cancelOrder({ orderId: 'c7', exchangeOrderId: 'cb-7' });
+      expect(res).toMatchObject({ canceled: true, orderId: 'c7' });
+      expect(JSON.parse(requests.pop().body)).toEqual({ order_ids: ['cb-7'] });
+    });
+
+    test('reports not filled when no fills arrive before polling gives up', async () => {
+      routes['POST /api/v3/brokerage/orders'] = () => ({
+        status: 200,
+        json: { success: true, success_response: { order_id: 'cb-2' } },
+      });
+      routes['GET /api/v3/brokerage/orders/historical/fills'] = () => ({
+        status: 200,
+        json: { fills: [] },
+      });
+
+      const adapter = getCoinbaseAdapter();
+      const res = await adapter.placeOrder({
+        orderId: 'c4',
+        symbol: 'BTC-USD',
+        side: 'buy',
+        qty: 1,
+      });
+
+      expect(res.filled).toBe(false);
+      expect(requests.filter((r) => r.method === 'GET')).toHaveLength(3);
+    });
+  });
+
+  test('fetchInstruments maps market products to instruments', async () => {
+    process.env.COINBASE_BASE_URL = baseUrl;
+    routes['GET /api/v3/brokerage/market/products'] = () => ({
+      status: 200,
+      json: {
+        products: [
+          {
+            product_id: 'BTC-USD',
+            base_currency_id: 'BTC',
+            quote_currency_id: 'USD',
+            price_increment: '0.01',
+            base_increment: '0.00000001',
+            base_min_size: '0.00000001',
+            base_max_size: '3400',
+            quote_min_size: '1',
+          },
+          { product_id: 'OLD-USD', trading_disabled: true },
+        ],
+      },
+    });
+
+    const res = await getCoinbaseAdapter().fetchInstruments();
+    expect(requests[0].url).toBe('/api/v3/brokerage/market/products?product_type=SPOT');
+    expect(res.instruments).toEqual([
+      {
+        symbol: 'BTC-USD',
+        base: 'BTC',
+        quote: 'USD',
+        tickSize: '0.01',
+        stepSize: '0.00000001',
+        minQty: '0.00000001',
+        maxQty: '3400',
+        minNotional: '1',
+      },
+    ]);
+    expect(parseCoinbaseInstruments({})).toEqual([]);
+  });
+
+  test('toCoinbaseOrderConfiguration maps order types and time in force', () => {
+    const order = { qty: 2, side: 'sell' };
+    expect(toCoinbaseOrderConfiguration({ ...order, type: 'market' })).toEqual({
+      market_market_ioc: { base_size: '2' },
+    });
+    expect(
+      toCoinbaseOrderConfiguration({ ...order, type: 'limit', limitPrice: 100, timeInForce: 'FOK' })
+    ).toEqual({ limit_limit_fok: { base_size: '2', limit_price: '100' } });
+    expect(
+      toCoinbaseOrderConfiguration({
+        ...order,
+        type: 'limit',
+        limitPrice: 100,
+        timeInForce: 'POST_ONLY',
+      })
+    ).toEqual({ limit_limit_gtc: { base_size: '2', limit_price: '100', post_only: true } });
+    expect(
+      toCoinbaseOrderConfiguration({
+        ...order,
+        type: 'stop_limit',
+        stopPrice: 95,
+        limitPrice: 94,
+        timeInForce: 'GTC',
+      })
+    ).toEqual({
+      stop_limit_stop_limit_gtc: {
+        base_size: '2',
+        limit_price: '94',
+        stop_price: '95',
+        stop_direction: 'STOP_DIRECTION_STOP_DOWN',
+      },
+    });
+    // Plain stops have no Advanced Trade equivalent
+    expect(toCoinbaseOrderConfiguration({ ...order, type: 'stop', stopPrice: 95 })).toBeNull();
+  });
+
+  test('toCoinbaseProductId normalizes our symbols to product ids', () => {
+    expect(toCoinbaseProductId('BTC-USD')).toBe('BTC-USD');
+    expect(toCoinbaseProductId('btc_usdc')).toBe('BTC-USDC');
+    expect(toCoinbaseProductId('ETHUSD')).toBe('ETH-USD');
+    expect(toCoinbaseProductId('SOLUSDT')).toBe('SOL-USDT');
+  });
+
+  test('mapCoinbaseError covers auth, rate limits, sizing and outages', () => {
+    expect(mapCoinbaseError({ httpStatus: 401 })).toBe('auth_failed');
+    expect(mapCoinbaseError({ httpStatus: 429 })).toBe('rate_limited');
+    expect(mapCoinbaseError({ httpStatus: 400, error: 'INVALID_PRODUCT_ID' })).toBe(
+      'invalid_symbol'
+    );
+    expect(
+      mapCoinbaseError({
+        httpStatus: 200,
+        previewFailureReason: 'PREVIEW_INVALID_BASE_SIZE_TOO_SMALL',
+      })
+    ).toBe('invalid_quantity');
+    expect(mapCoinbaseError({ httpStatus: 502 })).toBe('exchange_unavailable');
+  });
+
+  test('parseCoinbaseFills converts quote-sized fills to base quantity', () => {
+    const res = parseCoinbaseFills([
+      { price: '100', size: '50', size_in_quote: true, commission: '0.1' },
+    ]);
+    expect(res.size).toBeCloseTo(0.5);
+    expect(res.notional).toBeCloseTo(50);
+    expect(res.price).toBeCloseTo(100);
+  });
+
+  test('parseCoinbaseUserEvents reports open orders with fills as partially filled', () => {
+    const [ev] = parseCoinbaseUserEvents({
+      channel: 'user',
+      events: [
+        {
+          orders: [
+            {
+              order_id: 'cb-2',
+              client_order_id: 'o2',
+              status: 'OPEN',
+              cumulative_quantity: '0.25',
+              leaves_quantity: '0.75',
+              avg_price: '200',
+              total_fees: '0.01',
+            },
+          ],
+        },
+      ],
+    });
+    expect(ev).toMatchObject({
+      orderId: 'o2',
+      status: 'partially_filled',
+      qty: 1,
+      filledQty: 0.25,
     });
+    expect(parseCoinbaseUserEvents({ channel: 'heartbeats' })).toEqual([]);
   });
 });
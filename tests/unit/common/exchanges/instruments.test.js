@@ -0,0 +1,140 @@
+/**
+ * Unit tests for the instrument registry and order rounding rules
+ */
+import { jest } from '@jest/globals';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  createInstrumentRegistry,
+  loadInstrumentsFile,
+  roundToStep,
+  conformOrder,
+  withVenueSymbols,
+} from '../../../../common/exchanges/instruments.js';
+
+const BTC = {
+  symbol: 'BTC-USDT',
+  base: 'BTC',
+  quote: 'USDT',
+  tickSize: 0.01,
+  stepSize: 0.0001,
+  minQty: 0.0001,
+  maxQty: 100,
+  minNotional: 10,
+};
+
+describe('Instrument registry', () => {
+  test('matches symbols regardless of separator and case, per venue', () => {
+    const reg = createInstrumentRegistry();
+    reg.load('binance', [{ ...BTC, tickSize: '0.01', venueSymbol: 'BTCUSDT' }]);
+    expect(reg.get('binance', 'btc/usdt')).toMatchObject({ symbol: 'BTC-USDT', tickSize: 0.01 });
+    expect(reg.get('binance', 'BTCUSDT')).not.toBeNull();
+    expect(reg.get('coinbase', 'BTC-USDT')).toBeNull();
+    expect(reg.list('binance')).toHaveLength(1);
+  });
+
+  test('withVenueSymbols passes the registered venue symbol to symbol calls', async () => {
+    const reg = createInstrumentRegistry();
+    reg.load('binance', [{ symbol: 'BTC-USD', venueSymbol: 'BTCUSDT' }, BTC]);
+    const inner = {
+      placeOrder: jest.fn(async (args) => args),
+      fetchBalance: jest.fn(async () => ({ balances: {} })),
+      supportsTrailingStop: true,
+    };
+    const adapter = withVenueSymbols(inner, 'binance', reg);
+
+    expect(await adapter.placeOrder({ orderId: 'o1', symbol: 'BTC-USD' })).toEqual({
+      orderId: 'o1',
+      symbol: 'BTC-USD',
+      venueSymbol: 'BTCUSDT',
+    });
+    // Unregistered symbols and instruments without a venue id are passed through as they are
+    expect(await adapter.placeOrder({ orderId: 'o2', symbol: 'BTC-USDT' })).toEqual({
+      orderId: 'o2',
+      symbol: 'BTC-USDT',
+    });
+    expect(await adapter.placeOrder({ orderId: 'o3', symbol: 'ETH-USD' })).toEqual({
+      orderId: 'o3',
+      symbol: 'ETH-USD',
+    });
+    await adapter.fetchBalance();
+    expect(inner.fetchBalance).toHaveBeenCalledWith();
+    expect(adapter.supportsTrailingStop).toBe(true);
+    expect(adapter.getOrder).toBeUndefined();
+  });
+
+  test('loads a static JSON file keyed by venue', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'instruments-'));
+    const file = path.join(dir, 'instruments.json');
+    fs.writeFileSync(file, JSON.stringify({ paper: [BTC], coinbase: [{ symbol: 'ETH-USD' }] }));
+    try {
+      const reg = loadInstrumentsFile(file);
+      expect(reg.get('paper', 'BTC-USDT').minNotional).toBe(10);
+      expect(reg.get('coinbase', 'ETH-USD')).toMatchObject({ base: 'ETH', quote: 'USD' });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Order rounding', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('roundToStep snaps to increments without float noise', () => {
+    expect(roundToStep(0.123456, 0.0001)).toBe(0.1234);
+    expect(roundToStep(0.3, 0.1)).toBe(0.3);
+    expect(roundToStep(101.234, 0.05, 'ceil')).toBe(101.25);
+    expect(roundToStep(5, 1e-8)).toBe(5);
+    expect(roundToStep(1.5, undefined)).toBe(1.5);
+  });
+
+  test('rounds qty down to the step and limit prices in the order favour', () => {
+    expect(conformOrder(BTC, { side: 'buy', qty: 0.123456, limitPrice: 30000.129 })).toEqual({
+      qty: 0.1234,
+      limitPrice: 30000.12,
+      adjusted: true,
+    });
+    expect(conformOrder(BTC, { side: 'sell', qty: 0.5, limitPrice: 30000.121 })).toEqual({
+      qty: 0.5,
+      limitPrice: 30000.13,
+      adjusted: true,
+    });
+    expect(conformOrder(BTC, { side: 'buy', qty: 1 })).toEqual({
+      qty: 1,
+      limitPrice: undefined,
+      adjusted: false,
+    });
+  });
+
+  test('rounds stop prices to the nearest tick and uses them for min notional', () => {
+    expect(conformOrder(BTC, { side: 'sell', qty: 0.5, stopPrice: 29000.126 })).toMatchObject({
+      stopPrice: 29000.13,
+      adjusted: true,
+    });
+    expect(conformOrder(BTC, { side: 'sell', qty: 0.0002, stopPrice: 29000 }).reason).toBe(
+      'below_min_notional'
+    );
+    expect(conformOrder(BTC, { side: 'sell', qty: 1, stopPrice: -1 }).reason).toBe(
+      'invalid_params'
+    );
+  });
+
+  test('rejects quantities outside the lot limits', () => {
+    expect(conformOrder(BTC, { side: 'buy', qty: 0.00005 }).reason).toBe('invalid_quantity');
+    expect(conformOrder(BTC, { side: 'buy', qty: 1000 }).reason).toBe('invalid_quantity');
+  });
+
+  test('rejects orders below min notional when a price is known', () => {
+    const res = conformOrder(BTC, { side: 'buy', qty: 0.0002, limitPrice: 30000 });
+    expect(res).toEqual({
+      reason: 'below_min_notional',
+      detail: { notional: 6, minNotional: 10 },
+    });
+    expect(conformOrder(BTC, { side: 'buy', qty: 0.0002, price: 60000 }).qty).toBe(0.0002);
+    // market order with no reference price: left to the venue
+    expect(conformOrder(BTC, { side: 'buy', qty: 0.0002 }).qty).toBe(0.0002);
+  });
+});
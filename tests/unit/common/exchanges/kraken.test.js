@@ -0,0 +1,485 @@
+/**
+ * Unit tests for the Kraken exchange adapter (signed REST against a local mock server)
+ */
+import { jest } from '@jest/globals';
+import http from 'node:http';
+import { WebSocketServer } from 'ws';
+import {
+  getKrakenAdapter,
+  sign,
+  createNonce,
+  toKrakenPair,
+  fromKrakenAsset,
+  mapKrakenError,
+  parseKrakenInstruments,
+  parseKrakenExecutions,
+  toKrakenOrderParams,
+} from '../../../../common/exchanges/kraken.js';
+
+// Example secret from Kraken's REST authentication docs
+const SECRET =
+  'kQH5HW/8p1uGOVjbgWA7FunAmGO8lsSUXNsu3eow76sz84Q18fWxnyRzBHCd3pd5nE9qa99HAZtuZuj6F1huXg==';
+
+// Local websocket venue: records connection paths and client messages
+async function startWsServer() {
+  const wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+  await new Promise((r) => wss.on('listening', r));
+  const state = {
+    wss,
+    url: `ws://127.0.0.1:${wss.address().port}`,
+    sockets: [],
+    paths: [],
+    received: [],
+  };
+  wss.on('connection', (socket, req) => {
+    state.sockets.push(socket);
+    state.paths.push(req.url);
+    socket.on('message', (data) => state.received.push(JSON.parse(data.toString())));
+  });
+  state.close = () => new Promise((r) => wss.close(r));
+  return state;
+}
+
+const waitFor = async (cond, timeoutMs = 2000) => {
+  const start = Date.now();
+  while (!cond()) {
+    if (Date.now() - start > timeoutMs) throw new Error('timed out');
+    await new Promise((r) => setTimeout(r, 5));
+  }
+};
+
+describe('Kraken Exchange Adapter', () => {
+  let originalEnv;
+  let server;
+  let baseUrl;
+  let requests;
+  let routes;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (c) => (body += c));
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+        const handler = routes[req.url.split('?')[0]];
+        const { status, json } = handler
+          ? handler(new URLSearchParams(body))
+          : { status: 404, json: { error: ['EGeneral:Unknown method'] } };
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(json));
+      });
+    });
+    await new Promise((r) => server.listen(0, '127.0.0.1', r));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((r) => server.close(r));
+  });
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    requests = [];
+    routes = {};
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('returns missing_creds when API key/secret are not provided', async () => {
+    delete process.env.KRAKEN_API_KEY;
+    delete process.env.KRAKEN_API_SECRET;
+    delete process.env.KRAKEN_API_KEY_FILE;
+    delete process.env.KRAKEN_API_SECRET_FILE;
+
+    const adapter = getKrakenAdapter();
+    const res = await adapter.placeOrder({ orderId: 'k1', symbol: 'BTC-USD', side: 'buy', qty: 1 });
+
+    expect(res).toEqual({
+      filled: false,
+      orderId: 'k1',
+      symbol: 'BTC-USD',
+      side: 'buy',
+      qty: 1,
+      reason: 'missing_creds',
+      raw: { error: 'missing_creds' },
+    });
+    expect((await adapter.fetchBalance()).reason).toBe('missing_creds');
+  });
+
+  describe('with credentials', () => {
+    beforeEach(() => {
+      process.env.KRAKEN_API_KEY = 'kkey';
+      process.env.KRAKEN_API_SECRET = SECRET;
+      process.env.KRAKEN_BASE_URL = baseUrl;
+      process.env.KRAKEN_FILL_POLL_MS = '1';
+    });
+
+    test('executions channel: subscribes with a websocket token and streams fills', async () => {
+      const ws = await startWsServer();
+      process.env.KRAKEN_WS_URL = ws.url;
+      routes['/0/private/GetWebSocketsToken'] = () => ({
+        status: 200,
+        json: { error: [], result: { token: 'tok1', expires: 900 } },
+      });
+      const events = [];
+      const sub = getKrakenAdapter().subscribeUserData({ onExecution: (ev) => events.push(ev) });
+      try {
+        await waitFor(() => ws.received.length === 1);
+        expect(ws.received[0]).toEqual({
+          method: 'subscribe',
+          params: { channel: 'executions', token: 'tok1', snap_orders: false, snap_trades: false },
+        });
+        const base = {
+          order_id: 'OX1',
+          cl_ord_id: 'k1',
+          symbol: 'BTC/USD',
+          side: 'buy',
+          order_qty: 1,
+        };
+        ws.sockets[0].send(
+          JSON.stringify({
+            channel: 'executions',
+            type: 'update',
+            data: [
+              {
+                ...base,
+                exec_type: 'trade',
+                order_status: 'partially_filled',
+                cum_qty: 0.4,
+                avg_price: 100,
+                last_qty: 0.4,
+                last_price: 100,
+                fees: [{ asset: 'USD', qty: 0.1 }],
+              },
+              {
+                ...base,
+                exec_type: 'trade',
+                order_status: 'filled',
+                cum_qty: 1,
+                avg_price: 102,
+                last_qty: 0.6,
+                last_price: 103.33,
+                fees: [{ asset: 'USD', qty: 0.15 }],
+              },
+            ],
+          })
+        );
+        await waitFor(() => events.length === 2);
+        expect(events[0]).toMatchObject({
+          orderId: 'k1',
+          exchangeOrderId: 'OX1',
+          symbol: 'BTC-USD',
+          status: 'partially_filled',
+          filledQty: 0.4,
+          fee: 0.1,
+        });
+        expect(events[1]).toMatchObject({ status: 'filled', filledQty: 1, price: 102 });
+        expect(events[1].fee).toBeCloseTo(0.25);
+      } finally {
+        sub.stop();
+        await ws.close();
+      }
+    });
+
+    test('fetchTicker reads the public ticker', async () => {
+      routes['/0/public/Ticker'] = () => ({
+        status: 200,
+        json: {
+          error: [],
+          result: {
+            XXBTZUSD: { a: ['100.1', '1', '1.0'], b: ['99.5', '2', '2.0'], c: ['99.8', '0.1'] },
+          },
+        },
+      });
+      const res = await getKrakenAdapter().fetchTicker({ symbol: 'BTC-USD' });
+      expect(requests[0].url).toBe('/0/public/Ticker?pair=XBTUSD');
+      expect(res).toMatchObject({ symbol: 'BTC-USD', bid: 99.5, ask: 100.1, price: 99.8 });
+    });
+
+    test('submits a signed market order and reads the closed order', async () => {
+      routes['/0/private/AddOrder'] = () => ({
+        status: 200,
+        json: {
+          error: [],
+          result: { descr: { order: 'buy 0.5 XBTUSD @ market' }, txid: ['OABC'] },
+        },
+      });
+      let polls = 0;
+      routes['/0/private/QueryOrders'] = (params) => ({
+        status: 200,
+        json: {
+          error: [],
+          result: {
+            [params.get('txid')]:
+              ++polls < 2
+                ? { status: 'open', vol: '0.5', vol_exec: '0.2', cost: '6000', fee: '9.6' }
+                : {
+                    status: 'closed',
+                    vol: '0.5',
+                    vol_exec: '0.5',
+                    cost: '15025',
+                    fee: '24.04',
+                    descr: { pair: 'XBTUSD', type: 'buy' },
+                  },
+          },
+        },
+      });
+
+      const adapter = getKrakenAdapter();
+      const res = await adapter.placeOrder({
+        orderId: 'k2',
+        symbol: 'btc/usd',
+        side: 'buy',
+        qty: 0.5,
+      });
+
+      expect(res).toMatchObject({ filled: true, orderId: 'k2', qty: 0.5, exchangeOrderId: 'OABC' });
+      expect(res.price).toBeCloseTo(30050);
+      expect(res.notional).toBeCloseTo(15025);
+      expect(res.fee).toBeCloseTo(24.04);
+
+      const submit = requests[0];
+      const params = new URLSearchParams(submit.body);
+      expect(Object.fromEntries(params)).toMatchObject({
+        pair: 'XBTUSD',
+        type: 'buy',
+        ordertype: 'market',
+        volume: '0.5',
+        cl_ord_id: 'k2',
+      });
+      expect(submit.headers['api-key']).toBe('kkey');
+      expect(submit.headers['api-sign']).toBe(
+        sign({ path: '/0/private/AddOrder', nonce: params.get('nonce'), body: submit.body }, SECRET)
+      );
+      // every private call carries a fresh, increasing nonce
+      const nonces = requests.map((r) => BigInt(new URLSearchParams(r.body).get('nonce')));
+      expect(nonces).toEqual([...nonces].sort((a, b) => (a < b ? -1 : 1)));
+      expect(new Set(nonces).size).toBe(nonces.length);
+
+      const got = await adapter.getOrder({ orderId: 'k2' });
+      expect(got).toMatchObject({ found: true, status: 'filled', filledQty: 0.5, side: 'buy' });
+    });
+
+    test('maps Kraken error arrays to typed rejections', async () => {
+      routes['/0/private/AddOrder'] = () => ({
+        status: 200,
+        json: { error: ['EOrder:Insufficient funds'] },
+      });
+      const res = await getKrakenAdapter().placeOrder({
+        orderId: 'k3',
+        symbol: 'ETH-USD',
+        side: 'sell',
+        qty: 2,
+      });
+      expect(res).toMatchObject({
+        filled: false,
+        reason: 'insufficient_balance',
+        raw: { error: ['EOrder:Insufficient funds'] },
+      });
+      expect(requests).toHaveLength(1);
+    });
+
+    test('cancels by client order id, reads balances and filters trades by pair', async () => {
+      routes['/0/private/CancelOrder'] = () => ({
+        status: 200,
+        json: { error: [], result: { count: 1 } },
+      });
+      routes['/0/private/BalanceEx'] = () => ({
+        status: 200,
+        json: {
+          error: [],
+          result: {
+            XXBT: { balance: '1.5', hold_trade: '0.5' },
+            ZUSD: { balance: '1000', hold_trade: '0' },
+            XETH: { balance: '0', hold_trade: '0' },
+          },
+        },
+      });
+      routes['/0/private/TradesHistory'] = () => ({
+        status: 200,
+        json: {
+          error: [],
+          result: {
+            trades: {
+              T1: {
+                ordertxid: 'OABC',
+                pair: 'XXBTZUSD',
+                time: 1704067200.5,
+                type: 'buy',
+                price: '30000',
+                cost: '3000',
+                fee: '4.8',
+                vol: '0.1',
+              },
+              T2: {
+                ordertxid: 'ODEF',
+                pair: 'XETHZUSD',
+                time: 1704067300,
+                type: 'sell',
+                price: '2000',
+                cost: '200',
+                fee: '0.3',
+                vol: '0.1',
+              },
+            },
+            count: 2,
+          },
+        },
+      });
+
+      const adapter = getKrakenAdapter();
+      const canceled = await adapter.cancelOrder({ orderId: 'elsewhere-1' });
+      expect(canceled).toMatchObject({ canceled: true, orderId: 'elsewhere-1' });
+      expect(new URLSearchParams(requests[0].body).get('cl_ord_id')).toBe('elsewhere-1');
+
+      const { balances } = await adapter.fetchBalance();
+      expect(balances).toEqual({
+        BTC: { free: 1, locked: 0.5, total: 1.5 },
+        USD: { free: 1000, locked: 0, total: 1000 },
+      });
+
+      const { trades } = await adapter.fetchTrades({ symbol: 'BTC-USD', since: 1704067200000 });
+      expect(new URLSearchParams(requests[2].body).get('start')).toBe('1704067200');
+      expect(trades).toEqual([
+        {
+          id: 'T1',
+          exchangeOrderId: 'OABC',
+          symbol: 'BTC-USD',
+          side: 'buy',
+          qty: 0.1,
+          price: 30000,
+          notional: 3000,
+          fee: 4.8,
+          ts: '2024-01-01T00:00:00.500Z',
+        },
+      ]);
+    });
+
+    test('amends quantity and limit price by client order id', async () => {
+      routes['/0/private/AmendOrder'] = () => ({
+        status: 200,
+        json: { error: [], result: { amend_id: 'TAMEND' } },
+      });
+      const res = await getKrakenAdapter().amendOrder({
+        orderId: 'k7',
+        qty: 0.25,
+        limitPrice: 29500,
+      });
+      expect(res).toMatchObject({ amended: true, orderId: 'k7' });
+      const params = new URLSearchParams(requests[0].body);
+      expect(params.get('cl_ord_id')).toBe('k7');
+      expect(params.get('order_qty')).toBe('0.25');
+      expect(params.get('limit_price')).toBe('29500');
+      expect(params.has('trigger_price')).toBe(false);
+    });
+
+    test('getOrder without a known txid reports unknown_order', async () => {
+      const res = await getKrakenAdapter().getOrder({ orderId: 'nope' });
+      expect(res).toEqual({ found: false, orderId: 'nope', reason: 'unknown_order' });
+      expect(requests).toHaveLength(0);
+    });
+  });
+
+  test('sign matches the documented Kraken example', () => {
+    const nonce = '1616492376594';
+    const body = `nonce=${nonce}&ordertype=limit&pair=XBTUSD&price=37500&type=buy&volume=1.25`;
+    expect(sign({ path: '/0/private/AddOrder', nonce, body }, SECRET)).toBe(
+      '4/dpxb3iT4tp/ZCVEwSnEsLxx0bqyhLpdfOpc6fn7OR8+UClSV5n9E6aSS8MPtnRfp32bAb0nmbRn6H8ndwLUQ=='
+    );
+  });
+
+  test('nonces strictly increase within the same millisecond', () => {
+    const next = createNonce(() => 1000);
+    expect([next(), next(), next()]).toEqual(['1000000', '1000001', '1000002']);
+  });
+
+  test('toKrakenOrderParams maps order types and time in force', () => {
+    expect(toKrakenOrderParams({ type: 'market' })).toEqual({ ordertype: 'market' });
+    expect(
+      toKrakenOrderParams({ type: 'limit', limitPrice: 100, timeInForce: 'POST_ONLY' })
+    ).toEqual({ ordertype: 'limit', price: '100', oflags: 'post' });
+    expect(
+      toKrakenOrderParams({ type: 'stop_limit', stopPrice: 95, limitPrice: 94, timeInForce: 'IOC' })
+    ).toEqual({ ordertype: 'stop-loss-limit', price: '95', price2: '94', timeinforce: 'IOC' });
+    expect(toKrakenOrderParams({ type: 'trailing_stop', trailPercent: 2 })).toEqual({
+      ordertype: 'trailing-stop',
+      price: '+2%',
+    });
+    expect(toKrakenOrderParams({ type: 'trailing_stop', trailAmount: 50 }).price).toBe('+50');
+    // Kraken spot has no fill-or-kill
+    expect(toKrakenOrderParams({ type: 'limit', limitPrice: 100, timeInForce: 'FOK' })).toBeNull();
+  });
+
+  test('symbol and asset normalization', () => {
+    expect(toKrakenPair('BTC-USD')).toBe('XBTUSD');
+    expect(toKrakenPair('eth_eur')).toBe('ETHEUR');
+    expect(fromKrakenAsset('XXBT')).toBe('BTC');
+    expect(fromKrakenAsset('ZUSD')).toBe('USD');
+    expect(fromKrakenAsset('USDT')).toBe('USDT');
+    expect(fromKrakenAsset('DOT')).toBe('DOT');
+  });
+
+  test('mapKrakenError covers rate limits, nonce, auth, sizing and outages', () => {
+    expect(mapKrakenError({ httpStatus: 200, errors: ['EAPI:Rate limit exceeded'] })).toBe(
+      'rate_limited'
+    );
+    expect(mapKrakenError({ httpStatus: 200, errors: ['EAPI:Invalid nonce'] })).toBe(
+      'timestamp_skew'
+    );
+    expect(mapKrakenError({ httpStatus: 200, errors: ['EAPI:Invalid key'] })).toBe('auth_failed');
+    expect(mapKrakenError({ httpStatus: 200, errors: ['EQuery:Unknown asset pair'] })).toBe(
+      'invalid_symbol'
+    );
+    expect(mapKrakenError({ httpStatus: 200, errors: ['EOrder:Order minimum not met'] })).toBe(
+      'invalid_quantity'
+    );
+    expect(mapKrakenError({ httpStatus: 200, errors: ['EService:Unavailable'] })).toBe(
+      'exchange_unavailable'
+    );
+    expect(mapKrakenError({ httpStatus: 502, errors: [] })).toBe('exchange_unavailable');
+  });
+
+  test('parseKrakenInstruments reads AssetPairs increments and minimums', () => {
+    const [inst] = parseKrakenInstruments({
+      XXBTZUSD: {
+        altname: 'XBTUSD',
+        base: 'XXBT',
+        quote: 'ZUSD',
+        pair_decimals: 1,
+        tick_size: '0.1',
+        lot_decimals: 8,
+        ordermin: '0.0001',
+        costmin: '0.5',
+        status: 'online',
+      },
+      XETHZUSD: { altname: 'ETHUSD', base: 'XETH', quote: 'ZUSD', status: 'cancel_only' },
+    });
+    expect(inst).toEqual({
+      symbol: 'BTC-USD',
+      venueSymbol: 'XBTUSD',
+      base: 'BTC',
+      quote: 'USD',
+      tickSize: '0.1',
+      stepSize: 1e-8,
+      minQty: '0.0001',
+      minNotional: '0.5',
+    });
+  });
+
+  test('parseKrakenExecutions maps order statuses and ignores other channels', () => {
+    const [ev] = parseKrakenExecutions({
+      channel: 'executions',
+      data: [{ order_id: 'OX2', order_status: 'canceled', cum_qty: 0, symbol: 'ETH/USD' }],
+    });
+    expect(ev).toMatchObject({
+      orderId: 'OX2',
+      status: 'canceled',
+      filledQty: 0,
+      price: undefined,
+    });
+    expect(parseKrakenExecutions({ channel: 'heartbeat' })).toEqual([]);
+  });
+});
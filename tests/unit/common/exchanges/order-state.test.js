@@ -0,0 +1,56 @@
+/**
+ * Unit tests for the order lifecycle state machine
+ */
+import {
+  ORDER_STATES,
+  canTransition,
+  isTerminalState,
+  stateOfStatus,
+  statesBefore,
+} from '../../../../common/exchanges/order-state.js';
+
+const S = ORDER_STATES;
+
+describe('Order state machine', () => {
+  test('allows the lifecycle transitions', () => {
+    expect(canTransition(null, S.NEW)).toBe(true);
+    expect(canTransition(S.NEW, S.SUBMITTED)).toBe(true);
+    expect(canTransition(S.SUBMITTED, S.PARTIALLY_FILLED)).toBe(true);
+    expect(canTransition(S.PARTIALLY_FILLED, S.PARTIALLY_FILLED)).toBe(true);
+    expect(canTransition(S.PARTIALLY_FILLED, S.FILLED)).toBe(true);
+    expect(canTransition(S.SUBMITTED, S.EXPIRED)).toBe(true);
+    // refused before placement, or preempted by an OCO sibling or algo parent
+    expect(canTransition(S.NEW, S.REJECTED)).toBe(true);
+    expect(canTransition(S.NEW, S.CANCELED)).toBe(true);
+  });
+
+  test('refuses skipped, backward and post-terminal transitions', () => {
+    expect(canTransition(null, S.SUBMITTED)).toBe(false);
+    expect(canTransition(S.NEW, S.NEW)).toBe(false);
+    expect(canTransition(S.NEW, S.FILLED)).toBe(false);
+    expect(canTransition(S.PARTIALLY_FILLED, S.SUBMITTED)).toBe(false);
+    expect(canTransition(S.PARTIALLY_FILLED, S.REJECTED)).toBe(false);
+    for (const done of [S.FILLED, S.CANCELED, S.REJECTED, S.EXPIRED]) {
+      expect(isTerminalState(done)).toBe(true);
+      expect(canTransition(done, done)).toBe(false);
+      expect(canTransition(done, S.CANCELED)).toBe(false);
+    }
+    expect(isTerminalState(S.SUBMITTED)).toBe(false);
+  });
+
+  test('lists the states each transition may start from', () => {
+    expect(statesBefore(S.NEW)).toEqual(['']);
+    expect(statesBefore(S.SUBMITTED)).toEqual([S.NEW, S.SUBMITTED]);
+    expect(statesBefore(S.FILLED)).toEqual([S.SUBMITTED, S.PARTIALLY_FILLED]);
+    expect(statesBefore(S.CANCELED)).toEqual([S.NEW, S.SUBMITTED, S.PARTIALLY_FILLED]);
+  });
+
+  test('maps exec.status statuses to states', () => {
+    expect(stateOfStatus({ status: 'pending' })).toBe(S.SUBMITTED);
+    expect(stateOfStatus({ status: 'partially_filled' })).toBe(S.PARTIALLY_FILLED);
+    expect(stateOfStatus({ status: 'failed' })).toBe(S.REJECTED);
+    expect(stateOfStatus({ status: 'canceled' })).toBe(S.CANCELED);
+    expect(stateOfStatus({ status: 'canceled', state: S.EXPIRED })).toBe(S.EXPIRED);
+    expect(stateOfStatus({ status: 'submitted' })).toBeUndefined();
+  });
+});
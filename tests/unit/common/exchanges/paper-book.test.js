@@ -0,0 +1,340 @@
+/**
+ * Unit tests for the paper matching engine (resting limit orders, partial fills, queue position)
+ */
+import { jest } from '@jest/globals';
+import {
+  createMatchingEngine,
+  getPaperBookAdapter,
+} from '../../../../common/exchanges/paper-book.js';
+import { getPaperAdapter } from '../../../../common/exchanges/paper.js';
+
+describe('Paper matching engine', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = createMatchingEngine({ feeBps: 10, impactBps: 10, defaultVolume: 1 });
+    engine.updateMarket({ symbol: 'BTC-USD', bid: 100, ask: 101, bidSize: 2, askSize: 3 });
+  });
+
+  test('market orders take top of book and pay impact beyond it', () => {
+    const { order } = engine.submit({ orderId: 'm1', symbol: 'BTC-USD', side: 'buy', qty: 5 });
+    expect(order.status).toBe('filled');
+    expect(order.fills.map((f) => [f.qty, f.price])).toEqual([
+      [3, 101],
+      [2, 101 * 1.001],
+    ]);
+    expect(order.fills.every((f) => f.liquidity === 'taker')).toBe(true);
+    expect(order.fee).toBeCloseTo(order.notional * 0.001);
+  });
+
+  test('taker slippage is adverse on both sides; makers pay none', () => {
+    const slipped = createMatchingEngine({ feeBps: 0, slippageBps: 10, impactBps: 10 });
+    slipped.updateMarket({ symbol: 'BTC-USD', bid: 100, ask: 101, bidSize: 5, askSize: 5 });
+    const buy = slipped.submit({ orderId: 'b', symbol: 'BTC-USD', side: 'buy', qty: 1 }).order;
+    const sell = slipped.submit({ orderId: 's', symbol: 'BTC-USD', side: 'sell', qty: 1 }).order;
+    expect(buy.notional).toBeCloseTo(101 * 1.001);
+    expect(sell.notional).toBeCloseTo(100 * 0.999);
+    expect(sell.notional / sell.filledQty).toBeLessThan(100);
+
+    slipped.submit({
+      orderId: 'r',
+      symbol: 'BTC-USD',
+      side: 'sell',
+      qty: 1,
+      type: 'limit',
+      limitPrice: 102,
+    });
+    slipped.updateMarket({ symbol: 'BTC-USD', price: 103, volume: 1 });
+    expect(slipped.get('r').notional).toBe(102);
+  });
+
+  test('marketable limit takes the quoted size and rests the remainder', () => {
+    const { order } = engine.submit({
+      orderId: 'l1',
+      symbol: 'BTC-USD',
+      side: 'buy',
+      qty: 4,
+      type: 'limit',
+      limitPrice: 101,
+    });
+    expect(order.status).toBe('partially_filled');
+    expect(order.filledQty).toBe(3);
+    expect(order.fills[0]).toMatchObject({ price: 101, liquidity: 'taker', source: 'order' });
+  });
+
+  test('resting limit waits behind the queue at its level before filling', () => {
+    const events = [];
+    engine.onFill((e) => events.push(e));
+    engine.submit({
+      orderId: 'q1',
+      symbol: 'BTC-USD',
+      side: 'buy',
+      qty: 2,
+      type: 'limit',
+      limitPrice: 100,
+    });
+    expect(engine.get('q1').queueAhead).toBe(2);
+
+    // 1.5 trades at our price: all of it goes to the queue ahead
+    expect(engine.updateMarket({ symbol: 'BTC-USD', price: 100, volume: 1.5 })).toEqual([]);
+    expect(engine.get('q1').queueAhead).toBeCloseTo(0.5);
+
+    // next 1.5: 0.5 clears the queue, 1 fills us
+    engine.updateMarket({ symbol: 'BTC-USD', price: 100, volume: 1.5 });
+    expect(engine.get('q1')).toMatchObject({ status: 'partially_filled', filledQty: 1 });
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      orderId: 'q1',
+      qty: 1,
+      price: 100,
+      liquidity: 'maker',
+      source: 'feed',
+      remainingQty: 1,
+    });
+  });
+
+  test('a trade through the limit fills at the limit price', () => {
+    engine.submit({
+      orderId: 's1',
+      symbol: 'BTC-USD',
+      side: 'sell',
+      qty: 1,
+      type: 'limit',
+      limitPrice: 105,
+    });
+    expect(engine.updateMarket({ symbol: 'BTC-USD', price: 104, volume: 10 })).toEqual([]);
+    const [ev] = engine.updateMarket({ symbol: 'BTC-USD', price: 106, volume: 10 });
+    expect(ev).toMatchObject({ orderId: 's1', price: 105, status: 'filled', avgPrice: 105 });
+  });
+
+  test('the opposite quote crossing the limit fills up to the quoted size', () => {
+    engine.submit({
+      orderId: 'b1',
+      symbol: 'BTC-USD',
+      side: 'buy',
+      qty: 2,
+      type: 'limit',
+      limitPrice: 99,
+    });
+    engine.updateMarket({ symbol: 'BTC-USD', bid: 98, ask: 98.5, askSize: 0.5 });
+    expect(engine.get('b1')).toMatchObject({ status: 'partially_filled', filledQty: 0.5 });
+    expect(engine.get('b1').fills[0].price).toBe(99);
+  });
+
+  test('orders at the same price fill in time priority', () => {
+    const limit = { symbol: 'BTC-USD', side: 'buy', qty: 1, type: 'limit', limitPrice: 99 };
+    engine.submit({ ...limit, orderId: 'first' });
+    engine.submit({ ...limit, orderId: 'second' });
+    engine.updateMarket({ symbol: 'BTC-USD', price: 98, volume: 1 });
+    expect(engine.get('first').status).toBe('filled');
+    expect(engine.get('second').status).toBe('new');
+  });
+
+  test('canceled orders stop matching; filled orders cannot be canceled', () => {
+    engine.submit({
+      orderId: 'c1',
+      symbol: 'BTC-USD',
+      side: 'buy',
+      qty: 1,
+      type: 'limit',
+      limitPrice: 99,
+    });
+    expect(engine.cancel('c1').canceled).toBe(true);
+    expect(engine.updateMarket({ symbol: 'BTC-USD', price: 90, volume: 5 })).toEqual([]);
+    engine.submit({ orderId: 'm2', symbol: 'BTC-USD', side: 'sell', qty: 1 });
+    expect(engine.cancel('m2')).toMatchObject({ canceled: false, reason: 'not_cancelable' });
+    expect(engine.cancel('nope')).toMatchObject({ canceled: false, reason: 'unknown_order' });
+  });
+
+  test('filled, canceled and expired orders leave the book; the newest are kept for get', () => {
+    const small = createMatchingEngine({ closedMax: 2 });
+    small.updateMarket({ symbol: 'BTC-USD', bid: 100, ask: 101, bidSize: 5, askSize: 5 });
+    const limit = { symbol: 'BTC-USD', side: 'buy', qty: 1, type: 'limit', limitPrice: 99 };
+    small.submit({ ...limit, orderId: 'rest' });
+    small.submit({ ...limit, orderId: 'cancel' });
+    small.submit({ ...limit, orderId: 'ioc', timeInForce: 'IOC' });
+    expect(small.working()).toBe(2);
+
+    small.cancel('cancel');
+    small.submit({ orderId: 'mkt', symbol: 'BTC-USD', side: 'buy', qty: 1 });
+    expect(small.working()).toBe(1);
+    expect(small.get('mkt').status).toBe('filled');
+    expect(small.get('cancel').status).toBe('canceled');
+    expect(small.get('ioc')).toBeNull();
+    expect(small.cancel('mkt')).toMatchObject({ canceled: false, reason: 'not_cancelable' });
+    // A repeated submit of a closed order returns it rather than placing it again
+    expect(
+      small.submit({ orderId: 'mkt', symbol: 'BTC-USD', side: 'buy', qty: 1 }).order.fills
+    ).toHaveLength(1);
+
+    small.updateMarket({ symbol: 'BTC-USD', price: 98, volume: 1 });
+    expect(small.working()).toBe(0);
+    expect(small.get('rest').status).toBe('filled');
+    expect(small.trades().map((t) => t.orderId)).toEqual(['mkt', 'rest']);
+  });
+
+  test('amending down keeps queue priority; a new price goes to the back and may match', () => {
+    const limit = { symbol: 'BTC-USD', side: 'buy', qty: 1, type: 'limit', limitPrice: 99 };
+    engine.submit({ ...limit, orderId: 'a1' });
+    engine.submit({ ...limit, orderId: 'a2' });
+    expect(engine.amend('a1', { qty: 0.5 })).toMatchObject({ amended: true });
+    engine.updateMarket({ symbol: 'BTC-USD', price: 98, volume: 0.5 });
+    expect(engine.get('a1').status).toBe('filled');
+
+    engine.submit({ ...limit, orderId: 'a3' });
+    engine.amend('a2', { limitPrice: 99 }); // unchanged price: keeps its place
+    engine.amend('a3', { limitPrice: 101 }); // crosses the ask
+    expect(engine.get('a3').fills[0]).toMatchObject({ price: 101, source: 'feed' });
+
+    expect(engine.amend('a2', { qty: 0 }).reason).toBe('invalid_quantity');
+    expect(engine.amend('a2', { stopPrice: 90 }).detail.error).toBe('amend_not_supported');
+    expect(engine.amend('a1', { qty: 2 }).reason).toBe('not_cancelable');
+    expect(engine.amend('nope', { qty: 2 }).reason).toBe('unknown_order');
+  });
+
+  test('rejects invalid quantities and limit orders without a price', () => {
+    expect(engine.submit({ orderId: 'x', symbol: 'BTC-USD', side: 'buy', qty: 0 }).reason).toBe(
+      'invalid_quantity'
+    );
+    expect(
+      engine.submit({ orderId: 'y', symbol: 'BTC-USD', side: 'buy', qty: 1, type: 'limit' }).reason
+    ).toBe('invalid_params');
+  });
+
+  test('stop orders wait for a trade at the stop, then take the book', () => {
+    const { order } = engine.submit({
+      orderId: 's1',
+      symbol: 'BTC-USD',
+      side: 'sell',
+      qty: 1,
+      type: 'stop',
+      stopPrice: 95,
+    });
+    expect(order).toMatchObject({ status: 'new', awaitingStop: true });
+    expect(engine.updateMarket({ symbol: 'BTC-USD', price: 96, volume: 1 })).toEqual([]);
+    const events = engine.updateMarket({ symbol: 'BTC-USD', price: 95, volume: 1 });
+    expect(events).toEqual([
+      expect.objectContaining({ orderId: 's1', price: 100, source: 'feed' }),
+    ]);
+    expect(engine.get('s1').status).toBe('filled');
+  });
+
+  test('stop-limit rests at its limit once triggered; reached stops trigger on submit', () => {
+    engine.updateMarket({ symbol: 'BTC-USD', price: 102, volume: 0 });
+    const { order } = engine.submit({
+      orderId: 'sl1',
+      symbol: 'BTC-USD',
+      side: 'buy',
+      qty: 1,
+      type: 'stop_limit',
+      stopPrice: 102,
+      limitPrice: 99,
+    });
+    expect(order).toMatchObject({ status: 'new', awaitingStop: false, filledQty: 0 });
+    engine.updateMarket({ symbol: 'BTC-USD', price: 98, volume: 1 });
+    expect(engine.get('sl1').status).toBe('filled');
+    expect(engine.get('sl1').fills[0]).toMatchObject({ price: 99, liquidity: 'maker' });
+  });
+
+  test('IOC expires the remainder, FOK expires unless fully covered', () => {
+    const limit = { symbol: 'BTC-USD', side: 'buy', qty: 4, type: 'limit', limitPrice: 101 };
+    const ioc = engine.submit({ ...limit, orderId: 'i1', timeInForce: 'IOC' }).order;
+    expect(ioc).toMatchObject({ status: 'expired', filledQty: 3 });
+    engine.updateMarket({ symbol: 'BTC-USD', ask: 101, askSize: 3 });
+    const fok = engine.submit({ ...limit, orderId: 'f1', timeInForce: 'FOK' }).order;
+    expect(fok).toMatchObject({ status: 'expired', filledQty: 0 });
+    const fokSmall = engine.submit({ ...limit, qty: 2, orderId: 'f2', timeInForce: 'FOK' }).order;
+    expect(fokSmall.status).toBe('filled');
+  });
+
+  test('post-only orders are rejected when marketable and rest otherwise', () => {
+    const post = {
+      symbol: 'BTC-USD',
+      side: 'buy',
+      qty: 1,
+      type: 'limit',
+      timeInForce: 'post_only',
+    };
+    expect(engine.submit({ ...post, orderId: 'p1', limitPrice: 101 }).reason).toBe(
+      'order_rejected'
+    );
+    expect(engine.get('p1')).toBeNull();
+    expect(engine.submit({ ...post, orderId: 'p2', limitPrice: 100 }).order.status).toBe('new');
+  });
+});
+
+describe('Paper book adapter', () => {
+  let originalEnv;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('PAPER_MODE=book selects the matching engine', async () => {
+    process.env.PAPER_MODE = 'book';
+    const adapter = getPaperAdapter();
+    expect(typeof adapter.updateMarket).toBe('function');
+    expect(typeof adapter.onFill).toBe('function');
+  });
+
+  test('fetchTicker quotes the top of book, then the last trade', async () => {
+    process.env.PAPER_PRICE_DEFAULT = '100';
+    const adapter = getPaperBookAdapter();
+    expect(await adapter.fetchTicker({ symbol: 'ETH-USD' })).toEqual({
+      symbol: 'ETH-USD',
+      bid: 100,
+      ask: 100,
+      price: 100,
+    });
+    adapter.updateMarket({ symbol: 'ETH-USD', price: 10.5, bid: 10, ask: 11 });
+    expect(await adapter.fetchTicker({ symbol: 'ETH-USD' })).toMatchObject({ bid: 10, ask: 11 });
+  });
+
+  test('resting order reports progress through placeOrder, getOrder and balances', async () => {
+    process.env.PAPER_BALANCES = '{"USD":1000}';
+    process.env.EXCHANGE_FEE_BPS = '0';
+    const adapter = getPaperBookAdapter();
+    adapter.updateMarket({ symbol: 'ETH-USD', bid: 10, ask: 11, bidSize: 5, askSize: 5 });
+
+    const placed = await adapter.placeOrder({
+      orderId: 'p1',
+      symbol: 'ETH-USD',
+      side: 'buy',
+      qty: 4,
+      type: 'limit',
+      limitPrice: 9,
+    });
+    expect(placed).toMatchObject({ filled: false, status: 'new', filledQty: 0 });
+
+    const fills = [];
+    adapter.onFill((e) => fills.push(e));
+    adapter.updateMarket({ symbol: 'ETH-USD', price: 8.5, volume: 3 });
+    expect(fills).toHaveLength(1);
+
+    const got = await adapter.getOrder({ orderId: 'p1' });
+    expect(got).toMatchObject({ found: true, status: 'partially_filled', filledQty: 3, price: 9 });
+
+    const { balances } = await adapter.fetchBalance();
+    expect(balances.ETH.total).toBe(3);
+    expect(balances.USD.total).toBeCloseTo(1000 - 27);
+
+    expect(await adapter.amendOrder({ orderId: 'p1', qty: 3.5 })).toEqual({
+      amended: true,
+      orderId: 'p1',
+    });
+    expect((await adapter.getOrder({ orderId: 'p1' })).qty).toBe(3.5);
+
+    const canceled = await adapter.cancelOrder({ orderId: 'p1' });
+    expect(canceled).toEqual({ canceled: true, orderId: 'p1' });
+    expect((await adapter.getOrder({ orderId: 'p1' })).status).toBe('canceled');
+
+    const { trades } = await adapter.fetchTrades({ symbol: 'ETH-USD' });
+    expect(trades).toHaveLength(1);
+    expect(trades[0]).toMatchObject({ orderId: 'p1', qty: 3, price: 9 });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Unit tests for the historical replay paper mode (PAPER_MODE=replay)
+ */
+import { jest } from '@jest/globals';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  parseReplayRecords,
+  parseTimestamp,
+  createReplayFeed,
+} from '../../../../common/exchanges/paper-replay.js';
+import { getPaperAdapter } from '../../../../common/exchanges/paper.js';
+
+const CANDLES_CSV = [
+  'timestamp,symbol,open,high,low,close,volume',
+  '2024-01-01T00:00:00Z,BTC-USD,40000,40100,39900,40050,12',
+  '2024-01-01T00:01:00Z,BTC-USD,40050,40200,40000,40150,8',
+  '2024-01-01T00:02:00Z,BTC-USD,40150,40300,40100,40250,5',
+].join('\n');
+
+const TICKS_JSONL = [
+  { ts: 1704067200, symbol: 'ETH-USD', price: 2000, qty: 1 },
+  { ts: 1704067230, symbol: 'ETH-USD', price: 2010, qty: 2 },
+]
+  .map((r) => JSON.stringify(r))
+  .join('\n');
+
+describe('Replay feed', () => {
+  test('parses candles (open price) and ticks with mixed timestamp formats', () => {
+    const candles = parseReplayRecords(CANDLES_CSV, 'csv');
+    expect(candles).toHaveLength(3);
+    expect(candles[0]).toEqual({ ts: Date.UTC(2024, 0, 1), symbol: 'BTC-USD', price: 40000 });
+
+    const ticks = parseReplayRecords(TICKS_JSONL + '\nnot json\n', 'jsonl');
+    expect(ticks.map((t) => t.price)).toEqual([2000, 2010]);
+    expect(ticks[1].ts).toBe(1704067230000);
+
+    expect(parseTimestamp('1704067200000')).toBe(1704067200000);
+    expect(parseTimestamp('')).toBeNaN();
+  });
+
+  test('quotes the record in force at the simulated time and steps through the data', () => {
+    const feed = createReplayFeed({ records: parseReplayRecords(CANDLES_CSV) });
+    expect(feed.quote('BTC-USD').price).toBe(40000);
+    feed.step();
+    expect(feed.quote('BTC-USD').price).toBe(40050);
+    feed.advanceTo('2024-01-01T00:02:00Z');
+    expect(feed.quote('BTC-USD').price).toBe(40150);
+    feed.step();
+    expect(feed.quote('BTC-USD')).toEqual({ reason: 'no_market_data' });
+  });
+
+  test('a fixed step moves the clock by PAPER_REPLAY_STEP_MS', () => {
+    const feed = createReplayFeed({
+      records: parseReplayRecords(CANDLES_CSV),
+      start: '2024-01-01T00:00:30Z',
+      stepMs: 60000,
+    });
+    expect(feed.quote('BTC-USD').price).toBe(40000);
+    feed.step();
+    expect(feed.quote('BTC-USD').price).toBe(40050);
+    expect(feed.quote('ETH-USD')).toEqual({ reason: 'no_market_data' });
+  });
+});
+
+describe('Paper adapter in replay mode', () => {
+  let originalEnv;
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+    fs.writeFileSync(path.join(dir, 'btc.csv'), CANDLES_CSV);
+    fs.writeFileSync(path.join(dir, 'eth.jsonl'), TICKS_JSONL);
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    jest.clearAllMocks();
+    process.env.PAPER_MODE = 'replay';
+    process.env.PAPER_REPLAY_FILES = `${path.join(dir, 'btc.csv')},${path.join(dir, 'eth.jsonl')}`;
+    process.env.EXCHANGE_FEE_BPS = '10';
+    process.env.SLIPPAGE_BPS = '5';
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('fills at replayed prices with the usual fee and slippage model', async () => {
+    const adapter = getPaperAdapter();
+    const first = await adapter.placeOrder({
+      orderId: 'r1',
+      symbol: 'BTC-USD',
+      side: 'buy',
+      qty: 1,
+    });
+    expect(first.price).toBe(40000);
+    expect(first.notional).toBeCloseTo(40000 * 1.0005);
+    expect(first.fee).toBeCloseTo(40000 * 1.0005 * 0.001);
+
+    // The clock stepped to the next record (the 00:00:30 ETH tick)
+    const eth = await adapter.placeOrder({
+      orderId: 'r2',
+      symbol: 'ETH-USD',
+      side: 'sell',
+      qty: 2,
+    });
+    expect(eth.price).toBe(2010);
+    expect(adapter.now()).toBe(Date.UTC(2024, 0, 1, 0, 1));
+
+    const { trades } = await adapter.fetchTrades({});
+    expect(trades.map((t) => t.ts)).toEqual([
+      '2024-01-01T00:00:00.000Z',
+      '2024-01-01T00:00:30.000Z',
+    ]);
+  });
+
+  test('runs are deterministic and reject orders past the end of the data', async () => {
+    const run = async () => {
+      const adapter = getPaperAdapter();
+      const out = [];
+      for (let i = 0; i < 5; i++) {
+        out.push(
+          await adapter.placeOrder({ orderId: `d${i}`, symbol: 'BTC-USD', side: 'buy', qty: 1 })
+        );
+      }
+      return out;
+    };
+    const a = await run();
+    expect(a).toEqual(await run());
+    expect(a.map((f) => f.price)).toEqual([40000, 40000, 40050, 40150, undefined]);
+    expect(a[4]).toMatchObject({ filled: false, reason: 'no_market_data' });
+  });
+
+  test('requires PAPER_REPLAY_FILES', () => {
+    delete process.env.PAPER_REPLAY_FILES;
+    expect(() => getPaperAdapter()).toThrow('PAPER_REPLAY_FILES');
+  });
+});
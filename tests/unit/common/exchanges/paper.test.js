@@ -24,6 +24,12 @@ describe('Paper Exchange Adapter', () => {
       expect(adapter).toBeDefined();
       expect(adapter.placeOrder).toBeInstanceOf(Function);
     });
+
+    test('quotes the default price on both sides', async () => {
+      process.env.PAPER_PRICE_DEFAULT = '50000';
+      const ticker = await getPaperAdapter().fetchTicker({ symbol: 'BTC-USD' });
+      expect(ticker).toEqual({ symbol: 'BTC-USD', bid: 50000, ask: 50000, price: 50000 });
+    });
   });
 
   describe('placeOrder', () => {
@@ -132,5 +138,48 @@ describe('Paper Exchange Adapter', () => {
         fee: 45, // 0.01% of 45000
       });
     });
+
+    test('fills marketable limits and rejects orders that would have to rest', async () => {
+      const adapter = getPaperAdapter();
+      const order = { symbol: 'BTC-USD', side: 'buy', qty: 1, type: 'limit' };
+
+      const marketable = await adapter.placeOrder({ ...order, orderId: 'l1', limitPrice: 30100 });
+      expect(marketable).toMatchObject({ filled: true, price: 30000 });
+
+      const resting = await adapter.placeOrder({ ...order, orderId: 'l2', limitPrice: 29900 });
+      expect(resting).toMatchObject({
+        filled: false,
+        reason: 'order_rejected',
+        raw: { error: 'not_marketable', price: 30000 },
+      });
+
+      const stop = await adapter.placeOrder({
+        ...order,
+        orderId: 's1',
+        type: 'stop',
+        stopPrice: 31000,
+      });
+      expect(stop.raw.error).toBe('stop_not_triggered');
+
+      const post = await adapter.placeOrder({
+        ...order,
+        orderId: 'p1',
+        limitPrice: 30100,
+        timeInForce: 'POST_ONLY',
+      });
+      expect(post.raw.error).toBe('post_only_would_take');
+    });
+
+    test('rejects invalid order type combinations', async () => {
+      const result = await getPaperAdapter().placeOrder({
+        orderId: 'bad',
+        symbol: 'BTC-USD',
+        side: 'buy',
+        qty: 1,
+        type: 'market',
+        timeInForce: 'FOK',
+      });
+      expect(result).toMatchObject({ filled: false, reason: 'invalid_params' });
+    });
   });
 });
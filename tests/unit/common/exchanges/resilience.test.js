@@ -0,0 +1,184 @@
+/**
+ * Unit tests for the exchange adapter resilience wrapper (rate limit, retry, circuit breaker)
+ */
+import { jest } from '@jest/globals';
+import {
+  withResilience,
+  createTokenBucket,
+  createCircuitBreaker,
+  backoffDelay,
+  resilienceOptionsFromEnv,
+} from '../../../../common/exchanges/resilience.js';
+
+// Virtual clock: sleep advances time instead of waiting
+function fakeTime() {
+  let t = 0;
+  const sleeps = [];
+  return {
+    now: () => t,
+    sleep: async (ms) => {
+      sleeps.push(ms);
+      t += ms;
+    },
+    advance: (ms) => (t += ms),
+    sleeps,
+  };
+}
+
+const order = { orderId: 'o1', symbol: 'BTC-USD', side: 'buy', qty: 1 };
+const filled = { filled: true, ...order, price: 100, notional: 100, fee: 0.1 };
+
+function stubAdapter(results) {
+  const queue = [...results];
+  const next = () => {
+    const r = queue.length > 1 ? queue.shift() : queue[0];
+    if (r instanceof Error) throw r;
+    return r;
+  };
+  return {
+    placeOrder: jest.fn(async () => next()),
+    getOrder: jest.fn(async () => next()),
+    cancelOrder: jest.fn(async () => next()),
+    fetchBalance: jest.fn(async () => next()),
+    fetchTrades: jest.fn(async () => next()),
+    updateMarket: jest.fn(),
+  };
+}
+
+describe('Exchange resilience wrapper', () => {
+  let time;
+
+  beforeEach(() => {
+    time = fakeTime();
+  });
+
+  const wrap = (adapter, opts = {}) =>
+    withResilience(adapter, {
+      venue: 'test',
+      ratePerSec: 0,
+      retries: 3,
+      baseMs: 100,
+      threshold: 3,
+      cooldownMs: 1000,
+      now: time.now,
+      sleep: time.sleep,
+      random: () => 0.5,
+      ...opts,
+    });
+
+  test('passes results through and keeps extra adapter methods', async () => {
+    const inner = stubAdapter([filled]);
+    const adapter = wrap(inner);
+    expect(await adapter.placeOrder(order)).toBe(filled);
+    expect(adapter.updateMarket).toBe(inner.updateMarket);
+    expect(adapter.breakerState()).toBe('closed');
+  });
+
+  test('retries reads with jittered backoff until they succeed', async () => {
+    const onRetry = jest.fn();
+    const inner = stubAdapter([
+      { balances: {}, reason: 'exchange_unavailable' },
+      { balances: {}, reason: 'rate_limited' },
+      { balances: { USD: { free: 1, locked: 0, total: 1 } } },
+    ]);
+    const adapter = wrap(inner, { onRetry });
+    const res = await adapter.fetchBalance();
+    expect(res.reason).toBeUndefined();
+    expect(inner.fetchBalance).toHaveBeenCalledTimes(3);
+    expect(time.sleeps).toEqual([50, 100]);
+    expect(onRetry.mock.calls.map(([c]) => c.reason)).toEqual([
+      'exchange_unavailable',
+      'rate_limited',
+    ]);
+  });
+
+  test('placeOrder retries rate limits but never an ambiguous submit', async () => {
+    const limited = stubAdapter([{ filled: false, ...order, reason: 'rate_limited' }, filled]);
+    expect(await wrap(limited).placeOrder(order)).toBe(filled);
+    expect(limited.placeOrder).toHaveBeenCalledTimes(2);
+
+    const down = stubAdapter([{ filled: false, ...order, reason: 'exchange_unavailable' }]);
+    const res = await wrap(down).placeOrder(order);
+    expect(res.reason).toBe('exchange_unavailable');
+    expect(down.placeOrder).toHaveBeenCalledTimes(1);
+
+    const thrown = stubAdapter([new Error('socket hang up')]);
+    await expect(wrap(thrown).placeOrder(order)).rejects.toThrow('socket hang up');
+    expect(thrown.placeOrder).toHaveBeenCalledTimes(1);
+  });
+
+  test('business rejections are returned as-is without retries', async () => {
+    const inner = stubAdapter([{ filled: false, ...order, reason: 'insufficient_balance' }]);
+    const res = await wrap(inner).placeOrder(order);
+    expect(res.reason).toBe('insufficient_balance');
+    expect(inner.placeOrder).toHaveBeenCalledTimes(1);
+  });
+
+  test('breaker opens after repeated failures, short-circuits, then recovers', async () => {
+    const onStateChange = jest.fn();
+    const inner = stubAdapter([{ found: false, orderId: 'o1', reason: 'exchange_unavailable' }]);
+    const adapter = wrap(inner, { retries: 5, onStateChange });
+
+    const res = await adapter.getOrder({ orderId: 'o1' });
+    expect(res).toEqual({ found: false, orderId: 'o1', reason: 'circuit_open' });
+    expect(inner.getOrder).toHaveBeenCalledTimes(3);
+    expect(adapter.breakerState()).toBe('open');
+
+    const blocked = await adapter.placeOrder(order);
+    expect(blocked).toEqual({ filled: false, ...order, reason: 'circuit_open' });
+    expect(inner.placeOrder).not.toHaveBeenCalled();
+
+    // After the cooldown one trial call is let through; success closes the breaker
+    time.advance(1000);
+    inner.getOrder.mockResolvedValueOnce({ found: true, orderId: 'o1', status: 'filled' });
+    expect((await adapter.getOrder({ orderId: 'o1' })).found).toBe(true);
+    expect(adapter.breakerState()).toBe('closed');
+    expect(onStateChange.mock.calls.map(([c]) => c.state)).toEqual(['open', 'half_open', 'closed']);
+  });
+
+  test('rate limiting spaces calls once the burst is spent', async () => {
+    const adapter = wrap(stubAdapter([{ trades: [] }]), { ratePerSec: 2, burst: 2 });
+    for (let i = 0; i < 4; i++) await adapter.fetchTrades({});
+    expect(time.sleeps).toEqual([500, 500]);
+  });
+});
+
+describe('Resilience building blocks', () => {
+  test('token bucket refills over time up to its burst', async () => {
+    let t = 0;
+    const bucket = createTokenBucket({ ratePerSec: 10, burst: 5, now: () => t });
+    for (let i = 0; i < 5; i++) await bucket.take();
+    expect(bucket.available()).toBeCloseTo(0);
+    t += 200;
+    expect(bucket.available()).toBeCloseTo(2);
+    t += 10000;
+    expect(bucket.available()).toBe(5);
+  });
+
+  test('a failed half-open trial reopens the breaker', () => {
+    let t = 0;
+    const breaker = createCircuitBreaker({ threshold: 1, cooldownMs: 100, now: () => t });
+    breaker.failure();
+    expect(breaker.allow()).toBe(false);
+    t = 100;
+    expect(breaker.allow()).toBe(true);
+    expect(breaker.allow()).toBe(false); // only one trial in flight
+    breaker.failure();
+    expect(breaker.state()).toBe('open');
+  });
+
+  test('backoff grows exponentially up to the cap with full jitter', () => {
+    const opts = { baseMs: 100, maxMs: 1000, random: () => 0.999 };
+    expect([0, 1, 2, 3, 4].map((a) => backoffDelay(a, opts))).toEqual([99, 199, 399, 799, 999]);
+    expect(backoffDelay(3, { ...opts, random: () => 0 })).toBe(0);
+  });
+
+  test('reads its options from env', () => {
+    expect(
+      resilienceOptionsFromEnv({
+        EXCHANGE_RATE_LIMIT_PER_SEC: '5',
+        EXCHANGE_BREAKER_THRESHOLD: '2',
+      })
+    ).toMatchObject({ ratePerSec: 5, burst: 5, retries: 3, threshold: 2, cooldownMs: 30000 });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Unit tests for the multi-venue smart order router
+ */
+import {
+  createOrderRouter,
+  effectivePrice,
+  routerOptionsFromEnv,
+} from '../../../../common/exchanges/router.js';
+
+const NOW = () => new Date('2024-01-01T00:00:00Z');
+
+// Minimal adapter: a fixed quote (or failure) and a breaker state
+const venue = ({ bid, ask, reason, state = 'closed' } = {}) => ({
+  async fetchTicker({ symbol }) {
+    return reason ? { symbol, reason } : { symbol, bid, ask };
+  },
+  breakerState: () => state,
+});
+
+describe('Order router', () => {
+  test('buys on the venue with the lowest ask after fees', async () => {
+    const router = createOrderRouter({
+      venues: {
+        binance: venue({ bid: 99, ask: 100 }),
+        coinbase: venue({ bid: 99.5, ask: 99.8 }),
+      },
+      feeBps: { binance: 10, coinbase: 60 },
+      now: NOW,
+    });
+    const { venue: picked, decision } = await router.route({ symbol: 'BTC-USD', side: 'buy' });
+    // coinbase 99.8 * 1.006 = 100.3988 > binance 100 * 1.001 = 100.1
+    expect(picked).toBe('binance');
+    expect(decision).toMatchObject({
+      venue: 'binance',
+      basis: 'best_price',
+      ts: NOW().toISOString(),
+    });
+    expect(decision.candidates.find((c) => c.venue === 'coinbase').effectivePrice).toBeCloseTo(
+      100.3988
+    );
+  });
+
+  test('sells on the venue with the highest bid after fees', async () => {
+    const router = createOrderRouter({
+      venues: { binance: venue({ bid: 99, ask: 100 }), kraken: venue({ bid: 99.5, ask: 101 }) },
+      defaultFeeBps: 10,
+    });
+    expect((await router.route({ symbol: 'BTC-USD', side: 'sell' })).venue).toBe('kraken');
+  });
+
+  test('skips venues with an open circuit breaker without quoting them', async () => {
+    const open = venue({ bid: 1000, ask: 1, state: 'open' });
+    open.fetchTicker = () => {
+      throw new Error('should not be quoted');
+    };
+    const router = createOrderRouter({
+      venues: { binance: open, kraken: venue({ bid: 99, ask: 100 }) },
+    });
+    const { venue: picked, decision } = await router.route({ symbol: 'BTC-USD', side: 'buy' });
+    expect(picked).toBe('kraken');
+    expect(decision.candidates[0]).toMatchObject({ venue: 'binance', reason: 'circuit_open' });
+  });
+
+  test('rejects with circuit_open when every candidate is unavailable', async () => {
+    const router = createOrderRouter({
+      venues: { binance: venue({ state: 'open' }), kraken: venue({ state: 'open' }) },
+    });
+    const res = await router.route({ symbol: 'BTC-USD', side: 'buy' });
+    expect(res.reason).toBe('circuit_open');
+    expect(res.decision.venue).toBeNull();
+  });
+
+  test('symbol preferences restrict the candidates and break ties', async () => {
+    const router = createOrderRouter({
+      venues: {
+        binance: venue({ bid: 99, ask: 90 }),
+        coinbase: venue({ bid: 99, ask: 100 }),
+        kraken: venue({ bid: 99, ask: 100 }),
+      },
+      preferences: { 'btc/usd': ['kraken', 'coinbase'] },
+    });
+    const res = await router.route({ symbol: 'BTC-USD', side: 'buy' });
+    expect(res.venue).toBe('kraken');
+    expect(res.decision.candidates.map((c) => c.venue)).toEqual(['kraken', 'coinbase']);
+    // Symbols without a preference use every venue
+    expect((await router.route({ symbol: 'ETH-USD', side: 'buy' })).venue).toBe('binance');
+  });
+
+  test('falls back to the first available venue when no quote is usable', async () => {
+    const router = createOrderRouter({
+      venues: {
+        binance: venue({ reason: 'exchange_unavailable' }),
+        kraken: { breakerState: () => 'closed' },
+      },
+    });
+    const res = await router.route({ symbol: 'BTC-USD', side: 'buy' });
+    expect(res.venue).toBe('binance');
+    expect(res.decision.basis).toBe('first_available');
+    expect(res.decision.candidates).toEqual([
+      expect.objectContaining({ venue: 'binance', reason: 'exchange_unavailable' }),
+      expect.objectContaining({ venue: 'kraken', reason: 'no_market_data' }),
+    ]);
+  });
+
+  test('a single venue is used without quoting', async () => {
+    const only = venue();
+    only.fetchTicker = () => {
+      throw new Error('should not be quoted');
+    };
+    const res = await createOrderRouter({ venues: { paper: only } }).route({
+      symbol: 'BTC-USD',
+      side: 'buy',
+    });
+    expect(res).toMatchObject({ venue: 'paper', decision: { basis: 'single_venue' } });
+  });
+
+  test('effectivePrice applies fees against the order side', () => {
+    expect(effectivePrice({ side: 'buy', bid: 99, ask: 100 }, 50)).toBeCloseTo(100.5);
+    expect(effectivePrice({ side: 'sell', bid: 100, ask: 101 }, 50)).toBeCloseTo(99.5);
+    expect(effectivePrice({ side: 'buy', bid: 99 })).toBeUndefined();
+  });
+
+  test('routerOptionsFromEnv reads fee and preference maps', () => {
+    expect(
+      routerOptionsFromEnv({
+        EXEC_VENUE_FEE_BPS: '{"binance":7.5}',
+        EXCHANGE_FEE_BPS: '10',
+        EXEC_VENUE_PREFERENCE: 'not json',
+      })
+    ).toEqual({ feeBps: { binance: 7.5 }, defaultFeeBps: 10, preferences: {} });
+  });
+});
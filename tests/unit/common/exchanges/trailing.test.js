@@ -0,0 +1,50 @@
+/**
+ * Unit tests for executor-managed trailing stop arithmetic
+ */
+import {
+  advanceTrail,
+  trailStopPrice,
+  trailingPrice,
+} from '../../../../common/exchanges/trailing.js';
+
+const NOW = () => new Date('2024-01-01T00:00:00Z');
+
+describe('Trailing stops', () => {
+  test('stop price sits the trail below the anchor for sells and above it for buys', () => {
+    expect(trailStopPrice({ side: 'sell', trailAmount: 50 }, 1000)).toBe(950);
+    expect(trailStopPrice({ side: 'buy', trailAmount: 50 }, 1000)).toBe(1050);
+    expect(trailStopPrice({ side: 'sell', trailPercent: 2 }, 1000)).toBe(980);
+  });
+
+  test('a sell stop follows new highs, ignores dips and triggers at the stop', () => {
+    let step = advanceTrail({ trailAmount: 10 }, 'sell', 100, NOW);
+    expect(step).toEqual({
+      trail: { trailAmount: 10, anchor: 100, stopPrice: 90, ts: NOW().toISOString() },
+      moved: true,
+      triggered: false,
+    });
+    step = advanceTrail(step.trail, 'sell', 120, NOW);
+    expect(step).toMatchObject({ trail: { anchor: 120, stopPrice: 110 }, moved: true });
+    step = advanceTrail(step.trail, 'sell', 115, NOW);
+    expect(step).toMatchObject({ trail: { anchor: 120 }, moved: false, triggered: false });
+    expect(advanceTrail(step.trail, 'sell', 110, NOW).triggered).toBe(true);
+  });
+
+  test('a buy stop follows new lows', () => {
+    let step = advanceTrail({ trailPercent: 10 }, 'buy', 100, NOW);
+    step = advanceTrail(step.trail, 'buy', 80, NOW);
+    expect(step.trail).toMatchObject({ anchor: 80, stopPrice: 88 });
+    expect(advanceTrail(step.trail, 'buy', 87, NOW)).toMatchObject({
+      moved: false,
+      triggered: false,
+    });
+    expect(advanceTrail(step.trail, 'buy', 88, NOW).triggered).toBe(true);
+  });
+
+  test('watches the side of the book the stop would execute against', () => {
+    expect(trailingPrice('sell', { bid: 99, ask: 101, price: 100 })).toBe(99);
+    expect(trailingPrice('buy', { bid: 99, ask: 101, price: 100 })).toBe(101);
+    expect(trailingPrice('buy', { price: 100 })).toBe(100);
+    expect(trailingPrice('sell', { reason: 'exchange_unavailable' })).toBeUndefined();
+  });
+});
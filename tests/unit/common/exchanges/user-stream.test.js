@@ -0,0 +1,99 @@
+/**
+ * Unit tests for the reconnecting user-data websocket client (against a local ws server)
+ */
+import { WebSocketServer } from 'ws';
+import { createReconnectingSocket } from '../../../../common/exchanges/user-stream.js';
+
+const waitFor = async (cond, timeoutMs = 2000) => {
+  const start = Date.now();
+  while (!cond()) {
+    if (Date.now() - start > timeoutMs) throw new Error('timed out');
+    await new Promise((r) => setTimeout(r, 5));
+  }
+};
+
+describe('createReconnectingSocket', () => {
+  let wss;
+  let url;
+  let connections;
+  let received;
+
+  beforeAll(async () => {
+    wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+    await new Promise((r) => wss.on('listening', r));
+    url = `ws://127.0.0.1:${wss.address().port}`;
+    wss.on('connection', (socket, req) => {
+      connections.push({ socket, url: req.url });
+      socket.on('message', (data) => received.push(JSON.parse(data.toString())));
+    });
+  });
+
+  afterAll(async () => {
+    await new Promise((r) => wss.close(r));
+  });
+
+  beforeEach(() => {
+    connections = [];
+    received = [];
+  });
+
+  test('subscribes on open and delivers parsed messages', async () => {
+    const messages = [];
+    const socket = createReconnectingSocket({
+      url,
+      onOpen: (send) => send({ op: 'subscribe' }),
+      onMessage: (msg) => messages.push(msg),
+    }).start();
+    try {
+      await waitFor(() => received.length === 1 && socket.isConnected());
+      expect(received[0]).toEqual({ op: 'subscribe' });
+      connections[0].socket.send('not json');
+      connections[0].socket.send(JSON.stringify({ n: 1 }));
+      await waitFor(() => messages.length === 1);
+      expect(messages).toEqual([{ n: 1 }]);
+    } finally {
+      socket.stop();
+    }
+  });
+
+  test('reconnects after the server drops the connection, resolving the url and resubscribing', async () => {
+    let resolves = 0;
+    const socket = createReconnectingSocket({
+      url: async () => `${url}/stream-${++resolves}`,
+      onOpen: (send) => send({ op: 'subscribe' }),
+      onMessage: () => {},
+      baseMs: 1,
+      maxMs: 5,
+    }).start();
+    try {
+      await waitFor(() => received.length === 1);
+      connections[0].socket.terminate();
+      await waitFor(() => received.length === 2);
+      expect(connections.map((c) => c.url)).toEqual(['/stream-1', '/stream-2']);
+    } finally {
+      socket.stop();
+    }
+  });
+
+  test('retries when the url cannot be resolved and stops for good on stop()', async () => {
+    let calls = 0;
+    const errors = [];
+    const socket = createReconnectingSocket({
+      url: async () => {
+        calls += 1;
+        if (calls === 1) throw new Error('listen key unavailable');
+        return url;
+      },
+      onMessage: () => {},
+      logger: { error: (event) => errors.push(event), warn: () => {}, info: () => {} },
+      baseMs: 1,
+      maxMs: 5,
+    }).start();
+    await waitFor(() => connections.length === 1);
+    expect(errors).toEqual(['user_stream_url_error']);
+    socket.stop();
+    await new Promise((r) => setTimeout(r, 30));
+    expect(connections).toHaveLength(1);
+    expect(socket.isConnected()).toBe(false);
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Unit tests for the technical indicator library
+ */
+import {
+  atr,
+  bollinger,
+  computeIndicators,
+  createIndicatorSet,
+  ema,
+  macd,
+  obv,
+  rsi,
+  sma,
+  vwap,
+} from '../../../common/indicators.js';
+
+const bar = (close, extra = {}) => ({ close, high: close, low: close, volume: 1, ...extra });
+const run = (ind, bars) => bars.map((b) => ind.update(b));
+
+describe('Indicators', () => {
+  test('SMA and EMA warm up over their period', () => {
+    expect(
+      run(
+        sma(3),
+        [1, 2, 3, 4].map((c) => bar(c))
+      )
+    ).toEqual([undefined, undefined, 2, 3]);
+    // seeded with the SMA of 1, 2, 3, then alpha = 0.5
+    expect(
+      run(
+        ema(3),
+        [1, 2, 3, 5, 1].map((c) => bar(c))
+      )
+    ).toEqual([undefined, undefined, 2, 3.5, 2.25]);
+  });
+
+  test('RSI uses Wilder smoothing', () => {
+    const ind = rsi(2);
+    // changes +2, -1: avg gain 1, avg loss 0.5
+    expect(
+      run(
+        ind,
+        [10, 12, 11].map((c) => bar(c))
+      )
+    ).toEqual([undefined, undefined, 100 - 100 / 3]);
+    // change +1: gain (1 + 1) / 2 = 1, loss 0.25
+    expect(ind.update(bar(12))).toBeCloseTo(80, 8);
+    expect(
+      run(
+        rsi(2),
+        [1, 2, 3].map((c) => bar(c))
+      )[2]
+    ).toBe(100);
+  });
+
+  test('MACD lines and histogram', () => {
+    const ind = macd(2, 3, 2);
+    const out = run(
+      ind,
+      [1, 2, 3, 4, 5].map((c) => bar(c))
+    );
+    expect(out.slice(0, 2)).toEqual([undefined, undefined]);
+    // fast EMA(2) and slow EMA(3) of 1..5: the lines settle at a constant 0.5 gap
+    expect(out[2]).toEqual({ macd: 0.5, signal: undefined, histogram: undefined });
+    expect(out[3]).toEqual({ macd: 0.5, signal: 0.5, histogram: 0 });
+  });
+
+  test('Bollinger Bands use the population standard deviation', () => {
+    const ind = bollinger(4, 2);
+    const out = run(
+      ind,
+      [2, 4, 4, 6].map((c) => bar(c))
+    );
+    // mean 4, variance (4 + 0 + 0 + 4) / 4 = 2
+    expect(out[3].middle).toBe(4);
+    expect(out[3].upper).toBeCloseTo(4 + 2 * Math.SQRT2, 8);
+    expect(out[3].lower).toBeCloseTo(4 - 2 * Math.SQRT2, 8);
+  });
+
+  test('ATR averages true ranges including gaps', () => {
+    const out = run(atr(2), [
+      { high: 10, low: 8, close: 9 },
+      { high: 12, low: 11, close: 11.5 }, // gap up: TR = 12 - 9 = 3
+      { high: 11, low: 10, close: 10 }, // TR = max(1, 0.5, 1.5) = 1.5
+    ]);
+    expect(out).toEqual([undefined, 2.5, 2]);
+  });
+
+  test('VWAP resets each UTC day and OBV follows the close', () => {
+    const ind = vwap();
+    ind.update({ ts: '2024-01-01T10:00:00Z', high: 12, low: 8, close: 10, volume: 1 });
+    expect(
+      ind.update({ ts: '2024-01-01T11:00:00Z', high: 22, low: 18, close: 20, volume: 3 })
+    ).toBe(17.5);
+    expect(ind.update({ ts: '2024-01-02T00:00:00Z', high: 6, low: 3, close: 3, volume: 2 })).toBe(
+      4
+    );
+    expect(
+      run(obv(), [bar(1, { volume: 5 }), bar(2, { volume: 3 }), bar(1, { volume: 2 }), bar(1)])
+    ).toEqual([0, 3, 1, 1]);
+  });
+
+  test('runs a set of indicators over bars', () => {
+    const bars = [1, 2, 3, 4].map((c, i) => bar(c, { ts: `2024-01-01T00:0${i}:00Z` }));
+    const r = computeIndicators(bars, { sma: { period: 2 }, obv: {} }, { series: true });
+    expect(r.values).toEqual({ sma: 3.5, obv: 3 });
+    expect(r.series[0]).toEqual({ ts: '2024-01-01T00:00:00Z', sma: undefined, obv: 0 });
+    expect(() => createIndicatorSet({ stoch: {} })).toThrow('unknown indicator stoch');
+  });
+});
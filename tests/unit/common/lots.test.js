@@ -0,0 +1,90 @@
+/**
+ * Unit tests for FIFO lot matching
+ */
+import { applyToPosition, fillIncrement, lotPosition, matchFill } from '../../../common/lots.js';
+
+describe('FIFO lots', () => {
+  test('an opening fill realizes nothing and carries its fee', () => {
+    const r = matchFill([], { side: 'buy', qty: 2, price: 100, fee: 0.2, ts: 't1' });
+    expect(r).toEqual({
+      lots: [{ qty: 2, price: 100, fee: 0.2, ts: 't1' }],
+      realized: 0,
+      closedQty: 0,
+    });
+  });
+
+  test('closes the oldest lots first with both fees', () => {
+    let lots = matchFill([], { side: 'buy', qty: 1, price: 100, fee: 0.1 }).lots;
+    lots = matchFill(lots, { side: 'buy', qty: 1, price: 110, fee: 0.11 }).lots;
+    const r = matchFill(lots, { side: 'sell', qty: 1.5, price: 120, fee: 0.18 });
+    // 1 @ 100 and 0.5 @ 110: 20 + 5, minus 0.1 + 0.055 opening and 0.18 closing fees
+    expect(r.realized).toBeCloseTo(25 - 0.155 - 0.18, 8);
+    expect(r.closedQty).toBe(1.5);
+    expect(r.lots).toHaveLength(1);
+    expect(r.lots[0]).toMatchObject({ qty: 0.5, price: 110 });
+    expect(r.lots[0].fee).toBeCloseTo(0.055, 8);
+  });
+
+  test('a short is closed by a buy at a loss', () => {
+    const lots = matchFill([], { side: 'sell', qty: 1, price: 100 }).lots;
+    expect(matchFill(lots, { side: 'buy', qty: 1, price: 105 })).toEqual({
+      lots: [],
+      realized: -5,
+      closedQty: 1,
+    });
+  });
+
+  test('a fill larger than the position flips it', () => {
+    const lots = matchFill([], { side: 'buy', qty: 1, price: 100 }).lots;
+    const r = matchFill(lots, { side: 'sell', qty: 3, price: 90, fee: 0.3 });
+    expect(r.realized).toBeCloseTo(-10 - 0.1, 8);
+    expect(r.lots).toEqual([{ qty: -2, price: 90, fee: expect.closeTo(0.2, 8), ts: undefined }]);
+    expect(lotPosition(r.lots)).toEqual({ qty: -2, avgPrice: 90 });
+  });
+
+  test('does not change the lots passed in', () => {
+    const lots = [{ qty: 1, price: 100, fee: 0 }];
+    matchFill(lots, { side: 'sell', qty: 1, price: 101 });
+    expect(lots).toEqual([{ qty: 1, price: 100, fee: 0 }]);
+    expect(lotPosition([])).toEqual({ qty: 0, avgPrice: undefined });
+  });
+
+  test('takes the fill a status adds from cumulative qty, average price and fee', () => {
+    const partial = { status: 'partially_filled', side: 'buy', filledQty: 1, price: 100, fee: 0.1 };
+    let step = fillIncrement({}, partial);
+    expect(step).toEqual({
+      fill: { side: 'buy', qty: 1, price: 100, fee: 0.1, ts: undefined },
+      booked: { qty: 1, notional: 100, fee: 0.1 },
+    });
+    // the same status again adds nothing
+    expect(fillIncrement(step.booked, partial).fill).toBeNull();
+    // filled at an average of 102 over 2: the second unit traded at 104
+    step = fillIncrement(step.booked, {
+      status: 'filled',
+      side: 'buy',
+      qty: 2,
+      price: 102,
+      fee: 0.3,
+    });
+    expect(step.fill.qty).toBe(1);
+    expect(step.fill.price).toBeCloseTo(104, 8);
+    expect(step.fill.fee).toBeCloseTo(0.2, 8);
+    // statuses without a price (scaffold fills) add nothing
+    expect(fillIncrement({}, { status: 'filled', side: 'buy', qty: 1 }).fill).toBeNull();
+  });
+
+  test('a position accumulates realized PnL across fills', () => {
+    let pos = applyToPosition(null, 'BTC-USD', { side: 'buy', qty: 2, price: 100, ts: 't1' });
+    expect(pos).toMatchObject({ symbol: 'BTC-USD', qty: 2, avgPrice: 100, realized: 0 });
+    pos = applyToPosition(pos, 'BTC-USD', { side: 'sell', qty: 1, price: 110, ts: 't2' });
+    pos = applyToPosition(pos, 'BTC-USD', { side: 'sell', qty: 1, price: 90, ts: 't3' });
+    expect(pos).toEqual({
+      symbol: 'BTC-USD',
+      qty: 0,
+      avgPrice: undefined,
+      lots: [],
+      realized: 0,
+      updatedAt: 't3',
+    });
+  });
+});
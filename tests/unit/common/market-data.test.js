@@ -0,0 +1,218 @@
+/**
+ * Unit tests for the latest quote store
+ */
+import { jest } from '@jest/globals';
+import {
+  getLastPrices,
+  markPrice,
+  normalizeMarketData,
+  normalizeSymbol,
+  publishMarketData,
+  readSeries,
+  recordLastPrice,
+  storeMarketData,
+} from '../../../common/market-data.js';
+import { RedisMock } from '../../helpers/redis-mock.js';
+
+describe('Market data', () => {
+  let redis;
+
+  beforeEach(() => {
+    redis = new RedisMock();
+  });
+
+  test('a tick only replaces the prices it carries', async () => {
+    await recordLastPrice(redis, { symbol: 'BTC-USD', bid: 99, ask: 101, ts: 't1' });
+    const quote = await recordLastPrice(redis, { symbol: 'BTC-USD', price: '100.5', ts: 't2' });
+    expect(quote).toEqual({ symbol: 'BTC-USD', bid: 99, ask: 101, price: 100.5, ts: 't2' });
+    expect(await getLastPrices(redis)).toEqual({ 'BTC-USD': quote });
+  });
+
+  test('ignores ticks without a symbol or a price', async () => {
+    expect(await recordLastPrice(redis, { price: 1 })).toBeNull();
+    expect(await recordLastPrice(redis, { symbol: 'BTC-USD', volume: 3 })).toBeNull();
+    expect(await getLastPrices(redis)).toEqual({});
+  });
+
+  test('marks longs at the bid and shorts at the ask, else the last trade', () => {
+    const quote = { price: 100, bid: 99, ask: 101 };
+    expect(markPrice(quote, 1)).toBe(99);
+    expect(markPrice(quote, -1)).toBe(101);
+    expect(markPrice({ price: 100 }, 1)).toBe(100);
+    expect(markPrice(undefined, 1)).toBeUndefined();
+  });
+
+  test('ignores ticks older than the stored quote', async () => {
+    await recordLastPrice(redis, { symbol: 'BTC-USD', price: 100, ts: '2024-01-01T00:01:00Z' });
+    const quote = await recordLastPrice(redis, {
+      symbol: 'BTC-USD',
+      price: 90,
+      ts: '2024-01-01T00:00:00Z',
+    });
+    expect(quote.price).toBe(100);
+  });
+
+  test('keeps the prices of ticks recorded concurrently', async () => {
+    await Promise.all([
+      recordLastPrice(redis, { symbol: 'BTC-USD', bid: 99, ask: 101, ts: '2024-01-01T00:00:01Z' }),
+      recordLastPrice(redis, { symbol: 'BTC-USD', price: 100, ts: '2024-01-01T00:00:02Z' }),
+    ]);
+    expect((await getLastPrices(redis))['BTC-USD']).toEqual({
+      symbol: 'BTC-USD',
+      bid: 99,
+      ask: 101,
+      price: 100,
+      ts: '2024-01-01T00:00:02Z',
+    });
+  });
+
+  test('normalizes symbols to BASE-QUOTE', () => {
+    expect(normalizeSymbol('btc/usd')).toBe('BTC-USD');
+    expect(normalizeSymbol('ETH_USDT')).toBe('ETH-USDT');
+    expect(normalizeSymbol('XBTUSD')).toBe('BTC-USD');
+    expect(normalizeSymbol('SOLEUR')).toBe('SOL-EUR');
+    expect(normalizeSymbol('FOO')).toBeNull();
+    expect(normalizeSymbol('A-B-C')).toBeNull();
+  });
+
+  describe('normalizeMarketData', () => {
+    const now = Date.parse('2024-01-01T00:00:00Z');
+
+    test('trades, quotes and bars', () => {
+      expect(
+        normalizeMarketData({
+          type: 'trade',
+          symbol: 'btcusd',
+          ts: 1704067200,
+          price: '42000',
+          volume: 0.5,
+        })
+      ).toEqual({
+        record: {
+          type: 'trade',
+          symbol: 'BTC-USD',
+          ts: '2024-01-01T00:00:00.000Z',
+          price: 42000,
+          qty: 0.5,
+        },
+      });
+      expect(
+        normalizeMarketData(
+          { type: 'quote', symbol: 'BTC-USD', bid: 99, ask: 101, bidSize: 2, source: 'ws' },
+          { now }
+        ).record
+      ).toEqual({
+        type: 'quote',
+        symbol: 'BTC-USD',
+        ts: '2024-01-01T00:00:00.000Z',
+        bid: 99,
+        ask: 101,
+        bidSize: 2,
+        source: 'ws',
+      });
+      expect(
+        normalizeMarketData({
+          type: 'ohlcv',
+          symbol: 'ETH-USD',
+          ts: '2024-01-01T00:00:00Z',
+          interval: '1M',
+          open: 10,
+          high: 12,
+          low: 9,
+          close: 11,
+          volume: 100,
+        }).record
+      ).toMatchObject({ type: 'bar', interval: '1m', open: 10, close: 11, volume: 100 });
+    });
+
+    test('rejects invalid items with a reason', () => {
+      const bar = {
+        type: 'bar',
+        symbol: 'ETH-USD',
+        interval: '1m',
+        open: 10,
+        high: 12,
+        low: 9,
+        close: 11,
+      };
+      expect(normalizeMarketData({ type: 'tick', symbol: 'BTC-USD' })).toEqual({
+        error: 'unknown_type',
+      });
+      expect(normalizeMarketData({ type: 'trade', symbol: '??', price: 1, qty: 1 }).error).toBe(
+        'invalid_symbol'
+      );
+      expect(
+        normalizeMarketData({ type: 'trade', symbol: 'BTC-USD', ts: 'soon', price: 1, qty: 1 })
+          .error
+      ).toBe('invalid_ts');
+      expect(
+        normalizeMarketData({ type: 'trade', symbol: 'BTC-USD', price: -1, qty: 1 }).error
+      ).toBe('invalid_price');
+      expect(normalizeMarketData({ type: 'trade', symbol: 'BTC-USD', price: 1 }).error).toBe(
+        'invalid_qty'
+      );
+      expect(
+        normalizeMarketData({ type: 'quote', symbol: 'BTC-USD', bid: 102, ask: 101 }).error
+      ).toBe('crossed_quote');
+      expect(normalizeMarketData({ ...bar, interval: 'daily' }).error).toBe('invalid_interval');
+      expect(normalizeMarketData({ ...bar, high: 10.5 }).error).toBe('invalid_bar');
+    });
+  });
+
+  test('stores each record in its series and caps it', async () => {
+    const tx = {
+      zadd: jest.fn(),
+      zremrangebyscore: jest.fn(),
+      zremrangebyrank: jest.fn(),
+      exec: jest.fn().mockResolvedValue([]),
+    };
+    const trade = {
+      type: 'trade',
+      symbol: 'BTC-USD',
+      ts: '2024-01-01T00:00:00.000Z',
+      price: 1,
+      qty: 1,
+    };
+    const bar = {
+      type: 'bar',
+      symbol: 'BTC-USD',
+      interval: '1m',
+      ts: '2024-01-01T00:00:00.000Z',
+      open: 1,
+      high: 1,
+      low: 1,
+      close: 1,
+      volume: 0,
+    };
+    await storeMarketData({ multi: () => tx }, [trade, bar], { maxPoints: 100 });
+    const ms = Date.parse(trade.ts);
+    expect(tx.zadd).toHaveBeenCalledWith('md:trade:BTC-USD', ms, JSON.stringify(trade));
+    expect(tx.zremrangebyscore).toHaveBeenCalledWith('md:bar:1m:BTC-USD', ms, ms);
+    expect(tx.zadd).toHaveBeenCalledWith('md:bar:1m:BTC-USD', ms, JSON.stringify(bar));
+    expect(tx.zremrangebyrank).toHaveBeenCalledWith('md:trade:BTC-USD', 0, -101);
+    expect(tx.exec).toHaveBeenCalled();
+
+    const pipe = { xadd: jest.fn(), exec: jest.fn().mockResolvedValue([]) };
+    await publishMarketData({ pipeline: () => pipe }, [trade], { maxLen: 1000 });
+    expect(pipe.xadd).toHaveBeenCalledWith(
+      'market.data',
+      'MAXLEN',
+      '~',
+      1000,
+      '*',
+      'data',
+      JSON.stringify(trade)
+    );
+  });
+
+  test('reads the newest records of a series, oldest first', async () => {
+    const bar = { type: 'bar', symbol: 'BTC-USD', interval: '5m', ts: '2024-01-01T00:00:00.000Z' };
+    const zrange = jest.fn().mockResolvedValue([JSON.stringify(bar), 'not json']);
+    const bars = await readSeries(
+      { zrange },
+      { type: 'bar', symbol: 'BTC-USD', interval: '5m', limit: 50 }
+    );
+    expect(zrange).toHaveBeenCalledWith('md:bar:5m:BTC-USD', -50, -1);
+    expect(bars).toEqual([bar]);
+  });
+});
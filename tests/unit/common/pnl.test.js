@@ -9,6 +9,9 @@ import {
   incrementPnl,
   setHalted,
   isHalted,
+  markToMarket,
+  targetPercent,
+  valuePositions,
 } from '../../../common/pnl.js';
 import { RedisMock } from '../../helpers/redis-mock.js';
 
@@ -48,6 +51,13 @@ describe('PnL Module', () => {
       percent: 0,
       dailyTargetPct: 1,
       halted: false,
+      unrealized: 0,
+      equity: 0,
+      totalPercent: 0,
+      markedAt: null,
+      marks: [],
+      unpriced: [],
+      byStrategy: {},
     });
   });
 
@@ -71,10 +81,93 @@ describe('PnL Module', () => {
     expect(afterSecond.percent).toBeCloseTo(3, 6);
   });
 
+  test('incrementPnl books PnL to the strategy given, and resetDay clears it', async () => {
+    await initDayIfNeeded(redis, { startEquity: 1000, dailyTargetPct: 1 });
+    await incrementPnl(redis, 10, { strategyId: 'sma_cross' });
+    await incrementPnl(redis, -4, { strategyId: 'rsi_reversion' });
+    await incrementPnl(redis, 2.5, { strategyId: 'sma_cross' });
+    const status = await incrementPnl(redis, 1);
+    expect(status.realized).toBeCloseTo(9.5, 8);
+    expect(status.byStrategy).toEqual({ sma_cross: 12.5, rsi_reversion: -4 });
+    const reset = await resetDay(redis, { startEquity: 1000, dailyTargetPct: 1 });
+    expect(reset.byStrategy).toEqual({});
+  });
+
   test('setHalted and isHalted toggle halted state', async () => {
     await setHalted(redis, true);
     expect(await isHalted(redis)).toBe(true);
     await setHalted(redis, false);
     expect(await isHalted(redis)).toBe(false);
   });
+
+  describe('mark-to-market', () => {
+    const long = {
+      symbol: 'BTC-USD',
+      qty: 2,
+      avgPrice: 100,
+      lots: [
+        { qty: 1, price: 90, fee: 0.1 },
+        { qty: 1, price: 110, fee: 0.1 },
+      ],
+    };
+    const short = {
+      symbol: 'ETH-USD',
+      qty: -1,
+      avgPrice: 50,
+      lots: [{ qty: -1, price: 50, fee: 0 }],
+    };
+
+    test('values longs at the bid and shorts at the ask, less carried fees', () => {
+      const now = FIXED_DATE.getTime();
+      const ts = FIXED_DATE.toISOString();
+      const r = valuePositions(
+        [long, short, { symbol: 'SOL-USD', qty: 0, lots: [] }],
+        {
+          'BTC-USD': { price: 121, bid: 120, ask: 122, ts },
+          'ETH-USD': { price: 54, ts },
+        },
+        { maxAgeSec: 60, now }
+      );
+      // (120 - 90) + (120 - 110) - 0.2 and (50 - 54) * 1
+      expect(r.unrealized).toBeCloseTo(39.8 - 4, 8);
+      expect(r.marks).toEqual([
+        { symbol: 'BTC-USD', qty: 2, avgPrice: 100, price: 120, unrealized: 39.8 },
+        { symbol: 'ETH-USD', qty: -1, avgPrice: 50, price: 54, unrealized: -4 },
+      ]);
+      expect(r.unpriced).toEqual([]);
+    });
+
+    test('leaves out positions without a fresh quote', () => {
+      const now = FIXED_DATE.getTime();
+      const r = valuePositions(
+        [long, short],
+        { 'BTC-USD': { price: 120, ts: new Date(now - 120000).toISOString() } },
+        { maxAgeSec: 60, now }
+      );
+      expect(r).toEqual({ unrealized: 0, marks: [], unpriced: ['BTC-USD', 'ETH-USD'] });
+    });
+
+    test('markToMarket stores unrealized PnL and equity on the day status', async () => {
+      await initDayIfNeeded(redis, { startEquity: 1000, dailyTargetPct: 5 });
+      await incrementPnl(redis, 20);
+      await redis.hset('portfolio:positions', 'BTC-USD', JSON.stringify(long));
+      await redis.hset(
+        'market:last',
+        'BTC-USD',
+        JSON.stringify({ symbol: 'BTC-USD', price: 130, ts: FIXED_DATE.toISOString() })
+      );
+      const status = await markToMarket(redis, { maxAgeSec: 60 });
+      expect(status.unrealized).toBeCloseTo(59.8, 8);
+      expect(status.equity).toBeCloseTo(1079.8, 8);
+      expect(status.percent).toBeCloseTo(2, 8);
+      expect(status.totalPercent).toBeCloseTo(7.98, 8);
+      expect(status.markedAt).toBe(FIXED_DATE.toISOString());
+      expect(status.marks).toHaveLength(1);
+      expect(targetPercent(status)).toBeCloseTo(2, 8);
+      expect(targetPercent(status, 'equity')).toBeCloseTo(7.98, 8);
+
+      const reset = await resetDay(redis, { startEquity: 1000, dailyTargetPct: 5 });
+      expect(reset).toMatchObject({ unrealized: 0, equity: 1000, markedAt: null, marks: [] });
+    });
+  });
 });
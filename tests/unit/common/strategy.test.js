@@ -0,0 +1,155 @@
+/**
+ * Unit tests for strategy plugins and the strategy runner
+ */
+import path from 'node:path';
+import {
+  configureStrategies,
+  createStrategyRunner,
+  loadStrategies,
+  validateStrategy,
+} from '../../../common/strategy.js';
+
+const STRATEGY_DIR = path.resolve('agents/market-analyst/src/strategies');
+const T0 = Date.parse('2024-01-01T00:00:00Z');
+const bar = (i, close, symbol = 'BTC-USD', interval = '1m') => ({
+  type: 'bar',
+  symbol,
+  interval,
+  ts: new Date(T0 + i * 60000).toISOString(),
+  open: close,
+  high: close,
+  low: close,
+  close,
+  volume: 1,
+});
+
+// Signals the last close it saw against `level`
+const threshold = {
+  name: 'threshold',
+  defaults: { level: 100 },
+  init: ({ params }) => ({ level: params.level, closes: [] }),
+  onBar: (state, b) => state.closes.push(b.close),
+  onTick: (state, t) => (state.tick = t.price),
+  signal(state) {
+    const last = state.tick ?? state.closes[state.closes.length - 1];
+    if (last === undefined) return null;
+    return { side: last > state.level ? 'buy' : 'sell', confidence: 2, rationale: `at ${last}` };
+  },
+};
+
+describe('Strategies', () => {
+  test('loads the built-in plugins and validates the contract', async () => {
+    const plugins = await loadStrategies(STRATEGY_DIR);
+    expect([...plugins.keys()]).toEqual(['rsi_reversion', 'sma_cross']);
+    expect(() => validateStrategy({ name: 'x', init() {}, onBar() {} })).toThrow('missing signal');
+    expect(() => validateStrategy({ ...threshold, name: 'bad name' })).toThrow('identifier');
+  });
+
+  test('configures ids, symbols and params, rejecting unknown and duplicate entries', () => {
+    const plugins = new Map([['threshold', threshold]]);
+    expect(
+      configureStrategies(plugins, [
+        { strategy: 'threshold' },
+        { id: 'thr-eth', strategy: 'threshold', symbols: ['ETH-USD'], params: { level: 5 } },
+      ])
+    ).toEqual([
+      {
+        strategyId: 'threshold',
+        strategy: 'threshold',
+        symbols: ['*'],
+        params: { interval: '1m', warmupBars: 500, level: 100 },
+      },
+      {
+        strategyId: 'thr-eth',
+        strategy: 'threshold',
+        symbols: ['ETH-USD'],
+        params: { interval: '1m', warmupBars: 500, level: 5 },
+      },
+    ]);
+    expect(() => configureStrategies(plugins, [{ strategy: 'nope' }])).toThrow('unknown strategy');
+    expect(() =>
+      configureStrategies(plugins, [{ strategy: 'threshold' }, { strategy: 'threshold' }])
+    ).toThrow('duplicate strategyId threshold');
+  });
+
+  test('runs several strategies per symbol, warmed up from stored bars', async () => {
+    const loads = [];
+    const runner = createStrategyRunner({
+      plugins: new Map([['threshold', threshold]]),
+      config: [
+        { id: 'low', strategy: 'threshold', params: { level: 90 } },
+        { id: 'high', strategy: 'threshold', params: { level: 110 } },
+        { id: 'eth', strategy: 'threshold', symbols: ['ETH-USD'] },
+      ],
+      loadBars: async (q) => {
+        loads.push(q);
+        return [bar(0, 95), bar(1, 100)];
+      },
+    });
+    expect(await runner.signals('BTC-USD')).toEqual([
+      { strategyId: 'low', strategy: 'threshold', side: 'buy', confidence: 1, rationale: 'at 100' },
+      {
+        strategyId: 'high',
+        strategy: 'threshold',
+        side: 'sell',
+        confidence: 1,
+        rationale: 'at 100',
+      },
+    ]);
+    expect(loads).toEqual([
+      { symbol: 'BTC-USD', interval: '1m', limit: 500 },
+      { symbol: 'BTC-USD', interval: '1m', limit: 500 },
+    ]);
+
+    // a bar already applied in the warm-up is skipped; other intervals are not this strategy's
+    await runner.onBar(bar(1, 200));
+    await runner.onBar(bar(2, 120, 'BTC-USD', '5m'));
+    expect((await runner.signals('BTC-USD'))[1].rationale).toBe('at 100');
+    await runner.onBar(bar(2, 120));
+    expect((await runner.signals('BTC-USD')).map((s) => s.side)).toEqual(['buy', 'buy']);
+    await runner.onTick({ type: 'trade', symbol: 'BTC-USD', price: 80 });
+    expect((await runner.signals('BTC-USD')).map((s) => s.side)).toEqual(['sell', 'sell']);
+    expect(loads).toHaveLength(2);
+  });
+
+  test('a failing plugin is reported and the others keep running', async () => {
+    const errors = [];
+    const broken = {
+      ...threshold,
+      name: 'broken',
+      signal: () => {
+        throw new Error('boom');
+      },
+    };
+    const runner = createStrategyRunner({
+      plugins: new Map([
+        ['threshold', threshold],
+        ['broken', broken],
+      ]),
+      config: [{ strategy: 'broken' }, { strategy: 'threshold' }],
+      onError: (e, ctx) => errors.push({ message: e.message, ...ctx }),
+    });
+    await runner.onBar(bar(0, 150));
+    expect(await runner.signals('BTC-USD')).toMatchObject([{ strategyId: 'threshold' }]);
+    expect(errors).toEqual([{ message: 'boom', strategyId: 'broken', symbol: 'BTC-USD' }]);
+  });
+
+  test('built-in strategies signal with a rationale', async () => {
+    const plugins = await loadStrategies(STRATEGY_DIR);
+    const runner = createStrategyRunner({
+      plugins,
+      config: [
+        { strategy: 'sma_cross', params: { fast: 2, slow: 4 } },
+        { strategy: 'rsi_reversion', params: { period: 3 } },
+      ],
+    });
+    for (const [i, close] of [100, 101, 102, 103, 104, 105].entries())
+      await runner.onBar(bar(i, close));
+    const [sma, rsi] = await runner.signals('BTC-USD');
+    expect(sma).toMatchObject({ strategyId: 'sma_cross', side: 'buy' });
+    expect(sma.confidence).toBeGreaterThan(0.5);
+    expect(sma.rationale).toMatch(/^SMA\(2\) 104\.50 above SMA\(4\) 103\.50/);
+    expect(rsi).toMatchObject({ strategyId: 'rsi_reversion', side: 'sell', confidence: 1 });
+    expect(rsi.rationale).toBe('RSI(3) 100.0 above 70');
+  });
+});